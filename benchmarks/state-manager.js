@@ -0,0 +1,240 @@
+/**
+ * StateManager 更新成本基準測試
+ *
+ * 以接近實際的狀態（200 條日誌、100 個任務、200 則通知、100 條指令、5 個 Agent）
+ * 比較寫時複製的 StateManager 與舊實作（每次 set 以 JSON 深拷貝整個狀態保存歷史，
+ * batchUpdate 再對每個路徑各拷貝一次）的每次更新耗時。兩者都關閉持久化，只比較更新與歷史記錄。
+ *
+ * 測試會以假數據覆蓋 StateManager 的狀態，請在獨立頁面執行：啟動本地伺服器後打開
+ * benchmarks/state-manager.html，不要在運行中的 Dashboard 裡呼叫。
+ */
+
+import StateManager from '../js/core/StateManager.js';
+
+// 每個場景的計時時長（毫秒），與計時前的預熱次數
+const DURATION = 300;
+const WARMUP = 20;
+
+/**
+ * 舊實作：每次 set 深拷貝整個狀態作為歷史
+ */
+class LegacyStateManager {
+    constructor(state) {
+        this.state = this.deepClone(state);
+        this.history = [];
+        this.maxHistoryLength = 50;
+    }
+
+    set(path, value) {
+        const keys = path.split('.');
+        const lastKey = keys.pop();
+        let target = this.state;
+
+        const oldState = this.deepClone(this.state);
+
+        for (const key of keys) {
+            if (!(key in target)) {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[lastKey] = value;
+
+        this.recordHistory(oldState);
+    }
+
+    batchUpdate(updates) {
+        const oldState = this.deepClone(this.state);
+
+        for (const [path, value] of Object.entries(updates)) {
+            this.set(path, value);
+        }
+
+        this.recordHistory(oldState);
+    }
+
+    recordHistory(oldState) {
+        this.history.push(oldState);
+        if (this.history.length > this.maxHistoryLength) {
+            this.history.shift();
+        }
+    }
+
+    deepClone(obj) {
+        return JSON.parse(JSON.stringify(obj));
+    }
+}
+
+/**
+ * 產生測試用的狀態
+ * @returns {Object} batchUpdate 更新對象
+ */
+function createFixture() {
+    const at = (i) => new Date(Date.UTC(2026, 0, 1) + i * 60000).toISOString();
+    const agents = Array.from({ length: 5 }, (_, i) => ({
+        id: `agent-${i}`,
+        name: `Agent ${i}`,
+        status: 'working',
+        currentTask: { id: `task-${i}`, title: `任務 ${i}` },
+        lastHeartbeat: at(i),
+        model: 'claude-sonnet',
+        tokenUsage: 120000 + i,
+        quotaRemaining: 64,
+        displayState: '🟢 WORKING',
+        isOnline: true
+    }));
+    const tasks = Array.from({ length: 100 }, (_, i) => ({
+        id: `task-${i}`,
+        title: `任務 ${i}`,
+        description: '整理並回報本週的使用量與異常',
+        status: ['completed', 'pending', 'in-progress'][i % 3],
+        priority: i % 5,
+        createdAt: at(i),
+        completedAt: i % 3 === 0 ? at(i + 30) : null
+    }));
+
+    return {
+        'fleet.agents': agents,
+        'tasks.completed': tasks.filter(task => task.status === 'completed'),
+        'tasks.pending': tasks.filter(task => task.status === 'pending'),
+        'tasks.inProgress': tasks.filter(task => task.status === 'in-progress'),
+        'logs': createLogs(0),
+        'notifications.items': Array.from({ length: 200 }, (_, i) => ({
+            id: `notification-${i}`,
+            type: 'info',
+            title: '通知',
+            message: `第 ${i} 則通知`,
+            source: 'api',
+            at: Date.UTC(2026, 0, 1) + i,
+            read: i % 2 === 0
+        })),
+        'commands.items': Array.from({ length: 100 }, (_, i) => ({
+            id: `command-${i}`,
+            type: 'pause',
+            args: {},
+            createdAt: Date.UTC(2026, 0, 1) + i,
+            phase: 'done'
+        }))
+    };
+}
+
+/**
+ * 產生 200 條日誌（模擬一次日誌推送）
+ * @param {number} offset - 起始序號
+ * @returns {Object[]}
+ */
+function createLogs(offset) {
+    return Array.from({ length: 200 }, (_, i) => ({
+        id: `log-${offset + i}`,
+        level: ['debug', 'info', 'warn', 'error'][i % 4],
+        message: `Tool call finished in ${i} ms`,
+        source: 'agent',
+        timestamp: Date.UTC(2026, 0, 1) + offset + i,
+        taskId: `task-${i % 100}`,
+        data: { tool: 'bash', args: { command: 'ls -la' } }
+    }));
+}
+
+/**
+ * 一次心跳寫入的路徑（與 ApiClient.updateAgentState 相同）
+ * @param {number} i - 序號
+ * @param {Object[]} agents - Agent 列表
+ * @returns {Object}
+ */
+function heartbeatUpdates(i, agents) {
+    const at = new Date(Date.UTC(2026, 0, 1) + i * 1000).toISOString();
+    return {
+        'fleet.agents': agents.map((agent, index) => (index === 0 ? { ...agent, lastHeartbeat: at } : agent)),
+        'agent.status': 'working',
+        'agent.currentTask': agents[0].currentTask,
+        'agent.lastHeartbeat': at,
+        'agent.model': 'claude-sonnet',
+        'agent.tokenUsage': 120000 + i,
+        'agent.quotaRemaining': 64,
+        'agent.displayState': '🟢 WORKING',
+        'agent.isOnline': true,
+        'api.lastUpdated': at
+    };
+}
+
+/**
+ * 檢查不成立時拋出錯誤，讓執行頁面顯示失敗
+ * @param {boolean} condition - 條件
+ * @param {string} message - 錯誤訊息
+ */
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(`StateManager: ${message}`);
+    }
+}
+
+/**
+ * 重複執行直到超過計時時長
+ * @param {Function} run - 以序號呼叫
+ * @returns {number} 每次耗時（微秒）
+ */
+function measure(run) {
+    for (let i = 0; i < WARMUP; i++) run(i);
+
+    let iterations = 0;
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < DURATION) {
+        run(WARMUP + iterations);
+        iterations += 1;
+        elapsed = performance.now() - start;
+    }
+    return (elapsed * 1000) / iterations;
+}
+
+/**
+ * 執行所有場景，結構共享的檢查不成立時拋出錯誤
+ * @returns {{場景: string, 舊實作: string, 寫時複製: string, 倍數: string}[]}
+ */
+export function runBenchmarks() {
+    const fixture = createFixture();
+    const agents = fixture['fleet.agents'];
+
+    StateManager.persistEnabled = false;
+    StateManager.batchUpdate(fixture);
+    const legacy = new LegacyStateManager(StateManager.state);
+
+    const logBatches = [createLogs(200), createLogs(400)];
+    const scenarios = [
+        {
+            name: 'set 單一欄位',
+            legacy: (i) => legacy.set('agent.tokenUsage', i),
+            current: (i) => StateManager.set('agent.tokenUsage', i)
+        },
+        {
+            name: '心跳 batchUpdate（10 個路徑）',
+            legacy: (i) => legacy.batchUpdate(heartbeatUpdates(i, agents)),
+            current: (i) => StateManager.batchUpdate(heartbeatUpdates(i, agents))
+        },
+        {
+            name: '日誌推送 set（200 條）',
+            legacy: (i) => legacy.set('logs', logBatches[i % 2]),
+            current: (i) => StateManager.set('logs', logBatches[i % 2])
+        }
+    ];
+
+    const results = scenarios.map(({ name, legacy: runLegacy, current: runCurrent }) => {
+        const legacyCost = measure(runLegacy);
+        const currentCost = measure(runCurrent);
+        return {
+            場景: name,
+            舊實作: `${legacyCost.toFixed(1)} µs`,
+            寫時複製: `${currentCost.toFixed(1)} µs`,
+            倍數: `${(legacyCost / currentCost).toFixed(0)}×`
+        };
+    });
+
+    // 未變更的子樹應保持引用
+    const before = StateManager.state;
+    StateManager.batchUpdate(heartbeatUpdates(0, agents));
+    const shared = ['tasks', 'logs', 'notifications', 'commands', 'config'].every(key => StateManager.state[key] === before[key]);
+    check(shared, '心跳更新後未變更的子樹應保持引用');
+    check(StateManager.state.agent !== before.agent, '變更的子樹應為新引用');
+
+    return results;
+}
@@ -1,17 +1,43 @@
 /**
- * ApiClient - Firebase Realtime Database 接口層
+ * ApiClient - 數據接口層
  * 
- * 使用 Firebase Realtime Database 進行實時數據同步。
- * 實現 Dead Man's Switch (心跳檢測) 機制。
+ * 透過數據源適配器（Firebase / Mock / REST / Stream）進行數據同步，
+ * 並將結果寫入 StateManager。
+ * 寫入採用樂觀更新：失敗時回滾，離線時存入 WriteQueue 待重連後重放。
+ * 實現 Dead Man's Switch (心跳檢測) 機制，多 Agent 時每個 Agent 各有一個檢查器。
+ * 任務、日誌、模型與學習項目只同步當前選中的 Agent（見 selectAgent）。
+ * 狀態、日誌、任務與餘額經 PayloadSchemas 檢查後才寫入，格式問題記錄到 Diagnostics。
+ * 每個 Agent 的狀態轉換與心跳記錄到 HeartbeatHistory，供計算可用率；Token 使用量與配額取樣到 UsageHistory。
+ * 模型切換與速率限制等狀態變化記錄到 ModelHistory，並發布 MODEL_STATUS_CHANGED。
+ * API 餘額取樣記錄到 BalanceHistory，跨越 config 中的警告/危險門檻時發布 API_BALANCE_UPDATED / API_BALANCE_WARNING。
+ * 發送給 Agent 的指令（暫停、恢復、取消任務、切換模型）經 CommandChannel 追蹤確認與結果。
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import AlertManager, { quotaAlertKey } from '../core/AlertManager.js';
+import { createAdapter, resolveDataSource } from './adapters/AdapterFactory.js';
+import { isTransientError } from './adapters/DataSourceAdapter.js';
+import WriteOperations from './WriteOperations.js';
+import WriteQueue from './WriteQueue.js';
+import Diagnostics from './Diagnostics.js';
+import HeartbeatHistory from './HeartbeatHistory.js';
+import UsageHistory from './UsageHistory.js';
+import CommandChannel from './CommandChannel.js';
+import ModelHistory from './ModelHistory.js';
+import BalanceHistory, { levelOf, percentOf } from './BalanceHistory.js';
+import { normalize, normalizeList } from './PayloadSchemas.js';
 
 /**
  * API 配置
  */
 const API_CONFIG = {
+    // 數據源配置，可被 URL 參數 ?source= 覆蓋
+    dataSource: {
+        type: 'firebase',
+        options: {}
+    },
+
     // 心跳超時時間（毫秒）- 60秒無心跳視為離線
     heartbeatTimeout: 60000,
 
@@ -19,15 +45,200 @@ const API_CONFIG = {
     logsLimit: 200,
 
     // 心跳檢查間隔（毫秒）
-    heartbeatCheckInterval: 5000
+    heartbeatCheckInterval: 5000,
+
+    // 重新連線後等待數據同步的寬限期（毫秒），期間不判定 Agent 離線
+    reconnectGracePeriod: 10000,
+
+    // 輪詢型數據源的刷新間隔（毫秒）
+    refreshInterval: 30000,
+
+    // 指令送出後等待 Agent 接收的時限（毫秒）
+    commandAckTimeout: 15000,
+
+    // 指令接收後等待執行結果的時限（毫秒）
+    commandResultTimeout: 60000,
+
+    // 重放離線佇列遇到暫時性錯誤（如 5xx）而連線仍在時，再次重放前的等待時間（毫秒）
+    writeRetryDelay: 30000
 };
 
+/**
+ * 數據集合：適配器方法與 StateManager 更新的對應
+ * scoped 的集合屬於單個 Agent，切換 Agent 時重新訂閱
+ * schema 為 PayloadSchemas 中的項目結構
+ * onApply 在寫入 StateManager 前以 toUpdates 的結果調用（this 為 ApiClient，參數為更新對象與選中的 Agent ID）
+ */
+const COLLECTIONS = [
+    {
+        name: 'tasks',
+        scoped: true,
+        schema: 'task',
+        getter: 'getTasks',
+        subscriber: 'subscribeTasks',
+        toUpdates: (tasks) => groupTasks(tasks),
+        fromState: () => {
+            const { inProgress = [], pending = [], completed = [] } = StateManager.get('tasks', {});
+            return [...inProgress, ...pending, ...completed];
+        }
+    },
+    {
+        name: 'balances',
+        schema: 'balance',
+        getter: 'getAPIBalance',
+        subscriber: 'subscribeAPIBalance',
+        toUpdates: (balances) => ({ 'api.balances': balances }),
+        onApply(updates) {
+            this.checkBalances(updates['api.balances']);
+        }
+    },
+    {
+        name: 'models',
+        scoped: true,
+        getter: 'getModelInfo',
+        subscriber: 'subscribeModelInfo',
+        toUpdates: (models) => {
+            // 未提供 fallbacks 時以單個 fallback 作為備用順序
+            const fallbacks = models.fallbacks || (models.fallback ? [models.fallback] : []);
+            return {
+                'models.current': models.current || null,
+                'models.fallback': fallbacks[0] || null,
+                'models.fallbacks': fallbacks
+            };
+        },
+        onApply: (updates, agentId) => {
+            const events = ModelHistory.observe(agentId, {
+                current: updates['models.current'],
+                fallbacks: updates['models.fallbacks']
+            });
+            events.forEach(event => EventBus.emit(Events.MODEL_STATUS_CHANGED, { agentId, ...event }));
+        }
+    },
+    {
+        name: 'learning',
+        scoped: true,
+        getter: 'getLearningItems',
+        subscriber: 'subscribeLearningItems',
+        toUpdates: (items) => ({
+            'learning.items': [...items].sort((a, b) => (a.priority || 0) - (b.priority || 0))
+        }),
+        fromState: () => StateManager.get('learning.items', [])
+    },
+    {
+        name: 'commands',
+        scoped: true,
+        schema: 'command',
+        getter: 'getCommands',
+        subscriber: 'subscribeCommands',
+        toUpdates: (commands) => ({ 'commands.items': CommandChannel.resolve(commands) }),
+        fromState: () => StateManager.get('commands.items', [])
+    }
+];
+
+/**
+ * 將任務按狀態分組為 StateManager 的 tasks 結構
+ * @param {Object[]} tasks - 任務列表
+ * @returns {Object} batchUpdate 更新對象
+ */
+function groupTasks(tasks) {
+    const byTime = (field) => (a, b) => new Date(b[field] || 0) - new Date(a[field] || 0);
+
+    return {
+        'tasks.completed': tasks.filter(t => t.status === 'completed').sort(byTime('completedAt')),
+        'tasks.pending': tasks.filter(t => t.status === 'pending'),
+        'tasks.inProgress': tasks.filter(t => t.status === 'in-progress')
+    };
+}
+
+/**
+ * 創建 Agent 狀態（尚未收到狀態推送時的默認值）
+ * @param {import('./adapters/DataSourceAdapter.js').AgentInfo|{id: null}} agent - Agent 資訊
+ * @returns {Object}
+ */
+function createAgentState({ id, name }) {
+    return {
+        id,
+        name: name || id,
+        status: 'idle',
+        currentTask: null,
+        lastHeartbeat: null,
+        model: null,
+        tokenUsage: 0,
+        quotaRemaining: null,
+        displayState: null,
+        isOnline: false
+    };
+}
+
+/**
+ * Agent 轉入時發出嚴重通知的狀態
+ */
+const AGENT_STATE_ALERTS = {
+    offline: { title: (name) => `${name} 離線`, message: '心跳已逾時，Agent 可能已停止運行' },
+    error: { title: (name) => `${name} 錯誤`, message: 'Agent 回報錯誤狀態' }
+};
+
+/**
+ * 將 Agent 狀態轉為 StateManager 的 agent.* 更新
+ * @param {Object} agent - Agent 狀態
+ * @returns {Object} batchUpdate 更新對象
+ */
+function toAgentUpdates(agent) {
+    const updates = {
+        'agent.status': agent.status,
+        'agent.currentTask': agent.currentTask,
+        'agent.lastHeartbeat': agent.lastHeartbeat,
+        'agent.model': agent.model,
+        'agent.tokenUsage': agent.tokenUsage,
+        'agent.quotaRemaining': agent.quotaRemaining,
+        'agent.displayState': agent.displayState,
+        'agent.isOnline': agent.isOnline
+    };
+
+    // 單 Agent 佈局沿用 agent.name 的默認值
+    if (agent.name) {
+        updates['agent.name'] = agent.name;
+    }
+
+    return updates;
+}
+
 class ApiClientClass {
     constructor() {
         this.config = API_CONFIG;
+        this.adapter = null;
+        this.ready = Promise.resolve();
         this.unsubscribers = [];
-        this.heartbeatChecker = null;
+        this.refreshTimer = null;
+        this.writeRetryTimer = null;
         this.isInitialized = false;
+
+        /** @type {Set<string>} 由適配器推送的數據集合 */
+        this.pushedCollections = new Set();
+
+        /** @type {boolean} 瀏覽器網路狀態 */
+        this.browserOnline = navigator.onLine !== false;
+
+        /** @type {boolean} 適配器回報的連線狀態 */
+        this.adapterConnected = false;
+
+        /** @type {Map<string|null, Object>} 各 Agent 的最新狀態（單 Agent 佈局以 null 為鍵） */
+        this.agentStates = new Map();
+
+        /** @type {Map<string, import('./BalanceHistory.js').BalanceLevel>} 各供應商上次的餘額等級 */
+        this.balanceLevels = new Map();
+
+        /** @type {Map<string|null, number>} 各 Agent 的心跳檢查器 */
+        this.heartbeatCheckers = new Map();
+
+        /** @type {string|null} 當前選中的 Agent，單 Agent 佈局為 null */
+        this.selectedAgentId = null;
+
+        /** @type {import('./adapters/DataSourceAdapter.js').default|null} 限定到選中 Agent 的適配器視圖 */
+        this.scope = null;
+
+        /** @type {Function[]} 選中 Agent 的監聽器（切換時重建） */
+        this.scopedUnsubscribers = [];
     }
 
     /**
@@ -36,122 +247,291 @@ class ApiClientClass {
      */
     init(config = {}) {
         Object.assign(this.config, config);
-        console.log('ApiClient: Initializing with Firebase...');
 
-        // 等待 Firebase 初始化完成
-        this.waitForFirebase().then(() => {
-            this.startListeners();
-            this.startHeartbeatChecker();
+        const dataSource = resolveDataSource(this.config.dataSource);
+        this.adapter = createAdapter(dataSource);
+        StateManager.set('api.dataSource', this.adapter.name);
+        CommandChannel.init({
+            ackTimeout: this.config.commandAckTimeout,
+            resultTimeout: this.config.commandResultTimeout
+        });
+
+        // 以相同參數重新發送失敗或逾時的指令（通知的「重試」按鈕）
+        this.unsubscribers.push(
+            EventBus.on(Events.COMMAND_RETRY, ({ type, args }) => {
+                this.sendCommand(type, args).catch(() => {
+                    // sendCommand 已通知
+                });
+            })
+        );
+        console.log(`ApiClient: Initializing with ${this.adapter.name} adapter...`);
+
+        // 等待數據源連線完成並載入 Agent 列表
+        this.ready = this.adapter.connect().then(() => this.loadAgents()).then(() => {
             this.isInitialized = true;
-            console.log('ApiClient: Firebase listeners attached');
+            this.watchConnection();
+            this.startListeners();
+            this.startHeartbeatCheckers();
+            this.startAutoRefresh();
+            console.log(`ApiClient: ${this.adapter.name} listeners attached`);
         }).catch(error => {
-            console.error('ApiClient: Firebase initialization failed', error);
+            console.error(`ApiClient: ${this.adapter.name} initialization failed`, error);
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'error',
+                title: '數據源連線失敗',
+                message: error.message,
+                persistent: true,
+                source: 'api'
+            });
+        });
+    }
+
+    // ==================== Agent ====================
+
+    /**
+     * 載入 Agent 列表並恢復上次選中的 Agent
+     * 數據源未提供列表時為單 Agent 佈局
+     */
+    async loadAgents() {
+        const agents = await this.adapter.getAgents();
+        const ids = agents.map(agent => agent.id);
+        const saved = StateManager.get('ui.selectedAgentId');
+
+        this.agentStates = new Map(
+            (agents.length > 0 ? agents : [{ id: null }]).map(agent => [agent.id, createAgentState(agent)])
+        );
+        this.selectedAgentId = ids.includes(saved) ? saved : (ids[0] ?? null);
+        this.scope = this.adapter.forAgent(this.selectedAgentId);
+
+        StateManager.batchUpdate({
+            'ui.selectedAgentId': this.selectedAgentId,
+            'fleet.agents': this.getFleet()
         });
+        console.log(`ApiClient: Monitoring ${agents.length || 1} agent(s)`);
     }
 
     /**
-     * 等待 Firebase 準備好
+     * 是否為多 Agent 佈局
+     * @returns {boolean}
      */
-    waitForFirebase() {
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-            const maxAttempts = 50; // 5秒超時
+    isMultiAgent() {
+        return this.selectedAgentId !== null;
+    }
 
-            const check = () => {
-                if (window.FirebaseDB) {
-                    resolve();
-                } else if (attempts >= maxAttempts) {
-                    reject(new Error('Firebase initialization timeout'));
-                } else {
-                    attempts++;
-                    setTimeout(check, 100);
-                }
-            };
-            check();
+    /**
+     * 獲取所有 Agent 的狀態摘要（單 Agent 佈局為空數組）
+     * @returns {Object[]}
+     */
+    getFleet() {
+        return this.isMultiAgent() ? [...this.agentStates.values()].map(agent => ({ ...agent })) : [];
+    }
+
+    /**
+     * 切換選中的 Agent：任務、日誌、模型與學習項目改為同步該 Agent
+     * @param {string} agentId - Agent ID
+     */
+    async selectAgent(agentId) {
+        await this.ready;
+        if (!this.agentStates.has(agentId) || agentId === this.selectedAgentId) return;
+
+        this.stopScopedListeners();
+        this.selectedAgentId = agentId;
+        this.scope = this.adapter.forAgent(agentId);
+
+        // 清空上一個 Agent 的數據，避免新數據到達前顯示錯誤內容
+        const cleared = COLLECTIONS
+            .filter(({ scoped }) => scoped)
+            .reduce((updates, { toUpdates }) => ({ ...updates, ...toUpdates([]) }), {});
+
+        StateManager.batchUpdate({
+            ...cleared,
+            ...toAgentUpdates(this.agentStates.get(agentId)),
+            'logs': [],
+            'ui.selectedAgentId': agentId,
+            'ui.expandedTaskId': null
         });
+
+        this.startScopedListeners();
+        console.log(`ApiClient: Switched to agent ${agentId}`);
+        EventBus.emit(Events.AGENT_SELECTED, { agentId });
+
+        await this.refreshAll();
+    }
+
+    /**
+     * 合併 Agent 狀態；選中的 Agent 同步寫入 agent.*
+     * @param {string|null} agentId - Agent ID
+     * @param {Object} changes - 變更欄位
+     * @param {Object} [extraUpdates] - 選中 Agent 時一併寫入的其他狀態
+     */
+    updateAgentState(agentId, changes, extraUpdates = {}) {
+        const agent = { ...this.agentStates.get(agentId), ...changes };
+        this.agentStates.set(agentId, agent);
+
+        const updates = this.isMultiAgent() ? { 'fleet.agents': this.getFleet() } : {};
+        if (agentId === this.selectedAgentId) {
+            Object.assign(updates, toAgentUpdates(agent), extraUpdates);
+        }
+
+        StateManager.batchUpdate(updates);
     }
 
+    // ==================== 監聽 ====================
+
     /**
-     * 啟動所有 Firebase 監聽器
+     * 啟動所有數據監聽器
      */
     startListeners() {
-        this.listenToAgentStatus();
+        this.agentStates.forEach((state, agentId) => {
+            this.listenToAgentStatus(agentId);
+            this.watchAgentTasks(agentId);
+        });
+        this.listenToCollections(this.adapter, false, this.unsubscribers);
+        this.startScopedListeners();
+    }
+
+    /**
+     * 啟動選中 Agent 的監聽器（日誌與 scoped 集合）
+     */
+    startScopedListeners() {
         this.listenToLogs();
+        this.listenToCollections(this.scope, true, this.scopedUnsubscribers);
     }
 
     /**
-     * 監聽 Agent 狀態 (/status 節點)
-     */
-    listenToAgentStatus() {
-        const { database, ref, onValue } = window.FirebaseDB;
-        const statusRef = ref(database, 'status');
-
-        const unsubscribe = onValue(statusRef, (snapshot) => {
-            const data = snapshot.val();
-            if (data) {
-                console.log('ApiClient: Status update received', data);
-
-                // 計算實際狀態（考慮心跳）
-                const displayState = this.calculateDisplayState(data);
-
-                // 更新 StateManager
-                StateManager.batchUpdate({
-                    'agent.status': displayState.state,
-                    'agent.currentTask': data.currentTask ? {
-                        id: 'firebase-task',
-                        title: data.currentTask,
-                        progress: 50,
-                        startedAt: new Date().toISOString()
-                    } : null,
-                    'agent.lastHeartbeat': data.lastHeartbeat,
-                    'agent.model': data.model || 'Unknown',
-                    'agent.tokenUsage': data.tokenUsage || 0,
-                    'agent.quotaRemaining': data.quotaRemaining || 1,
-                    'agent.displayState': displayState.displayText,
-                    'agent.isOnline': displayState.isOnline,
-                    'api.lastUpdated': new Date().toISOString()
-                });
+     * 停止選中 Agent 的監聽器
+     */
+    stopScopedListeners() {
+        this.scopedUnsubscribers.forEach(unsub => unsub());
+        this.scopedUnsubscribers = [];
+    }
 
-                EventBus.emit(Events.AGENT_STATUS_CHANGED, displayState);
-            }
+    /**
+     * 監聽 Agent 狀態
+     * @param {string|null} agentId - Agent ID，單 Agent 佈局為 null
+     */
+    listenToAgentStatus(agentId) {
+        const unsubscribe = this.adapter.forAgent(agentId).subscribeStatus((payload) => {
+            console.log(`ApiClient: Status update received${agentId ? ` (${agentId})` : ''}`, payload);
+
+            const { value, issues } = normalize('status', payload);
+            Diagnostics.report('status', issues, agentId);
+            const data = value || {};
+
+            // 計算實際狀態（考慮心跳）
+            const displayState = this.calculateDisplayState(data);
+            HeartbeatHistory.recordHeartbeat(agentId, data.lastHeartbeat);
+            HeartbeatHistory.recordState(agentId, displayState.state);
+            UsageHistory.record(agentId, data);
+            // 先更新告警狀態，配額卡片重繪時才會反映本次數值
+            this.checkQuota(agentId, data.quotaRemaining ?? null);
+
+            // 未回報或格式錯誤的欄位保持 null，由界面顯示為未知
+            const previous = this.agentStates.get(agentId)?.status;
+            this.updateAgentState(agentId, {
+                status: displayState.state,
+                currentTask: data.currentTask ?? null,
+                lastHeartbeat: data.lastHeartbeat ?? null,
+                model: data.model ?? null,
+                tokenUsage: data.tokenUsage ?? null,
+                quotaRemaining: data.quotaRemaining ?? null,
+                displayState: displayState.displayText,
+                isOnline: displayState.isOnline
+            }, {
+                'api.lastUpdated': new Date().toISOString()
+            });
+
+            this.emitAgentStatus(agentId, previous, displayState);
         }, (error) => {
-            console.error('ApiClient: Error listening to status', error);
+            console.error(`ApiClient: Error listening to status${agentId ? ` (${agentId})` : ''}`, error);
         });
 
         this.unsubscribers.push(() => unsubscribe());
     }
 
     /**
-     * 監聽日誌 (/logs 節點，限制最後 200 條)
+     * 追蹤 Agent 的完成任務，出現新完成的任務時發布 AGENT_TASK_COMPLETED
+     * 每個 Agent 都追蹤（不只選中的）；數據源不支援推送時以 refreshInterval 輪詢。
+     * 首次讀到的任務只作為基準。
+     * @param {string|null} agentId - Agent ID
+     */
+    watchAgentTasks(agentId) {
+        const scope = this.adapter.forAgent(agentId);
+        let known = null;
+
+        const onData = (payload) => {
+            if (!payload) return;
+
+            const completed = normalizeList('task', payload).items.filter(task => task.status === 'completed');
+            const previous = known;
+            known = new Set(completed.map(task => task.id));
+            if (!previous) return;
+
+            completed
+                .filter(task => !previous.has(task.id))
+                .forEach(task => EventBus.emit(Events.AGENT_TASK_COMPLETED, { agentId, task }));
+        };
+        const onError = (error) => {
+            console.error(`ApiClient: Error watching tasks${agentId ? ` (${agentId})` : ''}`, error);
+        };
+
+        const unsubscribe = scope.subscribeTasks(onData, onError);
+        if (unsubscribe) {
+            this.unsubscribers.push(() => unsubscribe());
+            return;
+        }
+
+        const poll = () => scope.getTasks().then(onData, onError);
+        poll();
+        const timer = setInterval(poll, StateManager.get('config.refreshInterval', this.config.refreshInterval));
+        this.unsubscribers.push(() => clearInterval(timer));
+    }
+
+    /**
+     * 監聽選中 Agent 的日誌（最新在前，限制最後 200 條）
      */
     listenToLogs() {
-        const { database, ref, onValue, query, limitToLast } = window.FirebaseDB;
-        const logsRef = query(ref(database, 'logs'), limitToLast(this.config.logsLimit));
-
-        const unsubscribe = onValue(logsRef, (snapshot) => {
-            const data = snapshot.val();
-            if (data) {
-                // 將對象轉換為數組並按時間排序
-                const logs = Object.entries(data).map(([id, log]) => ({
-                    id,
-                    ...log
-                })).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-
-                console.log(`ApiClient: Received ${logs.length} logs`);
-
-                StateManager.set('logs', logs);
-                EventBus.emit(Events.DATA_REFRESH, { type: 'logs', count: logs.length });
-            }
+        const unsubscribe = this.scope.subscribeLogs({ limit: this.config.logsLimit }, (payload) => {
+            const { items: logs, issues } = normalizeList('log', payload);
+            Diagnostics.report('logs', issues, this.selectedAgentId);
+            console.log(`ApiClient: Received ${logs.length} logs`);
+
+            StateManager.set('logs', logs);
+            EventBus.emit(Events.DATA_REFRESH, { type: 'logs', count: logs.length });
         }, (error) => {
             console.error('ApiClient: Error listening to logs', error);
         });
 
-        this.unsubscribers.push(() => unsubscribe());
+        this.scopedUnsubscribers.push(() => unsubscribe());
+    }
+
+    /**
+     * 監聽支援推送的數據集合（任務、餘額、模型、學習項目）
+     * 不支援推送的集合由 refreshAll() 讀取
+     * @param {import('./adapters/DataSourceAdapter.js').default} adapter - 適配器或 Agent 視圖
+     * @param {boolean} scoped - 監聽 scoped 或共用的集合
+     * @param {Function[]} unsubscribers - 取消訂閱函數的收集處
+     */
+    listenToCollections(adapter, scoped, unsubscribers) {
+        COLLECTIONS.filter(collection => !!collection.scoped === scoped).forEach(({ name, subscriber }) => {
+            const unsubscribe = adapter[subscriber]((data) => {
+                if (!data) return;
+                this.applyCollection(name, data);
+                EventBus.emit(Events.DATA_REFRESH, { type: name });
+            }, (error) => {
+                console.error(`ApiClient: Error listening to ${name}`, error);
+            });
+
+            if (unsubscribe) {
+                this.pushedCollections.add(name);
+                unsubscribers.push(() => unsubscribe());
+            }
+        });
     }
 
     /**
      * 計算顯示狀態（包含心跳檢測）
-     * @param {Object} data - Firebase 狀態數據
+     * @param {Object} data - 狀態負載（/status 格式）
      * @returns {Object} 顯示狀態
      */
     calculateDisplayState(data) {
@@ -159,7 +539,8 @@ class ApiClientClass {
         const timeSinceHeartbeat = Date.now() - lastHeartbeat;
         const isOnline = timeSinceHeartbeat <= this.config.heartbeatTimeout;
 
-        if (!isOnline) {
+        // Agent 主動回報離線時不必等到心跳逾時
+        if (!isOnline || data.state === 'offline') {
             return {
                 state: 'offline',
                 displayText: '🔴 OFFLINE',
@@ -168,7 +549,8 @@ class ApiClientClass {
             };
         }
 
-        const state = data.state || 'idle';
+        // 狀態缺失或無效時（已回報 Diagnostics）顯示為未知
+        const state = data.state || 'unknown';
         let displayText = '';
 
         switch (state) {
@@ -178,6 +560,9 @@ class ApiClientClass {
             case 'idle':
                 displayText = '🟡 IDLE';
                 break;
+            case 'paused':
+                displayText = '⏸️ PAUSED';
+                break;
             case 'error':
                 displayText = '🔴 ERROR';
                 break;
@@ -194,115 +579,737 @@ class ApiClientClass {
     }
 
     /**
-     * 啟動心跳檢查器（Dead Man's Switch）
+     * 為每個 Agent 啟動心跳檢查器（Dead Man's Switch）
      */
-    startHeartbeatChecker() {
-        this.stopHeartbeatChecker();
+    startHeartbeatCheckers() {
+        this.stopHeartbeatCheckers();
 
-        this.heartbeatChecker = setInterval(() => {
-            const lastHeartbeat = StateManager.get('agent.lastHeartbeat', 0);
-            const timeSinceHeartbeat = Date.now() - lastHeartbeat;
+        this.agentStates.forEach((state, agentId) => {
+            this.heartbeatCheckers.set(agentId, setInterval(
+                () => this.checkHeartbeat(agentId),
+                this.config.heartbeatCheckInterval
+            ));
+        });
 
-            if (timeSinceHeartbeat > this.config.heartbeatTimeout) {
-                const currentState = StateManager.get('agent.displayState');
-                if (currentState !== '🔴 OFFLINE') {
-                    console.warn('ApiClient: Heartbeat timeout - Agent is OFFLINE');
-                    StateManager.batchUpdate({
-                        'agent.status': 'offline',
-                        'agent.displayState': '🔴 OFFLINE',
-                        'agent.isOnline': false
-                    });
-                    EventBus.emit(Events.AGENT_STATUS_CHANGED, {
-                        state: 'offline',
-                        displayText: '🔴 OFFLINE',
-                        isOnline: false
-                    });
-                }
-            }
-        }, this.config.heartbeatCheckInterval);
+        console.log(`ApiClient: ${this.heartbeatCheckers.size} heartbeat checker(s) started`);
+    }
+
+    /**
+     * 檢查單個 Agent 的心跳，超時則標記為離線
+     * @param {string|null} agentId - Agent ID
+     */
+    checkHeartbeat(agentId) {
+        // 我方斷線或剛重連（數據尚未同步）時無法判斷 Agent 是否存活
+        const connection = StateManager.get('connection', {});
+        if (!connection.isConnected ||
+            Date.now() - connection.lastConnectedAt < this.config.reconnectGracePeriod) {
+            return;
+        }
+
+        const { lastHeartbeat, displayState, status } = this.agentStates.get(agentId);
+        const timeSinceHeartbeat = Date.now() - (lastHeartbeat || 0);
+
+        if (timeSinceHeartbeat > this.config.heartbeatTimeout && displayState !== '🔴 OFFLINE') {
+            console.warn(`ApiClient: Heartbeat timeout - Agent${agentId ? ` ${agentId}` : ''} is OFFLINE`);
+            this.updateAgentState(agentId, {
+                status: 'offline',
+                displayState: '🔴 OFFLINE',
+                isOnline: false
+            });
+            this.emitAgentStatus(agentId, status, {
+                state: 'offline',
+                displayText: '🔴 OFFLINE',
+                isOnline: false
+            });
+        }
 
-        console.log('ApiClient: Heartbeat checker started');
+        // 同時確認仍在觀察中；斷線恢復後以最後已知狀態結束 'unknown' 區段
+        HeartbeatHistory.recordState(agentId, this.agentStates.get(agentId).status);
     }
 
     /**
-     * 停止心跳檢查器
+     * 檢查配額警告：每個 Agent 各自交由 AlertManager 判斷狀態轉換，只在轉換時通知
+     * @param {string|null} agentId - Agent ID
+     * @param {number|null} quotaRemaining - 剩餘配額（0-1）
      */
-    stopHeartbeatChecker() {
-        if (this.heartbeatChecker) {
-            clearInterval(this.heartbeatChecker);
-            this.heartbeatChecker = null;
+    checkQuota(agentId, quotaRemaining) {
+        // 未回報配額時不做判斷
+        if (quotaRemaining === null) return;
+
+        const key = quotaAlertKey(agentId);
+        const percentage = Math.round(quotaRemaining * 100);
+        const transition = AlertManager.evaluate(key, percentage, {
+            warning: StateManager.get('config.quotaWarningThreshold'),
+            critical: StateManager.get('config.quotaCriticalThreshold'),
+            hysteresis: StateManager.get('config.quotaAlertHysteresis')
+        });
+        if (!transition?.notify) return;
+
+        const title = this.isMultiAgent() ? this.agentStates.get(agentId)?.name : undefined;
+        const acknowledge = {
+            label: '確認',
+            icon: 'check',
+            callback: () => AlertManager.acknowledge(key)
+        };
+
+        if (transition.state === 'critical') {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'error',
+                title,
+                message: `⚠️ 配額嚴重不足！僅剩 ${percentage}%`,
+                persistent: true,
+                critical: true,
+                source: 'quota',
+                target: agentId === this.selectedAgentId ? 'quota-monitor' : 'fleet-overview',
+                actions: [acknowledge]
+            });
+        } else if (transition.state === 'warning') {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'warning',
+                title,
+                message: transition.escalated
+                    ? `配額不足警告：剩餘 ${percentage}%`
+                    : `配額回升至 ${percentage}%，仍低於警告門檻`,
+                duration: 5000,
+                source: 'quota',
+                actions: [acknowledge]
+            });
+        } else {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'success',
+                title,
+                message: `配額已恢復：剩餘 ${percentage}%`,
+                source: 'quota'
+            });
         }
     }
 
     /**
-     * 啟動自動刷新（保持 API 兼容性）
+     * 發布 Agent 狀態；任一 Agent 轉為離線或錯誤時發出嚴重通知（不依賴告警規則，也不限於選中的 Agent）
+     * @param {string|null} agentId - Agent ID
+     * @param {string|undefined} previous - 更新前的狀態
+     * @param {{state: string, displayText: string, isOnline: boolean}} displayState - 新的顯示狀態
+     */
+    emitAgentStatus(agentId, previous, displayState) {
+        EventBus.emit(Events.AGENT_STATUS_CHANGED, { agentId, ...displayState });
+
+        const alert = AGENT_STATE_ALERTS[displayState.state];
+        if (!alert || displayState.state === previous) return;
+
+        const name = this.agentStates.get(agentId)?.name || StateManager.get('agent.name');
+        const isSelected = agentId === this.selectedAgentId;
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: 'error',
+            title: alert.title(name),
+            message: alert.message,
+            persistent: true,
+            critical: true,
+            source: 'agent',
+            target: isSelected ? 'agent-status-display' : 'fleet-overview',
+            actions: isSelected ? [] : [{
+                label: '切換到此 Agent',
+                icon: 'arrow-right-left',
+                callback: () => this.selectAgent(agentId)
+            }]
+        });
+    }
+
+    /**
+     * 停止所有心跳檢查器
+     */
+    stopHeartbeatCheckers() {
+        this.heartbeatCheckers.forEach(timer => clearInterval(timer));
+        this.heartbeatCheckers.clear();
+    }
+
+    /**
+     * 啟動自動刷新（僅輪詢型數據源需要）
      */
     startAutoRefresh() {
-        // Firebase 使用實時監聽，不需要輪詢
-        console.log('ApiClient: Auto-refresh not needed with Firebase realtime listeners');
+        this.stopAutoRefresh();
+        if (!this.adapter?.needsPolling || !this.isInitialized) return;
+
+        const interval = StateManager.get('config.refreshInterval', this.config.refreshInterval);
+        this.refreshTimer = setInterval(() => this.refreshAll(), interval);
     }
 
     /**
-     * 停止自動刷新（保持 API 兼容性）
+     * 停止自動刷新
      */
     stopAutoRefresh() {
-        // 可選：頁面隱藏時可考慮暫停監聽
-        console.log('ApiClient: Realtime listeners remain active');
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
     }
 
     /**
-     * 刷新所有數據（保持 API 兼容性）
-     * Firebase 使用實時同步，此方法主要用於手動觸發 UI 更新
+     * 刷新所有數據
+     * 從數據源重新讀取任務、餘額、模型與學習項目並寫入 StateManager
      */
     async refreshAll() {
+        await this.ready;
+        if (!this.isInitialized) return;
+
         console.log('ApiClient: Manual refresh triggered');
+
+        const agentId = this.selectedAgentId;
+        const results = await Promise.all(COLLECTIONS.map(({ name, getter }) =>
+            this[getter]().catch(error => {
+                console.error(`ApiClient: Failed to refresh ${name}`, error);
+                return null;
+            })
+        ));
+
+        COLLECTIONS.forEach(({ name, scoped }, index) => {
+            // 讀取期間切換了 Agent，丟棄舊 Agent 的數據
+            if (scoped && agentId !== this.selectedAgentId) return;
+
+            if (results[index]) {
+                this.applyCollection(name, results[index]);
+            }
+        });
+
         EventBus.emit(Events.DATA_REFRESH, { timestamp: Date.now() });
     }
 
+    /**
+     * 將後端數據寫入 StateManager，並重新套用尚未同步的離線變更
+     * 有 schema 的集合先經過正規化，無效項目不寫入
+     * @param {string} name - 集合名稱
+     * @param {*} payload - 後端數據
+     */
+    applyCollection(name, payload) {
+        const { toUpdates, onApply, schema, scoped } = COLLECTIONS.find(c => c.name === name);
+        let data = payload;
+
+        if (schema) {
+            const { items, issues } = normalizeList(schema, payload);
+            Diagnostics.report(name, issues, scoped ? this.selectedAgentId : null);
+            data = items;
+        }
+
+        let updates = toUpdates(data);
+
+        const pending = WriteQueue.list().filter(entry =>
+            WriteOperations[entry.operation]?.collection === name && (entry.agentId ?? null) === this.selectedAgentId
+        );
+        if (pending.length > 0 && Array.isArray(data)) {
+            const list = pending.reduce(
+                (current, { operation, args }) => WriteOperations[operation].apply(current, args),
+                data
+            );
+            updates = toUpdates(list);
+        }
+
+        onApply?.call(this, updates, this.selectedAgentId);
+        StateManager.batchUpdate(updates);
+    }
+
+    /**
+     * 記錄餘額取樣，並在供應商跨越警告/危險門檻時發布事件
+     * 等級改變時發布 API_BALANCE_UPDATED，變差時另發布 API_BALANCE_WARNING
+     * @param {Object[]} balances - 正規化後的 APIBalance 列表
+     */
+    checkBalances(balances) {
+        const thresholds = {
+            warning: StateManager.get('config.balanceWarningThreshold'),
+            critical: StateManager.get('config.balanceCriticalThreshold')
+        };
+        const severity = { unknown: 0, normal: 0, warning: 1, critical: 2 };
+
+        balances.forEach((balance) => {
+            BalanceHistory.record(balance.provider, balance.remaining);
+
+            const level = levelOf(balance, thresholds);
+            const previous = this.balanceLevels.get(balance.provider) ?? 'normal';
+            this.balanceLevels.set(balance.provider, level);
+            // 未回報總額（unknown）與正常之間的變化不發布
+            if (severity[level] === severity[previous]) return;
+
+            const payload = {
+                provider: balance.provider,
+                level,
+                previous,
+                remaining: balance.remaining,
+                total: balance.total,
+                percent: percentOf(balance),
+                threshold: thresholds[level] ?? null
+            };
+            EventBus.emit(Events.API_BALANCE_UPDATED, payload);
+            if (severity[level] > severity[previous]) {
+                EventBus.emit(Events.API_BALANCE_WARNING, payload);
+            }
+        });
+    }
+
+    /**
+     * 寫入後同步單個數據集合
+     * 適配器會推送的集合無需處理（除非 force），否則重新讀取一次
+     * @param {string} name - 集合名稱
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - 即使由推送維護也重新讀取
+     */
+    async syncCollection(name, { force = false } = {}) {
+        if (this.pushedCollections.has(name) && !force) return;
+
+        const { getter } = COLLECTIONS.find(c => c.name === name);
+        const data = await this[getter]();
+        if (data) {
+            this.applyCollection(name, data);
+        }
+    }
+
+    // ==================== 寫入管線 ====================
+
+    /**
+     * 執行寫入操作：樂觀更新 → 寫入後端（離線或暫時性錯誤則入列）→ 被後端拒絕時回滾並通知
+     * 回滾只在發起寫入的 Agent 仍為選中的 Agent 時進行，避免把舊 Agent 的數據寫入新 Agent 的狀態
+     * @param {string} operation - WriteOperations 中的操作名稱
+     * @param {Array} args - 操作參數
+     * @returns {Promise<*>} 後端返回結果；入列時返回 null
+     */
+    async write(operation, args) {
+        const op = WriteOperations[operation];
+        const collection = COLLECTIONS.find(c => c.name === op.collection);
+
+        try {
+            op.validate?.(args);
+        } catch (error) {
+            this.notifyWriteFailure(op, error, false);
+            throw error;
+        }
+
+        // 樂觀更新
+        const agentId = this.selectedAgentId;
+        const previous = collection.fromState();
+        StateManager.batchUpdate(collection.toUpdates(op.apply(previous, args)));
+
+        if (!this.isConnected()) {
+            WriteQueue.enqueue(operation, args, agentId);
+            console.log(`ApiClient: Offline, queued "${operation}"`);
+            return null;
+        }
+
+        try {
+            return await this.commitWrite(operation, args, agentId);
+        } catch (error) {
+            // 網路中斷等暫時性錯誤：保留樂觀狀態並入列，重新連線後重放
+            if (isTransientError(error)) {
+                WriteQueue.enqueue(operation, args, agentId);
+                console.warn(`ApiClient: "${operation}" failed transiently, queued`, error);
+                return null;
+            }
+
+            if (this.selectedAgentId === agentId) {
+                console.error(`ApiClient: "${operation}" rejected, rolling back`, error);
+                StateManager.batchUpdate(collection.toUpdates(previous));
+            } else {
+                // 已切換到其他 Agent，切回時會重新載入該 Agent 的數據
+                console.error(`ApiClient: "${operation}" rejected after switching agents, skipped rollback`, error);
+            }
+            this.notifyWriteFailure(op, error, true);
+            throw error;
+        }
+    }
+
+    /**
+     * 寫入後端、同步集合並發布成功事件
+     * @param {string} operation - 操作名稱
+     * @param {Array} args - 操作參數
+     * @param {string|null} [agentId] - 寫入目標 Agent，默認為選中的 Agent
+     * @returns {Promise<*>}
+     */
+    async commitWrite(operation, args, agentId = this.selectedAgentId) {
+        const op = WriteOperations[operation];
+        const result = await op.commit(this.adapter.forAgent(agentId), args);
+
+        // 寫入已成功，同步失敗只記錄（不可讓呼叫方誤以為寫入失敗而回滾或重放）
+        await this.syncCollection(op.collection).catch(error => {
+            console.error(`ApiClient: Failed to sync ${op.collection} after "${operation}"`, error);
+        });
+        const [event, payload] = op.event(result, args);
+        EventBus.emit(event, payload);
+
+        return result;
+    }
+
+    /**
+     * 重放離線佇列
+     */
+    async flushWriteQueue() {
+        if (!this.isInitialized || !this.isConnected() || WriteQueue.size === 0 || WriteQueue.isFlushing) return;
+
+        const total = WriteQueue.size;
+        console.log(`ApiClient: Replaying ${total} queued writes`);
+
+        // 重放進度以同一則通知原地更新
+        const progressId = 'write-queue-replay';
+        let done = 0;
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            id: progressId,
+            type: 'info',
+            message: `正在同步 ${total} 項離線變更`,
+            progress: 0,
+            source: 'api'
+        });
+
+        const { succeeded, failed, interrupted } = await WriteQueue.flush(
+            async ({ operation, args, agentId }) => {
+                try {
+                    const result = await this.commitWrite(operation, args, agentId ?? null);
+
+                    // 離線新建的項目取得後端 ID，之後的離線操作改用此 ID
+                    const localId = WriteOperations[operation].localId?.(args);
+                    if (localId && result?.id && result.id !== localId) {
+                        WriteQueue.replaceId(localId, result.id);
+                    }
+                    return result;
+                } finally {
+                    done += 1;
+                    EventBus.emit(Events.NOTIFICATION_UPDATE, {
+                        id: progressId,
+                        message: `正在同步離線變更（${done}/${total}）`,
+                        progress: done / total
+                    });
+                }
+            },
+            () => this.isConnected(),
+            isTransientError
+        );
+
+        // 被拒絕的離線變更需以後端數據覆蓋本地的樂觀狀態
+        const affected = new Set(failed.map(({ entry }) => WriteOperations[entry.operation].collection));
+        await Promise.all([...affected].map(name =>
+            this.syncCollection(name, { force: true }).catch(error => {
+                console.error(`ApiClient: Failed to resync ${name}`, error);
+            })
+        ));
+
+        failed.forEach(({ entry, error }) => this.notifyWriteFailure(WriteOperations[entry.operation], error, true));
+
+        // 以 NOTIFICATION_SHOW 發送結果：進度通知仍顯示時原地更新，已關閉時另顯示一則；兩者都記錄到通知中心
+        const complete = succeeded.length === total;
+        const remaining = WriteQueue.size;
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            id: progressId,
+            type: complete ? 'success' : 'warning',
+            message: complete
+                ? `已同步 ${total} 項離線變更`
+                : `已同步 ${succeeded.length}/${total} 項離線變更${remaining > 0 ? `，${remaining} 項保留待下次同步` : ''}`,
+            progress: 1,
+            persistent: !complete,
+            source: 'api'
+        });
+
+        // 連線仍在（如後端暫時 5xx）時稍後再試；斷線時由重新連線觸發重放
+        if (interrupted && this.isConnected()) {
+            console.warn('ApiClient: Replay interrupted, retrying later', interrupted);
+            clearTimeout(this.writeRetryTimer);
+            this.writeRetryTimer = setTimeout(() => this.flushWriteQueue(), this.config.writeRetryDelay);
+        }
+    }
+
+    /**
+     * 通知寫入失敗
+     * @param {Object} op - 寫入操作
+     * @param {Error} error - 錯誤
+     * @param {boolean} rolledBack - 是否已回滾本地變更
+     */
+    notifyWriteFailure(op, error, rolledBack) {
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: 'error',
+            title: rolledBack ? `${op.label}失敗，已還原` : `${op.label}失敗`,
+            message: error.message,
+            source: 'api'
+        });
+    }
+
+    // ==================== 連線狀態 ====================
+
+    /**
+     * 監聽客戶端自身的連線狀態（適配器連線 + 瀏覽器網路）
+     */
+    watchConnection() {
+        const unsubscribe = this.adapter.subscribeConnection((connected) => {
+            this.adapterConnected = connected;
+            this.updateConnection();
+        });
+
+        const handleOnline = () => {
+            this.browserOnline = true;
+            this.updateConnection();
+        };
+        const handleOffline = () => {
+            this.browserOnline = false;
+            this.updateConnection();
+        };
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        this.unsubscribers.push(() => {
+            unsubscribe();
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        });
+
+        this.updateConnection();
+    }
+
+    /**
+     * 重新計算 connection 狀態切片，狀態變化時發布事件
+     * status: 'connecting' | 'connected' | 'reconnecting' | 'offline'
+     */
+    updateConnection() {
+        const browserOnline = this.browserOnline || !this.adapter.requiresNetwork;
+        const isConnected = this.adapterConnected && browserOnline;
+        const { status: previousStatus, isConnected: wasConnected, lastConnectedAt } = StateManager.get('connection', {});
+
+        let status;
+        if (isConnected) {
+            status = 'connected';
+        } else if (!browserOnline) {
+            status = 'offline';
+        } else {
+            status = lastConnectedAt ? 'reconnecting' : 'connecting';
+        }
+
+        if (status === previousStatus) return;
+
+        const now = Date.now();
+        const updates = {
+            'connection.status': status,
+            'connection.isConnected': isConnected,
+            'connection.browserOnline': browserOnline,
+            'connection.since': now
+        };
+        if (isConnected) {
+            updates['connection.lastConnectedAt'] = now;
+        } else if (wasConnected) {
+            updates['connection.lastDisconnectedAt'] = now;
+            // 斷線期間無法得知 Agent 狀態，不計入可用率
+            this.agentStates.forEach((state, agentId) => HeartbeatHistory.markUnobserved(agentId));
+        }
+
+        StateManager.batchUpdate(updates);
+        console.log(`ApiClient: Connection ${previousStatus} → ${status}`);
+        EventBus.emit(Events.CONNECTION_CHANGED, { status, isConnected, previous: previousStatus });
+
+        if (isConnected) {
+            this.flushWriteQueue();
+        }
+    }
+
+    /**
+     * 客戶端目前是否與數據源連線
+     * @returns {boolean}
+     */
+    isConnected() {
+        return StateManager.get('connection.isConnected', false);
+    }
+
     /**
      * 銷毀並清理所有監聽器
      */
     destroy() {
-        this.stopHeartbeatChecker();
+        this.stopHeartbeatCheckers();
+        this.stopAutoRefresh();
+        this.stopScopedListeners();
+        clearTimeout(this.writeRetryTimer);
         this.unsubscribers.forEach(unsub => unsub());
         this.unsubscribers = [];
+        this.adapter?.disconnect();
+        CommandChannel.destroy();
+        this.pushedCollections.clear();
         this.isInitialized = false;
         console.log('ApiClient: Destroyed');
     }
 
-    // ==================== 保持 API 兼容性的佔位方法 ====================
-    // 以下方法保留接口，但在 Firebase 模式下不再使用
+    // ==================== 數據讀取（委派給適配器） ====================
 
     async getAgentStatus() {
-        return {
-            status: StateManager.get('agent.status', 'idle'),
-            currentTask: StateManager.get('agent.currentTask'),
-            lastHeartbeat: StateManager.get('agent.lastHeartbeat')
-        };
+        return this.scope.getAgentStatus();
     }
 
     async getTasks() {
-        return [];
+        return this.scope.getTasks();
     }
 
     async getAPIBalance() {
-        return [];
+        return this.adapter.getAPIBalance();
     }
 
     async getModelInfo() {
-        return {
-            current: {
-                id: StateManager.get('agent.model', 'unknown'),
-                name: StateManager.get('agent.model', 'Unknown Model'),
-                provider: 'Google',
-                status: StateManager.get('agent.isOnline') ? 'active' : 'offline'
-            },
-            fallback: null
-        };
+        return this.scope.getModelInfo();
     }
 
     async getLearningItems() {
-        return [];
+        return this.scope.getLearningItems();
+    }
+
+    async getCommands() {
+        return this.scope.getCommands();
+    }
+
+    /**
+     * 分頁讀取選中 Agent 的歷史日誌（不影響實時日誌訂閱）
+     * @param {Object} options - 見 DataSourceAdapter.getLogsPage
+     * @returns {Promise<Object[]>} 正規化後的日誌（最新在前）
+     */
+    async getLogsPage(options) {
+        const agentId = this.selectedAgentId;
+        const { items, issues } = normalizeList('log', await this.scope.getLogsPage(options));
+        Diagnostics.report('logs', issues, agentId);
+        return items;
+    }
+
+    // ==================== Agent 指令 ====================
+
+    /**
+     * 向選中的 Agent 發送指令，之後由 CommandChannel 追蹤確認與結果
+     * 指令有時效性，離線時直接拒絕而不加入 WriteQueue
+     * @param {string} type - 指令類型（見 CommandChannel COMMAND_TYPES）
+     * @param {Object} [args={}] - 參數
+     * @returns {Promise<import('./CommandChannel.js').Command>} 已送出的指令
+     */
+    async sendCommand(type, args = {}) {
+        await this.ready;
+        const agentId = this.selectedAgentId;
+
+        if (!this.isConnected()) {
+            const error = new Error('Dashboard 未連線，無法發送指令');
+            this.notifyWriteFailure({ label: '發送指令' }, error, false);
+            throw error;
+        }
+
+        const command = CommandChannel.create(type, args);
+        const previous = StateManager.get('commands.items', []);
+        StateManager.set('commands.items', CommandChannel.resolve([command, ...previous]));
+
+        try {
+            await this.adapter.forAgent(agentId).sendCommand(command);
+        } catch (error) {
+            console.error(`ApiClient: Failed to send command "${type}"`, error);
+            if (agentId === this.selectedAgentId) {
+                StateManager.set('commands.items', CommandChannel.resolve(
+                    StateManager.get('commands.items', []).filter(entry => entry.id !== command.id)
+                ));
+            }
+            this.notifyWriteFailure({ label: '發送指令' }, error, false);
+            throw error;
+        }
+
+        console.log(`ApiClient: Command "${type}" sent${agentId ? ` to ${agentId}` : ''}`, command);
+        EventBus.emit(Events.COMMAND_SENT, { agentId, command });
+
+        if (agentId === this.selectedAgentId) {
+            await this.syncCollection('commands').catch(error => {
+                console.error('ApiClient: Failed to sync commands', error);
+            });
+        }
+        return command;
+    }
+
+    // ==================== 任務寫入 ====================
+
+    /**
+     * 創建任務
+     * @param {Object} data - 任務數據（title 必填）
+     * @returns {Promise<Object|null>} 創建後的任務；離線入列時為 null
+     */
+    async createTask(data) {
+        return this.write('createTask', [{
+            id: `local-${Date.now()}`,
+            status: 'pending',
+            priority: 'medium',
+            tags: [],
+            createdAt: new Date().toISOString(),
+            ...data
+        }]);
+    }
+
+    /**
+     * 更新任務
+     * @param {string} taskId - 任務 ID
+     * @param {Object} data - 要更新的欄位
+     * @returns {Promise<Object|null>} 更新後的任務
+     */
+    async updateTask(taskId, data) {
+        return this.write('updateTask', [taskId, data]);
+    }
+
+    /**
+     * 將任務標記為完成
+     * @param {string} taskId - 任務 ID
+     * @returns {Promise<Object|null>} 更新後的任務
+     */
+    async completeTask(taskId) {
+        return this.write('completeTask', [taskId, new Date().toISOString()]);
+    }
+
+    /**
+     * 刪除任務
+     * @param {string} taskId - 任務 ID
+     */
+    async deleteTask(taskId) {
+        await this.write('deleteTask', [taskId]);
+    }
+
+    // ==================== 學習項目寫入 ====================
+
+    /**
+     * 創建學習項目
+     * @param {Object} data - 項目數據（title 必填）
+     * @returns {Promise<Object|null>} 創建後的項目
+     */
+    async createLearningItem(data) {
+        return this.write('createLearningItem', [{
+            id: `local-${Date.now()}`,
+            priority: 3,
+            status: 'planned',
+            category: '其他',
+            addedAt: new Date().toISOString(),
+            ...data
+        }]);
+    }
+
+    /**
+     * 更新學習項目
+     * @param {string} itemId - 項目 ID
+     * @param {Object} data - 要更新的欄位
+     * @returns {Promise<Object|null>} 更新後的項目
+     */
+    async updateLearningItem(itemId, data) {
+        return this.write('updateLearningItem', [itemId, data]);
+    }
+
+    /**
+     * 更新學習項目優先級
+     * @param {string} itemId - 項目 ID
+     * @param {number} priority - 優先級 1~5
+     * @returns {Promise<Object|null>} 更新後的項目
+     */
+    async updateLearningPriority(itemId, priority) {
+        return this.write('updateLearningPriority', [itemId, priority]);
+    }
+
+    /**
+     * 變更學習項目狀態（researching → planned → completed）
+     * @param {string} itemId - 項目 ID
+     * @param {string} status - 目標狀態
+     * @returns {Promise<Object|null>} 更新後的項目
+     */
+    async updateLearningStatus(itemId, status) {
+        const current = StateManager.get('learning.items', []).find(i => i.id === itemId);
+        return this.write('updateLearningStatus', [itemId, status, current?.status, new Date().toISOString()]);
+    }
+
+    /**
+     * 刪除學習項目
+     * @param {string} itemId - 項目 ID
+     */
+    async deleteLearningItem(itemId) {
+        await this.write('deleteLearningItem', [itemId]);
     }
 }
 
@@ -0,0 +1,186 @@
+/**
+ * BalanceHistory - API 餘額取樣與消耗預測
+ *
+ * 定期記錄各供應商的剩餘額度，保存到 localStorage，
+ * 以最近取樣的線性回歸斜率估算消耗速度（burn rate）與可用天數，
+ * 不依賴數據源回報的靜態 estimatedDaysLeft。
+ * 餘額增加（儲值）時重新開始取樣，避免把儲值算成負消耗。
+ */
+
+const STORAGE_KEY = 'openclaw_dashboard_balance_history';
+
+// 取樣間隔（毫秒），期間內的更新只用於顯示，不記錄
+const SAMPLE_INTERVAL = 60 * 1000;
+
+// 估算消耗速度的時間窗口（毫秒），也是取樣的保留時間
+const BURN_WINDOW = 24 * 60 * 60 * 1000;
+
+// 取樣跨度不足此時長時不做預測（毫秒）
+const MIN_FORECAST_SPAN = 5 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 餘額取樣
+ * @typedef {Object} BalanceSample
+ * @property {number} at - 取樣時間戳（毫秒）
+ * @property {number} remaining - 剩餘額度
+ */
+
+/**
+ * 消耗預測
+ * @typedef {Object} BalanceForecast
+ * @property {number|null} burnRate - 每日消耗額度，取樣不足時為 null
+ * @property {number|null} daysLeft - 預估可用天數；無消耗時為 Infinity，取樣不足時為 null
+ * @property {number} span - 用於預測的取樣跨度（毫秒）
+ * @property {number} samples - 用於預測的取樣數
+ */
+
+/**
+ * 餘額等級
+ * @typedef {'normal'|'warning'|'critical'|'unknown'} BalanceLevel
+ */
+
+/**
+ * 最小二乘法斜率（每毫秒的額度變化）
+ * @param {BalanceSample[]} samples - 取樣（至少兩個且時間不同）
+ * @returns {number}
+ */
+const slopeOf = (samples) => {
+    const meanAt = samples.reduce((sum, { at }) => sum + at, 0) / samples.length;
+    const meanRemaining = samples.reduce((sum, { remaining }) => sum + remaining, 0) / samples.length;
+
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach(({ at, remaining }) => {
+        covariance += (at - meanAt) * (remaining - meanRemaining);
+        variance += (at - meanAt) ** 2;
+    });
+
+    return covariance / variance;
+};
+
+/**
+ * 剩餘比例（百分比），未回報總額時為 null
+ * @param {{remaining: number, total?: number|null}} balance - 餘額
+ * @returns {number|null}
+ */
+export function percentOf({ remaining, total }) {
+    if (!Number.isFinite(remaining) || !(total > 0)) return null;
+    return Math.max(0, remaining / total * 100);
+}
+
+/**
+ * 依門檻判定餘額等級
+ * @param {{remaining: number, total?: number|null}} balance - 餘額
+ * @param {{warning: number, critical: number}} thresholds - 剩餘百分比門檻
+ * @returns {BalanceLevel}
+ */
+export function levelOf(balance, { warning, critical }) {
+    const percent = percentOf(balance);
+    if (percent === null) return 'unknown';
+    if (percent < critical) return 'critical';
+    if (percent < warning) return 'warning';
+    return 'normal';
+}
+
+class BalanceHistoryClass {
+    constructor() {
+        /** @type {Object<string, BalanceSample[]>} 各供應商的取樣（時間順序） */
+        this.providers = this.load();
+    }
+
+    /**
+     * 從 localStorage 載入取樣
+     * @returns {Object<string, BalanceSample[]>}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('BalanceHistory: Failed to load history', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存取樣
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.providers));
+        } catch (error) {
+            console.warn('BalanceHistory: Failed to persist history', error);
+        }
+    }
+
+    /**
+     * 記錄餘額，距上次取樣不足取樣間隔時略過（儲值除外）
+     * @param {string} provider - 供應商
+     * @param {number} remaining - 剩餘額度
+     * @param {number} [at=Date.now()] - 時間戳
+     */
+    record(provider, remaining, at = Date.now()) {
+        if (!Number.isFinite(remaining)) return;
+
+        const samples = this.providers[provider] || (this.providers[provider] = []);
+        const last = samples[samples.length - 1];
+
+        if (last && remaining > last.remaining) {
+            // 儲值：之前的取樣不再反映目前的消耗
+            samples.length = 0;
+        } else if (last && at - last.at < SAMPLE_INTERVAL) {
+            return;
+        }
+
+        samples.push({ at, remaining });
+        const firstInWindow = samples.findIndex(sample => sample.at >= at - BURN_WINDOW);
+        if (firstInWindow > 0) {
+            samples.splice(0, firstInWindow);
+        }
+        this.save();
+    }
+
+    /**
+     * 預測消耗速度與可用天數
+     * @param {string} provider - 供應商
+     * @param {number} remaining - 目前剩餘額度（可比最後一次取樣新）
+     * @param {number} [now=Date.now()]
+     * @returns {BalanceForecast}
+     */
+    getForecast(provider, remaining, now = Date.now()) {
+        const samples = (this.providers[provider] || []).filter(sample => sample.at >= now - BURN_WINDOW);
+        const last = samples[samples.length - 1];
+
+        // 納入目前的餘額，讓取樣間隔內的變化也反映在預測中
+        if (last && now > last.at && remaining <= last.remaining) {
+            samples.push({ at: now, remaining });
+        }
+
+        const span = samples.length > 0 ? samples[samples.length - 1].at - samples[0].at : 0;
+        if (samples.length < 2 || span < MIN_FORECAST_SPAN) {
+            return { burnRate: null, daysLeft: null, span, samples: samples.length };
+        }
+
+        const burnRate = Math.max(0, -slopeOf(samples) * DAY);
+        return {
+            burnRate,
+            daysLeft: burnRate > 0 ? remaining / burnRate : Infinity,
+            span,
+            samples: samples.length
+        };
+    }
+
+    /**
+     * 清空取樣
+     */
+    clear() {
+        this.providers = {};
+        this.save();
+    }
+}
+
+// 單例導出
+const BalanceHistory = new BalanceHistoryClass();
+export default BalanceHistory;
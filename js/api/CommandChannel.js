@@ -0,0 +1,252 @@
+/**
+ * CommandChannel - Agent 指令通道
+ *
+ * Dashboard 將指令寫入數據源的 `/commands` 佇列（多 Agent 時為 `agents/{agentId}/commands`），
+ * Agent 接收與執行後回寫狀態：pending（已送出）→ acked（已接收）→ done / failed。
+ * 超過時限仍未確認或未回報結果的指令在介面上標記為 timeout（不回寫數據源）；
+ * 指令帶 expiresAt，Agent 應忽略過期仍未接收的指令，避免在逾時後才執行。
+ *
+ * 選中 Agent 的指令記錄由 ApiClient 同步到 StateManager 的 `commands.items`（最新在前），
+ * 每項附加本地判定的 phase。本模塊監聽該列表，在 phase 變化時發布 COMMAND_UPDATED，
+ * 並通知本頁面送出的指令的結果。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+
+/**
+ * 指令類型
+ */
+export const COMMAND_TYPES = {
+    pause: { label: '暫停', icon: 'pause' },
+    resume: { label: '恢復', icon: 'play' },
+    cancelTask: { label: '取消任務', icon: 'square' },
+    switchModel: { label: '切換模型', icon: 'repeat' }
+};
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id - 指令 ID（由 Dashboard 產生）
+ * @property {string} type - 指令類型（見 COMMAND_TYPES）
+ * @property {Object} [args] - 參數，如 cancelTask 的 { taskId }、switchModel 的 { modelId }
+ * @property {'pending'|'acked'|'done'|'failed'} status - Agent 回寫的狀態
+ * @property {number} createdAt - 送出時間戳
+ * @property {number} expiresAt - 未被接收時的過期時間戳
+ * @property {number} [ackedAt] - 接收時間戳
+ * @property {number} [completedAt] - 完成或失敗時間戳
+ * @property {string} [error] - 失敗原因
+ * @property {*} [result] - 執行結果
+ * @property {'pending'|'acked'|'done'|'failed'|'timeout'} [phase] - 顯示狀態（本地判定，含逾時）
+ */
+
+class CommandChannelClass {
+    constructor() {
+        // 送出後等待 Agent 接收的時限（毫秒）
+        this.ackTimeout = 15000;
+        // 接收後等待執行結果的時限（毫秒）
+        this.resultTimeout = 60000;
+
+        /** @type {Map<string, string>} 各指令上次的 phase，用於判斷變化 */
+        this.phases = new Map();
+        /** @type {Set<string>} 本頁面送出的指令 */
+        this.sent = new Set();
+        this.timer = null;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * 設定時限並開始監聽指令記錄
+     * @param {Object} [options]
+     * @param {number} [options.ackTimeout] - 等待接收的時限（毫秒）
+     * @param {number} [options.resultTimeout] - 等待結果的時限（毫秒）
+     */
+    init({ ackTimeout, resultTimeout } = {}) {
+        this.ackTimeout = ackTimeout ?? this.ackTimeout;
+        this.resultTimeout = resultTimeout ?? this.resultTimeout;
+
+        this.unsubscribe?.();
+        this.unsubscribe = StateManager.subscribe('commands.items', (commands) => this.handleChange(commands));
+    }
+
+    /**
+     * 建立新指令
+     * @param {string} type - 指令類型
+     * @param {Object} [args={}] - 參數
+     * @param {number} [now=Date.now()] - 送出時間
+     * @returns {Command}
+     */
+    create(type, args = {}, now = Date.now()) {
+        if (!COMMAND_TYPES[type]) {
+            throw new Error(`Unknown command type: ${type}`);
+        }
+
+        const command = {
+            id: `cmd-${now}-${Math.random().toString(36).substr(2, 6)}`,
+            type,
+            args,
+            status: 'pending',
+            createdAt: now,
+            expiresAt: now + this.ackTimeout
+        };
+        this.sent.add(command.id);
+        return command;
+    }
+
+    /**
+     * 判定顯示狀態：pending / acked 超過時限為 timeout
+     * @param {Command} command - 指令
+     * @param {number} [now=Date.now()]
+     * @returns {string}
+     */
+    phaseOf(command, now = Date.now()) {
+        const deadline = this.deadlineOf(command);
+        return deadline !== null && now > deadline ? 'timeout' : command.status;
+    }
+
+    /**
+     * 指令的逾時時間，已有結果時為 null
+     * @param {Command} command - 指令
+     * @returns {number|null}
+     */
+    deadlineOf(command) {
+        if (command.status === 'pending') return command.createdAt + this.ackTimeout;
+        if (command.status === 'acked') return (command.ackedAt ?? command.createdAt) + this.resultTimeout;
+        return null;
+    }
+
+    /**
+     * 排序並附加 phase，供寫入 `commands.items`
+     * @param {Command[]} commands - 指令列表
+     * @param {number} [now=Date.now()]
+     * @returns {Command[]}
+     */
+    resolve(commands, now = Date.now()) {
+        return [...commands]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(command => ({ ...command, phase: this.phaseOf(command, now) }));
+    }
+
+    /**
+     * 獲取仍在等待接收或結果的指令
+     * @param {string} [type] - 只查找此類型
+     * @returns {Command|undefined}
+     */
+    findInFlight(type) {
+        return StateManager.get('commands.items', []).find(command =>
+            (command.phase === 'pending' || command.phase === 'acked') && (!type || command.type === type)
+        );
+    }
+
+    /**
+     * 指令記錄變化：發布 phase 變化並安排下一次逾時檢查
+     * @param {Command[]} commands - `commands.items`
+     */
+    handleChange(commands = []) {
+        commands.forEach((command) => {
+            const previous = this.phases.get(command.id);
+            this.phases.set(command.id, command.phase);
+
+            // 首次看到的指令（如切換 Agent 後載入的記錄）不視為變化
+            if (previous === undefined || previous === command.phase) return;
+
+            EventBus.emit(Events.COMMAND_UPDATED, { command, previous });
+            if (this.sent.has(command.id)) {
+                this.notifyResult(command);
+            }
+        });
+
+        this.scheduleTimeoutCheck(commands);
+    }
+
+    /**
+     * 在最近的逾時時間重新判定 phase
+     * @param {Command[]} commands - `commands.items`
+     */
+    scheduleTimeoutCheck(commands) {
+        clearTimeout(this.timer);
+
+        const deadlines = commands
+            .filter(command => command.phase === 'pending' || command.phase === 'acked')
+            .map(command => this.deadlineOf(command));
+        if (deadlines.length === 0) return;
+
+        const delay = Math.max(0, Math.min(...deadlines) - Date.now()) + 50;
+        this.timer = setTimeout(() => {
+            StateManager.set('commands.items', this.resolve(StateManager.get('commands.items', [])));
+        }, delay);
+    }
+
+    /**
+     * 通知本頁面送出的指令的結果
+     * @param {Command} command - 指令
+     */
+    notifyResult(command) {
+        const { label } = COMMAND_TYPES[command.type] || { label: command.type };
+
+        switch (command.phase) {
+            case 'done':
+                EventBus.emit(Events.NOTIFICATION_SHOW, { type: 'success', message: `指令「${label}」已完成`, source: 'command' });
+                break;
+            case 'failed':
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'error',
+                    title: `指令「${label}」失敗`,
+                    message: command.error || 'Agent 未提供原因',
+                    source: 'command',
+                    actions: this.actionsFor(command)
+                });
+                break;
+            case 'timeout':
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'warning',
+                    title: `指令「${label}」逾時`,
+                    message: command.status === 'pending'
+                        ? `Agent 未在 ${Math.round(this.ackTimeout / 1000)} 秒內接收指令`
+                        : `Agent 已接收，但未在 ${Math.round(this.resultTimeout / 1000)} 秒內回報結果`,
+                    source: 'command',
+                    actions: this.actionsFor(command)
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 失敗或逾時通知的操作按鈕：重試，涉及任務時可查看任務
+     * @param {Command} command - 指令
+     * @returns {import('../modules/NotificationModule.js').NotificationAction[]}
+     */
+    actionsFor(command) {
+        const actions = [{
+            label: '重試',
+            icon: 'rotate-cw',
+            event: Events.COMMAND_RETRY,
+            payload: { type: command.type, args: command.args || {} }
+        }];
+
+        if (command.args?.taskId) {
+            actions.push({
+                label: '查看任務',
+                icon: 'list-checks',
+                type: 'ghost',
+                event: Events.UI_TASK_FOCUS,
+                payload: { taskId: command.args.taskId }
+            });
+        }
+        return actions;
+    }
+
+    /**
+     * 停止監聽與逾時檢查
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+    }
+}
+
+// 單例導出
+const CommandChannel = new CommandChannelClass();
+export default CommandChannel;
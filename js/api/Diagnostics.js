@@ -0,0 +1,112 @@
+/**
+ * Diagnostics - 數據診斷記錄
+ *
+ * 收集 PayloadSchemas 回報的格式問題，同一問題重複出現時只累加次數。
+ * 記錄同步到 StateManager 的 `diagnostics.issues`（最新在前），供診斷面板顯示。
+ */
+
+import StateManager from '../core/StateManager.js';
+
+// 最多保留的問題數
+const MAX_ISSUES = 100;
+
+/**
+ * @typedef {Object} DiagnosticIssue
+ * @property {string} key - 去重鍵
+ * @property {string} source - 數據來源（status、logs、tasks、balances）
+ * @property {string|null} agentId - 所屬 Agent（共用數據或單 Agent 佈局為 null）
+ * @property {string} path - 欄位路徑
+ * @property {string} message - 問題描述
+ * @property {string} value - 收到的值（JSON，已截斷）
+ * @property {number} count - 出現次數
+ * @property {number} firstSeen - 首次出現時間戳
+ * @property {number} lastSeen - 最近出現時間戳
+ */
+
+class DiagnosticsClass {
+    constructor() {
+        /** @type {Map<string, DiagnosticIssue>} */
+        this.issues = new Map();
+    }
+
+    /**
+     * 記錄一批問題
+     * @param {string} source - 數據來源
+     * @param {import('./PayloadSchemas.js').PayloadIssue[]} issues - 問題列表
+     * @param {string|null} [agentId=null] - 所屬 Agent
+     */
+    report(source, issues, agentId = null) {
+        if (issues.length === 0) return;
+
+        const now = Date.now();
+
+        issues.forEach(({ path, message, value }) => {
+            const key = [agentId, source, path, message].join('|');
+            const existing = this.issues.get(key);
+
+            if (existing) {
+                this.issues.delete(key);
+            } else {
+                console.warn(`Diagnostics: ${source}${agentId ? ` (${agentId})` : ''} ${path || '(root)'} ${message}`, value);
+            }
+
+            // 重新插入以保持最近出現的在最後
+            this.issues.set(key, {
+                key,
+                source,
+                agentId,
+                path,
+                message,
+                value: this.preview(value),
+                count: (existing?.count || 0) + 1,
+                firstSeen: existing?.firstSeen || now,
+                lastSeen: now
+            });
+        });
+
+        while (this.issues.size > MAX_ISSUES) {
+            this.issues.delete(this.issues.keys().next().value);
+        }
+
+        this.publish();
+    }
+
+    /**
+     * 獲取所有問題（最近出現的在前）
+     * @returns {DiagnosticIssue[]}
+     */
+    list() {
+        return [...this.issues.values()].reverse();
+    }
+
+    /**
+     * 清空記錄
+     */
+    clear() {
+        this.issues.clear();
+        this.publish();
+    }
+
+    /**
+     * 將記錄寫入 StateManager
+     */
+    publish() {
+        StateManager.set('diagnostics.issues', this.list());
+    }
+
+    /**
+     * 將原始值轉為簡短的顯示文字
+     * @param {*} value - 原始值
+     * @returns {string}
+     */
+    preview(value) {
+        if (value === undefined) return 'undefined';
+
+        const text = JSON.stringify(value) ?? String(value);
+        return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+    }
+}
+
+// 單例導出
+const Diagnostics = new DiagnosticsClass();
+export default Diagnostics;
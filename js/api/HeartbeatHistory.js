@@ -0,0 +1,248 @@
+/**
+ * HeartbeatHistory - Agent 心跳與狀態轉換歷史
+ *
+ * 記錄每個 Agent 的狀態轉換（working / idle / paused / error / offline）與最近的心跳時間，
+ * 保存到 localStorage，供資訊欄繪製運行時間軸並計算可用率（SLA）。
+ * Dashboard 未觀察到 Agent 的期間（斷線、頁面關閉）記為 'unknown'，不計入可用率。
+ */
+
+const STORAGE_KEY = 'openclaw_dashboard_heartbeat_history';
+
+// 狀態轉換的保留時間（毫秒）
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// 每個 Agent 保留的心跳數
+const MAX_HEARTBEATS = 200;
+
+// 僅觀察時間或心跳變化時的最短保存間隔（毫秒），狀態轉換則立即保存
+const OBSERVATION_SAVE_INTERVAL = 60 * 1000;
+
+// 單 Agent 佈局（agentId 為 null）時的鍵
+const DEFAULT_KEY = 'default';
+
+/**
+ * 狀態轉換
+ * @typedef {Object} Transition
+ * @property {string} state - 'working' | 'idle' | 'paused' | 'error' | 'offline' | 'unknown'
+ * @property {number} at - 轉換時間戳（毫秒）
+ */
+
+/**
+ * 單個 Agent 的歷史
+ * @typedef {Object} AgentHistory
+ * @property {Transition[]} transitions - 狀態轉換（時間順序）
+ * @property {number[]} heartbeats - 最近的心跳時間戳（時間順序）
+ * @property {number|null} observedAt - 最後一次確認觀察中的時間
+ */
+
+/**
+ * 時間軸區段
+ * @typedef {Object} Segment
+ * @property {string} state - 狀態
+ * @property {number} start - 開始時間戳
+ * @property {number} end - 結束時間戳
+ */
+
+/**
+ * 可用率統計
+ * @typedef {Object} UptimeStats
+ * @property {Segment[]} segments - 範圍內的時間軸區段
+ * @property {number|null} uptime - 在線比例 (0~1)，範圍內無觀察數據時為 null
+ * @property {number} observed - 範圍內已觀察的時長（毫秒）
+ * @property {number} longestOutage - 範圍內最長連續離線時長（毫秒）
+ * @property {number|null} meanHeartbeatInterval - 範圍內平均心跳間隔（毫秒），不足兩次心跳時為 null
+ */
+
+class HeartbeatHistoryClass {
+    constructor() {
+        /** @type {Object<string, AgentHistory>} */
+        this.agents = this.load();
+
+        // 上次寫入 localStorage 的時間
+        this.savedAt = 0;
+    }
+
+    /**
+     * 從 localStorage 載入歷史
+     * 上次關閉頁面後的空白期補記為 'unknown'
+     * @returns {Object<string, AgentHistory>}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            const agents = saved ? JSON.parse(saved) : {};
+
+            Object.values(agents).forEach((history) => {
+                const last = history.transitions[history.transitions.length - 1];
+                if (last && last.state !== 'unknown' && history.observedAt) {
+                    history.transitions.push({ state: 'unknown', at: history.observedAt });
+                }
+            });
+
+            return agents;
+        } catch (error) {
+            console.warn('HeartbeatHistory: Failed to load history', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存歷史
+     */
+    save() {
+        this.savedAt = Date.now();
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.agents));
+        } catch (error) {
+            console.warn('HeartbeatHistory: Failed to persist history', error);
+        }
+    }
+
+    /**
+     * 節流保存，用於每次輪詢都會變化的觀察時間與心跳
+     * 頁面關閉時最多遺失一個間隔的觀察時間，重新載入後該段記為 'unknown'
+     */
+    saveThrottled() {
+        if (Date.now() - this.savedAt >= OBSERVATION_SAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    /**
+     * 獲取 Agent 的歷史（不存在時建立）
+     * @param {string|null} agentId - Agent ID
+     * @returns {AgentHistory}
+     */
+    historyOf(agentId) {
+        const key = agentId ?? DEFAULT_KEY;
+        if (!this.agents[key]) {
+            this.agents[key] = { transitions: [], heartbeats: [], observedAt: null };
+        }
+        return this.agents[key];
+    }
+
+    /**
+     * 記錄狀態，與上一個狀態相同時只更新觀察時間（用於推算頁面關閉的時間）並節流保存
+     * @param {string|null} agentId - Agent ID
+     * @param {string} state - 狀態
+     * @param {number} [at=Date.now()] - 時間戳
+     */
+    recordState(agentId, state, at = Date.now()) {
+        const history = this.historyOf(agentId);
+        const last = history.transitions[history.transitions.length - 1];
+
+        history.observedAt = at;
+        if (last?.state === state) {
+            this.saveThrottled();
+            return;
+        }
+
+        history.transitions.push({ state, at });
+        this.prune(history, at);
+        this.save();
+    }
+
+    /**
+     * 記錄心跳（節流保存），不比上一次新的心跳忽略
+     * @param {string|null} agentId - Agent ID
+     * @param {number|null} timestamp - 心跳時間戳
+     */
+    recordHeartbeat(agentId, timestamp) {
+        if (!Number.isFinite(timestamp)) return;
+
+        const history = this.historyOf(agentId);
+        const last = history.heartbeats[history.heartbeats.length - 1];
+        if (last !== undefined && timestamp <= last) return;
+
+        history.heartbeats.push(timestamp);
+        if (history.heartbeats.length > MAX_HEARTBEATS) {
+            history.heartbeats.splice(0, history.heartbeats.length - MAX_HEARTBEATS);
+        }
+        this.saveThrottled();
+    }
+
+    /**
+     * 標記無法觀察 Agent（Dashboard 斷線），恢復後由下一次狀態更新結束
+     * @param {string|null} agentId - Agent ID
+     */
+    markUnobserved(agentId) {
+        if (this.historyOf(agentId).transitions.length === 0) return;
+        this.recordState(agentId, 'unknown');
+    }
+
+    /**
+     * 移除保留時間外的轉換，保留最後一個以確定範圍起點的狀態
+     * @param {AgentHistory} history - Agent 歷史
+     * @param {number} now - 當前時間戳
+     */
+    prune(history, now) {
+        const cutoff = now - RETENTION;
+        const firstInRange = history.transitions.findIndex(transition => transition.at >= cutoff);
+        const keepFrom = firstInRange === -1 ? history.transitions.length - 1 : firstInRange - 1;
+
+        if (keepFrom > 0) {
+            history.transitions.splice(0, keepFrom);
+        }
+    }
+
+    /**
+     * 計算範圍內的時間軸與可用率
+     * @param {string|null} agentId - Agent ID
+     * @param {number} range - 範圍（毫秒），如 24 小時
+     * @param {number} [now=Date.now()] - 範圍終點
+     * @returns {UptimeStats}
+     */
+    getStats(agentId, range, now = Date.now()) {
+        const { transitions, heartbeats } = this.historyOf(agentId);
+        const from = now - range;
+
+        const segments = transitions
+            .map((transition, index) => ({
+                state: transition.state,
+                start: Math.max(transition.at, from),
+                end: Math.min(transitions[index + 1]?.at ?? now, now)
+            }))
+            .filter(segment => segment.end > segment.start);
+
+        let online = 0;
+        let observed = 0;
+        let longestOutage = 0;
+
+        segments.forEach(({ state, start, end }) => {
+            const duration = end - start;
+            if (state === 'unknown') return;
+
+            observed += duration;
+            if (state === 'offline') {
+                longestOutage = Math.max(longestOutage, duration);
+            } else {
+                online += duration;
+            }
+        });
+
+        const beats = heartbeats.filter(timestamp => timestamp >= from && timestamp <= now);
+        const meanHeartbeatInterval = beats.length >= 2
+            ? (beats[beats.length - 1] - beats[0]) / (beats.length - 1)
+            : null;
+
+        return {
+            segments,
+            uptime: observed > 0 ? online / observed : null,
+            observed,
+            longestOutage,
+            meanHeartbeatInterval
+        };
+    }
+
+    /**
+     * 清空歷史
+     */
+    clear() {
+        this.agents = {};
+        this.save();
+    }
+}
+
+// 單例導出
+const HeartbeatHistory = new HeartbeatHistoryClass();
+export default HeartbeatHistory;
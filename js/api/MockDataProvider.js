@@ -2,69 +2,278 @@
  * MockDataProvider - 模擬數據提供者
  * 
  * 為開發和測試提供模擬數據。
- * 當 OpenClaw 接入真實 API 時，此文件可以刪除。
+ * 由 MockAdapter 使用（?source=mock 或 ?demo=1）。
+ * startSimulation() 會定時產生心跳、日誌、Token 消耗與任務流轉，
+ * 並透過 onChange() 通知訂閱者。
  */
 
-// 模擬數據存儲
+// 默認 Agent（未指定 agentId 時使用）
+const DEFAULT_AGENT_ID = 'noma';
+
+// 模擬數據存儲：每個 Agent 各自的狀態、日誌、任務、模型與學習項目，API 餘額為共用
 const mockStore = {
-    agent: {
-        name: 'ノーマ (Nōma)',
-        avatar: null,
-        status: 'working', // 'working' | 'idle'
-        currentTask: {
-            id: 'task-current',
-            title: 'Dashboard 資料對接',
-            progress: 50,
-            startedAt: new Date().toISOString()
-        }
-    },
+    agents: {
+        noma: {
+            agent: {
+                id: 'noma',
+                name: 'ノーマ (Nōma)',
+                avatar: null,
+                status: 'working', // 'working' | 'idle' | 'paused'
+                currentTask: {
+                    id: 'task-002',
+                    title: 'Dashboard 網頁開發',
+                    progress: 50,
+                    startedAt: new Date(Date.now() - 1200000).toISOString()
+                },
+                lastHeartbeat: Date.now(),
+                tokenUsage: 182340,
+                quotaRemaining: 0.64
+            },
 
-    tasks: [
-        {
-            id: 'task-001',
-            title: '建立 Discord 新頻道',
-            description: '建立狀態、自主學習、餘額監控等專用頻道',
-            status: 'in-progress',
-            priority: 'high',
-            dueDate: new Date(Date.now() + 86400000).toISOString(),
-            tags: ['Discord', 'Dev']
-        },
-        {
-            id: 'task-002',
-            title: 'Dashboard 網頁開發',
-            description: '將 OpenClaw 狀態接入 Dashboard 介面',
-            status: 'in-progress',
-            priority: 'high',
-            dueDate: new Date(Date.now() + 172800000).toISOString(),
-            tags: ['Web', 'Dashboard']
-        },
-        {
-            id: 'task-003',
-            title: 'Gmail/Drive 整合',
-            description: '設定 Google Workspace 整合',
-            status: 'pending',
-            priority: 'medium',
-            dueDate: new Date(Date.now() + 259200000).toISOString(),
-            tags: ['Integration', 'Google']
+            logs: [
+                {
+                    id: 'log-002',
+                    timestamp: Date.now() - 60000,
+                    message: '開始處理任務：Dashboard 網頁開發',
+                    level: 'info',
+                    source: 'tasks',
+                    taskId: 'task-002'
+                },
+                {
+                    id: 'log-001',
+                    timestamp: Date.now() - 300000,
+                    message: 'Agent 啟動完成',
+                    level: 'info',
+                    source: 'agent'
+                }
+            ],
+
+            tasks: [
+                {
+                    id: 'task-001',
+                    title: '建立 Discord 新頻道',
+                    description: '建立狀態、自主學習、餘額監控等專用頻道',
+                    status: 'in-progress',
+                    priority: 'high',
+                    dueDate: new Date(Date.now() + 86400000).toISOString(),
+                    tags: ['Discord', 'Dev']
+                },
+                {
+                    id: 'task-002',
+                    title: 'Dashboard 網頁開發',
+                    description: '將 OpenClaw 狀態接入 Dashboard 介面',
+                    status: 'in-progress',
+                    priority: 'high',
+                    dueDate: new Date(Date.now() + 172800000).toISOString(),
+                    tags: ['Web', 'Dashboard']
+                },
+                {
+                    id: 'task-003',
+                    title: 'Gmail/Drive 整合',
+                    description: '設定 Google Workspace 整合',
+                    status: 'pending',
+                    priority: 'medium',
+                    dueDate: new Date(Date.now() + 259200000).toISOString(),
+                    tags: ['Integration', 'Google']
+                },
+                {
+                    id: 'task-004',
+                    title: '模型自動切換邏輯',
+                    description: '實作多模型自動切換與 fallback 機制',
+                    status: 'pending',
+                    priority: 'medium',
+                    tags: ['AI', 'Core']
+                },
+                {
+                    id: 'task-005',
+                    title: '安裝 ClawdHub CLI',
+                    description: '安裝並配置 ClawdHub 工具',
+                    status: 'completed',
+                    priority: 'high',
+                    completedAt: new Date(Date.now() - 3600000).toISOString(),
+                    tags: ['Tools', 'Setup']
+                }
+            ],
+
+            // fallbacks 依切換順序排列
+            models: {
+                current: {
+                    id: 'gemini-3-pro-high',
+                    name: 'Gemini 3 Pro High',
+                    provider: 'Google',
+                    status: 'active'
+                },
+                fallbacks: [
+                    {
+                        id: 'claude-3-5-sonnet',
+                        name: 'Claude 3.5 Sonnet',
+                        provider: 'Anthropic',
+                        status: 'ready'
+                    },
+                    {
+                        id: 'gpt-4o',
+                        name: 'GPT-4o',
+                        provider: 'OpenAI',
+                        status: 'ready'
+                    }
+                ]
+            },
+
+            // 發送給 Agent 的指令（最新在前），見 CommandChannel
+            commands: [],
+
+            learningItems: [
+                {
+                    id: 'learn-001',
+                    title: '工作流優化',
+                    description: '分解任務，避免單次呼叫過多工具導致失敗',
+                    priority: 1,
+                    category: '自主學習',
+                    addedAt: new Date(Date.now() - 86400000).toISOString(),
+                    status: 'researching'
+                },
+                {
+                    id: 'learn-002',
+                    title: 'ClawdHub CLI',
+                    description: '學習使用新的 CLI 工具進行技能管理',
+                    priority: 2,
+                    category: '工具',
+                    addedAt: new Date(Date.now() - 172800000).toISOString(),
+                    status: 'completed'
+                }
+            ]
         },
-        {
-            id: 'task-004',
-            title: '模型自動切換邏輯',
-            description: '實作多模型自動切換與 fallback 機制',
-            status: 'pending',
-            priority: 'medium',
-            tags: ['AI', 'Core']
+
+        kuro: {
+            agent: {
+                id: 'kuro',
+                name: 'クロ (Kuro)',
+                avatar: null,
+                status: 'idle',
+                currentTask: null,
+                lastHeartbeat: Date.now(),
+                tokenUsage: 54210,
+                quotaRemaining: 0.88
+            },
+
+            logs: [
+                {
+                    id: 'log-kuro-001',
+                    timestamp: Date.now() - 900000,
+                    message: 'Agent 啟動完成',
+                    level: 'info',
+                    source: 'agent'
+                }
+            ],
+
+            tasks: [
+                {
+                    id: 'task-kuro-001',
+                    title: '整理週報素材',
+                    description: '彙整本週 Discord 與 GitHub 活動',
+                    status: 'pending',
+                    priority: 'medium',
+                    tags: ['Report']
+                },
+                {
+                    id: 'task-kuro-002',
+                    title: '清理過期快取',
+                    description: '刪除 30 天前的暫存檔',
+                    status: 'completed',
+                    priority: 'low',
+                    completedAt: new Date(Date.now() - 7200000).toISOString(),
+                    tags: ['Maintenance']
+                }
+            ],
+
+            models: {
+                current: {
+                    id: 'claude-3-5-sonnet',
+                    name: 'Claude 3.5 Sonnet',
+                    provider: 'Anthropic',
+                    status: 'active'
+                },
+                fallbacks: [
+                    {
+                        id: 'gemini-3-pro-high',
+                        name: 'Gemini 3 Pro High',
+                        provider: 'Google',
+                        status: 'ready'
+                    }
+                ]
+            },
+
+            commands: [],
+
+            learningItems: [
+                {
+                    id: 'learn-kuro-001',
+                    title: '報表模板',
+                    description: '整理可重用的週報格式',
+                    priority: 2,
+                    category: '自主學習',
+                    addedAt: new Date(Date.now() - 259200000).toISOString(),
+                    status: 'planned'
+                }
+            ]
         },
-        {
-            id: 'task-005',
-            title: '安裝 ClawdHub CLI',
-            description: '安裝並配置 ClawdHub 工具',
-            status: 'completed',
-            priority: 'high',
-            completedAt: new Date(Date.now() - 3600000).toISOString(),
-            tags: ['Tools', 'Setup']
+
+        // 心跳停止的 Agent，用於演示離線狀態
+        sora: {
+            heartbeatPaused: true,
+
+            agent: {
+                id: 'sora',
+                name: 'ソラ (Sora)',
+                avatar: null,
+                status: 'working',
+                currentTask: {
+                    id: 'task-sora-001',
+                    title: '批量翻譯文件',
+                    progress: 35,
+                    startedAt: new Date(Date.now() - 1800000).toISOString()
+                },
+                lastHeartbeat: Date.now() - 600000,
+                tokenUsage: 912400,
+                quotaRemaining: 0.12
+            },
+
+            logs: [
+                {
+                    id: 'log-sora-001',
+                    timestamp: Date.now() - 600000,
+                    message: '呼叫工具：run_command 逾時',
+                    level: 'error',
+                    source: 'tools'
+                }
+            ],
+
+            tasks: [
+                {
+                    id: 'task-sora-001',
+                    title: '批量翻譯文件',
+                    description: '將說明文件翻譯為英文與日文',
+                    status: 'in-progress',
+                    priority: 'high',
+                    tags: ['Docs', 'i18n']
+                }
+            ],
+
+            models: {
+                current: {
+                    id: 'gemini-3-pro-high',
+                    name: 'Gemini 3 Pro High',
+                    provider: 'Google',
+                    status: 'active'
+                },
+                fallbacks: []
+            },
+
+            commands: [],
+
+            learningItems: []
         }
-    ],
+    },
 
     apiBalances: [
         {
@@ -80,42 +289,13 @@ const mockStore = {
             total: 100,
             estimatedDaysLeft: 12,
             lastUpdated: new Date().toISOString()
-        }
-    ],
-
-    models: {
-        current: {
-            id: 'gemini-3-pro-high',
-            name: 'Gemini 3 Pro High',
-            provider: 'Google',
-            status: 'active'
-        },
-        fallback: {
-            id: 'claude-3-5-sonnet',
-            name: 'Claude 3.5 Sonnet',
-            provider: 'Anthropic',
-            status: 'ready'
-        }
-    },
-
-    learningItems: [
-        {
-            id: 'learn-001',
-            title: '工作流優化',
-            description: '分解任務，避免單次呼叫過多工具導致失敗',
-            priority: 1,
-            category: '自主學習',
-            addedAt: new Date(Date.now() - 86400000).toISOString(),
-            status: 'researching'
         },
         {
-            id: 'learn-002',
-            title: 'ClawdHub CLI',
-            description: '學習使用新的 CLI 工具進行技能管理',
-            priority: 2,
-            category: '工具',
-            addedAt: new Date(Date.now() - 172800000).toISOString(),
-            status: 'completed'
+            provider: 'OpenAI',
+            remaining: 18.20,
+            total: 100,
+            estimatedDaysLeft: 9,
+            lastUpdated: new Date().toISOString()
         }
     ]
 };
@@ -126,28 +306,195 @@ const delay = (ms = 200) => new Promise(resolve => setTimeout(resolve, Math.rand
 // 生成唯一 ID
 const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+// 隨機整數 [min, max]
+const randomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+
+// 隨機取一項
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// 模擬用的配額總量（Token）
+const SIMULATED_QUOTA = 2000000;
+
+// 日誌保留條數
+const MAX_LOGS = 500;
+
+// 指令保留條數
+const MAX_COMMANDS = 100;
+
+// 工作時每個時間片觸發速率限制的機率
+const RATE_LIMIT_CHANCE = 0.02;
+
+// 速率限制的持續時間範圍（毫秒）
+const RATE_LIMIT_DURATION = [60 * 1000, 3 * 60 * 1000];
+
+// 模擬工作日誌模板（message、level、source 以外的欄位為結構化上下文）
+const LOG_TEMPLATES = [
+    { message: '讀取專案檔案結構', level: 'debug', source: 'workspace' },
+    {
+        message: '呼叫工具：web_search',
+        level: 'info',
+        source: 'tools',
+        tool: 'web_search',
+        args: { query: 'Firebase Realtime Database pagination', maxResults: 5 }
+    },
+    {
+        message: '呼叫工具：read_file',
+        level: 'info',
+        source: 'tools',
+        tool: 'read_file',
+        args: { path: 'js/modules/TasksModule.js', lines: [1, 120] }
+    },
+    {
+        message: '呼叫工具：run_command',
+        level: 'info',
+        source: 'tools',
+        tool: 'run_command',
+        args: { command: 'npm test', cwd: '/workspace', timeout: 60000 }
+    },
+    { message: '整理上下文並生成回覆', level: 'debug', source: 'agent', tokens: { prompt: 5120, completion: 840 } },
+    { message: '寫入檔案變更', level: 'info', source: 'workspace', files: ['index.html', 'styles/modules.css'] },
+    { message: '執行測試並檢查結果', level: 'info', source: 'workspace' },
+    { message: '同步 Discord 頻道訊息', level: 'info', source: 'discord', channel: '#general', messages: 3 },
+    {
+        message: 'web_search 回應緩慢，重試中',
+        level: 'warn',
+        source: 'tools',
+        tool: 'web_search',
+        attempt: 2,
+        elapsedMs: 8200
+    },
+    {
+        message: 'run_command 返回非零退出碼',
+        level: 'error',
+        source: 'tools',
+        tool: 'run_command',
+        args: { command: 'npm test' },
+        error: { exitCode: 1, stderr: 'FAIL tests/api.test.js\n  ✕ returns paginated logs (12 ms)' }
+    }
+];
+
+// 待辦清空時補充的任務模板
+const TASK_TEMPLATES = [
+    { title: '整理每日工作摘要', tags: ['Report'] },
+    { title: '檢查 API 餘額並回報', tags: ['Monitoring'] },
+    { title: '更新技能清單', tags: ['Tools'] },
+    { title: '回覆 Discord 提問', tags: ['Discord'] }
+];
+
+// 變更監聽器
+const listeners = new Set();
+
+/**
+ * 通知變更
+ * @param {string|null} agentId - 變更所屬的 Agent，共用數據（balances）為 null
+ * @param {...string} keys - 變更的數據集合（agent, logs, tasks, balances, models, learning, commands）
+ */
+const notify = (agentId, ...keys) => {
+    listeners.forEach(listener => {
+        try {
+            listener(keys, agentId);
+        } catch (error) {
+            console.error('MockDataProvider: Error in change listener', error);
+        }
+    });
+};
+
+/**
+ * 獲取 Agent 的數據存儲
+ * @param {string} [agentId] - Agent ID，默認為 DEFAULT_AGENT_ID
+ * @returns {Object}
+ */
+const storeOf = (agentId) => {
+    const store = mockStore.agents[agentId || DEFAULT_AGENT_ID];
+    if (!store) {
+        throw new Error(`Agent not found: ${agentId}`);
+    }
+    return store;
+};
+
+/**
+ * 比較兩條日誌的先後（時間戳，同一時間戳以 ID 區分）
+ * 游標省略 id 時與同一時間戳的日誌視為相等
+ * @returns {number} a 較新時為正數
+ */
+const compareLogs = (a, b) => (a.timestamp - b.timestamp) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+
+// 補充較早的歷史日誌，讓演示模式可瀏覽實時窗口之外的日誌
+Object.values(mockStore.agents).forEach((store) => {
+    let timestamp = store.logs[store.logs.length - 1]?.timestamp ?? Date.now();
+
+    for (let index = 1; index <= 300; index++) {
+        timestamp -= randomInt(5, 40) * 60000;
+        store.logs.push({
+            id: `log-history-${index}`,
+            timestamp,
+            ...pick(LOG_TEMPLATES)
+        });
+    }
+});
+
 /**
  * MockDataProvider 類
+ *
+ * 除 API 餘額外，所有方法的最後一個參數為 agentId（可省略，默認為 DEFAULT_AGENT_ID）
  */
 class MockDataProviderClass {
+    constructor() {
+        this.simulationTimer = null;
+    }
+
+    // ==================== Agents ====================
+
+    async getAgents() {
+        await delay();
+        return Object.values(mockStore.agents).map(({ agent }) => ({
+            id: agent.id,
+            name: agent.name
+        }));
+    }
+
     // ==================== Agent ====================
 
-    async getAgentStatus() {
+    async getAgentStatus(agentId) {
+        await delay();
+        return { ...storeOf(agentId).agent };
+    }
+
+    async updateAgentStatus(data, agentId) {
         await delay();
-        return { ...mockStore.agent };
+        const { agent } = storeOf(agentId);
+        Object.assign(agent, data);
+        notify(agent.id, 'agent');
+        return { ...agent };
     }
 
-    async updateAgentStatus(data) {
+    // ==================== Logs ====================
+
+    async getLogs(limit = 200, agentId) {
+        await delay();
+        return storeOf(agentId).logs
+            .slice(0, limit)
+            .map(log => ({ ...log }));
+    }
+
+    /**
+     * 以游標分頁讀取日誌（見 DataSourceAdapter.getLogsPage）
+     */
+    async getLogsPage({ before, after, limit }, agentId) {
         await delay();
-        Object.assign(mockStore.agent, data);
-        return { ...mockStore.agent };
+        const { logs } = storeOf(agentId);
+        const page = before
+            ? logs.filter(log => compareLogs(log, before) < 0).slice(0, limit)
+            : logs.filter(log => compareLogs(log, after) > 0).slice(-limit);
+
+        return page.map(log => ({ ...log }));
     }
 
     // ==================== Tasks ====================
 
-    async getTasks(filter = {}) {
+    async getTasks(filter = {}, agentId) {
         await delay();
-        let tasks = [...mockStore.tasks];
+        let tasks = [...storeOf(agentId).tasks];
 
         if (filter.status) {
             tasks = tasks.filter(t => t.status === filter.status);
@@ -159,17 +506,18 @@ class MockDataProviderClass {
         return tasks;
     }
 
-    async getTask(taskId) {
+    async getTask(taskId, agentId) {
         await delay();
-        const task = mockStore.tasks.find(t => t.id === taskId);
+        const task = storeOf(agentId).tasks.find(t => t.id === taskId);
         if (!task) {
             throw new Error(`Task not found: ${taskId}`);
         }
         return { ...task };
     }
 
-    async createTask(data) {
+    async createTask(data, agentId) {
         await delay();
+        const store = storeOf(agentId);
         const newTask = {
             id: generateId('task'),
             status: 'pending',
@@ -178,27 +526,32 @@ class MockDataProviderClass {
             createdAt: new Date().toISOString(),
             ...data
         };
-        mockStore.tasks.unshift(newTask);
+        store.tasks.unshift(newTask);
+        notify(store.agent.id, 'tasks');
         return { ...newTask };
     }
 
-    async updateTask(taskId, data) {
+    async updateTask(taskId, data, agentId) {
         await delay();
-        const index = mockStore.tasks.findIndex(t => t.id === taskId);
+        const store = storeOf(agentId);
+        const index = store.tasks.findIndex(t => t.id === taskId);
         if (index === -1) {
             throw new Error(`Task not found: ${taskId}`);
         }
-        mockStore.tasks[index] = { ...mockStore.tasks[index], ...data };
-        return { ...mockStore.tasks[index] };
+        store.tasks[index] = { ...store.tasks[index], ...data };
+        notify(store.agent.id, 'tasks');
+        return { ...store.tasks[index] };
     }
 
-    async deleteTask(taskId) {
+    async deleteTask(taskId, agentId) {
         await delay();
-        const index = mockStore.tasks.findIndex(t => t.id === taskId);
+        const store = storeOf(agentId);
+        const index = store.tasks.findIndex(t => t.id === taskId);
         if (index === -1) {
             throw new Error(`Task not found: ${taskId}`);
         }
-        mockStore.tasks.splice(index, 1);
+        store.tasks.splice(index, 1);
+        notify(store.agent.id, 'tasks');
     }
 
     // ==================== API Balance ====================
@@ -216,39 +569,176 @@ class MockDataProviderClass {
         const balance = mockStore.apiBalances.find(b => b.provider === provider);
         if (balance) {
             Object.assign(balance, data, { lastUpdated: new Date().toISOString() });
+            notify(null, 'balances');
         }
         return { ...balance };
     }
 
     // ==================== Models ====================
 
-    async getModelInfo() {
+    async getModelInfo(agentId) {
         await delay();
-        return { ...mockStore.models };
+        return this.toModelInfo(storeOf(agentId).models);
     }
 
-    async switchModel(modelId) {
+    async switchModel(modelId, agentId) {
         await delay();
-        // 模擬切換邏輯
-        const { current, fallback } = mockStore.models;
-        if (fallback.id === modelId) {
-            mockStore.models.current = { ...fallback, status: 'active' };
-            mockStore.models.fallback = { ...current, status: 'ready' };
+        const store = storeOf(agentId);
+        if (this.swapModel(store, modelId)) {
+            notify(store.agent.id, 'models', 'agent');
         }
-        return { ...mockStore.models };
+        return this.toModelInfo(store.models);
+    }
+
+    /**
+     * 轉為 README ModelInfo（fallback 為切換順序中的第一個）
+     * @param {Object} models - Agent 的模型存儲
+     * @returns {Object}
+     */
+    toModelInfo({ current, fallbacks }) {
+        return {
+            current: { ...current },
+            fallback: fallbacks[0] ? { ...fallbacks[0] } : null,
+            fallbacks: fallbacks.map(model => ({ ...model }))
+        };
+    }
+
+    /**
+     * 切換到備用模型，原模型移到備用順序的首位
+     * @param {Object} store - Agent 數據存儲
+     * @param {string} modelId - 目標模型 ID
+     * @param {Object} [previousState] - 原模型的新狀態欄位（如速率限制）
+     * @returns {Object|null} 切換前的模型；目標不在備用順序中時為 null
+     */
+    swapModel(store, modelId, previousState = { status: 'ready' }) {
+        const { current, fallbacks } = store.models;
+        const target = fallbacks.find(model => model.id === modelId);
+        if (!target) return null;
+
+        store.models.current = { ...target, status: 'active' };
+        store.models.fallbacks = [
+            { ...current, status: 'ready', ...previousState },
+            ...fallbacks.filter(model => model !== target)
+        ];
+        return current;
+    }
+
+    // ==================== Commands ====================
+
+    async getCommands(limit = 50, agentId) {
+        await delay();
+        return storeOf(agentId).commands
+            .slice(0, limit)
+            .map(command => ({ ...command }));
+    }
+
+    /**
+     * 寫入指令，並模擬 Agent 接收與執行（心跳暫停的 Agent 不會接收，用於演示逾時）
+     * @param {Object} command - 指令（見 CommandChannel）
+     * @param {string} [agentId]
+     */
+    async sendCommand(command, agentId) {
+        await delay();
+        const store = storeOf(agentId);
+        const entry = { ...command };
+
+        store.commands.unshift(entry);
+        store.commands.length = Math.min(store.commands.length, MAX_COMMANDS);
+        notify(store.agent.id, 'commands');
+
+        if (store.heartbeatPaused) return;
+
+        setTimeout(() => {
+            if (Date.now() > entry.expiresAt) return;
+
+            Object.assign(entry, { status: 'acked', ackedAt: Date.now() });
+            notify(store.agent.id, 'commands');
+
+            setTimeout(() => this.executeCommand(store, entry), randomInt(500, 1500));
+        }, randomInt(300, 1200));
+    }
+
+    /**
+     * 模擬 Agent 執行指令並回寫結果
+     * @param {Object} store - Agent 數據存儲
+     * @param {Object} command - 已接收的指令
+     */
+    executeCommand(store, command) {
+        const { agent } = store;
+        const changed = new Set(['commands', 'agent', 'logs']);
+
+        try {
+            switch (command.type) {
+                case 'pause':
+                    if (agent.status === 'paused') throw new Error('Agent 已處於暫停狀態');
+                    agent.status = 'paused';
+                    this.appendLog(store, '收到暫停指令，已暫停工作', 'warn', 'commands', { commandId: command.id });
+                    break;
+
+                case 'resume':
+                    if (agent.status !== 'paused') throw new Error('Agent 未處於暫停狀態');
+                    agent.status = agent.currentTask ? 'working' : 'idle';
+                    this.appendLog(store, '收到恢復指令，繼續工作', 'info', 'commands', { commandId: command.id });
+                    break;
+
+                case 'cancelTask': {
+                    const current = agent.currentTask;
+                    if (!current || (command.args?.taskId && command.args.taskId !== current.id)) {
+                        throw new Error('指定的任務不在進行中');
+                    }
+                    const task = store.tasks.find(t => t.id === current.id);
+                    if (task) {
+                        task.status = 'pending';
+                    }
+                    agent.currentTask = null;
+                    agent.status = agent.status === 'paused' ? 'paused' : 'idle';
+                    this.appendLog(store, `已取消任務：${current.title}`, 'warn', 'tasks', {
+                        taskId: current.id,
+                        commandId: command.id
+                    });
+                    changed.add('tasks');
+                    break;
+                }
+
+                case 'switchModel': {
+                    const target = store.models.fallbacks.find(model => model.id === command.args?.modelId);
+                    if (!target || target.status !== 'ready') {
+                        throw new Error(`無法切換到模型：${command.args?.modelId ?? '(未指定)'}`);
+                    }
+                    const previous = this.swapModel(store, target.id);
+                    this.appendLog(store, `已切換模型：${previous.name} → ${target.name}`, 'info', 'models', {
+                        from: previous.id,
+                        to: target.id,
+                        commandId: command.id
+                    });
+                    changed.add('models');
+                    break;
+                }
+
+                default:
+                    throw new Error(`不支援的指令：${command.type}`);
+            }
+
+            Object.assign(command, { status: 'done', completedAt: Date.now() });
+        } catch (error) {
+            Object.assign(command, { status: 'failed', completedAt: Date.now(), error: error.message });
+        }
+
+        notify(agent.id, ...changed);
     }
 
     // ==================== Learning ====================
 
-    async getLearningItems() {
+    async getLearningItems(agentId) {
         await delay();
-        return mockStore.learningItems
+        return storeOf(agentId).learningItems
             .sort((a, b) => a.priority - b.priority)
             .map(item => ({ ...item }));
     }
 
-    async createLearningItem(data) {
+    async createLearningItem(data, agentId) {
         await delay();
+        const store = storeOf(agentId);
         const newItem = {
             id: generateId('learn'),
             priority: 3,
@@ -257,53 +747,291 @@ class MockDataProviderClass {
             addedAt: new Date().toISOString(),
             ...data
         };
-        mockStore.learningItems.push(newItem);
+        store.learningItems.push(newItem);
+        notify(store.agent.id, 'learning');
         return { ...newItem };
     }
 
-    async updateLearningPriority(itemId, priority) {
+    async updateLearningItem(itemId, data, agentId) {
+        await delay();
+        const store = storeOf(agentId);
+        const item = store.learningItems.find(i => i.id === itemId);
+        if (!item) {
+            throw new Error(`Learning item not found: ${itemId}`);
+        }
+        Object.assign(item, data);
+        notify(store.agent.id, 'learning');
+        return { ...item };
+    }
+
+    async updateLearningPriority(itemId, priority, agentId) {
         await delay();
-        const item = mockStore.learningItems.find(i => i.id === itemId);
+        const store = storeOf(agentId);
+        const item = store.learningItems.find(i => i.id === itemId);
         if (!item) {
             throw new Error(`Learning item not found: ${itemId}`);
         }
         item.priority = priority;
+        notify(store.agent.id, 'learning');
         return { ...item };
     }
 
-    async deleteLearningItem(itemId) {
+    async deleteLearningItem(itemId, agentId) {
         await delay();
-        const index = mockStore.learningItems.findIndex(i => i.id === itemId);
+        const store = storeOf(agentId);
+        const index = store.learningItems.findIndex(i => i.id === itemId);
         if (index === -1) {
             throw new Error(`Learning item not found: ${itemId}`);
         }
-        mockStore.learningItems.splice(index, 1);
+        store.learningItems.splice(index, 1);
+        notify(store.agent.id, 'learning');
+    }
+
+    // ==================== 變更訂閱 ====================
+
+    /**
+     * 訂閱數據變更
+     * @param {function(string[], string|null): void} listener - 回調，參數為變更的數據集合與所屬 Agent ID
+     * @returns {Function} 取消訂閱函數
+     */
+    onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
     }
 
     // ==================== 模擬狀態切換 ====================
 
     /**
-     * 模擬 Agent 狀態切換（用於演示）
+     * 啟動演示模擬：定時發送心跳、日誌、Token 消耗與任務流轉
+     * @param {number} [interval=3000] - 模擬間隔（毫秒）
      */
-    simulateStatusChange() {
-        setInterval(() => {
-            mockStore.agent.status = mockStore.agent.status === 'working' ? 'idle' : 'working';
-            if (mockStore.agent.status === 'working') {
-                // 隨機選一個待辦任務
-                const pending = mockStore.tasks.filter(t => t.status === 'pending');
-                if (pending.length > 0) {
-                    const task = pending[Math.floor(Math.random() * pending.length)];
-                    mockStore.agent.currentTask = {
-                        id: task.id,
-                        title: task.title,
-                        progress: Math.floor(Math.random() * 50),
-                        startedAt: new Date().toISOString()
-                    };
-                }
-            } else {
-                mockStore.agent.currentTask = null;
+    startSimulation(interval = 3000) {
+        this.stopSimulation();
+        this.simulationTimer = setInterval(() => this.simulateTick(), interval);
+        this.simulateTick();
+    }
+
+    /**
+     * 停止演示模擬
+     */
+    stopSimulation() {
+        if (this.simulationTimer) {
+            clearInterval(this.simulationTimer);
+            this.simulationTimer = null;
+        }
+    }
+
+    /**
+     * 模擬一個時間片（心跳暫停的 Agent 不會更新）
+     */
+    simulateTick() {
+        Object.values(mockStore.agents)
+            .filter(store => !store.heartbeatPaused)
+            .forEach(store => this.simulateAgentTick(store));
+    }
+
+    /**
+     * 模擬單個 Agent 的時間片
+     * @param {Object} store - Agent 數據存儲
+     */
+    simulateAgentTick(store) {
+        const { agent } = store;
+        const changed = new Set(['agent']);
+
+        agent.lastHeartbeat = Date.now();
+        this.simulateRateLimitRecovery(store, changed);
+
+        if (agent.status === 'working' && agent.currentTask) {
+            this.simulateWork(store, changed);
+        } else if (agent.status !== 'paused' && Math.random() < 0.4) {
+            this.simulateTaskStart(store, changed);
+        }
+
+        // 暫停中的 Agent 只維持心跳
+        if (agent.status !== 'paused' && Math.random() < 0.5) {
+            const { message, level, source, ...fields } = pick(LOG_TEMPLATES);
+            // 工作中產生的日誌歸屬於當前任務
+            if (agent.status === 'working' && agent.currentTask?.id) {
+                fields.taskId = agent.currentTask.id;
             }
-        }, 60000); // 每分鐘切換一次
+            this.appendLog(store, message, level, source, fields);
+            changed.add('logs');
+        }
+
+        if (changed.delete('balances')) {
+            notify(null, 'balances');
+        }
+        notify(agent.id, ...changed);
+    }
+
+    /**
+     * 推進當前任務並消耗 Token
+     * @param {Object} store - Agent 數據存儲
+     * @param {Set<string>} changed - 變更集合
+     */
+    simulateWork(store, changed) {
+        const { agent } = store;
+        const tokens = randomInt(800, 4000);
+
+        agent.tokenUsage += tokens;
+        agent.quotaRemaining = Math.max(0, agent.quotaRemaining - tokens / SIMULATED_QUOTA);
+        agent.currentTask = {
+            ...agent.currentTask,
+            progress: Math.min(100, agent.currentTask.progress + randomInt(3, 12))
+        };
+
+        // 按當前模型的供應商扣減餘額（約 $3 / 百萬 Token）
+        const balance = mockStore.apiBalances.find(b => b.provider === store.models.current.provider);
+        if (balance) {
+            balance.remaining = Math.max(0, +(balance.remaining - tokens * 0.000003).toFixed(4));
+            balance.lastUpdated = new Date().toISOString();
+            changed.add('balances');
+        }
+
+        if (Math.random() < RATE_LIMIT_CHANCE) {
+            this.simulateRateLimit(store, changed);
+        }
+
+        // 配額耗盡時模擬重置
+        if (agent.quotaRemaining < 0.05) {
+            agent.quotaRemaining = 1;
+            this.appendLog(store, '配額已重置', 'warn', 'quota');
+            changed.add('logs');
+        }
+
+        if (agent.currentTask.progress >= 100) {
+            this.simulateTaskComplete(store, changed);
+        }
+    }
+
+    /**
+     * 當前模型觸發速率限制，自動切換到第一個可用的備用模型
+     * @param {Object} store - Agent 數據存儲
+     * @param {Set<string>} changed - 變更集合
+     */
+    simulateRateLimit(store, changed) {
+        const { current, fallbacks } = store.models;
+        if (current.status !== 'active') return;
+
+        const next = fallbacks.find(model => model.status === 'ready');
+        const rateLimitedUntil = Date.now() + randomInt(...RATE_LIMIT_DURATION);
+
+        if (next) {
+            this.swapModel(store, next.id, { status: 'rate-limited', rateLimitedUntil });
+            this.appendLog(store, `${current.name} 觸發速率限制，已切換到 ${next.name}`, 'warn', 'models', {
+                from: current.id,
+                to: next.id,
+                rateLimitedUntil
+            });
+        } else {
+            // 沒有可用的備用模型時停留在當前模型
+            store.models.current = { ...current, status: 'rate-limited', rateLimitedUntil };
+            this.appendLog(store, `${current.name} 觸發速率限制，沒有可用的備用模型`, 'error', 'models', {
+                model: current.id,
+                rateLimitedUntil
+            });
+        }
+        changed.add('models');
+        changed.add('logs');
+    }
+
+    /**
+     * 速率限制到期的模型恢復可用
+     * @param {Object} store - Agent 數據存儲
+     * @param {Set<string>} changed - 變更集合
+     */
+    simulateRateLimitRecovery(store, changed) {
+        const now = Date.now();
+        const recover = (model, status) => {
+            if (model.status !== 'rate-limited' || model.rateLimitedUntil > now) return model;
+
+            changed.add('models');
+            const { rateLimitedUntil, ...rest } = model;
+            return { ...rest, status };
+        };
+
+        store.models.current = recover(store.models.current, 'active');
+        store.models.fallbacks = store.models.fallbacks.map(model => recover(model, 'ready'));
+    }
+
+    /**
+     * 從待辦中挑選任務開始工作
+     * @param {Object} store - Agent 數據存儲
+     * @param {Set<string>} changed - 變更集合
+     */
+    simulateTaskStart(store, changed) {
+        let pending = store.tasks.filter(t => t.status === 'pending');
+
+        // 待辦清空時補充新任務
+        if (pending.length === 0) {
+            const template = pick(TASK_TEMPLATES);
+            store.tasks.unshift({
+                id: generateId('task'),
+                description: '由演示模式自動產生',
+                status: 'pending',
+                priority: pick(['high', 'medium', 'low']),
+                createdAt: new Date().toISOString(),
+                ...template
+            });
+            pending = store.tasks.filter(t => t.status === 'pending');
+        }
+
+        const task = pick(pending);
+        task.status = 'in-progress';
+
+        store.agent.status = 'working';
+        store.agent.currentTask = {
+            id: task.id,
+            title: task.title,
+            progress: 0,
+            startedAt: new Date().toISOString()
+        };
+
+        this.appendLog(store, `開始處理任務：${task.title}`, 'info', 'tasks', { taskId: task.id });
+        changed.add('tasks').add('logs');
+    }
+
+    /**
+     * 完成當前任務並回到閒置
+     * @param {Object} store - Agent 數據存儲
+     * @param {Set<string>} changed - 變更集合
+     */
+    simulateTaskComplete(store, changed) {
+        const { agent } = store;
+        const task = store.tasks.find(t => t.id === agent.currentTask.id);
+
+        if (task) {
+            task.status = 'completed';
+            task.completedAt = new Date().toISOString();
+        }
+
+        this.appendLog(store, `完成任務：${agent.currentTask.title}`, 'info', 'tasks', {
+            taskId: agent.currentTask.id,
+            durationMs: Date.now() - new Date(agent.currentTask.startedAt).getTime()
+        });
+        agent.status = 'idle';
+        agent.currentTask = null;
+        changed.add('tasks').add('logs');
+    }
+
+    /**
+     * 追加一條日誌（最新在前）
+     * @param {Object} store - Agent 數據存儲
+     * @param {string} message - 日誌內容
+     * @param {string} [level='info'] - 日誌等級
+     * @param {string} [source='agent'] - 日誌來源
+     * @param {Object} [fields={}] - 其他欄位（taskId 與結構化上下文）
+     */
+    appendLog(store, message, level = 'info', source = 'agent', fields = {}) {
+        store.logs.unshift({
+            ...fields,
+            id: generateId('log'),
+            timestamp: Date.now(),
+            message,
+            level,
+            source
+        });
+        store.logs.length = Math.min(store.logs.length, MAX_LOGS);
     }
 }
 
@@ -0,0 +1,169 @@
+/**
+ * ModelHistory - 模型切換與狀態事件歷史
+ *
+ * 比對每次同步到的 ModelInfo 與上一次觀察到的快照，記錄當前模型的切換
+ * 以及各模型的狀態變化（速率限制、錯誤、不可用及其恢復），保存到 localStorage。
+ * 只記錄 Dashboard 觀察到的變化：期間內多次切換只會看到最終結果，時間為觀察到的時間。
+ */
+
+const STORAGE_KEY = 'openclaw_dashboard_model_history';
+
+// 每個 Agent 保留的事件數
+const MAX_EVENTS = 100;
+
+// 單 Agent 佈局（agentId 為 null）時的鍵
+const DEFAULT_KEY = 'default';
+
+// 正常狀態：active / ready 之間的變化只是角色互換，由切換事件表示
+const HEALTHY_STATUSES = ['active', 'ready'];
+
+/**
+ * 模型事件
+ * @typedef {Object} ModelEvent
+ * @property {'switch'|'status'} type - 切換當前模型 / 模型狀態變化
+ * @property {number} at - 觀察到的時間戳（毫秒）
+ * @property {{id: string, name: string}} model - switch 為切換後的模型，status 為狀態變化的模型
+ * @property {{id: string, name: string}} [from] - switch：切換前的模型
+ * @property {string} [status] - status：新狀態
+ * @property {string|null} [previous] - status：原狀態（新出現的模型為 null）
+ * @property {number} [rateLimitedUntil] - status：速率限制的解除時間
+ */
+
+/**
+ * 單個 Agent 的歷史
+ * @typedef {Object} AgentModelHistory
+ * @property {{currentId: string, models: Object<string, {name: string, status: string}>}|null} snapshot - 上次觀察到的模型
+ * @property {ModelEvent[]} events - 事件（時間順序）
+ */
+
+/**
+ * 模型的簡要識別
+ * @param {Object} model - 模型
+ * @returns {{id: string, name: string}}
+ */
+const refOf = (model) => ({ id: model.id, name: model.name || model.id });
+
+class ModelHistoryClass {
+    constructor() {
+        /** @type {Object<string, AgentModelHistory>} */
+        this.agents = this.load();
+    }
+
+    /**
+     * 從 localStorage 載入歷史
+     * @returns {Object<string, AgentModelHistory>}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('ModelHistory: Failed to load history', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存歷史
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.agents));
+        } catch (error) {
+            console.warn('ModelHistory: Failed to persist history', error);
+        }
+    }
+
+    /**
+     * 獲取 Agent 的歷史（不存在時建立）
+     * @param {string|null} agentId - Agent ID
+     * @returns {AgentModelHistory}
+     */
+    historyOf(agentId) {
+        const key = agentId ?? DEFAULT_KEY;
+        if (!this.agents[key]) {
+            this.agents[key] = { snapshot: null, events: [] };
+        }
+        return this.agents[key];
+    }
+
+    /**
+     * 比對新的模型資訊並記錄變化
+     * 首次觀察只建立快照，不產生事件
+     * @param {string|null} agentId - Agent ID
+     * @param {{current: Object|null, fallbacks: Object[]}} models - 當前模型與備用順序
+     * @param {number} [at=Date.now()] - 觀察時間
+     * @returns {ModelEvent[]} 新記錄的事件
+     */
+    observe(agentId, { current, fallbacks = [] }, at = Date.now()) {
+        // 尚未載入（如切換 Agent 時清空）
+        if (!current?.id) return [];
+
+        const history = this.historyOf(agentId);
+        const previous = history.snapshot;
+        const chain = [current, ...fallbacks].filter(model => model?.id);
+        const events = [];
+
+        if (previous) {
+            if (previous.currentId !== current.id) {
+                const from = previous.models[previous.currentId];
+                events.push({
+                    type: 'switch',
+                    at,
+                    model: refOf(current),
+                    from: { id: previous.currentId, name: from?.name || previous.currentId }
+                });
+            }
+
+            chain.forEach((model) => {
+                const before = previous.models[model.id]?.status ?? null;
+                const status = model.status ?? null;
+                const isRoleChange = HEALTHY_STATUSES.includes(before ?? 'ready') && HEALTHY_STATUSES.includes(status);
+                if (before === status || isRoleChange) return;
+
+                events.push({
+                    type: 'status',
+                    at,
+                    model: refOf(model),
+                    status,
+                    previous: before,
+                    ...(model.rateLimitedUntil ? { rateLimitedUntil: model.rateLimitedUntil } : {})
+                });
+            });
+        }
+
+        history.snapshot = {
+            currentId: current.id,
+            models: Object.fromEntries(chain.map(model => [model.id, { name: model.name || model.id, status: model.status ?? null }]))
+        };
+        history.events.push(...events);
+        if (history.events.length > MAX_EVENTS) {
+            history.events.splice(0, history.events.length - MAX_EVENTS);
+        }
+        this.save();
+
+        return events;
+    }
+
+    /**
+     * 獲取最近的事件（最新在前）
+     * @param {string|null} agentId - Agent ID
+     * @param {number} [limit=MAX_EVENTS] - 條數
+     * @returns {ModelEvent[]}
+     */
+    getEvents(agentId, limit = MAX_EVENTS) {
+        return this.historyOf(agentId).events.slice(-limit).reverse();
+    }
+
+    /**
+     * 清空歷史
+     */
+    clear() {
+        this.agents = {};
+        this.save();
+    }
+}
+
+// 單例導出
+const ModelHistory = new ModelHistoryClass();
+export default ModelHistory;
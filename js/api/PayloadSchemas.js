@@ -0,0 +1,300 @@
+/**
+ * PayloadSchemas - 數據源負載的結構定義與正規化
+ *
+ * ApiClient 在寫入 StateManager 前，以此檢查 /status、/logs、/tasks、/commands 與餘額數據。
+ * 不符合結構的欄位不會被猜測或補值，而是設為 null（列表項目缺少必填欄位時整項略過），
+ * 並以 issues 回報給診斷面板。
+ * 缺省的選填欄位與未宣告的欄位原樣保留。
+ *
+ * @example
+ * const { value, issues } = normalize('status', payload);
+ * const { items, issues } = normalizeList('task', tasks);
+ * const fields = extraFields('log', log); // 日誌附帶的結構化欄位
+ */
+
+/**
+ * 欄位規則
+ * @typedef {Object} FieldRule
+ * @property {'string'|'number'|'enum'|'epoch'|'date'|'array'|'object'} type
+ *   - epoch：毫秒時間戳（接受數字或可解析的日期字串，輸出數字）
+ *   - date：日期（接受數字或可解析的日期字串，輸出 ISO 字串）
+ * @property {boolean} [required] - 是否必填
+ * @property {Array} [values] - enum 的可選值
+ * @property {number} [min] - number 最小值
+ * @property {number} [max] - number 最大值
+ * @property {FieldRule} [items] - array 的元素規則
+ * @property {Object<string, FieldRule>} [fields] - object 的欄位規則
+ * @property {function(*): *} [shorthand] - 接受的簡寫形式轉換（如字串標題 → 任務對象）
+ */
+
+/**
+ * 數據問題
+ * @typedef {Object} PayloadIssue
+ * @property {string} path - 欄位路徑，如 `currentTask.progress`、`[task-001].status`（無識別欄位時為索引）
+ * @property {string} message - 問題描述
+ * @property {*} value - 收到的原始值
+ */
+
+/** @type {Object<string, Object<string, FieldRule>>} */
+export const SCHEMAS = {
+    // /status（StatusPayload）
+    status: {
+        state: { type: 'enum', values: ['working', 'idle', 'paused', 'error', 'offline'], required: true },
+        currentTask: {
+            type: 'object',
+            // 舊版 Agent 只提供任務標題
+            shorthand: (value) => typeof value === 'string' ? { title: value } : value,
+            fields: {
+                id: { type: 'string' },
+                title: { type: 'string', required: true },
+                progress: { type: 'number', min: 0, max: 100 },
+                startedAt: { type: 'date' }
+            }
+        },
+        lastHeartbeat: { type: 'epoch', required: true },
+        model: { type: 'string' },
+        tokenUsage: { type: 'number', min: 0 },
+        quotaRemaining: { type: 'number', min: 0, max: 1 }
+    },
+
+    // /logs 的單條日誌
+    log: {
+        id: { type: 'string', required: true },
+        timestamp: { type: 'epoch', required: true },
+        message: { type: 'string', required: true },
+        level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+        source: { type: 'string' },
+        // 日誌所屬的任務，供任務卡片顯示相關日誌
+        taskId: { type: 'string' }
+    },
+
+    // /tasks 的單個任務（README Task）
+    task: {
+        id: { type: 'string', required: true },
+        title: { type: 'string', required: true },
+        description: { type: 'string' },
+        status: { type: 'enum', values: ['pending', 'in-progress', 'completed'], required: true },
+        priority: { type: 'enum', values: ['high', 'medium', 'low'] },
+        dueDate: { type: 'date' },
+        completedAt: { type: 'date' },
+        createdAt: { type: 'date' },
+        tags: { type: 'array', items: { type: 'string' } }
+    },
+
+    // /commands 的單條指令（見 CommandChannel）
+    command: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', required: true },
+        args: { type: 'object', fields: {} },
+        status: { type: 'enum', values: ['pending', 'acked', 'done', 'failed'], required: true },
+        createdAt: { type: 'epoch', required: true },
+        expiresAt: { type: 'epoch' },
+        ackedAt: { type: 'epoch' },
+        completedAt: { type: 'epoch' },
+        error: { type: 'string' }
+    },
+
+    // 單個供應商餘額（README APIBalance）
+    balance: {
+        provider: { type: 'string', required: true },
+        remaining: { type: 'number', required: true },
+        total: { type: 'number', min: 0 },
+        estimatedDaysLeft: { type: 'number', min: 0 },
+        lastUpdated: { type: 'date' }
+    }
+};
+
+/**
+ * 列表項目的識別欄位，用於問題路徑（`[task-001].status` 比索引更易定位）
+ */
+const LIST_KEYS = {
+    log: 'id',
+    task: 'id',
+    command: 'id',
+    balance: 'provider'
+};
+
+/**
+ * 正規化單個對象
+ * @param {string} schemaName - SCHEMAS 中的名稱
+ * @param {*} payload - 原始數據
+ * @returns {{value: Object|null, issues: PayloadIssue[]}}
+ *   value 為 null 表示整體不是對象；缺少必填欄位時 value 仍會返回
+ */
+export function normalize(schemaName, payload) {
+    const issues = [];
+    const value = normalizeObject(SCHEMAS[schemaName], payload, '', issues);
+    return { value, issues: issues.map(withoutFlag) };
+}
+
+/**
+ * 正規化列表，缺少必填欄位的項目會被略過
+ * @param {string} schemaName - SCHEMAS 中的名稱
+ * @param {*} list - 原始數組
+ * @returns {{items: Object[], issues: PayloadIssue[]}}
+ */
+export function normalizeList(schemaName, list) {
+    if (!Array.isArray(list)) {
+        return { items: [], issues: [issue('', '應為數組', list)] };
+    }
+
+    const items = [];
+    const issues = [];
+
+    list.forEach((payload, index) => {
+        const itemIssues = [];
+        const path = `[${payload?.[LIST_KEYS[schemaName]] ?? index}]`;
+        const value = normalizeObject(SCHEMAS[schemaName], payload, path, itemIssues);
+        const isUsable = value && !itemIssues.some(({ required }) => required);
+
+        if (isUsable) {
+            items.push(value);
+        } else if (value) {
+            itemIssues.push(issue(path, '缺少必填欄位，已略過此項', payload));
+        }
+        issues.push(...itemIssues);
+    });
+
+    return { items, issues: issues.map(withoutFlag) };
+}
+
+/**
+ * 獲取未在結構中宣告的欄位（如日誌附帶的工具名稱、參數、錯誤）
+ * @param {string} schemaName - SCHEMAS 中的名稱
+ * @param {Object} value - 正規化後的對象
+ * @returns {Object|null} 沒有額外欄位時為 null
+ */
+export function extraFields(schemaName, value) {
+    const fields = SCHEMAS[schemaName];
+    const extra = Object.entries(value).filter(([key]) => !(key in fields));
+    return extra.length > 0 ? Object.fromEntries(extra) : null;
+}
+
+/**
+ * 依規則正規化對象
+ * @param {Object<string, FieldRule>} fields - 欄位規則
+ * @param {*} payload - 原始數據
+ * @param {string} path - 當前路徑
+ * @param {Array} issues - 問題收集處（必填欄位的問題帶 required 標記）
+ * @returns {Object|null}
+ */
+function normalizeObject(fields, payload, path, issues) {
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        issues.push({ ...issue(path, '應為對象', payload), required: true });
+        return null;
+    }
+
+    const result = { ...payload };
+
+    for (const [key, rule] of Object.entries(fields)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const raw = payload[key];
+
+        // 選填欄位缺省時保持原樣（不補 null）
+        if (raw === undefined || raw === null) {
+            if (rule.required) {
+                issues.push({ ...issue(fieldPath, '缺少必填欄位', raw), required: true });
+            }
+            continue;
+        }
+
+        const input = rule.shorthand ? rule.shorthand(raw) : raw;
+        const { value, message } = normalizeValue(rule, input, fieldPath, issues);
+
+        if (message) {
+            issues.push({ ...issue(fieldPath, message, raw), required: !!rule.required });
+        }
+        result[key] = message ? null : value;
+    }
+
+    return result;
+}
+
+/**
+ * 依規則正規化單個值
+ * @param {FieldRule} rule - 欄位規則
+ * @param {*} input - 非空的原始值
+ * @param {string} path - 欄位路徑
+ * @param {Array} issues - 問題收集處（供嵌套對象使用）
+ * @returns {{value?: *, message?: string}} message 存在表示值無效
+ */
+function normalizeValue(rule, input, path, issues) {
+    switch (rule.type) {
+        case 'string':
+            return typeof input === 'string' ? { value: input } : { message: '應為字串' };
+
+        case 'number': {
+            if (typeof input !== 'number' || !Number.isFinite(input)) {
+                return { message: '應為數字' };
+            }
+            if ((rule.min !== undefined && input < rule.min) || (rule.max !== undefined && input > rule.max)) {
+                return { message: `超出範圍 ${rule.min ?? '-∞'}~${rule.max ?? '∞'}` };
+            }
+            return { value: input };
+        }
+
+        case 'enum':
+            return rule.values.includes(input)
+                ? { value: input }
+                : { message: `應為 ${rule.values.join(' | ')}` };
+
+        case 'epoch':
+        case 'date': {
+            const time = typeof input === 'number' ? input : (typeof input === 'string' ? Date.parse(input) : NaN);
+            if (!Number.isFinite(time)) {
+                return { message: '應為時間戳或 ISO 日期' };
+            }
+            return { value: rule.type === 'epoch' ? time : new Date(time).toISOString() };
+        }
+
+        case 'array': {
+            if (!Array.isArray(input)) {
+                return { message: '應為數組' };
+            }
+            const invalid = input.findIndex(item => normalizeValue(rule.items, item, path, issues).message);
+            return invalid === -1
+                ? { value: input }
+                : { message: `第 ${invalid} 項應為 ${rule.items.type}` };
+        }
+
+        case 'object': {
+            if (typeof input !== 'object' || Array.isArray(input)) {
+                return { message: '應為對象' };
+            }
+
+            const nested = [];
+            const value = normalizeObject(rule.fields, input, path, nested);
+            const missing = nested.filter(({ required }) => required);
+
+            // 嵌套對象缺少必填欄位時整個欄位視為無效，其餘問題照常回報
+            if (missing.length > 0) {
+                return { message: `缺少必填欄位 ${missing.map(entry => entry.path.slice(path.length + 1)).join(', ')}` };
+            }
+            issues.push(...nested);
+            return { value };
+        }
+
+        default:
+            return { value: input };
+    }
+}
+
+/**
+ * 移除內部使用的 required 標記
+ * @param {Object} entry - 問題記錄
+ * @returns {PayloadIssue}
+ */
+function withoutFlag({ required, ...entry }) {
+    return entry;
+}
+
+/**
+ * 建立問題記錄
+ * @param {string} path - 欄位路徑
+ * @param {string} message - 問題描述
+ * @param {*} value - 原始值
+ * @returns {PayloadIssue}
+ */
+function issue(path, message, value) {
+    return { path, message, value };
+}
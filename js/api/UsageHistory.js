@@ -0,0 +1,175 @@
+/**
+ * UsageHistory - Token 使用量與配額的時間序列
+ *
+ * agent.tokenUsage 與 quotaRemaining 每次狀態更新都會被覆蓋，
+ * 這裡將其取樣保存到 localStorage，供資訊欄的走勢線與使用量圖表使用。
+ * 最近 24 小時每分鐘保留一個取樣，更早的取樣稀疏為每 15 分鐘一個，最多保留 7 天。
+ * tokenUsage 視為累計值，變小時視為計數器重置。
+ */
+
+const STORAGE_KEY = 'openclaw_dashboard_usage_history';
+
+// 最近取樣的間隔（毫秒）
+const SAMPLE_INTERVAL = 60 * 1000;
+
+// 超過此時長的取樣稀疏保存（毫秒）
+const COARSE_AFTER = 24 * 60 * 60 * 1000;
+
+// 稀疏保存的取樣間隔（毫秒）
+const COARSE_INTERVAL = 15 * 60 * 1000;
+
+// 取樣的保留時間（毫秒）
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// 單 Agent 佈局（agentId 為 null）時的鍵
+const DEFAULT_KEY = 'default';
+
+/**
+ * 取樣
+ * @typedef {Object} UsageSample
+ * @property {number} at - 取樣時間戳（毫秒）
+ * @property {number|null} tokenUsage - 累計 Token 使用量
+ * @property {number|null} quotaRemaining - 剩餘配額比例 (0~1)
+ */
+
+/**
+ * 時間區間內的使用量
+ * @typedef {Object} UsageBucket
+ * @property {number} start - 區間開始時間戳
+ * @property {number} end - 區間結束時間戳
+ * @property {number} tokens - 區間內消耗的 Token
+ */
+
+const toNumber = (value) => (Number.isFinite(value) ? value : null);
+
+class UsageHistoryClass {
+    constructor() {
+        /** @type {Object<string, Array<[number, number|null, number|null]>>} 各 Agent 的取樣（時間順序，以數組保存以節省空間） */
+        this.agents = this.load();
+    }
+
+    /**
+     * 從 localStorage 載入取樣
+     * @returns {Object<string, Array>}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('UsageHistory: Failed to load history', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存取樣
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.agents));
+        } catch (error) {
+            console.warn('UsageHistory: Failed to persist history', error);
+        }
+    }
+
+    /**
+     * 記錄取樣，距上次取樣不足取樣間隔時略過
+     * @param {string|null} agentId - Agent ID
+     * @param {{tokenUsage?: number|null, quotaRemaining?: number|null}} usage - 狀態中的使用量
+     * @param {number} [at=Date.now()] - 時間戳
+     */
+    record(agentId, { tokenUsage, quotaRemaining }, at = Date.now()) {
+        const tokens = toNumber(tokenUsage);
+        const quota = toNumber(quotaRemaining);
+        if (tokens === null && quota === null) return;
+
+        const key = agentId ?? DEFAULT_KEY;
+        const samples = this.agents[key] || (this.agents[key] = []);
+        const last = samples[samples.length - 1];
+        if (last && at - last[0] < SAMPLE_INTERVAL) return;
+
+        samples.push([at, tokens, quota]);
+        this.agents[key] = this.compact(samples, at);
+        this.save();
+    }
+
+    /**
+     * 移除保留時間外的取樣，並稀疏較舊的取樣
+     * @param {Array} samples - 取樣（時間順序）
+     * @param {number} now - 當前時間戳
+     * @returns {Array}
+     */
+    compact(samples, now) {
+        let lastKept = -Infinity;
+
+        return samples.filter(([at]) => {
+            if (at < now - RETENTION) return false;
+            if (at < now - COARSE_AFTER && at - lastKept < COARSE_INTERVAL) return false;
+
+            lastKept = at;
+            return true;
+        });
+    }
+
+    /**
+     * 獲取範圍內的取樣
+     * @param {string|null} agentId - Agent ID
+     * @param {number} range - 範圍（毫秒）
+     * @param {number} [now=Date.now()] - 範圍終點
+     * @returns {UsageSample[]}
+     */
+    getSeries(agentId, range, now = Date.now()) {
+        return (this.agents[agentId ?? DEFAULT_KEY] || [])
+            .filter(([at]) => at >= now - range && at <= now)
+            .map(([at, tokenUsage, quotaRemaining]) => ({ at, tokenUsage, quotaRemaining }));
+    }
+
+    /**
+     * 按固定區間統計 Token 消耗（以相鄰取樣的差值計入後一個取樣所在的區間）
+     * @param {string|null} agentId - Agent ID
+     * @param {number} range - 範圍（毫秒）
+     * @param {number} bucketSize - 區間長度（毫秒），如一小時
+     * @param {number} [now=Date.now()] - 範圍終點
+     * @returns {UsageBucket[]} 時間順序，沒有取樣的區間為 0
+     */
+    getUsageDeltas(agentId, range, bucketSize, now = Date.now()) {
+        const from = now - range;
+        const firstStart = Math.floor(from / bucketSize) * bucketSize;
+        const buckets = [];
+        for (let start = firstStart; start <= now; start += bucketSize) {
+            buckets.push({ start, end: start + bucketSize, tokens: 0 });
+        }
+
+        // 包含範圍前的最後一個取樣，以計算範圍內第一個差值
+        const samples = (this.agents[agentId ?? DEFAULT_KEY] || []).filter(([at, tokens]) => at <= now && tokens !== null);
+        const startIndex = Math.max(0, samples.findIndex(([at]) => at >= from) - 1);
+
+        for (let i = startIndex + 1; i < samples.length; i++) {
+            const [at, tokens] = samples[i];
+            if (at < from) continue;
+
+            const previous = samples[i - 1][1];
+            // 計數器重置時，重置後的值即為消耗量
+            const delta = tokens >= previous ? tokens - previous : tokens;
+            const bucket = buckets[Math.floor((at - firstStart) / bucketSize)];
+            if (bucket) {
+                bucket.tokens += delta;
+            }
+        }
+
+        return buckets;
+    }
+
+    /**
+     * 清空取樣
+     */
+    clear() {
+        this.agents = {};
+        this.save();
+    }
+}
+
+// 單例導出
+const UsageHistory = new UsageHistoryClass();
+export default UsageHistory;
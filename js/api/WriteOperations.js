@@ -0,0 +1,149 @@
+/**
+ * WriteOperations - 寫入操作定義
+ *
+ * 每個操作描述如何：
+ * - validate：在寫入前檢查參數（拋出錯誤即拒絕）
+ * - apply：對本地列表做樂觀更新（純函數）
+ * - commit：透過適配器寫入後端
+ * - event：寫入成功後發布的事件
+ * - localId：（新建操作）本地臨時 ID；離線重放時，佇列中之後引用它的操作改用後端返回的 ID
+ *
+ * 參數必須可 JSON 序列化，以便離線時存入 WriteQueue。
+ */
+
+import { Events } from '../core/EventBus.js';
+
+/**
+ * 學習項目狀態流轉順序（只能前進到下一個狀態）
+ */
+export const LEARNING_STATUS_FLOW = ['researching', 'planned', 'completed'];
+
+/**
+ * 按 ID 合併欄位
+ */
+const patchById = (list, id, changes) => list.map(entry => entry.id === id ? { ...entry, ...changes } : entry);
+
+/**
+ * 按 ID 移除
+ */
+const removeById = (list, id) => list.filter(entry => entry.id !== id);
+
+/**
+ * 移除本地臨時 ID 後再寫入
+ */
+const withoutId = ({ id, ...data }) => data;
+
+/**
+ * @typedef {Object} WriteOperation
+ * @property {string} label - 操作名稱（用於通知）
+ * @property {'tasks'|'learning'} collection - 影響的數據集合
+ * @property {function(Array): void} [validate] - 參數檢查
+ * @property {function(Object[], Array): Object[]} apply - 樂觀更新
+ * @property {function(Object, Array): Promise<*>} commit - 寫入後端
+ * @property {function(*, Array): [string, Object]} event - 成功事件
+ * @property {function(Array): string} [localId] - 新建項目的本地臨時 ID
+ */
+
+/** @type {Object<string, WriteOperation>} */
+const WriteOperations = {
+    // ==================== 任務 ====================
+
+    createTask: {
+        label: '創建任務',
+        collection: 'tasks',
+        apply: (tasks, [task]) => [task, ...tasks],
+        commit: (adapter, [task]) => adapter.createTask(withoutId(task)),
+        event: (task) => [Events.TASK_CREATED, { taskId: task.id, task }],
+        localId: ([task]) => task.id
+    },
+
+    updateTask: {
+        label: '更新任務',
+        collection: 'tasks',
+        apply: (tasks, [taskId, changes]) => patchById(tasks, taskId, changes),
+        commit: (adapter, [taskId, changes]) => adapter.updateTask(taskId, changes),
+        event: (task, [taskId, changes]) => [Events.TASK_UPDATED, { taskId, task, changes }]
+    },
+
+    completeTask: {
+        label: '完成任務',
+        collection: 'tasks',
+        apply: (tasks, [taskId, completedAt]) => patchById(tasks, taskId, { status: 'completed', completedAt }),
+        commit: (adapter, [taskId, completedAt]) => adapter.updateTask(taskId, { status: 'completed', completedAt }),
+        event: (task, [taskId]) => [Events.TASK_COMPLETED, { taskId, task }]
+    },
+
+    deleteTask: {
+        label: '刪除任務',
+        collection: 'tasks',
+        apply: (tasks, [taskId]) => removeById(tasks, taskId),
+        commit: (adapter, [taskId]) => adapter.deleteTask(taskId),
+        event: (result, [taskId]) => [Events.TASK_DELETED, { taskId }]
+    },
+
+    // ==================== 學習項目 ====================
+
+    createLearningItem: {
+        label: '添加學習項目',
+        collection: 'learning',
+        apply: (items, [item]) => [...items, item],
+        commit: (adapter, [item]) => adapter.createLearningItem(withoutId(item)),
+        event: (item) => [Events.LEARNING_CREATED, { itemId: item.id, item }],
+        localId: ([item]) => item.id
+    },
+
+    updateLearningItem: {
+        label: '更新學習項目',
+        collection: 'learning',
+        apply: (items, [itemId, changes]) => patchById(items, itemId, changes),
+        commit: (adapter, [itemId, changes]) => adapter.updateLearningItem(itemId, changes),
+        event: (item, [itemId, changes]) => [Events.LEARNING_UPDATED, { itemId, item, changes }]
+    },
+
+    updateLearningPriority: {
+        label: '更新優先級',
+        collection: 'learning',
+        validate: ([, priority]) => {
+            if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+                throw new Error(`Invalid learning priority: ${priority}`);
+            }
+        },
+        apply: (items, [itemId, priority]) => patchById(items, itemId, { priority }),
+        commit: (adapter, [itemId, priority]) => adapter.updateLearningItem(itemId, { priority }),
+        event: (item, [itemId, priority]) => [Events.LEARNING_PRIORITY_CHANGED, { itemId, priority, item }]
+    },
+
+    updateLearningStatus: {
+        label: '變更學習狀態',
+        collection: 'learning',
+        validate: ([, status, from]) => {
+            const next = LEARNING_STATUS_FLOW[LEARNING_STATUS_FLOW.indexOf(from) + 1];
+            if (from && status !== next) {
+                throw new Error(`Invalid learning status transition: ${from} → ${status}`);
+            }
+        },
+        apply: (items, [itemId, status, from, changedAt]) => patchById(items, itemId, statusChanges(status, changedAt)),
+        commit: (adapter, [itemId, status, from, changedAt]) => adapter.updateLearningItem(itemId, statusChanges(status, changedAt)),
+        event: (item, [itemId, status, from]) => [Events.LEARNING_STATUS_CHANGED, { itemId, from, to: status, item }]
+    },
+
+    deleteLearningItem: {
+        label: '刪除學習項目',
+        collection: 'learning',
+        apply: (items, [itemId]) => removeById(items, itemId),
+        commit: (adapter, [itemId]) => adapter.deleteLearningItem(itemId),
+        event: (result, [itemId]) => [Events.LEARNING_DELETED, { itemId }]
+    }
+};
+
+/**
+ * 學習狀態變更的欄位（完成時記錄完成時間）
+ * @param {string} status - 目標狀態
+ * @param {string} changedAt - 變更時間（ISO）
+ * @returns {Object}
+ */
+function statusChanges(status, changedAt) {
+    return status === 'completed' ? { status, completedAt: changedAt } : { status };
+}
+
+export default WriteOperations;
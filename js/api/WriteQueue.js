@@ -0,0 +1,174 @@
+/**
+ * WriteQueue - 離線寫入佇列
+ *
+ * 斷線期間的寫入操作會被保存到 localStorage，
+ * 重新連線後由 ApiClient 依序重放。
+ * 佇列長度同步到 StateManager 的 `api.pendingWrites`。
+ */
+
+import StateManager from '../core/StateManager.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_write_queue';
+
+/**
+ * @typedef {Object} QueuedWrite
+ * @property {string} id - 佇列項目 ID
+ * @property {string} operation - 寫入操作名稱（見 WriteOperations）
+ * @property {Array} args - 操作參數
+ * @property {string|null} agentId - 寫入目標 Agent（單 Agent 佈局為 null）
+ * @property {string} queuedAt - 加入佇列時間（ISO）
+ */
+
+class WriteQueueClass {
+    constructor() {
+        /** @type {QueuedWrite[]} */
+        this.entries = this.load();
+
+        /** @type {boolean} */
+        this.isFlushing = false;
+
+        this.publish();
+    }
+
+    /**
+     * 從 localStorage 載入佇列
+     * @returns {QueuedWrite[]}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('WriteQueue: Failed to load queue', error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存佇列並更新計數
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('WriteQueue: Failed to persist queue', error);
+        }
+        this.publish();
+    }
+
+    /**
+     * 將佇列長度寫入 StateManager
+     */
+    publish() {
+        StateManager.set('api.pendingWrites', this.entries.length);
+    }
+
+    /**
+     * 加入佇列
+     * @param {string} operation - 寫入操作名稱
+     * @param {Array} args - 操作參數（需可 JSON 序列化）
+     * @param {string|null} [agentId=null] - 寫入目標 Agent
+     * @returns {QueuedWrite}
+     */
+    enqueue(operation, args, agentId = null) {
+        const entry = {
+            id: `write-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            operation,
+            args,
+            agentId,
+            queuedAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * 獲取佇列內容
+     * @returns {QueuedWrite[]}
+     */
+    list() {
+        return [...this.entries];
+    }
+
+    /**
+     * 佇列長度
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * 依序重放佇列
+     * 成功或被後端拒絕（永久錯誤）的項目移出佇列；暫時性錯誤（如網路中斷）時項目保留並停止重放，
+     * canContinue 返回 false 時同樣暫停，剩餘項目保留到下次重放
+     * @param {function(QueuedWrite): Promise<void>} executor - 執行單個項目
+     * @param {function(): boolean} [canContinue] - 是否繼續重放
+     * @param {function(Error): boolean} [isTransient] - 錯誤是否為暫時性
+     * @returns {Promise<{succeeded: QueuedWrite[], failed: Array<{entry: QueuedWrite, error: Error}>, interrupted: Error|null}>}
+     *   interrupted 為使重放停止的暫時性錯誤
+     */
+    async flush(executor, canContinue = () => true, isTransient = () => false) {
+        const result = { succeeded: [], failed: [], interrupted: null };
+        if (this.isFlushing) return result;
+
+        this.isFlushing = true;
+
+        try {
+            while (this.entries.length > 0 && canContinue()) {
+                const entry = this.entries[0];
+
+                try {
+                    await executor(entry);
+                    result.succeeded.push(entry);
+                } catch (error) {
+                    if (isTransient(error)) {
+                        result.interrupted = error;
+                        break;
+                    }
+                    result.failed.push({ entry, error });
+                }
+
+                this.entries.shift();
+                this.save();
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+
+        return result;
+    }
+
+    /**
+     * 將佇列中引用臨時 ID 的參數改為後端 ID（離線新建的項目寫入後端後呼叫）
+     * @param {string} localId - 本地臨時 ID
+     * @param {string} id - 後端返回的 ID
+     */
+    replaceId(localId, id) {
+        let changed = false;
+
+        this.entries.forEach(entry => {
+            if (!entry.args.includes(localId)) return;
+            entry.args = entry.args.map(arg => (arg === localId ? id : arg));
+            changed = true;
+        });
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * 清空佇列
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
+
+// 單例導出
+const WriteQueue = new WriteQueueClass();
+export default WriteQueue;
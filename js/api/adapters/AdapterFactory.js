@@ -0,0 +1,75 @@
+/**
+ * AdapterFactory - 數據源適配器工廠
+ *
+ * 根據配置或 URL 參數選擇適配器，讓同一份構建可對接不同後端。
+ *
+ * @example
+ * // URL 參數優先於配置
+ * // ?source=rest&baseUrl=https://api.example.com
+ * // ?demo=1 等同 ?source=mock
+ * // ?agents=alpha,beta 監控多個 Agent（/agents/{agentId}/...）
+ * const adapter = createAdapter(resolveDataSource({ type: 'firebase' }));
+ */
+
+import FirebaseAdapter from './FirebaseAdapter.js';
+import MockAdapter from './MockAdapter.js';
+import RestAdapter from './RestAdapter.js';
+import StreamAdapter from './StreamAdapter.js';
+
+/**
+ * 已註冊的適配器
+ * @type {Object<string, typeof import('./DataSourceAdapter.js').default>}
+ */
+const ADAPTERS = {
+    firebase: FirebaseAdapter,
+    mock: MockAdapter,
+    rest: RestAdapter,
+    stream: StreamAdapter
+};
+
+/**
+ * @typedef {Object} DataSourceConfig
+ * @property {'firebase'|'mock'|'rest'|'stream'} type - 適配器類型
+ * @property {Object} [options] - 傳給適配器的選項
+ */
+
+/**
+ * 合併配置與 URL 參數（source、demo、baseUrl、streamUrl、agents）
+ * @param {Partial<DataSourceConfig>} [config={}] - 配置
+ * @param {string} [search=window.location.search] - URL 查詢字串
+ * @returns {DataSourceConfig}
+ */
+export function resolveDataSource(config = {}, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const options = { ...config.options };
+
+    if (params.has('baseUrl')) {
+        options.baseUrl = params.get('baseUrl');
+    }
+    if (params.has('streamUrl')) {
+        options.streamUrl = params.get('streamUrl');
+    }
+    if (params.has('agents')) {
+        options.agents = params.get('agents').split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    const isDemo = ['1', 'true'].includes(params.get('demo'));
+
+    return {
+        type: isDemo ? 'mock' : (params.get('source') || config.type || 'firebase'),
+        options
+    };
+}
+
+/**
+ * 創建適配器實例
+ * @param {DataSourceConfig} config - 數據源配置
+ * @returns {import('./DataSourceAdapter.js').default}
+ */
+export function createAdapter({ type, options = {} }) {
+    const Adapter = ADAPTERS[type];
+    if (!Adapter) {
+        throw new Error(`AdapterFactory: Unknown data source "${type}"`);
+    }
+    return new Adapter(options);
+}
@@ -0,0 +1,407 @@
+/**
+ * DataSourceAdapter - 數據源適配器基類
+ *
+ * ApiClient 不直接接觸後端，而是透過適配器讀取與訂閱數據。
+ * 每個適配器（Firebase、Mock、REST、Stream）都需實現以下接口。
+ *
+ * 多 Agent 時，以 forAgent(agentId) 取得限定到單個 Agent 的視圖，
+ * 其讀寫路徑改為 `agents/{agentId}/...`（API 餘額除外，為共用數據）。
+ *
+ * @example
+ * class MyAdapter extends DataSourceAdapter {
+ *     async connect() { ... }
+ *     subscribeStatus(onData, onError) { ... }
+ * }
+ */
+
+/**
+ * Agent 狀態負載（與 Firebase /status 節點格式一致）
+ * @typedef {Object} StatusPayload
+ * @property {string} state - 'working' | 'idle' | 'paused' | 'error'
+ * @property {Object|string|null} currentTask - 當前任務（{id, title, progress, startedAt}，舊版 Agent 可能只提供標題字串）
+ * @property {number} lastHeartbeat - 最後心跳時間戳（毫秒）
+ * @property {string} [model] - 當前模型
+ * @property {number} [tokenUsage] - Token 使用量
+ * @property {number} [quotaRemaining] - 剩餘配額比例 (0~1)
+ */
+
+/**
+ * 日誌項目
+ * @typedef {Object} LogEntry
+ * @property {string} id - 日誌 ID
+ * @property {number} timestamp - 時間戳（毫秒）
+ * @property {string} message - 日誌內容
+ * @property {'debug'|'info'|'warn'|'error'} [level] - 日誌等級，省略時視為 info
+ * @property {string} [source] - 日誌來源（如 tools、discord）
+ * @property {string} [taskId] - 所屬任務 ID
+ * 其餘欄位（如 tool、args、error）視為結構化上下文，在日誌面板中以可摺疊的 JSON 顯示
+ */
+
+/**
+ * 日誌分頁游標（依 timestamp 排序，同一時間戳以 id 區分先後）
+ * @typedef {Object} LogCursor
+ * @property {number} timestamp - 時間戳（毫秒）
+ * @property {string} [id] - 日誌 ID，省略時包含/排除該時間戳的所有日誌
+ */
+
+/**
+ * Agent 基本資訊
+ * @typedef {Object} AgentInfo
+ * @property {string} id - Agent ID（對應 `agents/{agentId}`）
+ * @property {string} [name] - 顯示名稱
+ */
+
+class DataSourceAdapter {
+    /**
+     * @param {Object} [options] - 適配器選項
+     * @param {number} [options.commandsLimit=50] - 讀取的指令記錄數
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.commandsLimit = options.commandsLimit || 50;
+
+        /** @type {string} */
+        this.name = 'base';
+
+        /**
+         * 是否需要 ApiClient 定時輪詢 get* 方法以保持數據新鮮
+         * @type {boolean}
+         */
+        this.needsPolling = false;
+
+        /**
+         * 是否依賴瀏覽器網路（瀏覽器離線時視為斷線）
+         * @type {boolean}
+         */
+        this.requiresNetwork = true;
+
+        /**
+         * 與數據源的連線狀態，null 表示尚未確定
+         * @type {boolean|null}
+         */
+        this.connected = null;
+
+        /** @type {Set<function(boolean): void>} */
+        this.connectionListeners = new Set();
+
+        /**
+         * 限定的 Agent ID，null 表示單 Agent 佈局（數據位於根節點）
+         * @type {string|null}
+         */
+        this.agentId = null;
+    }
+
+    /**
+     * 獲取限定到單個 Agent 的適配器視圖
+     * 視圖與原適配器共用連線與設定，僅 agentId 不同
+     * @param {string|null} agentId - Agent ID，null 表示單 Agent 佈局
+     * @returns {DataSourceAdapter}
+     */
+    forAgent(agentId) {
+        return Object.create(this, {
+            agentId: { value: agentId }
+        });
+    }
+
+    /**
+     * 將路徑限定到當前 Agent：`status` → `agents/{agentId}/status`
+     * @param {string} path - 節點或端點路徑（可帶前導 `/`）
+     * @returns {string}
+     */
+    agentPath(path) {
+        if (!this.agentId) return path;
+
+        const prefix = `agents/${encodeURIComponent(this.agentId)}`;
+        return path.startsWith('/') ? `/${prefix}${path}` : `${prefix}/${path}`;
+    }
+
+    /**
+     * 獲取要監控的 Agent 列表
+     * 默認取自 options.agents（ID 字串或 AgentInfo）；返回空數組表示單 Agent 佈局
+     * @returns {Promise<AgentInfo[]>}
+     */
+    async getAgents() {
+        return (this.options.agents || []).map(agent => typeof agent === 'string' ? { id: agent } : agent);
+    }
+
+    /**
+     * 建立連線
+     * @returns {Promise<void>}
+     */
+    async connect() {}
+
+    /**
+     * 斷開連線並釋放資源
+     */
+    disconnect() {}
+
+    /**
+     * 訂閱與數據源的連線狀態（客戶端自身，而非 Agent）
+     * 默認由子類調用 setConnected() 回報；已知狀態會立即回調一次
+     * @param {function(boolean): void} onChange - 回調，參數為是否已連線
+     * @returns {Function} 取消訂閱函數
+     */
+    subscribeConnection(onChange) {
+        this.connectionListeners.add(onChange);
+        if (this.connected !== null) {
+            onChange(this.connected);
+        }
+        return () => this.connectionListeners.delete(onChange);
+    }
+
+    /**
+     * 回報連線狀態變化
+     * @param {boolean} connected - 是否已連線
+     */
+    setConnected(connected) {
+        if (this.connected === connected) return;
+
+        this.connected = connected;
+        this.connectionListeners.forEach(listener => {
+            try {
+                listener(connected);
+            } catch (error) {
+                console.error(`${this.name}: Error in connection listener`, error);
+            }
+        });
+    }
+
+    /**
+     * 訂閱 Agent 狀態
+     * @param {function(StatusPayload): void} onData - 數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @returns {Function} 取消訂閱函數
+     */
+    subscribeStatus(onData, onError) {
+        throw new Error(`${this.name}: subscribeStatus() not implemented`);
+    }
+
+    /**
+     * 訂閱日誌（最新在前）
+     * @param {Object} options
+     * @param {number} options.limit - 最多保留條數
+     * @param {function(LogEntry[]): void} onData - 數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @returns {Function} 取消訂閱函數
+     */
+    subscribeLogs(options, onData, onError) {
+        throw new Error(`${this.name}: subscribeLogs() not implemented`);
+    }
+
+    /**
+     * 訂閱任務列表（可選）
+     * 返回 null 表示不支援推送，ApiClient 會改用 getTasks() 輪詢
+     * @param {function(Object[]): void} onData - 數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @returns {Function|null} 取消訂閱函數
+     */
+    subscribeTasks(onData, onError) {
+        return null;
+    }
+
+    /**
+     * 訂閱 API 餘額（可選，同 subscribeTasks）
+     * @returns {Function|null}
+     */
+    subscribeAPIBalance(onData, onError) {
+        return null;
+    }
+
+    /**
+     * 訂閱模型資訊（可選，同 subscribeTasks）
+     * @returns {Function|null}
+     */
+    subscribeModelInfo(onData, onError) {
+        return null;
+    }
+
+    /**
+     * 訂閱學習項目（可選，同 subscribeTasks）
+     * @returns {Function|null}
+     */
+    subscribeLearningItems(onData, onError) {
+        return null;
+    }
+
+    /**
+     * 訂閱指令記錄（可選，同 subscribeTasks）
+     * 指令狀態由 Agent 回寫，需要推送或較短間隔的輪詢才能及時顯示確認與結果
+     * @returns {Function|null}
+     */
+    subscribeCommands(onData, onError) {
+        return null;
+    }
+
+    /**
+     * 獲取 Agent 狀態（README AgentStatus）
+     * @returns {Promise<Object>}
+     */
+    async getAgentStatus() {
+        throw new Error(`${this.name}: getAgentStatus() not implemented`);
+    }
+
+    /**
+     * 獲取任務列表（README Task[]）
+     * @returns {Promise<Object[]>}
+     */
+    async getTasks() {
+        return [];
+    }
+
+    /**
+     * 獲取 API 餘額（README APIBalance[]）
+     * @returns {Promise<Object[]>}
+     */
+    async getAPIBalance() {
+        return [];
+    }
+
+    /**
+     * 獲取模型資訊（README ModelInfo），無數據時返回 null
+     * @returns {Promise<Object|null>}
+     */
+    async getModelInfo() {
+        return null;
+    }
+
+    /**
+     * 獲取學習項目（README LearningItem[]）
+     * @returns {Promise<Object[]>}
+     */
+    async getLearningItems() {
+        return [];
+    }
+
+    /**
+     * 獲取最近的 commandsLimit 條指令記錄（見 CommandChannel）
+     * @returns {Promise<import('../CommandChannel.js').Command[]>}
+     */
+    async getCommands() {
+        return [];
+    }
+
+    /**
+     * 分頁讀取歷史日誌（最新在前），與 subscribeLogs 的實時窗口互不影響
+     * before 與 after 擇一：before 取游標之前最近的 limit 條，after 取游標之後最早的 limit 條
+     * @param {Object} options
+     * @param {LogCursor} [options.before] - 取此游標之前（不含）的日誌
+     * @param {LogCursor} [options.after] - 取此游標之後（不含）的日誌
+     * @param {number} options.limit - 條數
+     * @returns {Promise<LogEntry[]>}
+     */
+    async getLogsPage(options) {
+        throw new Error(`${this.name}: getLogsPage() not implemented`);
+    }
+
+    // ==================== 寫入 ====================
+
+    /**
+     * 創建任務
+     * @param {Object} data - 任務數據（不含 id）
+     * @returns {Promise<Object>} 創建後的任務（含 id）
+     */
+    async createTask(data) {
+        throw new Error(`${this.name}: createTask() not supported`);
+    }
+
+    /**
+     * 更新任務
+     * @param {string} taskId - 任務 ID
+     * @param {Object} data - 要更新的欄位
+     * @returns {Promise<Object>} 更新後的任務
+     */
+    async updateTask(taskId, data) {
+        throw new Error(`${this.name}: updateTask() not supported`);
+    }
+
+    /**
+     * 刪除任務
+     * @param {string} taskId - 任務 ID
+     * @returns {Promise<void>}
+     */
+    async deleteTask(taskId) {
+        throw new Error(`${this.name}: deleteTask() not supported`);
+    }
+
+    /**
+     * 創建學習項目
+     * @param {Object} data - 項目數據（不含 id）
+     * @returns {Promise<Object>} 創建後的項目（含 id）
+     */
+    async createLearningItem(data) {
+        throw new Error(`${this.name}: createLearningItem() not supported`);
+    }
+
+    /**
+     * 更新學習項目
+     * @param {string} itemId - 項目 ID
+     * @param {Object} data - 要更新的欄位
+     * @returns {Promise<Object>} 更新後的項目
+     */
+    async updateLearningItem(itemId, data) {
+        throw new Error(`${this.name}: updateLearningItem() not supported`);
+    }
+
+    /**
+     * 刪除學習項目
+     * @param {string} itemId - 項目 ID
+     * @returns {Promise<void>}
+     */
+    async deleteLearningItem(itemId) {
+        throw new Error(`${this.name}: deleteLearningItem() not supported`);
+    }
+
+    /**
+     * 將指令寫入指令佇列，由 Agent 接收並回寫狀態
+     * @param {import('../CommandChannel.js').Command} command - 指令（含 Dashboard 產生的 id）
+     * @returns {Promise<void>}
+     */
+    async sendCommand(command) {
+        throw new Error(`${this.name}: sendCommand() not supported`);
+    }
+
+    /**
+     * 以固定間隔輪詢，供不支援推送的適配器使用
+     * @param {function(): Promise<*>} fetcher - 取數函數
+     * @param {function(*): void} onData - 數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @param {number} interval - 間隔（毫秒）
+     * @returns {Function} 停止輪詢函數
+     */
+    poll(fetcher, onData, onError, interval) {
+        let stopped = false;
+
+        const run = async () => {
+            try {
+                const data = await fetcher();
+                if (!stopped) onData(data);
+            } catch (error) {
+                if (!stopped && onError) onError(error);
+            }
+        };
+
+        run();
+        const timer = setInterval(run, interval);
+
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+        };
+    }
+}
+
+/**
+ * 是否為暫時性錯誤（網路中斷、逾時、408 / 429 / 5xx），稍後可重試；
+ * 其餘（其他 4xx、數據驗證失敗等）視為後端拒絕
+ * @param {Error} error - 適配器拋出的錯誤，HTTP 錯誤帶有 status
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    if (Number.isInteger(error?.status)) {
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    // fetch 的網路錯誤為 TypeError，AbortController / AbortSignal.timeout 逾時為 AbortError / TimeoutError
+    return ['TypeError', 'AbortError', 'TimeoutError'].includes(error?.name);
+}
+
+export default DataSourceAdapter;
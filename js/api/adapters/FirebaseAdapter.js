@@ -0,0 +1,308 @@
+/**
+ * FirebaseAdapter - Firebase Realtime Database 適配器
+ *
+ * 連線時按需載入 Firebase SDK，並暴露為 window.FirebaseDB 供調試使用。
+ * 多 Agent 時各 Agent 的數據位於 `/agents/{agentId}/...`，`/balances` 為共用節點。
+ */
+
+import DataSourceAdapter from './DataSourceAdapter.js';
+
+/**
+ * Firebase SDK (Modular v10.x via CDN)
+ */
+const FIREBASE_SDK_URL = 'https://www.gstatic.com/firebasejs/10.8.0';
+
+class FirebaseAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.firebaseConfig] - js/config.js 的 Firebase 配置
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'firebase';
+        this.needsPolling = false;
+    }
+
+    /**
+     * 載入 Firebase SDK 並初始化數據庫
+     */
+    async connect() {
+        if (window.FirebaseDB) return;
+
+        const { firebaseConfig } = this.options;
+        if (!firebaseConfig) {
+            throw new Error('FirebaseAdapter: js/config.js not found. Copy js/config.example.js, or open with ?demo=1');
+        }
+
+        const [{ initializeApp }, databaseSdk] = await Promise.all([
+            import(`${FIREBASE_SDK_URL}/firebase-app.js`),
+            import(`${FIREBASE_SDK_URL}/firebase-database.js`)
+        ]);
+
+        const firebaseApp = initializeApp(firebaseConfig);
+        window.FirebaseDB = {
+            ...databaseSdk,
+            database: databaseSdk.getDatabase(firebaseApp)
+        };
+
+        console.log('🔥 Firebase initialized successfully');
+    }
+
+    /**
+     * 監聽 .info/connected（Firebase 客戶端與伺服器的連線狀態）
+     */
+    subscribeConnection(onChange) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, '.info/connected'), (snapshot) => {
+            onChange(snapshot.val() === true);
+        });
+    }
+
+    /**
+     * 監聽 /status 節點（多 Agent 時為 /agents/{agentId}/status，下同）
+     */
+    subscribeStatus(onData, onError) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, this.agentPath('status')), (snapshot) => {
+            const data = snapshot.val();
+            if (data) {
+                onData(data);
+            }
+        }, onError);
+    }
+
+    /**
+     * 監聽 /logs 節點（限制最後 N 條）
+     */
+    subscribeLogs({ limit }, onData, onError) {
+        const { database, ref, onValue, query, limitToLast } = window.FirebaseDB;
+        const logsRef = query(ref(database, this.agentPath('logs')), limitToLast(limit));
+
+        return onValue(logsRef, (snapshot) => {
+            const data = snapshot.val();
+            if (data) {
+                onData(this.toList(data).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)));
+            }
+        }, onError);
+    }
+
+    /**
+     * 以 timestamp 游標分頁讀取 /logs（同一時間戳以節點鍵區分）
+     */
+    async getLogsPage({ before, after, limit }) {
+        const {
+            database, ref, get, query, orderByChild,
+            endBefore, startAfter, limitToLast, limitToFirst
+        } = window.FirebaseDB;
+
+        const constraints = before
+            ? [endBefore(before.timestamp, before.id), limitToLast(limit)]
+            : [startAfter(after.timestamp, after.id), limitToFirst(limit)];
+        const snapshot = await get(query(
+            ref(database, this.agentPath('logs')),
+            orderByChild('timestamp'),
+            ...constraints
+        ));
+
+        return this.toList(snapshot.val()).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    /**
+     * 監聽 /tasks 節點
+     */
+    subscribeTasks(onData, onError) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, this.agentPath('tasks')), (snapshot) => {
+            onData(this.toList(snapshot.val()));
+        }, onError);
+    }
+
+    /**
+     * 監聽 /balances 節點（各 Agent 共用）
+     */
+    subscribeAPIBalance(onData, onError) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, 'balances'), (snapshot) => {
+            onData(this.toList(snapshot.val()));
+        }, onError);
+    }
+
+    /**
+     * 監聽 /models 節點
+     */
+    subscribeModelInfo(onData, onError) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, this.agentPath('models')), (snapshot) => {
+            onData(snapshot.val());
+        }, onError);
+    }
+
+    /**
+     * 監聽 /learning 節點
+     */
+    subscribeLearningItems(onData, onError) {
+        const { database, ref, onValue } = window.FirebaseDB;
+
+        return onValue(ref(database, this.agentPath('learning')), (snapshot) => {
+            onData(this.toList(snapshot.val()));
+        }, onError);
+    }
+
+    /**
+     * 監聽 /commands 節點（最近的 N 條，Agent 回寫的狀態即時推送）
+     */
+    subscribeCommands(onData, onError) {
+        const { database, ref, onValue, query, orderByChild, limitToLast } = window.FirebaseDB;
+        const commandsRef = query(
+            ref(database, this.agentPath('commands')),
+            orderByChild('createdAt'),
+            limitToLast(this.commandsLimit)
+        );
+
+        return onValue(commandsRef, (snapshot) => {
+            onData(this.toList(snapshot.val()));
+        }, onError);
+    }
+
+    async getAgentStatus() {
+        const data = await this.read(this.agentPath('status'));
+        return data ? {
+            status: data.state || 'idle',
+            currentTask: typeof data.currentTask === 'string' ? { title: data.currentTask } : data.currentTask ?? null,
+            lastHeartbeat: data.lastHeartbeat
+        } : null;
+    }
+
+    async getTasks() {
+        return this.toList(await this.read(this.agentPath('tasks')));
+    }
+
+    async getAPIBalance() {
+        return this.toList(await this.read('balances'));
+    }
+
+    async getModelInfo() {
+        return this.read(this.agentPath('models'));
+    }
+
+    async getLearningItems() {
+        return this.toList(await this.read(this.agentPath('learning')));
+    }
+
+    async getCommands() {
+        const { database, ref, get, query, orderByChild, limitToLast } = window.FirebaseDB;
+        const snapshot = await get(query(
+            ref(database, this.agentPath('commands')),
+            orderByChild('createdAt'),
+            limitToLast(this.commandsLimit)
+        ));
+        return this.toList(snapshot.val());
+    }
+
+    /**
+     * 以 Dashboard 產生的 ID 作為節點鍵寫入 /commands/{id}
+     */
+    async sendCommand(command) {
+        const { database, ref, set } = window.FirebaseDB;
+        const { id, ...data } = command;
+        await set(ref(database, this.agentPath(`commands/${id}`)), data);
+    }
+
+    async createTask(data) {
+        return this.createEntry(this.agentPath('tasks'), data);
+    }
+
+    async updateTask(taskId, data) {
+        return this.updateEntry(this.agentPath('tasks'), taskId, data, 'Task');
+    }
+
+    async deleteTask(taskId) {
+        await this.removeEntry(this.agentPath('tasks'), taskId);
+    }
+
+    async createLearningItem(data) {
+        return this.createEntry(this.agentPath('learning'), data);
+    }
+
+    async updateLearningItem(itemId, data) {
+        return this.updateEntry(this.agentPath('learning'), itemId, data, 'Learning item');
+    }
+
+    async deleteLearningItem(itemId) {
+        await this.removeEntry(this.agentPath('learning'), itemId);
+    }
+
+    /**
+     * 在列表節點下新增項目（以 push 鍵作為 ID）
+     * @param {string} node - 列表節點
+     * @param {Object} data - 項目數據
+     * @returns {Promise<Object>} 含 id 的項目
+     */
+    async createEntry(node, data) {
+        const { database, ref, push, set } = window.FirebaseDB;
+        const entryRef = push(ref(database, node));
+        const { id, ...entry } = data;
+
+        await set(entryRef, entry);
+        return { id: entryRef.key, ...entry };
+    }
+
+    /**
+     * 更新列表節點下的項目
+     * @param {string} node - 列表節點
+     * @param {string} entryId - 項目 ID
+     * @param {Object} data - 要更新的欄位
+     * @param {string} label - 錯誤訊息中的項目名稱
+     * @returns {Promise<Object>} 更新後的項目
+     */
+    async updateEntry(node, entryId, data, label) {
+        const { database, ref, update } = window.FirebaseDB;
+        const path = `${node}/${entryId}`;
+        const { id, ...changes } = data;
+
+        if (!(await this.read(path))) {
+            throw new Error(`${label} not found: ${entryId}`);
+        }
+
+        await update(ref(database, path), changes);
+        return { id: entryId, ...(await this.read(path)) };
+    }
+
+    /**
+     * 刪除列表節點下的項目
+     * @param {string} node - 列表節點
+     * @param {string} entryId - 項目 ID
+     */
+    async removeEntry(node, entryId) {
+        const { database, ref, remove } = window.FirebaseDB;
+        await remove(ref(database, `${node}/${entryId}`));
+    }
+
+    /**
+     * 一次性讀取節點
+     * @param {string} path - 節點路徑
+     * @returns {Promise<*>}
+     */
+    async read(path) {
+        const { database, ref, get } = window.FirebaseDB;
+        const snapshot = await get(ref(database, path));
+        return snapshot.exists() ? snapshot.val() : null;
+    }
+
+    /**
+     * 將 Firebase 對象 ({ key: value }) 轉為帶 id 的數組
+     * @param {Object|null} data
+     * @returns {Object[]}
+     */
+    toList(data) {
+        if (!data) return [];
+        return Object.entries(data).map(([id, value]) => ({ id, ...value }));
+    }
+}
+
+export default FirebaseAdapter;
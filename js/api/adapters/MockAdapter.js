@@ -0,0 +1,174 @@
+/**
+ * MockAdapter - 模擬數據適配器（演示模式）
+ *
+ * 以 MockDataProvider 作為數據源，無需任何後端即可運行。
+ * 連線後啟動模擬，並在模擬數據變更時主動推送。
+ * 模擬數據包含多個 Agent，用於演示 Agent 總覽與切換。
+ */
+
+import DataSourceAdapter from './DataSourceAdapter.js';
+import MockDataProvider from '../MockDataProvider.js';
+
+class MockAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.simulate=true] - 是否啟動演示模擬
+     * @param {number} [options.simulationInterval=3000] - 模擬間隔（毫秒）
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'mock';
+        this.needsPolling = false;
+        this.requiresNetwork = false;
+        this.simulate = options.simulate !== false;
+        this.simulationInterval = options.simulationInterval || 3000;
+    }
+
+    async connect() {
+        if (this.simulate) {
+            MockDataProvider.startSimulation(this.simulationInterval);
+        }
+        this.setConnected(true);
+    }
+
+    disconnect() {
+        MockDataProvider.stopSimulation();
+    }
+
+    getAgents() {
+        return MockDataProvider.getAgents();
+    }
+
+    subscribeStatus(onData, onError) {
+        return this.watch('agent', async () => {
+            const [agent, models] = await Promise.all([
+                MockDataProvider.getAgentStatus(this.agentId),
+                MockDataProvider.getModelInfo(this.agentId)
+            ]);
+            return {
+                state: agent.status,
+                currentTask: agent.currentTask,
+                lastHeartbeat: agent.lastHeartbeat,
+                model: models.current?.name,
+                tokenUsage: agent.tokenUsage,
+                quotaRemaining: agent.quotaRemaining
+            };
+        }, onData, onError);
+    }
+
+    subscribeLogs({ limit }, onData, onError) {
+        return this.watch('logs', () => MockDataProvider.getLogs(limit, this.agentId), onData, onError);
+    }
+
+    async getLogsPage(options) {
+        return MockDataProvider.getLogsPage(options, this.agentId);
+    }
+
+    subscribeTasks(onData, onError) {
+        return this.watch('tasks', () => MockDataProvider.getTasks({}, this.agentId), onData, onError);
+    }
+
+    subscribeAPIBalance(onData, onError) {
+        return this.watch('balances', () => MockDataProvider.getAPIBalance(), onData, onError);
+    }
+
+    subscribeModelInfo(onData, onError) {
+        return this.watch('models', () => MockDataProvider.getModelInfo(this.agentId), onData, onError);
+    }
+
+    subscribeLearningItems(onData, onError) {
+        return this.watch('learning', () => MockDataProvider.getLearningItems(this.agentId), onData, onError);
+    }
+
+    subscribeCommands(onData, onError) {
+        return this.watch('commands', () => MockDataProvider.getCommands(this.commandsLimit, this.agentId), onData, onError);
+    }
+
+    getAgentStatus() {
+        return MockDataProvider.getAgentStatus(this.agentId);
+    }
+
+    getTasks() {
+        return MockDataProvider.getTasks({}, this.agentId);
+    }
+
+    getAPIBalance() {
+        return MockDataProvider.getAPIBalance();
+    }
+
+    getModelInfo() {
+        return MockDataProvider.getModelInfo(this.agentId);
+    }
+
+    getLearningItems() {
+        return MockDataProvider.getLearningItems(this.agentId);
+    }
+
+    getCommands() {
+        return MockDataProvider.getCommands(this.commandsLimit, this.agentId);
+    }
+
+    sendCommand(command) {
+        return MockDataProvider.sendCommand(command, this.agentId);
+    }
+
+    createTask(data) {
+        return MockDataProvider.createTask(data, this.agentId);
+    }
+
+    updateTask(taskId, data) {
+        return MockDataProvider.updateTask(taskId, data, this.agentId);
+    }
+
+    deleteTask(taskId) {
+        return MockDataProvider.deleteTask(taskId, this.agentId);
+    }
+
+    createLearningItem(data) {
+        return MockDataProvider.createLearningItem(data, this.agentId);
+    }
+
+    updateLearningItem(itemId, data) {
+        return MockDataProvider.updateLearningItem(itemId, data, this.agentId);
+    }
+
+    deleteLearningItem(itemId) {
+        return MockDataProvider.deleteLearningItem(itemId, this.agentId);
+    }
+
+    /**
+     * 立即推送一次，之後在指定集合變更時重新讀取並推送
+     * 限定 Agent 時忽略其他 Agent 的變更
+     * @param {string} key - 數據集合名稱
+     * @param {function(): Promise<*>} fetcher - 取數函數
+     * @param {function(*): void} onData - 數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @returns {Function} 取消訂閱函數
+     */
+    watch(key, fetcher, onData, onError) {
+        let stopped = false;
+
+        const run = async () => {
+            try {
+                const data = await fetcher();
+                if (!stopped) onData(data);
+            } catch (error) {
+                if (!stopped && onError) onError(error);
+            }
+        };
+
+        run();
+        const unsubscribe = MockDataProvider.onChange((keys, agentId) => {
+            if (!keys.includes(key)) return;
+            if (agentId && this.agentId && agentId !== this.agentId) return;
+            run();
+        });
+
+        return () => {
+            stopped = true;
+            unsubscribe();
+        };
+    }
+}
+
+export default MockAdapter;
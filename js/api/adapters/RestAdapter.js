@@ -0,0 +1,234 @@
+/**
+ * RestAdapter - REST API 適配器
+ *
+ * 依 README 中的接口規範（AgentStatus、Task、APIBalance、ModelInfo、LearningItem、Command）
+ * 從 HTTP 端點輪詢數據，並透過 POST/PATCH/DELETE 寫回。
+ * 多 Agent 時除 `/balances` 外的端點加上 `/agents/{agentId}` 前綴。
+ */
+
+import DataSourceAdapter from './DataSourceAdapter.js';
+
+/**
+ * 默認端點（相對於 baseUrl）
+ */
+const DEFAULT_ENDPOINTS = {
+    status: '/agent/status',
+    logs: '/logs',
+    tasks: '/tasks',
+    balances: '/balances',
+    models: '/models',
+    learning: '/learning',
+    commands: '/commands'
+};
+
+class RestAdapter extends DataSourceAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API 根路徑
+     * @param {Object} [options.endpoints] - 端點覆蓋
+     * @param {Object} [options.headers] - 額外請求頭（如 Authorization）
+     * @param {number} [options.timeout=10000] - 請求超時（毫秒）
+     * @param {number} [options.pollInterval=5000] - 狀態/日誌輪詢間隔（毫秒）
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'rest';
+        this.needsPolling = true;
+
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.endpoints = { ...DEFAULT_ENDPOINTS, ...options.endpoints };
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.pollInterval = options.pollInterval || 5000;
+    }
+
+    async connect() {
+        if (!this.baseUrl) {
+            throw new Error('RestAdapter: baseUrl is required');
+        }
+    }
+
+    subscribeStatus(onData, onError) {
+        return this.poll(
+            async () => this.toStatusPayload(await this.getAgentStatus()),
+            onData,
+            onError,
+            this.pollInterval
+        );
+    }
+
+    subscribeLogs({ limit }, onData, onError) {
+        return this.poll(
+            () => this.fetchLogs(limit),
+            onData,
+            onError,
+            this.pollInterval
+        );
+    }
+
+    /**
+     * 指令狀態由 Agent 回寫，以狀態輪詢間隔讀取
+     */
+    subscribeCommands(onData, onError) {
+        return this.poll(() => this.getCommands(), onData, onError, this.pollInterval);
+    }
+
+    async getAgentStatus() {
+        return this.request(this.agentPath(this.endpoints.status));
+    }
+
+    async getTasks() {
+        return (await this.request(this.agentPath(this.endpoints.tasks))) || [];
+    }
+
+    async getAPIBalance() {
+        return (await this.request(this.endpoints.balances)) || [];
+    }
+
+    async getModelInfo() {
+        return this.request(this.agentPath(this.endpoints.models));
+    }
+
+    async getLearningItems() {
+        return (await this.request(this.agentPath(this.endpoints.learning))) || [];
+    }
+
+    async getCommands() {
+        return (await this.request(this.agentPath(`${this.endpoints.commands}?limit=${this.commandsLimit}`))) || [];
+    }
+
+    /**
+     * `GET /logs?limit=n&before=ts&beforeId=id`（或 `after` / `afterId`）
+     */
+    async getLogsPage({ before, after, limit }) {
+        const [direction, cursor] = before ? ['before', before] : ['after', after];
+        const params = new URLSearchParams({ limit, [direction]: cursor.timestamp });
+        if (cursor.id) {
+            params.set(`${direction}Id`, cursor.id);
+        }
+
+        const logs = (await this.request(this.agentPath(`${this.endpoints.logs}?${params}`))) || [];
+        return logs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    async sendCommand(command) {
+        await this.request(this.agentPath(this.endpoints.commands), {
+            method: 'POST',
+            body: JSON.stringify(command)
+        });
+    }
+
+    async createTask(data) {
+        return this.request(this.agentPath(this.endpoints.tasks), {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async updateTask(taskId, data) {
+        return this.request(this.agentPath(`${this.endpoints.tasks}/${encodeURIComponent(taskId)}`), {
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async deleteTask(taskId) {
+        await this.request(this.agentPath(`${this.endpoints.tasks}/${encodeURIComponent(taskId)}`), {
+            method: 'DELETE'
+        });
+    }
+
+    async createLearningItem(data) {
+        return this.request(this.agentPath(this.endpoints.learning), {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async updateLearningItem(itemId, data) {
+        return this.request(this.agentPath(`${this.endpoints.learning}/${encodeURIComponent(itemId)}`), {
+            method: 'PATCH',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async deleteLearningItem(itemId) {
+        await this.request(this.agentPath(`${this.endpoints.learning}/${encodeURIComponent(itemId)}`), {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * 獲取最新日誌
+     * @param {number} limit - 條數
+     * @returns {Promise<Object[]>}
+     */
+    async fetchLogs(limit) {
+        const logs = (await this.request(this.agentPath(`${this.endpoints.logs}?limit=${limit}`))) || [];
+        return logs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    /**
+     * 將 README AgentStatus 轉為狀態負載
+     * @param {Object} status - AgentStatus
+     * @returns {import('./DataSourceAdapter.js').StatusPayload}
+     */
+    toStatusPayload(status) {
+        return {
+            // 原樣轉交，由 PayloadSchemas 檢查
+            state: status.state ?? status.status,
+            currentTask: status.currentTask ?? null,
+            // 端點未提供心跳時，以成功響應視為心跳
+            lastHeartbeat: status.lastHeartbeat || Date.now(),
+            model: status.model,
+            tokenUsage: status.tokenUsage,
+            quotaRemaining: status.quotaRemaining
+        };
+    }
+
+    /**
+     * 發送請求
+     * @param {string} path - 端點路徑
+     * @param {Object} [init] - fetch 選項
+     * @returns {Promise<*>} 解析後的 JSON，204 時返回 null
+     */
+    async request(path, init = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            let response;
+            try {
+                response = await fetch(`${this.baseUrl}${path}`, {
+                    ...init,
+                    headers: {
+                        'Accept': 'application/json',
+                        ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+                        ...this.headers,
+                        ...init.headers
+                    },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                // 網路錯誤或超時：伺服器不可達
+                this.setConnected(false);
+                throw error;
+            }
+
+            // 伺服器有回應即視為已連線（即使是錯誤狀態碼）
+            this.setConnected(true);
+
+            if (!response.ok) {
+                const error = new Error(`RestAdapter: ${init.method || 'GET'} ${path} failed with ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return response.status === 204 ? null : await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export default RestAdapter;
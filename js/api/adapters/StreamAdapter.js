@@ -0,0 +1,96 @@
+/**
+ * StreamAdapter - Server-Sent Events 串流適配器
+ *
+ * 狀態與日誌透過 EventSource 推送，其餘數據沿用 RestAdapter 的端點。
+ * 伺服器需發送以下具名事件：
+ * - `status`：AgentStatus JSON
+ * - `log`：單條日誌 JSON
+ *
+ * 多 Agent 時所有 Agent 共用同一條串流，事件數據需帶 `agentId` 欄位以便分流。
+ */
+
+import RestAdapter from './RestAdapter.js';
+
+class StreamAdapter extends RestAdapter {
+    /**
+     * @param {Object} options - 同 RestAdapter，另加：
+     * @param {string} [options.streamUrl] - SSE 端點，默認為 `${baseUrl}/stream`
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'stream';
+        this.streamUrl = options.streamUrl || `${this.baseUrl}/stream`;
+
+        /** @type {EventSource|null} */
+        this.source = null;
+    }
+
+    async connect() {
+        await super.connect();
+        this.source = new EventSource(this.streamUrl);
+
+        // EventSource 會自動重連，以 open/error 回報連線狀態
+        this.source.addEventListener('open', () => this.setConnected(true));
+        this.source.addEventListener('error', () => this.setConnected(false));
+    }
+
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    subscribeStatus(onData, onError) {
+        return this.listen('status', (status) => {
+            onData(this.toStatusPayload(status));
+        }, onError);
+    }
+
+    subscribeLogs({ limit }, onData, onError) {
+        let buffer = [];
+
+        // 先用 REST 補齊歷史，再接收增量
+        this.fetchLogs(limit).then(logs => {
+            buffer = logs;
+            onData(buffer);
+        }).catch(error => onError && onError(error));
+
+        return this.listen('log', (entry) => {
+            buffer = [entry, ...buffer].slice(0, limit);
+            onData(buffer);
+        }, onError);
+    }
+
+    /**
+     * 監聽具名 SSE 事件（限定 Agent 時忽略其他 Agent 的事件）
+     * @param {string} type - 事件名稱
+     * @param {function(*): void} onData - 解析後的數據回調
+     * @param {function(Error): void} [onError] - 錯誤回調
+     * @returns {Function} 取消監聽函數
+     */
+    listen(type, onData, onError) {
+        const handleMessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                if (this.agentId && data.agentId !== this.agentId) return;
+                onData(data);
+            } catch (error) {
+                if (onError) onError(error);
+            }
+        };
+        const handleError = () => {
+            if (onError) onError(new Error(`StreamAdapter: connection to ${this.streamUrl} lost`));
+        };
+
+        this.source.addEventListener(type, handleMessage);
+        this.source.addEventListener('error', handleError);
+
+        return () => {
+            this.source?.removeEventListener(type, handleMessage);
+            this.source?.removeEventListener('error', handleError);
+        };
+    }
+}
+
+export default StreamAdapter;
@@ -0,0 +1,137 @@
+/**
+ * JsonTree - 可摺疊的 JSON 樹
+ *
+ * 以原生 <details> 渲染對象與數組，無需額外的點擊處理。
+ * 所在列表重繪時展開狀態會丟失，可傳入 openPaths 並以 trackJsonTreeState 記錄使用者展開過的節點。
+ *
+ * @example
+ * const openPaths = new Set();
+ * list.innerHTML = renderJsonTree(fields, { id: log.id, openPaths });
+ * trackJsonTreeState(list, openPaths);
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+// 摘要中最多預覽的欄位數
+const PREVIEW_FIELDS = 3;
+
+// 摘要中字串值的最大長度
+const PREVIEW_LENGTH = 40;
+
+const isBranch = (value) => value !== null && typeof value === 'object';
+
+/**
+ * 值的類型名，對應 json-tree__value--{type}
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => (value === null ? 'null' : typeof value);
+
+/**
+ * 子節點路徑：對象為 `a.b`，數組為 `a[0]`
+ */
+const childPath = (path, key, isArray) => {
+    if (isArray) return `${path}[${key}]`;
+    return path ? `${path}.${key}` : String(key);
+};
+
+/**
+ * 單行預覽，如 `{tool: "web_search", args: {…}}`
+ * @param {*} value
+ * @param {boolean} [nested=false] - 是否為預覽中的子值（子對象只顯示 {…}）
+ * @returns {string} 未轉義的文字
+ */
+const preview = (value, nested = false) => {
+    if (Array.isArray(value)) {
+        return nested ? `[${value.length}]` : `[${value.length} 項]`;
+    }
+    if (isBranch(value)) {
+        if (nested) return '{…}';
+
+        const entries = Object.entries(value);
+        const shown = entries.slice(0, PREVIEW_FIELDS).map(([key, child]) => `${key}: ${preview(child, true)}`);
+        if (entries.length > PREVIEW_FIELDS) {
+            shown.push('…');
+        }
+        return `{${shown.join(', ')}}`;
+    }
+    if (typeof value === 'string') {
+        const text = value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH - 1)}…` : value;
+        return JSON.stringify(text);
+    }
+    return String(value);
+};
+
+/**
+ * 渲染葉節點的值
+ */
+const renderValue = (value) => `
+    <span class="json-tree__value json-tree__value--${typeOf(value)}">${escapeHtml(typeof value === 'string' ? JSON.stringify(value) : String(value))}</span>
+`;
+
+/**
+ * 渲染節點
+ * @param {string|number|null} key - 欄位名或索引（根節點為 null）
+ * @param {*} value - 值
+ * @param {string} path - 節點路徑
+ * @param {Object} context - { id, openPaths }
+ * @returns {string}
+ */
+const renderNode = (key, value, path, context) => {
+    const label = key === null ? '' : `<span class="json-tree__key">${escapeHtml(key)}</span>: `;
+
+    if (!isBranch(value)) {
+        return `<li class="json-tree__leaf">${label}${renderValue(value)}</li>`;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((child, index) => [index, child]) : Object.entries(value);
+    const stateKey = `${context.id}:${path}`;
+
+    return `
+        <li class="json-tree__branch">
+            <details class="json-tree__node" data-json-tree="${escapeHtml(stateKey)}"
+                     ${context.openPaths.has(stateKey) ? 'open' : ''}>
+                <summary class="json-tree__summary">
+                    ${label}<span class="json-tree__preview">${escapeHtml(preview(value))}</span>
+                </summary>
+                ${entries.length > 0 ? `
+                    <ul class="json-tree__children">
+                        ${entries.map(([childKey, child]) => renderNode(childKey, child, childPath(path, childKey, isArray), context)).join('')}
+                    </ul>
+                ` : ''}
+            </details>
+        </li>
+    `;
+};
+
+/**
+ * 渲染 JSON 樹（默認全部摺疊，摘要為單行預覽）
+ * @param {*} value - JSON 值
+ * @param {Object} [options]
+ * @param {string} [options.id=''] - 樹的識別（同一列表內唯一，如日誌 ID），用於記錄展開狀態
+ * @param {Set<string>} [options.openPaths] - 需要展開的節點
+ * @returns {string}
+ */
+export function renderJsonTree(value, { id = '', openPaths = new Set() } = {}) {
+    return `<ul class="json-tree">${renderNode(null, value, '', { id, openPaths })}</ul>`;
+}
+
+/**
+ * 在容器上記錄 JSON 樹節點的展開/摺疊，供重繪時傳回 renderJsonTree
+ * toggle 事件不冒泡，以捕獲階段監聽
+ * @param {HTMLElement} root - 容器（重繪時保留的元素）
+ * @param {Set<string>} openPaths - 展開中的節點
+ */
+export function trackJsonTreeState(root, openPaths) {
+    root.addEventListener('toggle', (e) => {
+        const stateKey = e.target.dataset?.jsonTree;
+        if (stateKey === undefined) return;
+
+        if (e.target.open) {
+            openPaths.add(stateKey);
+        } else {
+            openPaths.delete(stateKey);
+        }
+    }, true);
+}
@@ -0,0 +1,50 @@
+/**
+ * Sparkline - 迷你走勢線
+ *
+ * 以內嵌 SVG 繪製時間序列的走勢（折線 + 面積 + 最後一點），不帶座標軸，
+ * 顏色由 CSS 的 currentColor 決定。
+ *
+ * @example
+ * el.innerHTML = renderSparkline(samples.map(s => ({ at: s.at, value: s.tokenUsage })), { label: 'Token 使用量' });
+ */
+
+/**
+ * 渲染走勢線，有效數據點不足兩個時返回空字串
+ * @param {Array<{at: number, value: number|null}>} points - 數據點（時間順序）
+ * @param {Object} [options]
+ * @param {number} [options.width=120] - 寬度（px）
+ * @param {number} [options.height=28] - 高度（px）
+ * @param {number} [options.min] - 縱軸最小值（默認為數據最小值）
+ * @param {number} [options.max] - 縱軸最大值（默認為數據最大值）
+ * @param {string} [options.label=''] - 無障礙標籤
+ * @param {string} [options.className=''] - 額外的 class
+ * @returns {string}
+ */
+export function renderSparkline(points, { width = 120, height = 28, min, max, label = '', className = '' } = {}) {
+    const valid = points.filter(point => Number.isFinite(point.value));
+    if (valid.length < 2) return '';
+
+    const values = valid.map(point => point.value);
+    const low = min ?? Math.min(...values);
+    const high = max ?? Math.max(...values);
+    const first = valid[0].at;
+    const span = valid[valid.length - 1].at - first || 1;
+    // 上下留 2px，避免線條貼邊被裁切
+    const pad = 2;
+
+    const coords = valid.map(({ at, value }) => [
+        ((at - first) / span) * width,
+        high === low ? height / 2 : pad + (1 - (value - low) / (high - low)) * (height - pad * 2)
+    ]);
+    const line = coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    const [lastX, lastY] = coords[coords.length - 1];
+
+    return `
+        <svg class="sparkline ${className}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             role="img" aria-label="${label}">
+            <polygon class="sparkline__area" points="0,${height} ${line} ${lastX.toFixed(1)},${height}"></polygon>
+            <polyline class="sparkline__line" points="${line}"></polyline>
+            <circle class="sparkline__dot" cx="${lastX.toFixed(1)}" cy="${lastY.toFixed(1)}" r="2"></circle>
+        </svg>
+    `;
+}
@@ -14,4 +14,24 @@ const firebaseConfig = {
     appId: "YOUR_APP_ID"
 };
 
+/**
+ * Data Source Configuration
+ *
+ * type: 'firebase' | 'mock' | 'rest' | 'stream'
+ * Can be overridden per page load with URL parameters,
+ * e.g. ?source=rest&baseUrl=https://api.example.com
+ */
+export const dataSourceConfig = {
+    type: 'firebase',
+    options: {
+        // REST / Stream only
+        baseUrl: '',
+        headers: {},
+
+        // Multi-agent: agent IDs under /agents/{agentId}/... (leave empty for a single agent at the root)
+        // e.g. ['noma', { id: 'kuro', name: 'Kuro' }], or ?agents=noma,kuro
+        agents: []
+    }
+};
+
 export default firebaseConfig;
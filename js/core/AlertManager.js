@@ -0,0 +1,210 @@
+/**
+ * AlertManager - 告警狀態機
+ *
+ * 為每個指標（如某 Agent 的剩餘配額）記錄告警狀態 ok / warning / critical，
+ * 只在狀態轉換時回報，而不是每次數值更新都通知：
+ * - 遲滯（hysteresis）：惡化時一越過門檻即轉換，好轉時需超過門檻加上遲滯量才解除，
+ *   數值在門檻附近徘徊時不會來回切換
+ * - 確認（acknowledge）：確認後在同等或較低的嚴重程度內保持靜默，升級時才再次通知；
+ *   恢復到 ok 時確認失效
+ * 狀態保存在 localStorage，重新載入頁面不會把既有告警當成新的轉換。
+ *
+ * @example
+ * const transition = AlertManager.evaluate('quota:noma', 15, { warning: 20, critical: 10, hysteresis: 5 });
+ * if (transition?.notify) { ... }
+ */
+
+import EventBus, { Events } from './EventBus.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_alerts';
+
+/**
+ * 告警狀態，由輕到重
+ * @typedef {'ok'|'warning'|'critical'} AlertState
+ */
+const SEVERITY = {
+    ok: 0,
+    warning: 1,
+    critical: 2
+};
+
+/**
+ * Agent 配額告警的指標鍵
+ * @param {string|null} agentId - Agent ID，單 Agent 佈局為 null
+ * @returns {string}
+ */
+export const quotaAlertKey = (agentId) => `quota:${agentId ?? 'default'}`;
+
+/**
+ * 門檻規則
+ * @typedef {Object} AlertRule
+ * @property {number} warning - 警告門檻
+ * @property {number} critical - 危險門檻
+ * @property {number} [hysteresis=0] - 解除告警需超過門檻的量
+ * @property {'below'|'above'} [direction='below'] - 低於（或高於）門檻時告警
+ */
+
+/**
+ * 告警記錄
+ * @typedef {Object} Alert
+ * @property {string} key - 指標鍵
+ * @property {AlertState} state - 目前狀態
+ * @property {number} value - 最後一次評估的數值
+ * @property {number} since - 進入目前狀態的時間戳
+ * @property {AlertState|null} acknowledged - 已確認的狀態，未確認時為 null
+ */
+
+/**
+ * 狀態轉換
+ * @typedef {Object} AlertTransition
+ * @property {string} key - 指標鍵
+ * @property {AlertState} state - 新狀態
+ * @property {AlertState|null} previous - 原狀態，首次評估時為 null
+ * @property {number} value - 數值
+ * @property {boolean} escalated - 是否為惡化
+ * @property {boolean} notify - 是否應通知（已確認且未升級、或首次評估即為 ok 時為 false）
+ */
+
+/**
+ * 不考慮遲滯時數值對應的狀態
+ * @param {number} value - 數值
+ * @param {AlertRule} rule - 規則
+ * @returns {AlertState}
+ */
+const stateOf = (value, { warning, critical, direction = 'below' }) => {
+    const breaches = direction === 'below'
+        ? (threshold) => value < threshold
+        : (threshold) => value > threshold;
+
+    if (breaches(critical)) return 'critical';
+    if (breaches(warning)) return 'warning';
+    return 'ok';
+};
+
+class AlertManagerClass {
+    constructor() {
+        /** @type {Object<string, Alert>} */
+        this.alerts = this.load();
+    }
+
+    /**
+     * 從 localStorage 載入告警狀態
+     * @returns {Object<string, Alert>}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.warn('AlertManager: Failed to load alerts', error);
+            return {};
+        }
+    }
+
+    /**
+     * 保存告警狀態
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.alerts));
+        } catch (error) {
+            console.warn('AlertManager: Failed to persist alerts', error);
+        }
+    }
+
+    /**
+     * 評估指標的最新數值，狀態轉換時返回轉換並發出 ALERT_CHANGED
+     * @param {string} key - 指標鍵，如 'quota:noma'
+     * @param {number|null} value - 數值，未回報時不做判斷
+     * @param {AlertRule} rule - 門檻規則
+     * @param {number} [at=Date.now()] - 時間戳
+     * @returns {AlertTransition|null} 狀態未變時為 null
+     */
+    evaluate(key, value, rule, at = Date.now()) {
+        if (!Number.isFinite(value)) return null;
+
+        const alert = this.alerts[key];
+        const previous = alert?.state ?? null;
+        let state = stateOf(value, rule);
+
+        // 好轉時以加上遲滯量的數值判斷，未越過解除點則停留在較重的狀態
+        if (previous && SEVERITY[state] < SEVERITY[previous]) {
+            const margin = rule.hysteresis || 0;
+            const recovered = stateOf(rule.direction === 'above' ? value + margin : value - margin, rule);
+            state = SEVERITY[recovered] > SEVERITY[state] ? recovered : state;
+            if (SEVERITY[state] > SEVERITY[previous]) {
+                state = previous;
+            }
+        }
+
+        if (state === previous) {
+            alert.value = value;
+            return null;
+        }
+
+        const escalated = previous !== null && SEVERITY[state] > SEVERITY[previous];
+        const acknowledged = state === 'ok' ? null : (alert?.acknowledged ?? null);
+        const silenced = acknowledged !== null && SEVERITY[state] <= SEVERITY[acknowledged];
+
+        this.alerts[key] = { key, state, value, since: at, acknowledged };
+        this.save();
+
+        /** @type {AlertTransition} */
+        const transition = {
+            key,
+            state,
+            previous,
+            value,
+            escalated,
+            notify: !silenced && !(previous === null && state === 'ok')
+        };
+        EventBus.emit(Events.ALERT_CHANGED, transition);
+        return transition;
+    }
+
+    /**
+     * 確認告警：在目前或較低的嚴重程度內不再通知，直到升級或恢復
+     * @param {string} key - 指標鍵
+     * @returns {boolean} 是否有可確認的告警
+     */
+    acknowledge(key) {
+        const alert = this.alerts[key];
+        if (!alert || alert.state === 'ok') return false;
+
+        alert.acknowledged = alert.state;
+        this.save();
+        EventBus.emit(Events.ALERT_ACKNOWLEDGED, { key, state: alert.state });
+        return true;
+    }
+
+    /**
+     * 獲取告警記錄
+     * @param {string} key - 指標鍵
+     * @returns {Alert|null}
+     */
+    get(key) {
+        return this.alerts[key] || null;
+    }
+
+    /**
+     * 告警是否已確認且仍在確認的嚴重程度內
+     * @param {string} key - 指標鍵
+     * @returns {boolean}
+     */
+    isAcknowledged(key) {
+        const alert = this.alerts[key];
+        return Boolean(alert?.acknowledged) && SEVERITY[alert.state] <= SEVERITY[alert.acknowledged];
+    }
+
+    /**
+     * 清空告警狀態
+     */
+    clear() {
+        this.alerts = {};
+        this.save();
+    }
+}
+
+// 單例導出
+const AlertManager = new AlertManagerClass();
+export default AlertManager;
@@ -0,0 +1,174 @@
+/**
+ * DesktopNotifier - 背景分頁的桌面通知與提示音
+ *
+ * Dashboard 常放在背景分頁，頁面內的通知看不到。標記為 critical 的通知
+ * （任一 Agent 轉為離線 / 錯誤、危險等級的告警規則、配額與餘額嚴重不足）在 document.hidden 時：
+ * - 已在通知中心設定中開啟且瀏覽器已授權時，以瀏覽器 Notification API 顯示系統通知，
+ *   點擊後回到分頁並定位到通知的 target 面板
+ * - 開啟提示音時播放提示音（以 Web Audio 合成，不需音效檔）
+ * 開關保存在 config.desktopNotifications 與 config.notificationSound。
+ */
+
+import EventBus, { Events } from './EventBus.js';
+import StateManager from './StateManager.js';
+import QuietHours from './QuietHours.js';
+
+// 提示音：兩個短音（頻率 Hz、開始秒數）
+const CHIME = [[880, 0], [1175, 0.18]];
+const CHIME_NOTE_LENGTH = 0.15;
+
+class DesktopNotifierClass {
+    constructor() {
+        this.unsubscribe = null;
+        /** @type {AudioContext|null} */
+        this.audioContext = null;
+    }
+
+    /**
+     * 開始監聽通知
+     */
+    init() {
+        this.unsubscribe?.();
+        this.unsubscribe = EventBus.on(Events.NOTIFICATION_SHOW, (notification) => this.handle(notification));
+    }
+
+    /**
+     * 瀏覽器是否支援 Notification API
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window.Notification === 'function';
+    }
+
+    /**
+     * 目前的通知權限
+     * @returns {'default'|'granted'|'denied'|'unsupported'}
+     */
+    getPermission() {
+        return this.isSupported() ? window.Notification.permission : 'unsupported';
+    }
+
+    /**
+     * 是否開啟了任一背景提醒（分頁隱藏時需繼續刷新數據）
+     * @returns {boolean}
+     */
+    isActive() {
+        return Boolean(StateManager.get('config.desktopNotifications') || StateManager.get('config.notificationSound'));
+    }
+
+    /**
+     * 開啟桌面通知，尚未決定權限時向使用者請求（須由點擊等使用者操作觸發）
+     * @returns {Promise<string>} 請求後的權限
+     */
+    async enable() {
+        if (!this.isSupported()) return 'unsupported';
+
+        let permission = window.Notification.permission;
+        if (permission === 'default') {
+            permission = await window.Notification.requestPermission();
+        }
+
+        StateManager.set('config.desktopNotifications', permission === 'granted');
+        return permission;
+    }
+
+    disable() {
+        StateManager.set('config.desktopNotifications', false);
+    }
+
+    /**
+     * 切換提示音；開啟時建立音訊環境（瀏覽器只允許在使用者操作中啟動音訊）
+     * @param {boolean} enabled - 是否開啟
+     */
+    setSound(enabled) {
+        if (enabled) {
+            this.getAudioContext()?.resume();
+        }
+        StateManager.set('config.notificationSound', enabled);
+    }
+
+    /**
+     * 處理通知：只轉發分頁在背景時的 critical 通知（勿擾不允許嚴重通知時略過）
+     * @param {Object} notification - NOTIFICATION_SHOW 負載
+     */
+    handle(notification) {
+        if (!notification.critical || !document.hidden) return;
+        if (QuietHours.shouldSuppress(notification)) return;
+
+        if (StateManager.get('config.desktopNotifications') && this.getPermission() === 'granted') {
+            this.showSystemNotification(notification);
+        }
+        if (StateManager.get('config.notificationSound')) {
+            this.playChime();
+        }
+    }
+
+    /**
+     * 顯示系統通知
+     * @param {Object} notification - NOTIFICATION_SHOW 負載
+     * @returns {Notification|null}
+     */
+    showSystemNotification({ title, message, source, target }) {
+        try {
+            const systemNotification = new window.Notification(title || 'OpenClaw Dashboard', {
+                body: message,
+                // 同一來源的新通知取代舊的，避免堆疊
+                tag: source ? `openclaw-${source}` : undefined
+            });
+
+            systemNotification.onclick = () => {
+                window.focus();
+                systemNotification.close();
+                if (target) {
+                    EventBus.emit(Events.UI_PANEL_FOCUS, { panel: target });
+                }
+            };
+            return systemNotification;
+        } catch (error) {
+            // 部分瀏覽器（如 Android Chrome）只允許經 Service Worker 顯示通知
+            console.warn('DesktopNotifier: Failed to show notification', error);
+            return null;
+        }
+    }
+
+    /**
+     * 播放提示音
+     */
+    playChime() {
+        const context = this.getAudioContext();
+        if (!context) return;
+
+        const start = context.currentTime;
+        CHIME.forEach(([frequency, offset]) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            // 淡出避免爆音
+            gain.gain.setValueAtTime(0.2, start + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + offset + CHIME_NOTE_LENGTH);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(start + offset);
+            oscillator.stop(start + offset + CHIME_NOTE_LENGTH);
+        });
+    }
+
+    getAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        this.audioContext ??= new AudioContextClass();
+        return this.audioContext;
+    }
+
+    destroy() {
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.audioContext?.close();
+        this.audioContext = null;
+    }
+}
+
+// 單例導出
+const DesktopNotifier = new DesktopNotifierClass();
+export default DesktopNotifier;
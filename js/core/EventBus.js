@@ -118,19 +118,44 @@ const EventBus = new EventBusClass();
 /**
  * @typedef {Object} DashboardEvents
  * @property {'agent:status-changed'} AGENT_STATUS_CHANGED
+ * @property {'agent:selected'} AGENT_SELECTED
+ * @property {'agent:task-completed'} AGENT_TASK_COMPLETED
+ * @property {'connection:changed'} CONNECTION_CHANGED
  * @property {'task:created'} TASK_CREATED
  * @property {'task:updated'} TASK_UPDATED
  * @property {'task:completed'} TASK_COMPLETED
  * @property {'task:deleted'} TASK_DELETED
  * @property {'task:expanded'} TASK_EXPANDED
+ * @property {'command:sent'} COMMAND_SENT
+ * @property {'command:updated'} COMMAND_UPDATED
+ * @property {'command:retry'} COMMAND_RETRY
+ * @property {'learning:created'} LEARNING_CREATED
+ * @property {'learning:updated'} LEARNING_UPDATED
+ * @property {'learning:deleted'} LEARNING_DELETED
  * @property {'learning:priority-changed'} LEARNING_PRIORITY_CHANGED
+ * @property {'learning:status-changed'} LEARNING_STATUS_CHANGED
  * @property {'api:balance-updated'} API_BALANCE_UPDATED
  * @property {'api:balance-warning'} API_BALANCE_WARNING
  * @property {'model:status-changed'} MODEL_STATUS_CHANGED
+ * @property {'alert:changed'} ALERT_CHANGED
+ * @property {'alert:acknowledged'} ALERT_ACKNOWLEDGED
+ * @property {'alert-rule:changed'} ALERT_RULE_CHANGED
+ * @property {'alert-rule:fired'} ALERT_RULE_FIRED
+ * @property {'alert-rule:resolved'} ALERT_RULE_RESOLVED
+ * @property {'alert-rule:updated'} ALERT_RULES_UPDATED
  * @property {'notification:show'} NOTIFICATION_SHOW
+ * @property {'notification:update'} NOTIFICATION_UPDATE
+ * @property {'quiet-hours:changed'} QUIET_HOURS_CHANGED
+ * @property {'webhook:updated'} WEBHOOKS_UPDATED
+ * @property {'webhook:delivery'} WEBHOOK_DELIVERY
  * @property {'notification:dismiss'} NOTIFICATION_DISMISS
  * @property {'ui:sidebar-toggle'} UI_SIDEBAR_TOGGLE
  * @property {'ui:theme-changed'} UI_THEME_CHANGED
+ * @property {'ui:log-viewer-open'} UI_LOG_VIEWER_OPEN
+ * @property {'ui:task-focus'} UI_TASK_FOCUS
+ * @property {'ui:usage-chart-open'} UI_USAGE_CHART_OPEN
+ * @property {'ui:notification-center-toggle'} UI_NOTIFICATION_CENTER_TOGGLE
+ * @property {'ui:panel-focus'} UI_PANEL_FOCUS
  * @property {'module:loaded'} MODULE_LOADED
  * @property {'module:error'} MODULE_ERROR
  */
@@ -138,6 +163,12 @@ const EventBus = new EventBusClass();
 export const Events = {
     // Agent 事件
     AGENT_STATUS_CHANGED: 'agent:status-changed',
+    AGENT_SELECTED: 'agent:selected',
+    // 任一 Agent 在後端數據中出現新完成的任務（不限選中的 Agent，見 ApiClient.watchAgentTasks）
+    AGENT_TASK_COMPLETED: 'agent:task-completed',
+    
+    // 連線事件（Dashboard 自身與數據源）
+    CONNECTION_CHANGED: 'connection:changed',
     
     // 任務事件
     TASK_CREATED: 'task:created',
@@ -146,7 +177,15 @@ export const Events = {
     TASK_DELETED: 'task:deleted',
     TASK_EXPANDED: 'task:expanded',
     
+    // Agent 指令事件
+    COMMAND_SENT: 'command:sent',
+    COMMAND_UPDATED: 'command:updated',
+    COMMAND_RETRY: 'command:retry',
+    
     // 學習項目事件
+    LEARNING_CREATED: 'learning:created',
+    LEARNING_UPDATED: 'learning:updated',
+    LEARNING_DELETED: 'learning:deleted',
     LEARNING_PRIORITY_CHANGED: 'learning:priority-changed',
     LEARNING_STATUS_CHANGED: 'learning:status-changed',
     
@@ -157,14 +196,37 @@ export const Events = {
     // 模型事件
     MODEL_STATUS_CHANGED: 'model:status-changed',
     
+    // 告警事件（見 AlertManager）
+    ALERT_CHANGED: 'alert:changed',
+    ALERT_ACKNOWLEDGED: 'alert:acknowledged',
+    
+    // 告警規則事件（見 RulesEngine）：執行狀態改變、觸發、恢復、規則增刪改
+    ALERT_RULE_CHANGED: 'alert-rule:changed',
+    ALERT_RULE_FIRED: 'alert-rule:fired',
+    ALERT_RULE_RESOLVED: 'alert-rule:resolved',
+    ALERT_RULES_UPDATED: 'alert-rule:updated',
+    
     // 通知事件
     NOTIFICATION_SHOW: 'notification:show',
+    NOTIFICATION_UPDATE: 'notification:update',
     NOTIFICATION_DISMISS: 'notification:dismiss',
     
+    // 勿擾開始 / 結束（見 QuietHours）
+    QUIET_HOURS_CHANGED: 'quiet-hours:changed',
+    
+    // Webhook 事件（見 WebhookNotifier）：設定增刪改、發送記錄變化
+    WEBHOOKS_UPDATED: 'webhook:updated',
+    WEBHOOK_DELIVERY: 'webhook:delivery',
+    
     // UI 事件
     UI_SIDEBAR_TOGGLE: 'ui:sidebar-toggle',
     UI_THEME_CHANGED: 'ui:theme-changed',
     UI_INFO_PANEL_TOGGLE: 'ui:info-panel-toggle',
+    UI_LOG_VIEWER_OPEN: 'ui:log-viewer-open',
+    UI_TASK_FOCUS: 'ui:task-focus',
+    UI_USAGE_CHART_OPEN: 'ui:usage-chart-open',
+    UI_NOTIFICATION_CENTER_TOGGLE: 'ui:notification-center-toggle',
+    UI_PANEL_FOCUS: 'ui:panel-focus',
     
     // 模塊事件
     MODULE_LOADED: 'module:loaded',
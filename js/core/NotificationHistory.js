@@ -0,0 +1,147 @@
+/**
+ * NotificationHistory - 通知記錄
+ *
+ * NotificationModule 顯示的每個通知都記錄在此（通知消失後仍可在通知中心查看），
+ * 保存在 localStorage，並同步到 StateManager 的 `notifications.items`（最新在前）
+ * 與 `notifications.unread`，供通知中心與未讀標記訂閱。
+ */
+
+import StateManager from './StateManager.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_notifications';
+
+// 保留的記錄條數
+const MAX_ITEMS = 200;
+
+/**
+ * 通知來源的顯示名稱（未指定來源時顯示為「系統」）
+ */
+export const SOURCE_LABELS = {
+    api: '數據源',
+    agent: 'Agent 狀態',
+    command: '指令',
+    rule: '告警規則',
+    balance: 'API 餘額',
+    quota: '配額',
+    model: '模型',
+    webhook: 'Webhook'
+};
+
+/**
+ * 通知記錄
+ * @typedef {Object} NotificationRecord
+ * @property {string} id - 記錄 ID
+ * @property {'success'|'warning'|'error'|'info'} type - 類型
+ * @property {string} [title] - 標題
+ * @property {string} message - 訊息
+ * @property {string|null} source - 來源（如 'quota'、'rule'、'command'），未指定時為 null
+ * @property {number} timestamp - 時間戳（毫秒）
+ * @property {boolean} read - 是否已讀
+ * @property {boolean} [suppressed] - 勿擾期間略過、未彈出的通知
+ */
+
+class NotificationHistoryClass {
+    constructor() {
+        /** @type {NotificationRecord[]} */
+        this.items = this.load();
+        this.counter = 0;
+        this.sync();
+    }
+
+    /**
+     * 從 localStorage 載入記錄
+     * @returns {NotificationRecord[]}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('NotificationHistory: Failed to load history', error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存記錄
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('NotificationHistory: Failed to persist history', error);
+        }
+    }
+
+    /**
+     * 同步到 StateManager
+     */
+    sync() {
+        StateManager.batchUpdate({
+            'notifications.items': this.items,
+            'notifications.unread': this.items.filter(item => !item.read).length
+        });
+    }
+
+    /**
+     * 記錄通知
+     * @param {{type?: string, title?: string, message: string, source?: string, suppressed?: boolean}} notification - 通知內容
+     * @param {number} [at=Date.now()] - 時間戳
+     * @returns {NotificationRecord}
+     */
+    add({ type = 'info', title, message, source, suppressed = false }, at = Date.now()) {
+        const record = {
+            id: `${at}-${++this.counter}`,
+            type,
+            title,
+            message,
+            source: source ?? null,
+            timestamp: at,
+            read: false,
+            ...(suppressed ? { suppressed: true } : {})
+        };
+
+        this.items = [record, ...this.items].slice(0, MAX_ITEMS);
+        this.commit();
+        return record;
+    }
+
+    /**
+     * 標記為已讀
+     * @param {string} id - 記錄 ID
+     */
+    markRead(id) {
+        const record = this.items.find(item => item.id === id);
+        if (!record || record.read) return;
+
+        this.items = this.items.map(item => (item.id === id ? { ...item, read: true } : item));
+        this.commit();
+    }
+
+    /**
+     * 全部標記為已讀
+     */
+    markAllRead() {
+        if (this.items.every(item => item.read)) return;
+
+        this.items = this.items.map(item => (item.read ? item : { ...item, read: true }));
+        this.commit();
+    }
+
+    /**
+     * 清空記錄
+     */
+    clear() {
+        this.items = [];
+        this.commit();
+    }
+
+    commit() {
+        this.save();
+        this.sync();
+    }
+}
+
+// 單例導出
+const NotificationHistory = new NotificationHistoryClass();
+export default NotificationHistory;
@@ -0,0 +1,283 @@
+/**
+ * QuietHours - 勿擾模式與勿擾時段
+ *
+ * 手動開啟勿擾，或在設定的時段內（依星期、可指定時區）自動勿擾。勿擾期間：
+ * - 非嚴重通知不彈出，只記錄到通知中心（標記為勿擾中略過）
+ * - 嚴重通知（critical）在 allowCritical 開啟時照常彈出與發送桌面通知
+ * - 勿擾結束時以一則通知匯總期間略過的通知
+ * 設定保存在 config.quietHours。
+ *
+ * @example
+ * QuietHours.save({ enabled: true, timezone: 'Asia/Taipei' });
+ * QuietHours.addSchedule({ days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' });
+ * if (QuietHours.shouldSuppress({ critical: false })) { ... }
+ */
+
+import EventBus, { Events } from './EventBus.js';
+import StateManager from './StateManager.js';
+
+const MINUTE = 60 * 1000;
+
+// 檢查勿擾狀態變化的間隔
+const CHECK_INTERVAL = MINUTE / 2;
+
+// 星期的顯示名稱（0 為星期日，與 Date.getDay() 一致）
+export const WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+
+const WEEKDAY_KEYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 匯總中各類型的名稱
+const TYPE_LABELS = { error: '錯誤', warning: '警告', info: '資訊', success: '成功' };
+
+/**
+ * 勿擾時段：start 晚於 end 時跨越午夜（如 22:00 - 07:00），屬於開始的那天；
+ * start 等於 end 時為整天
+ * @typedef {Object} QuietSchedule
+ * @property {number[]} days - 星期（0 為星期日）
+ * @property {string} start - 開始時間 'HH:MM'
+ * @property {string} end - 結束時間 'HH:MM'
+ */
+
+/**
+ * @typedef {Object} QuietHoursSettings
+ * @property {boolean} doNotDisturb - 手動勿擾
+ * @property {boolean} enabled - 依時段自動勿擾
+ * @property {string|null} timezone - 時段的時區（IANA 名稱），null 為瀏覽器時區
+ * @property {boolean} allowCritical - 嚴重通知不受勿擾限制
+ * @property {QuietSchedule[]} schedules - 勿擾時段
+ */
+
+const DEFAULT_SETTINGS = {
+    doNotDisturb: false,
+    enabled: false,
+    timezone: null,
+    allowCritical: true,
+    schedules: []
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * 檢查時區名稱是否有效
+ * @param {string} timezone - IANA 時區名稱
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+class QuietHoursClass {
+    constructor() {
+        this.timer = null;
+        this.unsubscribe = null;
+        this.quiet = false;
+        /** @type {{type: string, source: string|null}[]} 本次勿擾期間略過的通知 */
+        this.suppressed = [];
+    }
+
+    /**
+     * 開始追蹤勿擾狀態（結束時發出匯總）
+     */
+    init() {
+        this.destroy();
+        this.quiet = this.isQuiet();
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+        this.unsubscribe = StateManager.subscribe('config', () => this.check());
+    }
+
+    /**
+     * @returns {QuietHoursSettings}
+     */
+    getSettings() {
+        return { ...DEFAULT_SETTINGS, ...StateManager.get('config.quietHours', {}) };
+    }
+
+    /**
+     * 更新設定
+     * @param {Partial<QuietHoursSettings>} patch - 要更新的欄位
+     */
+    save(patch) {
+        StateManager.set('config.quietHours', { ...this.getSettings(), ...patch });
+    }
+
+    /**
+     * 新增時段
+     * @param {QuietSchedule} [schedule] - 時段，默認為每天 22:00 - 07:00
+     */
+    addSchedule(schedule = { days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '07:00' }) {
+        this.save({ schedules: [...this.getSettings().schedules, schedule] });
+    }
+
+    /**
+     * 更新時段
+     * @param {number} index - 時段索引
+     * @param {Partial<QuietSchedule>} patch - 要更新的欄位
+     */
+    updateSchedule(index, patch) {
+        this.save({
+            schedules: this.getSettings().schedules.map((schedule, i) => (i === index ? { ...schedule, ...patch } : schedule))
+        });
+    }
+
+    /**
+     * 切換時段的某個星期
+     * @param {number} index - 時段索引
+     * @param {number} day - 星期（0 為星期日）
+     */
+    toggleDay(index, day) {
+        const { days } = this.getSettings().schedules[index];
+        this.updateSchedule(index, {
+            days: days.includes(day) ? days.filter(entry => entry !== day) : [...days, day].sort((a, b) => a - b)
+        });
+    }
+
+    /**
+     * 刪除時段
+     * @param {number} index - 時段索引
+     */
+    removeSchedule(index) {
+        this.save({ schedules: this.getSettings().schedules.filter((_, i) => i !== index) });
+    }
+
+    /**
+     * 時段使用的時區
+     * @returns {string}
+     */
+    getTimezone() {
+        const { timezone } = this.getSettings();
+        return timezone && isValidTimezone(timezone) ? timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * 某時刻在時段時區的星期與當日分鐘數
+     * @param {number} at - 時間戳
+     * @returns {{day: number, minutes: number}}
+     */
+    localTime(at) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.getTimezone(),
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(at);
+        const get = (type) => parts.find(part => part.type === type).value;
+
+        return {
+            day: WEEKDAY_KEYS.indexOf(get('weekday')),
+            minutes: Number(get('hour')) * 60 + Number(get('minute'))
+        };
+    }
+
+    /**
+     * 某時刻所在的勿擾時段
+     * @param {number} [at=Date.now()] - 時間戳
+     * @returns {QuietSchedule|null}
+     */
+    activeSchedule(at = Date.now()) {
+        const { day, minutes } = this.localTime(at);
+        const yesterday = (day + 6) % 7;
+
+        return this.getSettings().schedules.find(({ days, start, end }) => {
+            const from = toMinutes(start);
+            const to = toMinutes(end);
+
+            if (from === to) return days.includes(day);
+            if (from < to) return days.includes(day) && minutes >= from && minutes < to;
+            // 跨越午夜：當天開始後，或前一天開始的時段尚未結束
+            return (days.includes(day) && minutes >= from) || (days.includes(yesterday) && minutes < to);
+        }) || null;
+    }
+
+    /**
+     * 是否處於勿擾（手動勿擾或在時段內）
+     * @param {number} [at=Date.now()] - 時間戳
+     * @returns {boolean}
+     */
+    isQuiet(at = Date.now()) {
+        const settings = this.getSettings();
+        return settings.doNotDisturb || (settings.enabled && this.activeSchedule(at) !== null);
+    }
+
+    /**
+     * 通知是否應被略過
+     * @param {{critical?: boolean}} notification - 通知
+     * @param {number} [at=Date.now()] - 時間戳
+     * @returns {boolean}
+     */
+    shouldSuppress({ critical = false }, at = Date.now()) {
+        if (!this.isQuiet(at)) return false;
+        return !(critical && this.getSettings().allowCritical);
+    }
+
+    /**
+     * 記錄被略過的通知，供勿擾結束時匯總
+     * @param {{type: string, source?: string}} notification - 通知
+     */
+    record({ type, source }) {
+        this.suppressed.push({ type, source: source ?? null });
+    }
+
+    /**
+     * 檢查勿擾狀態變化，結束時匯總
+     * @param {number} [at=Date.now()] - 時間戳
+     */
+    check(at = Date.now()) {
+        const quiet = this.isQuiet(at);
+        if (quiet === this.quiet) return;
+
+        this.quiet = quiet;
+        EventBus.emit(Events.QUIET_HOURS_CHANGED, { quiet });
+
+        if (!quiet) {
+            this.summarize();
+        }
+    }
+
+    /**
+     * 通知勿擾期間略過的通知數量（依類型）
+     */
+    summarize() {
+        if (this.suppressed.length === 0) return;
+
+        const counts = {};
+        this.suppressed.forEach(({ type }) => {
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        const breakdown = Object.keys(TYPE_LABELS)
+            .filter(type => counts[type])
+            .map(type => `${TYPE_LABELS[type]} ${counts[type]}`)
+            .join('、');
+
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: counts.error ? 'warning' : 'info',
+            title: '勿擾已結束',
+            message: `期間略過 ${this.suppressed.length} 則通知（${breakdown}），已記錄在通知中心`,
+            persistent: true,
+            actions: [{ label: '查看通知', icon: 'bell', event: Events.UI_NOTIFICATION_CENTER_TOGGLE }]
+        });
+        this.suppressed = [];
+    }
+
+    /**
+     * 停止追蹤勿擾狀態
+     */
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+    }
+}
+
+// 單例導出
+const QuietHours = new QuietHoursClass();
+export default QuietHours;
@@ -0,0 +1,454 @@
+/**
+ * RulesEngine - 使用者自訂告警規則
+ *
+ * 規則針對 StateManager 的路徑設定條件，條件持續成立達指定時長後觸發，
+ * 觸發與恢復時經 NOTIFICATION_SHOW 交給 NotificationModule 顯示（靜音的規則只更新狀態）。
+ * 條件類型：
+ * - 比較（== != > >= < <=）：持續成立 duration 後觸發，duration 為 0 時立即觸發
+ * - increase：duration 窗口內數值增加至少 value（如 10 分鐘內 Token 使用量增加 50k）
+ * - unchanged：數值 duration 內沒有變化（如 2 小時沒有完成任務，路徑為 tasks.completed.length）
+ * 規則保存在 localStorage；執行狀態（成立時間、窗口取樣）只保存在記憶體，切換 Agent 時重新計算。
+ *
+ * @example
+ * RulesEngine.save({ name: '配額低於 15%', path: 'agent.quotaRemaining', operator: '<', value: 0.15, duration: 0, severity: 'warning' });
+ */
+
+import EventBus, { Events } from './EventBus.js';
+import StateManager from './StateManager.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_alert_rules';
+
+// 定期評估的間隔（毫秒），狀態沒有更新時持續時長仍需累計
+const CHECK_INTERVAL = 15 * 1000;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 條件運算子
+ */
+export const OPERATORS = {
+    '==': { label: '等於', needsValue: true },
+    '!=': { label: '不等於', needsValue: true },
+    '>': { label: '大於', needsValue: true, numeric: true },
+    '>=': { label: '大於等於', needsValue: true, numeric: true },
+    '<': { label: '小於', needsValue: true, numeric: true },
+    '<=': { label: '小於等於', needsValue: true, numeric: true },
+    increase: { label: '窗口內增加至少', needsValue: true, numeric: true },
+    unchanged: { label: '持續沒有變化', needsValue: false }
+};
+
+/**
+ * 規則嚴重程度對應的通知類型
+ */
+export const SEVERITIES = {
+    info: { label: '資訊', notification: 'info' },
+    warning: { label: '警告', notification: 'warning' },
+    critical: { label: '危險', notification: 'error' }
+};
+
+/**
+ * 告警規則
+ * @typedef {Object} AlertRule
+ * @property {string} id - 規則 ID
+ * @property {string} name - 名稱
+ * @property {string} path - StateManager 路徑，如 'agent.status'
+ * @property {keyof OPERATORS} operator - 運算子
+ * @property {*} [value] - 比較值（unchanged 不需要）
+ * @property {number} duration - 持續時長 / 窗口（毫秒）
+ * @property {keyof SEVERITIES} severity - 嚴重程度
+ * @property {boolean} muted - 是否靜音
+ */
+
+/**
+ * 規則執行狀態
+ * @typedef {'ok'|'pending'|'firing'} RuleStatus
+ */
+
+/**
+ * 首次使用時建立的規則
+ * Agent 離線與錯誤狀態由 ApiClient 直接發出嚴重通知（見 ApiClient.emitAgentStatus），不另建規則
+ * @type {AlertRule[]}
+ */
+const DEFAULT_RULES = [
+    { id: 'no-task-completed', name: '2 小時沒有完成任務', path: 'tasks.completed.length', operator: 'unchanged', duration: 120 * MINUTE, severity: 'warning', muted: false },
+    { id: 'token-spike', name: '10 分鐘內 Token 使用量增加 50k', path: 'agent.tokenUsage', operator: 'increase', value: 50000, duration: 10 * MINUTE, severity: 'warning', muted: false }
+];
+
+/**
+ * 舊版的預設規則，與 ApiClient 的離線 / 錯誤通知重複；載入時移除未修改過的
+ * @type {AlertRule[]}
+ */
+const RETIRED_DEFAULT_RULES = [
+    { id: 'agent-offline', name: 'Agent 離線超過 5 分鐘', path: 'agent.status', operator: '==', value: 'offline', duration: 5 * MINUTE, severity: 'critical', muted: false },
+    { id: 'agent-error', name: 'Agent 錯誤狀態', path: 'agent.status', operator: '==', value: 'error', duration: 0, severity: 'critical', muted: false }
+];
+
+const isRetiredDefault = (rule) => RETIRED_DEFAULT_RULES.some(retired =>
+    Object.keys(retired).every(key => key === 'muted' || rule[key] === retired[key])
+);
+
+/**
+ * 比較數值
+ * @param {*} actual - 狀態中的值
+ * @param {string} operator - 比較運算子
+ * @param {*} expected - 規則的值
+ * @returns {boolean}
+ */
+const compare = (actual, operator, expected) => {
+    switch (operator) {
+        case '==': return actual === expected || String(actual) === String(expected);
+        case '!=': return !(actual === expected || String(actual) === String(expected));
+        case '>': return Number.isFinite(actual) && actual > expected;
+        case '>=': return Number.isFinite(actual) && actual >= expected;
+        case '<': return Number.isFinite(actual) && actual < expected;
+        case '<=': return Number.isFinite(actual) && actual <= expected;
+        default: return false;
+    }
+};
+
+/**
+ * 解析表單輸入的值：數字、布林、null 按字面轉換，其餘視為字串
+ * @param {string} text - 輸入
+ * @returns {*}
+ */
+export function parseRuleValue(text) {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed === '') return '';
+    try {
+        const parsed = JSON.parse(trimmed);
+        return typeof parsed === 'object' && parsed !== null ? trimmed : parsed;
+    } catch {
+        return trimmed;
+    }
+}
+
+/**
+ * 條件的文字描述
+ * @param {AlertRule} rule - 規則
+ * @returns {string}
+ */
+export function describeCondition(rule) {
+    const operator = OPERATORS[rule.operator];
+    const minutes = Math.round(rule.duration / MINUTE);
+
+    if (rule.operator === 'increase') {
+        return `${rule.path} 在 ${minutes} 分鐘內增加至少 ${rule.value}`;
+    }
+    if (rule.operator === 'unchanged') {
+        return `${rule.path} ${minutes} 分鐘沒有變化`;
+    }
+    return `${rule.path} ${operator?.label || rule.operator} ${JSON.stringify(rule.value)}${minutes > 0 ? `，持續 ${minutes} 分鐘` : ''}`;
+}
+
+class RulesEngineClass {
+    constructor() {
+        /** @type {AlertRule[]} */
+        this.rules = this.load();
+        /** @type {Map<string, Object>} 各規則的執行狀態 */
+        this.runtime = new Map();
+        this.unsubscribers = [];
+        this.pathUnsubscribers = [];
+        this.timer = null;
+        this.started = false;
+        this.idCounter = 0;
+    }
+
+    /**
+     * 從 localStorage 載入規則，首次使用時為預設規則
+     * @returns {AlertRule[]}
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved
+                ? JSON.parse(saved).filter(rule => !isRetiredDefault(rule))
+                : DEFAULT_RULES.map(rule => ({ ...rule }));
+        } catch (error) {
+            console.warn('RulesEngine: Failed to load rules', error);
+            return DEFAULT_RULES.map(rule => ({ ...rule }));
+        }
+    }
+
+    /**
+     * 保存規則
+     */
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+        } catch (error) {
+            console.warn('RulesEngine: Failed to persist rules', error);
+        }
+    }
+
+    /**
+     * 開始評估：訂閱規則涉及的狀態並定期檢查持續時長
+     */
+    init() {
+        this.started = true;
+        this.subscribePaths();
+
+        // 切換 Agent 後的狀態屬於另一個 Agent，重新計算持續時長與窗口
+        this.unsubscribers.push(
+            StateManager.subscribe('ui.selectedAgentId', () => {
+                this.runtime.clear();
+                this.evaluateAll();
+            })
+        );
+
+        this.timer = setInterval(() => this.evaluateAll(), CHECK_INTERVAL);
+        this.evaluateAll();
+    }
+
+    /**
+     * 訂閱規則路徑的頂層鍵（整體替換如 set('agent', ...) 只通知頂層訂閱者）
+     */
+    subscribePaths() {
+        this.pathUnsubscribers.forEach(unsub => unsub());
+
+        const roots = new Set(this.rules.map(rule => rule.path.split('.')[0]));
+        this.pathUnsubscribers = [...roots].map(root =>
+            StateManager.subscribe(root, () => this.evaluateAll())
+        );
+    }
+
+    /**
+     * 評估所有規則
+     * @param {number} [now=Date.now()]
+     */
+    evaluateAll(now = Date.now()) {
+        this.rules.forEach(rule => this.evaluate(rule, now));
+    }
+
+    /**
+     * 評估規則，狀態改變時發出事件並通知
+     * @param {AlertRule} rule - 規則
+     * @param {number} now - 時間戳
+     */
+    evaluate(rule, now) {
+        const runtime = this.getRuntime(rule.id);
+        const value = StateManager.get(rule.path);
+        const { holds, active } = this.check(rule, runtime, value, now);
+
+        runtime.since = holds ? (runtime.since ?? now) : null;
+        const status = active ? 'firing' : (holds ? 'pending' : 'ok');
+        const previous = runtime.status;
+        if (status === previous) return;
+
+        runtime.status = status;
+        runtime.value = value;
+        if (status === 'firing') {
+            runtime.firedAt = now;
+        }
+        EventBus.emit(Events.ALERT_RULE_CHANGED, { rule, status, previous });
+
+        if (status === 'firing') {
+            EventBus.emit(Events.ALERT_RULE_FIRED, { rule, value, at: now });
+            if (!rule.muted) {
+                this.notify(rule, value);
+            }
+        } else if (previous === 'firing') {
+            EventBus.emit(Events.ALERT_RULE_RESOLVED, { rule, value, at: now });
+            if (!rule.muted) {
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'success',
+                    title: `規則已恢復：${rule.name}`,
+                    message: `目前值：${this.formatValue(value)}`,
+                    source: 'rule'
+                });
+            }
+        }
+    }
+
+    /**
+     * 檢查條件
+     * @param {AlertRule} rule - 規則
+     * @param {Object} runtime - 執行狀態
+     * @param {*} value - 目前值
+     * @param {number} now - 時間戳
+     * @returns {{holds: boolean, active: boolean}} holds 為條件成立，active 為已達持續時長
+     */
+    check(rule, runtime, value, now) {
+        if (rule.operator === 'increase') {
+            if (Number.isFinite(value)) {
+                runtime.samples.push([now, value]);
+            }
+            runtime.samples = runtime.samples.filter(([at]) => at >= now - rule.duration);
+
+            // 以窗口內的最小值為基準，計數器重置後不會算成負增長
+            const base = Math.min(...runtime.samples.map(([, sample]) => sample));
+            const holds = Number.isFinite(value) && value - base >= rule.value;
+            return { holds, active: holds };
+        }
+
+        if (rule.operator === 'unchanged') {
+            const serialized = JSON.stringify(value);
+            if (runtime.changedAt === null || serialized !== runtime.lastValue) {
+                runtime.lastValue = serialized;
+                runtime.changedAt = now;
+            }
+            const holds = value !== undefined;
+            return { holds, active: holds && now - runtime.changedAt >= rule.duration };
+        }
+
+        const holds = compare(value, rule.operator, rule.value);
+        const since = runtime.since ?? now;
+        return { holds, active: holds && now - since >= rule.duration };
+    }
+
+    /**
+     * 規則觸發時顯示通知
+     * @param {AlertRule} rule - 規則
+     * @param {*} value - 目前值
+     */
+    notify(rule, value) {
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: SEVERITIES[rule.severity]?.notification || 'warning',
+            title: `規則觸發：${rule.name}`,
+            message: `${describeCondition(rule)}（目前值：${this.formatValue(value)}）`,
+            persistent: rule.severity === 'critical',
+            critical: rule.severity === 'critical',
+            source: 'rule',
+            target: 'alert-rules'
+        });
+    }
+
+    /**
+     * 以目前狀態測試規則（不考慮持續時長），條件成立時顯示觸發時的通知
+     * @param {AlertRule} rule - 規則
+     * @returns {{matched: boolean, value: *}}
+     */
+    test(rule) {
+        const value = StateManager.get(rule.path);
+        let matched;
+
+        if (rule.operator === 'increase') {
+            const samples = this.getRuntime(rule.id).samples;
+            const base = samples.length > 0 ? Math.min(...samples.map(([, sample]) => sample)) : value;
+            matched = Number.isFinite(value) && value - base >= rule.value;
+        } else if (rule.operator === 'unchanged') {
+            matched = value !== undefined;
+        } else {
+            matched = compare(value, rule.operator, rule.value);
+        }
+
+        if (matched) {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: SEVERITIES[rule.severity]?.notification || 'warning',
+                title: `[測試] 規則觸發：${rule.name}`,
+                message: `${describeCondition(rule)}（目前值：${this.formatValue(value)}）`,
+                source: 'rule'
+            });
+        } else {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'info',
+                title: `[測試] ${rule.name}`,
+                message: `條件目前不成立（目前值：${this.formatValue(value)}）`,
+                source: 'rule'
+            });
+        }
+
+        return { matched, value };
+    }
+
+    getRuntime(id) {
+        if (!this.runtime.has(id)) {
+            this.runtime.set(id, { status: 'ok', since: null, samples: [], lastValue: null, changedAt: null, value: undefined, firedAt: null });
+        }
+        return this.runtime.get(id);
+    }
+
+    /**
+     * 規則的執行狀態
+     * @param {string} id - 規則 ID
+     * @returns {{status: RuleStatus, since: number|null, firedAt: number|null}}
+     */
+    getStatus(id) {
+        const { status, since, firedAt } = this.getRuntime(id);
+        return { status, since, firedAt };
+    }
+
+    /**
+     * @returns {AlertRule[]}
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * 新增或更新規則，更新時重新計算其執行狀態
+     * @param {Partial<AlertRule>} rule - 規則，有 id 時為更新
+     * @returns {AlertRule}
+     */
+    save(rule) {
+        const saved = {
+            muted: false,
+            ...rule,
+            id: rule.id || `rule-${Date.now()}-${++this.idCounter}`
+        };
+
+        const index = this.rules.findIndex(entry => entry.id === saved.id);
+        if (index === -1) {
+            this.rules.push(saved);
+        } else {
+            this.rules[index] = saved;
+        }
+        this.runtime.delete(saved.id);
+
+        this.commit();
+        if (this.started) {
+            this.evaluate(saved, Date.now());
+        }
+        return saved;
+    }
+
+    /**
+     * 切換靜音
+     * @param {string} id - 規則 ID
+     */
+    toggleMute(id) {
+        const rule = this.rules.find(entry => entry.id === id);
+        if (!rule) return;
+
+        rule.muted = !rule.muted;
+        this.commit();
+    }
+
+    /**
+     * 刪除規則
+     * @param {string} id - 規則 ID
+     */
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.runtime.delete(id);
+        this.commit();
+    }
+
+    /**
+     * 保存規則、更新訂閱並通知介面
+     */
+    commit() {
+        this.persist();
+        if (this.started) {
+            this.subscribePaths();
+        }
+        EventBus.emit(Events.ALERT_RULES_UPDATED, { rules: this.rules });
+    }
+
+    formatValue(value) {
+        if (value === undefined) return '--';
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.started = false;
+        this.pathUnsubscribers.forEach(unsub => unsub());
+        this.pathUnsubscribers = [];
+        this.unsubscribers.forEach(unsub => unsub());
+        this.unsubscribers = [];
+    }
+}
+
+// 單例導出
+const RulesEngine = new RulesEngineClass();
+export default RulesEngine;
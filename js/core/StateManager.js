@@ -4,6 +4,11 @@
  * 提供響應式狀態管理，當狀態變化時自動通知訂閱者。
  * 支援狀態持久化、時間旅行（撤銷/重做）。
  * 
+ * 狀態以寫時複製（copy-on-write）更新：每次寫入只淺拷貝根到目標路徑上的節點，
+ * 未變更的子樹保持原引用，因此歷史記錄只需保存舊的根引用，
+ * 也可以用 === 判斷某個子樹是否變化。get() 返回的值應視為唯讀，
+ * 需要修改時以 set() 寫入新值。
+ * 
  * @example
  * // 設置狀態
  * StateManager.set('agent.status', 'working');
@@ -19,12 +24,77 @@
 
 import EventBus from './EventBus.js';
 
+const STORAGE_KEY = 'openclaw_dashboard_state';
+
+// 持久化到 localStorage 的頂層鍵
+const PERSISTED_KEYS = ['ui', 'config'];
+
+/**
+ * 沿路徑讀取值
+ * @param {Object} root - 狀態根
+ * @param {string[]} keys - 路徑各段
+ * @returns {*}
+ */
+function getIn(root, keys) {
+    let value = root;
+
+    for (const key of keys) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        value = value[key];
+    }
+
+    return value;
+}
+
+/**
+ * 沿路徑寫入值並返回新的根：路徑上的節點淺拷貝，其餘子樹沿用原引用
+ * @param {Object} root - 狀態根
+ * @param {string[]} keys - 路徑各段
+ * @param {*} value - 新值
+ * @param {WeakSet<Object>} owned - 本次更新中已拷貝過的節點，可直接修改（批量更新時共用）
+ * @returns {Object} 新的根
+ */
+function setIn(root, keys, value, owned) {
+    const copy = (node) => {
+        if (owned.has(node)) return node;
+
+        let copied;
+        if (Array.isArray(node)) {
+            copied = node.slice();
+        } else if (node !== null && typeof node === 'object') {
+            copied = { ...node };
+        } else {
+            // 路徑不存在或中途為原始值時建立新對象
+            copied = {};
+        }
+        owned.add(copied);
+        return copied;
+    };
+
+    const nextRoot = copy(root);
+    let target = nextRoot;
+
+    for (const key of keys.slice(0, -1)) {
+        target[key] = copy(target[key]);
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+
+    return nextRoot;
+}
+
 /**
  * @typedef {Object} State
- * @property {Object} agent - Agent 狀態
+ * @property {Object} agent - Agent 狀態（多 Agent 時為當前選中的 Agent）
+ * @property {Object} fleet - 所有受監控 Agent 的狀態摘要
  * @property {Object} tasks - 任務狀態
  * @property {Object} learning - 學習項目狀態
  * @property {Object} api - API 狀態
+ * @property {Object} commands - 發送給 Agent 的指令記錄
+ * @property {Object} connection - Dashboard 自身與數據源的連線狀態
+ * @property {Object} diagnostics - 數據源負載的格式問題
  * @property {Object} ui - UI 狀態
  */
 
@@ -36,11 +106,11 @@ class StateManagerClass {
         /** @type {Map<string, Set<Function>>} */
         this.subscribers = new Map();
 
-        /** @type {Array<Object>} */
+        /** @type {Array<Object>} 過去的狀態根（與目前狀態共享未變更的子樹），最新在後 */
         this.history = [];
 
-        /** @type {number} */
-        this.historyIndex = -1;
+        /** @type {Array<Object>} 撤銷後可重做的狀態根，最新在後 */
+        this.future = [];
 
         /** @type {number} */
         this.maxHistoryLength = 50;
@@ -60,9 +130,12 @@ class StateManagerClass {
             agent: {
                 name: 'OpenClaw',
                 avatar: null,
-                status: 'idle', // 'working' | 'idle'
+                status: 'idle', // 'working' | 'idle' | 'paused' | 'error' | 'offline'
                 currentTask: null
             },
+            fleet: {
+                agents: [] // 單 Agent 佈局時為空
+            },
             tasks: {
                 completed: [],
                 pending: [],
@@ -73,22 +146,55 @@ class StateManagerClass {
             },
             api: {
                 balances: [],
-                lastUpdated: null
+                lastUpdated: null,
+                pendingWrites: 0
             },
             models: {
                 current: null,
-                fallback: null
+                fallback: null, // 備用順序中的第一個
+                fallbacks: [] // 依切換順序排列的備用模型
+            },
+            commands: {
+                items: [] // 見 CommandChannel，最新在前
+            },
+            connection: {
+                status: 'connecting', // 'connecting' | 'connected' | 'reconnecting' | 'offline'
+                isConnected: false,
+                browserOnline: true,
+                since: null,
+                lastConnectedAt: null,
+                lastDisconnectedAt: null
+            },
+            diagnostics: {
+                issues: [] // 見 Diagnostics
+            },
+            notifications: {
+                items: [], // 見 NotificationHistory，最新在前
+                unread: 0
             },
             ui: {
                 sidebarOpen: true,
                 infoPanelOpen: true,
                 expandedTaskId: null,
+                selectedAgentId: null,
                 theme: 'dark'
             },
             config: {
                 refreshInterval: 30000,
                 balanceWarningThreshold: 20,
-                balanceCriticalThreshold: 10
+                balanceCriticalThreshold: 10,
+                quotaWarningThreshold: 20,
+                quotaCriticalThreshold: 10,
+                quotaAlertHysteresis: 5, // 配額回升超過門檻這麼多個百分點才解除告警
+                desktopNotifications: false, // 分頁隱藏時以系統通知提醒嚴重事件（見 DesktopNotifier）
+                notificationSound: false,
+                quietHours: { // 勿擾模式與時段（見 QuietHours）
+                    doNotDisturb: false,
+                    enabled: false,
+                    timezone: null,
+                    allowCritical: true,
+                    schedules: []
+                }
             }
         };
     }
@@ -98,7 +204,7 @@ class StateManagerClass {
      */
     loadPersistedState() {
         try {
-            const saved = localStorage.getItem('openclaw_dashboard_state');
+            const saved = localStorage.getItem(STORAGE_KEY);
             if (saved) {
                 const parsed = JSON.parse(saved);
                 // 只恢復部分狀態（如 UI 偏好）
@@ -116,16 +222,15 @@ class StateManagerClass {
 
     /**
      * 持久化狀態到 localStorage
+     * @param {Object} [previousState] - 更新前的狀態根；傳入時只在持久化的子樹變化時寫入
      */
-    persistState() {
+    persistState(previousState) {
         if (!this.persistEnabled) return;
+        if (previousState && PERSISTED_KEYS.every(key => previousState[key] === this.state[key])) return;
 
         try {
-            const toPersist = {
-                ui: this.state.ui,
-                config: this.state.config
-            };
-            localStorage.setItem('openclaw_dashboard_state', JSON.stringify(toPersist));
+            const toPersist = Object.fromEntries(PERSISTED_KEYS.map(key => [key, this.state[key]]));
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(toPersist));
         } catch (error) {
             console.warn('StateManager: Failed to persist state', error);
         }
@@ -138,16 +243,7 @@ class StateManagerClass {
      * @returns {*}
      */
     get(path, defaultValue = undefined) {
-        const keys = path.split('.');
-        let value = this.state;
-
-        for (const key of keys) {
-            if (value === null || value === undefined) {
-                return defaultValue;
-            }
-            value = value[key];
-        }
-
+        const value = getIn(this.state, path.split('.'));
         return value !== undefined ? value : defaultValue;
     }
 
@@ -158,52 +254,28 @@ class StateManagerClass {
      * @param {boolean} [notify=true] - 是否通知訂閱者
      */
     set(path, value, notify = true) {
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        let target = this.state;
-
-        // 保存舊狀態用於歷史
-        const oldState = this.deepClone(this.state);
-
-        for (const key of keys) {
-            if (!(key in target)) {
-                target[key] = {};
-            }
-            target = target[key];
-        }
-
-        const oldValue = target[lastKey];
-        target[lastKey] = value;
-
-        // 記錄歷史
-        this.recordHistory(oldState);
-
-        // 持久化
-        this.persistState();
-
-        // 通知訂閱者
-        if (notify) {
-            this.notifySubscribers(path, value, oldValue);
-        }
+        this.batchUpdate({ [path]: value }, notify);
     }
 
     /**
-     * 批量更新狀態
+     * 批量更新狀態：所有路徑寫入同一個新的根，只記錄一次歷史
      * @param {Object} updates - 更新對象，鍵為路徑
+     * @param {boolean} [notify=true] - 是否通知訂閱者
      */
-    batchUpdate(updates) {
-        const oldState = this.deepClone(this.state);
+    batchUpdate(updates, notify = true) {
+        const oldState = this.state;
+        const owned = new WeakSet();
+        const entries = Object.entries(updates).map(([path, value]) => [path, path.split('.'), value]);
 
-        for (const [path, value] of Object.entries(updates)) {
-            this.set(path, value, false);
-        }
+        this.state = entries.reduce((root, [, keys, value]) => setIn(root, keys, value, owned), oldState);
 
         this.recordHistory(oldState);
-        this.persistState();
+        this.persistState(oldState);
 
-        // 一次性通知
-        for (const [path, value] of Object.entries(updates)) {
-            this.notifySubscribers(path, value, this.get(path));
+        if (notify) {
+            for (const [path, keys, value] of entries) {
+                this.notifySubscribers(path, value, getIn(oldState, keys), oldState);
+            }
         }
     }
 
@@ -229,8 +301,9 @@ class StateManagerClass {
      * @param {string} changedPath - 變更的路徑
      * @param {*} newValue - 新值
      * @param {*} oldValue - 舊值
+     * @param {Object} [oldState] - 更新前的狀態根，用於提供父路徑的舊值
      */
-    notifySubscribers(changedPath, newValue, oldValue) {
+    notifySubscribers(changedPath, newValue, oldValue, oldState) {
         // 通知精確匹配的訂閱者
         if (this.subscribers.has(changedPath)) {
             this.subscribers.get(changedPath).forEach(callback => {
@@ -248,9 +321,10 @@ class StateManagerClass {
             const parentPath = parts.slice(0, i).join('.');
             if (parentPath && this.subscribers.has(parentPath)) {
                 const parentNewValue = this.get(parentPath);
+                const parentOldValue = oldState ? getIn(oldState, parts.slice(0, i)) : undefined;
                 this.subscribers.get(parentPath).forEach(callback => {
                     try {
-                        callback(parentNewValue, undefined, changedPath);
+                        callback(parentNewValue, parentOldValue, changedPath);
                     } catch (error) {
                         console.error('StateManager: Subscriber error', error);
                     }
@@ -274,22 +348,16 @@ class StateManagerClass {
     }
 
     /**
-     * 記錄歷史
-     * @param {Object} oldState - 舊狀態
+     * 記錄歷史：保存舊的根引用（不拷貝），新的寫入清除可重做的狀態
+     * @param {Object} oldState - 舊狀態根
      */
     recordHistory(oldState) {
-        // 移除之後的歷史（如果有撤銷過）
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
-        }
-
+        this.future = [];
         this.history.push(oldState);
-        this.historyIndex++;
 
         // 限制歷史長度
         if (this.history.length > this.maxHistoryLength) {
             this.history.shift();
-            this.historyIndex--;
         }
     }
 
@@ -298,16 +366,12 @@ class StateManagerClass {
      * @returns {boolean} 是否成功
      */
     undo() {
-        if (this.historyIndex < 0) {
+        if (this.history.length === 0) {
             return false;
         }
 
-        const previousState = this.history[this.historyIndex];
-        this.historyIndex--;
-
-        this.state = this.deepClone(previousState);
-        this.notifySubscribers('*', this.state, null);
-
+        this.future.push(this.state);
+        this.restore(this.history.pop());
         return true;
     }
 
@@ -316,17 +380,30 @@ class StateManagerClass {
      * @returns {boolean} 是否成功
      */
     redo() {
-        if (this.historyIndex >= this.history.length - 1) {
+        if (this.future.length === 0) {
             return false;
         }
 
-        this.historyIndex++;
-        const nextState = this.history[this.historyIndex];
+        this.history.push(this.state);
+        this.restore(this.future.pop());
+        return true;
+    }
 
-        this.state = this.deepClone(nextState);
-        this.notifySubscribers('*', this.state, null);
+    /**
+     * 切換到另一個狀態根，通知引用有變化的頂層鍵（全局訂閱者隨之收到通知）
+     * @param {Object} nextState - 狀態根
+     */
+    restore(nextState) {
+        const oldState = this.state;
+        this.state = nextState;
+        this.persistState(oldState);
 
-        return true;
+        const keys = new Set([...Object.keys(oldState), ...Object.keys(nextState)]);
+        keys.forEach(key => {
+            if (oldState[key] !== nextState[key]) {
+                this.notifySubscribers(key, nextState[key], oldState[key], oldState);
+            }
+        });
     }
 
     /**
@@ -336,8 +413,8 @@ class StateManagerClass {
         const oldState = this.state;
         this.state = this.getInitialState();
         this.history = [];
-        this.historyIndex = -1;
-        localStorage.removeItem('openclaw_dashboard_state');
+        this.future = [];
+        localStorage.removeItem(STORAGE_KEY);
         this.notifySubscribers('*', this.state, oldState);
     }
 
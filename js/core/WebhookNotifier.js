@@ -0,0 +1,481 @@
+/**
+ * WebhookNotifier - 以 Webhook 發送告警
+ *
+ * 將選定的告警事件 POST 到設定的 URL，讓團隊在 Discord / Slack 等處收到告警：
+ * - agent-offline / agent-error：Agent 狀態轉為離線 / 錯誤（AGENT_STATUS_CHANGED）
+ * - quota-critical：配額進入嚴重不足（AlertManager 的 ALERT_CHANGED）
+ * - task-completed：任務完成（任一 Agent 出現新完成的任務，AGENT_TASK_COMPLETED）
+ * 每個 Webhook 可選 Discord、Slack 或通用 JSON 格式。發送失敗（網路錯誤、429、5xx）時
+ * 以指數退避重試，每次發送記錄在發送記錄中，最終失敗時通知並可手動重試。
+ * Webhook 設定與發送記錄保存在 localStorage。
+ *
+ * 瀏覽器直接發送，目標須允許跨域請求（Discord Webhook 支援；Slack Incoming Webhook 需經轉發服務）。
+ *
+ * @example
+ * WebhookNotifier.save({ name: '團隊頻道', url: 'https://discord.com/api/webhooks/...', format: 'discord', events: ['agent-offline'] });
+ * WebhookNotifier.sendTest(webhook.id);
+ */
+
+import EventBus, { Events } from './EventBus.js';
+import StateManager from './StateManager.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_webhooks';
+
+// 保留的發送記錄條數
+const MAX_LOG = 100;
+
+// 最多嘗試次數（含第一次）與退避基數：2s、4s、8s…，最長 60s
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60 * 1000;
+
+// 單次請求逾時
+const REQUEST_TIMEOUT = 10 * 1000;
+
+/**
+ * 可發送的事件
+ */
+export const WEBHOOK_EVENTS = {
+    'agent-offline': { label: 'Agent 離線' },
+    'agent-error': { label: 'Agent 錯誤' },
+    'quota-critical': { label: '配額嚴重不足' },
+    'task-completed': { label: '任務完成' }
+};
+
+// 各嚴重程度在 Discord embed 中的顏色
+const SEVERITY_COLORS = {
+    critical: 0xEF4444,
+    warning: 0xF59E0B,
+    success: 0x22C55E,
+    info: 0x3B82F6
+};
+
+/**
+ * 告警
+ * @typedef {Object} WebhookAlert
+ * @property {keyof WEBHOOK_EVENTS|'test'} event - 事件
+ * @property {string} title - 標題
+ * @property {string} message - 內容
+ * @property {'critical'|'warning'|'success'|'info'} severity - 嚴重程度
+ * @property {string|null} agentId - Agent ID，單 Agent 佈局為 null
+ * @property {number} at - 時間戳
+ */
+
+/**
+ * 請求內容的格式
+ */
+export const WEBHOOK_FORMATS = {
+    discord: {
+        label: 'Discord',
+        build: (alert) => ({
+            username: 'OpenClaw Dashboard',
+            embeds: [{
+                title: alert.title,
+                description: alert.message,
+                color: SEVERITY_COLORS[alert.severity],
+                timestamp: new Date(alert.at).toISOString(),
+                footer: { text: alert.event }
+            }]
+        })
+    },
+    slack: {
+        label: 'Slack',
+        build: (alert) => ({
+            text: `${alert.title}：${alert.message}`,
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: alert.title } },
+                { type: 'section', text: { type: 'mrkdwn', text: alert.message } },
+                {
+                    type: 'context',
+                    elements: [{ type: 'mrkdwn', text: `${alert.event} · <!date^${Math.floor(alert.at / 1000)}^{date_short} {time}|${new Date(alert.at).toISOString()}>` }]
+                }
+            ]
+        })
+    },
+    json: {
+        label: '通用 JSON',
+        build: (alert) => ({ ...alert, timestamp: new Date(alert.at).toISOString() })
+    }
+};
+
+/**
+ * Webhook 設定
+ * @typedef {Object} Webhook
+ * @property {string} id - ID
+ * @property {string} name - 名稱
+ * @property {string} url - 目標 URL
+ * @property {keyof WEBHOOK_FORMATS} format - 請求內容格式
+ * @property {(keyof WEBHOOK_EVENTS)[]} events - 發送的事件
+ * @property {boolean} enabled - 是否啟用
+ */
+
+/**
+ * 發送記錄
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - 記錄 ID
+ * @property {string} webhookId - Webhook ID
+ * @property {string} webhookName - Webhook 名稱（刪除後仍可辨識）
+ * @property {string} event - 事件
+ * @property {string} title - 告警標題
+ * @property {'pending'|'retrying'|'delivered'|'failed'} status - 狀態
+ * @property {number} attempts - 已嘗試次數
+ * @property {number|null} httpStatus - 最後一次的 HTTP 狀態碼
+ * @property {string|null} error - 最後一次的錯誤
+ * @property {number|null} nextAttemptAt - 下次重試時間
+ * @property {string} body - 請求內容（供手動重試）
+ * @property {number} at - 建立時間
+ * @property {number} updatedAt - 最後更新時間
+ */
+
+class WebhookNotifierClass {
+    constructor() {
+        const { webhooks, log } = this.load();
+        /** @type {Webhook[]} */
+        this.webhooks = webhooks;
+        /** @type {WebhookDelivery[]} 最新在前 */
+        this.log = log;
+
+        this.unsubscribers = [];
+        this.retryTimers = new Map();
+        this.idCounter = 0;
+        // 可替換的請求與計時函數（測試用）
+        this.fetch = (...args) => window.fetch(...args);
+        this.setTimeout = (...args) => setTimeout(...args);
+
+        /** @type {Map<string|null, string>} 各 Agent 上次的狀態 */
+        this.agentStates = new Map();
+    }
+
+    /**
+     * 從 localStorage 載入設定與發送記錄；重新載入前未完成的重試視為失敗
+     * @returns {{webhooks: Webhook[], log: WebhookDelivery[]}}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            return {
+                webhooks: saved?.webhooks || [],
+                log: (saved?.log || []).map(entry => (entry.status === 'pending' || entry.status === 'retrying'
+                    ? { ...entry, status: 'failed', error: entry.error || '頁面重新載入，未完成發送', nextAttemptAt: null }
+                    : entry))
+            };
+        } catch (error) {
+            console.warn('WebhookNotifier: Failed to load webhooks', error);
+            return { webhooks: [], log: [] };
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ webhooks: this.webhooks, log: this.log }));
+        } catch (error) {
+            console.warn('WebhookNotifier: Failed to persist webhooks', error);
+        }
+    }
+
+    /**
+     * 開始監聽告警事件（在初始數據載入後呼叫，首次看到的狀態只作為基準）
+     */
+    init() {
+        this.destroy();
+
+        this.unsubscribers.push(
+            EventBus.on(Events.AGENT_STATUS_CHANGED, ({ agentId, state }) => this.observeAgentState(agentId ?? null, state))
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.ALERT_CHANGED, (transition) => this.observeAlert(transition))
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.AGENT_TASK_COMPLETED, ({ agentId, task }) => this.observeTask(agentId ?? null, task))
+        );
+    }
+
+    // ==================== 事件來源 ====================
+
+    observeAgentState(agentId, state) {
+        const previous = this.agentStates.get(agentId);
+        this.agentStates.set(agentId, state);
+        if (previous === undefined || previous === state) return;
+
+        const name = this.agentName(agentId);
+        if (state === 'offline') {
+            this.dispatch({ event: 'agent-offline', title: `${name} 離線`, message: `${name} 的心跳已逾時`, severity: 'critical', agentId });
+        } else if (state === 'error') {
+            this.dispatch({ event: 'agent-error', title: `${name} 錯誤`, message: `${name} 回報錯誤狀態`, severity: 'critical', agentId });
+        }
+    }
+
+    observeAlert({ key, state, value, notify }) {
+        if (!key.startsWith('quota:') || state !== 'critical' || !notify) return;
+
+        // 鍵為 'quota:<agentId>'，單 Agent 佈局為 'quota:default'
+        const id = key.slice('quota:'.length);
+        const agentId = id === 'default' ? null : id;
+        const name = this.agentName(agentId);
+        this.dispatch({
+            event: 'quota-critical',
+            title: `${name} 配額嚴重不足`,
+            message: `剩餘配額 ${value}%`,
+            severity: 'critical',
+            agentId
+        });
+    }
+
+    observeTask(agentId, task) {
+        const name = this.agentName(agentId);
+        this.dispatch({
+            event: 'task-completed',
+            title: `${name} 完成任務`,
+            message: task.title || task.id,
+            severity: 'success',
+            agentId
+        });
+    }
+
+    agentName(agentId) {
+        const agent = StateManager.get('fleet.agents', []).find(entry => entry.id === agentId);
+        return agent?.name || StateManager.get('agent.name') || 'Agent';
+    }
+
+    // ==================== 發送 ====================
+
+    /**
+     * 發送告警到訂閱該事件的已啟用 Webhook
+     * @param {Omit<WebhookAlert, 'at'>} alert - 告警
+     * @param {number} [at=Date.now()] - 時間戳
+     */
+    dispatch(alert, at = Date.now()) {
+        this.webhooks
+            .filter(webhook => webhook.enabled && webhook.events.includes(alert.event))
+            .forEach(webhook => this.deliver(webhook, { ...alert, at }));
+    }
+
+    /**
+     * 以目前設定發送測試告警
+     * @param {string} id - Webhook ID
+     * @returns {Promise<WebhookDelivery>|null}
+     */
+    sendTest(id) {
+        const webhook = this.webhooks.find(entry => entry.id === id);
+        if (!webhook) return null;
+
+        return this.deliver(webhook, {
+            event: 'test',
+            title: '[測試] OpenClaw Dashboard',
+            message: `Webhook「${webhook.name}」設定正確`,
+            severity: 'info',
+            agentId: null,
+            at: Date.now()
+        });
+    }
+
+    /**
+     * 建立發送記錄並發送
+     * @param {Webhook} webhook - Webhook
+     * @param {WebhookAlert} alert - 告警
+     * @returns {Promise<WebhookDelivery>} 第一次嘗試完成後的記錄
+     */
+    deliver(webhook, alert) {
+        const entry = {
+            id: `delivery-${alert.at}-${++this.idCounter}`,
+            webhookId: webhook.id,
+            webhookName: webhook.name,
+            event: alert.event,
+            title: alert.title,
+            status: 'pending',
+            attempts: 0,
+            httpStatus: null,
+            error: null,
+            nextAttemptAt: null,
+            body: JSON.stringify((WEBHOOK_FORMATS[webhook.format] || WEBHOOK_FORMATS.json).build(alert)),
+            at: alert.at,
+            updatedAt: alert.at
+        };
+
+        this.log = [entry, ...this.log].slice(0, MAX_LOG);
+        this.commitLog(entry);
+        return this.attempt(entry, webhook.url);
+    }
+
+    /**
+     * 手動重試失敗的發送（使用 Webhook 目前的 URL）
+     * @param {string} id - 記錄 ID
+     * @returns {Promise<WebhookDelivery>|null}
+     */
+    retry(id) {
+        const entry = this.log.find(item => item.id === id);
+        const webhook = entry && this.webhooks.find(item => item.id === entry.webhookId);
+        if (!webhook || entry.status !== 'failed') return null;
+
+        Object.assign(entry, { status: 'pending', attempts: 0, error: null, httpStatus: null, updatedAt: Date.now() });
+        this.commitLog(entry);
+        return this.attempt(entry, webhook.url);
+    }
+
+    /**
+     * 嘗試發送一次，可重試的失敗安排下一次嘗試
+     * @param {WebhookDelivery} entry - 發送記錄
+     * @param {string} url - 目標 URL
+     * @returns {Promise<WebhookDelivery>}
+     */
+    async attempt(entry, url) {
+        entry.attempts += 1;
+        let retryable = false;
+        let retryAfter = null;
+
+        try {
+            const response = await this.fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: entry.body,
+                signal: AbortSignal.timeout?.(REQUEST_TIMEOUT)
+            });
+            entry.httpStatus = response.status;
+
+            if (response.ok) {
+                entry.status = 'delivered';
+                entry.error = null;
+            } else {
+                entry.error = `HTTP ${response.status}`;
+                retryable = response.status === 429 || response.status >= 500;
+                retryAfter = Number(response.headers?.get('Retry-After')) * 1000 || null;
+            }
+        } catch (error) {
+            entry.httpStatus = null;
+            entry.error = error.message || String(error);
+            retryable = true;
+        }
+
+        if (entry.status !== 'delivered') {
+            if (retryable && entry.attempts < MAX_ATTEMPTS) {
+                const delay = Math.min(retryAfter ?? RETRY_BASE_DELAY * 2 ** (entry.attempts - 1), RETRY_MAX_DELAY);
+                entry.status = 'retrying';
+                entry.nextAttemptAt = Date.now() + delay;
+                this.retryTimers.set(entry.id, this.setTimeout(() => {
+                    this.retryTimers.delete(entry.id);
+                    this.attempt(entry, url);
+                }, delay));
+            } else {
+                entry.status = 'failed';
+                entry.nextAttemptAt = null;
+                this.notifyFailure(entry);
+            }
+        } else {
+            entry.nextAttemptAt = null;
+        }
+
+        entry.updatedAt = Date.now();
+        this.commitLog(entry);
+        return entry;
+    }
+
+    notifyFailure(entry) {
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: 'error',
+            title: `Webhook「${entry.webhookName}」發送失敗`,
+            message: `${entry.title}（嘗試 ${entry.attempts} 次：${entry.error}）`,
+            source: 'webhook',
+            actions: [{ label: '重試', icon: 'rotate-cw', callback: () => this.retry(entry.id) }]
+        });
+    }
+
+    // ==================== 設定 ====================
+
+    /**
+     * @returns {Webhook[]}
+     */
+    getWebhooks() {
+        return this.webhooks;
+    }
+
+    /**
+     * @param {string} [webhookId] - 只列出某個 Webhook 的記錄
+     * @returns {WebhookDelivery[]}
+     */
+    getLog(webhookId) {
+        return webhookId ? this.log.filter(entry => entry.webhookId === webhookId) : this.log;
+    }
+
+    /**
+     * 新增或更新 Webhook
+     * @param {Partial<Webhook>} webhook - Webhook，有 id 時為更新
+     * @returns {Webhook}
+     */
+    save(webhook) {
+        const saved = {
+            format: 'discord',
+            events: Object.keys(WEBHOOK_EVENTS),
+            enabled: true,
+            ...webhook,
+            id: webhook.id || `webhook-${Date.now()}-${++this.idCounter}`
+        };
+
+        const index = this.webhooks.findIndex(entry => entry.id === saved.id);
+        if (index === -1) {
+            this.webhooks.push(saved);
+        } else {
+            this.webhooks[index] = saved;
+        }
+
+        this.commit();
+        return saved;
+    }
+
+    /**
+     * 切換啟用
+     * @param {string} id - Webhook ID
+     */
+    toggle(id) {
+        const webhook = this.webhooks.find(entry => entry.id === id);
+        if (!webhook) return;
+
+        webhook.enabled = !webhook.enabled;
+        this.commit();
+    }
+
+    /**
+     * 刪除 Webhook（保留其發送記錄）
+     * @param {string} id - Webhook ID
+     */
+    remove(id) {
+        this.webhooks = this.webhooks.filter(webhook => webhook.id !== id);
+        this.commit();
+    }
+
+    clearLog() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        this.log = [];
+        this.commitLog(null);
+    }
+
+    /**
+     * 保存設定並通知介面
+     */
+    commit() {
+        this.persist();
+        EventBus.emit(Events.WEBHOOKS_UPDATED, { webhooks: this.webhooks });
+    }
+
+    /**
+     * 保存發送記錄並通知介面
+     * @param {WebhookDelivery|null} entry - 變化的記錄
+     */
+    commitLog(entry) {
+        this.persist();
+        EventBus.emit(Events.WEBHOOK_DELIVERY, { entry });
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+        this.unsubscribers = [];
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+    }
+}
+
+// 單例導出
+const WebhookNotifier = new WebhookNotifierClass();
+export default WebhookNotifier;
@@ -7,14 +7,29 @@
 import EventBus, { Events } from './core/EventBus.js';
 import ModuleRegistry from './core/ModuleRegistry.js';
 import StateManager from './core/StateManager.js';
+import RulesEngine from './core/RulesEngine.js';
+import DesktopNotifier from './core/DesktopNotifier.js';
+import QuietHours from './core/QuietHours.js';
+import WebhookNotifier from './core/WebhookNotifier.js';
 import ApiClient from './api/ApiClient.js';
 
 // 導入模塊
 import SidebarModule from './modules/SidebarModule.js';
+import FleetModule from './modules/FleetModule.js';
 import TasksModule from './modules/TasksModule.js';
 import LearningModule from './modules/LearningModule.js';
 import InfoPanelModule from './modules/InfoPanelModule.js';
 import NotificationModule from './modules/NotificationModule.js';
+import ConnectionBannerModule from './modules/ConnectionBannerModule.js';
+import DiagnosticsModule from './modules/DiagnosticsModule.js';
+import CommandHistoryModule from './modules/CommandHistoryModule.js';
+import BalancesModule from './modules/BalancesModule.js';
+import LogViewerModule from './modules/LogViewerModule.js';
+import UsageChartModule from './modules/UsageChartModule.js';
+import AlertRulesModule from './modules/AlertRulesModule.js';
+import WebhooksModule from './modules/WebhooksModule.js';
+import NotificationCenterModule from './modules/NotificationCenterModule.js';
+import { escapeHtml } from './utils/html.js';
 
 /**
  * Dashboard 應用程式類
@@ -31,8 +46,16 @@ class DashboardApp {
         console.log('🚀 OpenClaw Dashboard initializing...');
 
         try {
-            // 1. 初始化 API 客戶端 (Firebase Realtime Database)
+            // 1. 初始化 API 客戶端（數據源由 config.js 或 URL 參數決定）
+            const userConfig = await this.loadUserConfig();
             ApiClient.init({
+                dataSource: {
+                    type: userConfig.dataSourceConfig?.type,
+                    options: {
+                        firebaseConfig: userConfig.default,
+                        ...userConfig.dataSourceConfig?.options
+                    }
+                },
                 heartbeatTimeout: 60000,
                 logsLimit: 200
             });
@@ -52,6 +75,12 @@ class DashboardApp {
             // 6. 載入初始數據
             await ApiClient.refreshAll();
 
+            // 開始評估告警規則（在初始數據載入後，避免以初始狀態誤判）
+            RulesEngine.init();
+            DesktopNotifier.init();
+            QuietHours.init();
+            WebhookNotifier.init();
+
             // 7. 隱藏載入畫面
             this.hideLoadingScreen();
 
@@ -67,6 +96,19 @@ class DashboardApp {
         }
     }
 
+    /**
+     * 載入可選的 js/config.js（不存在時使用默認配置）
+     * @returns {Promise<Object>}
+     */
+    async loadUserConfig() {
+        try {
+            return await import('./config.js');
+        } catch (error) {
+            console.warn('⚠️ js/config.js not found, using default configuration');
+            return {};
+        }
+    }
+
     /**
      * 註冊所有模塊
      */
@@ -77,6 +119,13 @@ class DashboardApp {
             priority: 100
         });
 
+        // 連線狀態橫幅
+        ModuleRegistry.register('connectionBanner', ConnectionBannerModule, {
+            name: '連線狀態',
+            container: '#connection-banner-container',
+            priority: 90
+        });
+
         // 左側邊欄
         ModuleRegistry.register('sidebar', SidebarModule, {
             name: '側邊欄',
@@ -84,6 +133,13 @@ class DashboardApp {
             priority: 50
         });
 
+        // Agent 總覽（多 Agent 時顯示）
+        ModuleRegistry.register('fleet', FleetModule, {
+            name: 'Agent 總覽',
+            container: '#fleet-container',
+            priority: 45
+        });
+
         // 任務模塊
         ModuleRegistry.register('tasks', TasksModule, {
             name: '任務列表',
@@ -104,6 +160,62 @@ class DashboardApp {
             container: '#info-panel-container',
             priority: 20
         });
+
+        // API 餘額（位於資訊面板內）
+        ModuleRegistry.register('balances', BalancesModule, {
+            name: 'API 餘額',
+            container: '#balances-container',
+            priority: 17
+        });
+
+        // 指令記錄（位於資訊面板內）
+        ModuleRegistry.register('commandHistory', CommandHistoryModule, {
+            name: '指令記錄',
+            container: '#command-history-container',
+            priority: 16
+        });
+
+        // 告警規則（位於資訊面板內）
+        ModuleRegistry.register('alertRules', AlertRulesModule, {
+            name: '告警規則',
+            container: '#alert-rules-container',
+            priority: 14
+        });
+
+        // Webhook（位於資訊面板內）
+        ModuleRegistry.register('webhooks', WebhooksModule, {
+            name: 'Webhook',
+            container: '#webhooks-container',
+            priority: 13
+        });
+
+        // 數據診斷（位於資訊面板內）
+        ModuleRegistry.register('diagnostics', DiagnosticsModule, {
+            name: '數據診斷',
+            container: '#diagnostics-container',
+            priority: 15
+        });
+
+        // 日誌瀏覽器（按需打開）
+        ModuleRegistry.register('logViewer', LogViewerModule, {
+            name: '日誌瀏覽',
+            container: '#log-viewer-container',
+            priority: 10
+        });
+
+        // 使用量圖表（按需打開）
+        ModuleRegistry.register('usageChart', UsageChartModule, {
+            name: '使用量圖表',
+            container: '#usage-chart-container',
+            priority: 9
+        });
+
+        // 通知中心（按需打開）
+        ModuleRegistry.register('notificationCenter', NotificationCenterModule, {
+            name: '通知中心',
+            container: '#notification-center-container',
+            priority: 8
+        });
     }
 
     /**
@@ -118,6 +230,9 @@ class DashboardApp {
                 
                 <!-- 中央主區塊 -->
                 <main class="main-content">
+                    <!-- 連線狀態橫幅容器 -->
+                    <div id="connection-banner-container"></div>
+
                     <div class="main-content__header">
                         <div class="mobile-header">
                             <button class="btn btn--icon btn--ghost mobile-menu-toggle" id="mobile-menu-btn">
@@ -129,6 +244,9 @@ class DashboardApp {
                             </button>
                         </div>
                     </div>
+
+                    <!-- Agent 總覽容器 -->
+                    <div id="fleet-container"></div>
                     
                     <div class="main-content__grid">
                         <!-- 任務模塊容器 -->
@@ -142,6 +260,15 @@ class DashboardApp {
                 <!-- 右側資訊欄容器 -->
                 <div id="info-panel-container"></div>
             </div>
+
+            <!-- 日誌瀏覽器容器 -->
+            <div id="log-viewer-container"></div>
+
+            <!-- 使用量圖表容器 -->
+            <div id="usage-chart-container"></div>
+
+            <!-- 通知中心容器 -->
+            <div id="notification-center-container"></div>
             
             <!-- 手機選單按鈕 -->
             <button class="mobile-menu-btn" id="mobile-fab">
@@ -236,9 +363,33 @@ class DashboardApp {
         // 監聽模態框事件
         EventBus.on('ui:show-modal', (options) => this.showModal(options));
 
+        // 定位到指定面板（如點擊桌面通知後）
+        EventBus.on(Events.UI_PANEL_FOCUS, ({ panel }) => {
+            const target = document.getElementById(panel);
+            if (!target) return;
+
+            // 手機版資訊欄預設收起
+            if (infoPanel?.contains(target) && !infoPanel.classList.contains('info-panel--visible')) {
+                toggleInfoPanel();
+            }
+
+            const card = target.closest('.info-card') || target;
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('info-card--focused');
+            const onAnimationEnd = (e) => {
+                // 忽略卡片內元素冒泡上來的動畫事件（因此不用 { once: true }）
+                if (e.target !== card) return;
+                card.classList.remove('info-card--focused');
+                card.removeEventListener('animationend', onAnimationEnd);
+            };
+            card.addEventListener('animationend', onAnimationEnd);
+        });
+
         // 監聯可見性變化（標籤頁切換時暫停/恢復刷新）
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
+                // 開啟背景提醒時需繼續刷新，才能在分頁隱藏期間發現問題
+                if (DesktopNotifier.isActive()) return;
                 ApiClient.stopAutoRefresh();
             } else {
                 ApiClient.startAutoRefresh();
@@ -336,7 +487,7 @@ class DashboardApp {
             <div class="error-screen">
                 <i data-lucide="alert-triangle" class="error-screen__icon"></i>
                 <h2>載入失敗</h2>
-                <p>${error.message}</p>
+                <p>${escapeHtml(error.message)}</p>
                 <button class="btn btn--primary" onclick="location.reload()">
                     重新載入
                 </button>
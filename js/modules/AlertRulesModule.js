@@ -0,0 +1,321 @@
+/**
+ * AlertRulesModule - 告警規則模塊
+ *
+ * 列出 RulesEngine 的規則及其執行狀態（正常 / 條件成立中 / 觸發中），
+ * 可新增、編輯、刪除、靜音規則，並以目前狀態測試規則。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import RulesEngine, { OPERATORS, SEVERITIES, describeCondition, parseRuleValue } from '../core/RulesEngine.js';
+import { escapeHtml } from '../utils/html.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 各執行狀態的顯示方式
+ */
+const STATUS_DISPLAY = {
+    ok: { label: '正常', badge: 'badge--success' },
+    pending: { label: '條件成立中', badge: 'badge--info' },
+    firing: { label: '觸發中', badge: 'badge--danger' }
+};
+
+// 編輯表單中建議的路徑
+const SUGGESTED_PATHS = [
+    'agent.status',
+    'agent.quotaRemaining',
+    'agent.tokenUsage',
+    'agent.isOnline',
+    'tasks.completed.length',
+    'tasks.pending.length',
+    'tasks.inProgress.length',
+    'connection.status',
+    'diagnostics.issues.length'
+];
+
+class AlertRulesModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            EventBus.on(Events.ALERT_RULE_CHANGED, () => this.update())
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.ALERT_RULES_UPDATED, () => this.update())
+        );
+    }
+
+    render() {
+        return `
+            <div class="info-card alert-rules" id="alert-rules">
+                ${this.renderContent()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染卡片內容
+     */
+    renderContent() {
+        const rules = RulesEngine.getRules();
+        const firing = rules.filter(rule => RulesEngine.getStatus(rule.id).status === 'firing');
+
+        return `
+            <div class="info-card__header">
+                <i data-lucide="siren" width="18" height="18"></i>
+                <span>告警規則</span>
+                ${firing.length > 0 ? `<span class="badge badge--danger">${firing.length} 觸發中</span>` : ''}
+                <button class="btn btn--ghost btn--small alert-rules__add" data-rule-action="create" title="新增規則">
+                    <i data-lucide="plus" width="14" height="14"></i>
+                    新增
+                </button>
+            </div>
+            <div class="info-card__body">
+                ${rules.length === 0 ? `
+                    <p class="text-muted">尚未設定規則</p>
+                ` : `
+                    <ul class="alert-rules__list">
+                        ${rules.map(rule => this.renderRule(rule)).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    renderRule(rule) {
+        const { status, since } = RulesEngine.getStatus(rule.id);
+        const display = STATUS_DISPLAY[status];
+        const severity = SEVERITIES[rule.severity] || SEVERITIES.warning;
+
+        return `
+            <li class="alert-rules__item alert-rules__item--${status} ${rule.muted ? 'alert-rules__item--muted' : ''}" data-rule-id="${rule.id}">
+                <div class="alert-rules__meta">
+                    <span class="alert-rules__name">${escapeHtml(rule.name)}</span>
+                    <span class="badge ${display.badge}"
+                          ${since ? `title="條件自 ${this.formatTime(since)} 起成立"` : ''}>${display.label}</span>
+                </div>
+                <div class="alert-rules__condition text-muted text-mono">${escapeHtml(describeCondition(rule))}</div>
+                <div class="alert-rules__actions">
+                    <span class="alert-rules__severity alert-rules__severity--${rule.severity}">${severity.label}</span>
+                    <button class="btn btn--icon btn--ghost" data-rule-action="test" title="以目前狀態測試">
+                        <i data-lucide="flask-conical" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-rule-action="mute" title="${rule.muted ? '取消靜音' : '靜音'}"
+                            aria-pressed="${rule.muted}">
+                        <i data-lucide="${rule.muted ? 'bell-off' : 'bell'}" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-rule-action="edit" title="編輯">
+                        <i data-lucide="pencil" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-rule-action="delete" title="刪除">
+                        <i data-lucide="trash-2" width="14" height="14"></i>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 處理規則操作
+     * @param {string} action - 操作
+     * @param {Object|null} rule - 規則（新增時為 null）
+     */
+    handleAction(action, rule) {
+        switch (action) {
+            case 'create':
+                this.showRuleDialog();
+                break;
+            case 'edit':
+                this.showRuleDialog(rule);
+                break;
+            case 'test':
+                RulesEngine.test(rule);
+                break;
+            case 'mute':
+                RulesEngine.toggleMute(rule.id);
+                break;
+            case 'delete':
+                this.showDeleteDialog(rule);
+                break;
+        }
+    }
+
+    /**
+     * 顯示新增/編輯對話框
+     * @param {Object} [rule] - 要編輯的規則，不傳則為新增
+     */
+    showRuleDialog(rule = null) {
+        const isEdit = Boolean(rule);
+        const operator = rule?.operator || '==';
+        const severity = rule?.severity || 'warning';
+
+        EventBus.emit('ui:show-modal', {
+            title: isEdit ? '編輯告警規則' : '新增告警規則',
+            content: `
+                <form id="alert-rule-form">
+                    <div class="form-group">
+                        <label for="alert-rule-name">名稱</label>
+                        <input type="text" id="alert-rule-name" class="input" required
+                               value="${escapeHtml(rule?.name || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="alert-rule-path">狀態路徑</label>
+                        <input type="text" id="alert-rule-path" class="input text-mono" required list="alert-rule-paths"
+                               placeholder="如：agent.status" value="${escapeHtml(rule?.path || '')}">
+                        <datalist id="alert-rule-paths">
+                            ${SUGGESTED_PATHS.map(path => `<option value="${path}"></option>`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="alert-rules__form-row">
+                        <div class="form-group">
+                            <label for="alert-rule-operator">條件</label>
+                            <select id="alert-rule-operator" class="input">
+                                ${Object.entries(OPERATORS).map(([key, { label }]) => `
+                                    <option value="${key}" ${key === operator ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="alert-rule-value">值</label>
+                            <input type="text" id="alert-rule-value" class="input text-mono" placeholder="如：offline、50000"
+                                   value="${escapeHtml(rule?.value === undefined ? '' : String(rule.value))}">
+                        </div>
+                    </div>
+                    <div class="alert-rules__form-row">
+                        <div class="form-group">
+                            <label for="alert-rule-duration">持續時長 / 窗口（分鐘）</label>
+                            <input type="number" id="alert-rule-duration" class="input" min="0" step="1"
+                                   value="${rule ? Math.round(rule.duration / MINUTE) : 0}">
+                        </div>
+                        <div class="form-group">
+                            <label for="alert-rule-severity">嚴重程度</label>
+                            <select id="alert-rule-severity" class="input">
+                                ${Object.entries(SEVERITIES).map(([key, { label }]) => `
+                                    <option value="${key}" ${key === severity ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <p class="alert-rules__form-error text-danger" id="alert-rule-error" hidden></p>
+                </form>
+            `,
+            actions: [
+                { label: '取消', type: 'secondary', action: 'close' },
+                { label: isEdit ? '保存' : '新增', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                const form = document.getElementById('alert-rule-form');
+                const data = {
+                    ...rule,
+                    name: form.querySelector('#alert-rule-name').value.trim(),
+                    path: form.querySelector('#alert-rule-path').value.trim(),
+                    operator: form.querySelector('#alert-rule-operator').value,
+                    value: parseRuleValue(form.querySelector('#alert-rule-value').value),
+                    duration: Math.max(0, Number(form.querySelector('#alert-rule-duration').value) || 0) * MINUTE,
+                    severity: form.querySelector('#alert-rule-severity').value
+                };
+                if (!OPERATORS[data.operator].needsValue) {
+                    delete data.value;
+                }
+
+                const error = this.validate(data);
+                if (error) {
+                    const errorElement = document.getElementById('alert-rule-error');
+                    errorElement.textContent = error;
+                    errorElement.hidden = false;
+                    return false;
+                }
+
+                RulesEngine.save(data);
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'success',
+                    message: isEdit ? '告警規則已更新' : '告警規則已新增'
+                });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * 檢查表單輸入
+     * @param {Object} data - 規則
+     * @returns {string|null} 錯誤訊息
+     */
+    validate(data) {
+        const operator = OPERATORS[data.operator];
+
+        if (!data.name) return '請輸入名稱';
+        if (!/^[\w$]+(\.[\w$]+)*$/.test(data.path)) return '狀態路徑格式不正確，如：agent.status';
+        if (operator.needsValue && data.value === '') return '請輸入比較值';
+        if (operator.numeric && !Number.isFinite(data.value)) return `「${operator.label}」的值必須是數字`;
+        if ((data.operator === 'increase' || data.operator === 'unchanged') && data.duration === 0) {
+            return '此條件需要設定窗口時長';
+        }
+        return null;
+    }
+
+    /**
+     * 顯示刪除確認對話框
+     * @param {Object} rule - 要刪除的規則
+     */
+    showDeleteDialog(rule) {
+        EventBus.emit('ui:show-modal', {
+            title: '刪除告警規則',
+            content: `<p>確定要刪除「${escapeHtml(rule.name)}」嗎？</p>`,
+            actions: [
+                { label: '取消', type: 'secondary', action: 'close' },
+                { label: '刪除', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                RulesEngine.remove(rule.id);
+                return true;
+            }
+        });
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    afterRender() {
+        this.container = document.getElementById('alert-rules');
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (!button) return;
+
+            const ruleId = button.closest('[data-rule-id]')?.dataset.ruleId;
+            const rule = RulesEngine.getRules().find(entry => entry.id === ruleId) || null;
+            this.handleAction(button.dataset.ruleAction, rule);
+        });
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderContent();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default AlertRulesModule;
@@ -0,0 +1,191 @@
+/**
+ * BalancesModule - API 餘額模塊
+ *
+ * 每個供應商一張餘額卡片：剩餘額度、門檻等級、消耗速度與預估可用天數。
+ * 可用天數由 BalanceHistory 依實際取樣的消耗速度計算，
+ * 取樣不足時才顯示數據源回報的 estimatedDaysLeft。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import BalanceHistory, { levelOf, percentOf } from '../api/BalanceHistory.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 各等級的顯示方式
+ */
+const LEVEL_DISPLAY = {
+    normal: { label: '✓ 正常', badge: 'badge--success', progress: '' },
+    warning: { label: '⚠️ 警告', badge: 'badge--warning', progress: 'progress--warning' },
+    critical: { label: '⚠️ 危險', badge: 'badge--danger', progress: 'progress--danger' },
+    unknown: { label: '未回報總額', badge: 'badge--info', progress: '' }
+};
+
+class BalancesModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            StateManager.subscribe('api.balances', () => this.update())
+        );
+
+        // 門檻設定
+        this.unsubscribers.push(
+            StateManager.subscribe('config', () => this.update())
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.API_BALANCE_WARNING, (data) => this.notifyWarning(data))
+        );
+    }
+
+    render() {
+        return `
+            <div class="info-card balances" id="balances">
+                ${this.renderContent()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染卡片內容
+     */
+    renderContent() {
+        const balances = StateManager.get('api.balances', []);
+
+        return `
+            <div class="info-card__header">
+                <i data-lucide="wallet" width="18" height="18"></i>
+                <span>API 餘額</span>
+            </div>
+            <div class="info-card__body">
+                ${balances.length === 0
+                    ? '<p class="text-muted">暫無餘額數據</p>'
+                    : balances.map(balance => this.renderBalance(balance)).join('')}
+            </div>
+        `;
+    }
+
+    renderBalance(balance) {
+        const thresholds = {
+            warning: StateManager.get('config.balanceWarningThreshold'),
+            critical: StateManager.get('config.balanceCriticalThreshold')
+        };
+        const level = LEVEL_DISPLAY[levelOf(balance, thresholds)];
+        const percent = percentOf(balance);
+        const forecast = BalanceHistory.getForecast(balance.provider, balance.remaining);
+
+        return `
+            <div class="balance-item">
+                <div class="balance-item__header">
+                    <span class="balance-item__provider">${escapeHtml(balance.provider)}</span>
+                    <span class="badge ${level.badge}">${level.label}</span>
+                </div>
+                <div class="balance-item__amount">
+                    ${this.formatMoney(balance.remaining)}
+                    ${balance.total ? `<span class="balance-item__total text-muted">/ ${this.formatMoney(balance.total)}</span>` : ''}
+                </div>
+                ${percent !== null ? `
+                    <div class="progress ${level.progress}">
+                        <div class="progress__bar" style="width: ${Math.min(100, percent)}%"></div>
+                    </div>
+                ` : ''}
+                <div class="balance-item__footer">
+                    <span class="text-muted">
+                        ${percent !== null ? `剩餘 ${Math.round(percent)}%` : ''}
+                        ${forecast.burnRate === null ? '' : ` · ${this.formatMoney(forecast.burnRate)}/日`}
+                    </span>
+                    ${this.renderDaysLeft(balance, forecast)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染預估可用時間：取樣足夠時依消耗速度，否則為回報值
+     * @param {Object} balance - APIBalance
+     * @param {import('../api/BalanceHistory.js').BalanceForecast} forecast - 預測
+     */
+    renderDaysLeft(balance, forecast) {
+        if (forecast.daysLeft === Infinity) {
+            return '<span class="text-mono" title="取樣期間沒有消耗">無消耗</span>';
+        }
+        if (forecast.daysLeft !== null) {
+            return `<span class="text-mono" title="依最近 ${this.formatSpan(forecast.span)} 的消耗估算">${this.formatDays(forecast.daysLeft)}</span>`;
+        }
+        if (Number.isFinite(balance.estimatedDaysLeft)) {
+            return `<span class="text-mono text-muted" title="取樣不足，顯示數據源回報的值">${this.formatDays(balance.estimatedDaysLeft)}（回報）</span>`;
+        }
+        return '<span class="text-mono text-muted" title="取樣不足">--</span>';
+    }
+
+    /**
+     * 通知餘額跨越門檻
+     * @param {Object} data - API_BALANCE_WARNING 負載
+     */
+    notifyWarning({ provider, level, percent, threshold }) {
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: level === 'critical' ? 'error' : 'warning',
+            title: `${provider} 餘額${level === 'critical' ? '嚴重不足' : '偏低'}`,
+            message: `剩餘 ${Math.round(percent)}%，低於 ${threshold}% 門檻`,
+            persistent: level === 'critical',
+            critical: level === 'critical',
+            source: 'balance',
+            target: 'balances'
+        });
+    }
+
+    formatMoney(value) {
+        return `$${value.toLocaleString('zh-TW', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * 格式化天數，不足一天時以小時顯示
+     * @param {number} days - 天數
+     * @returns {string}
+     */
+    formatDays(days) {
+        if (days < 1) return `約 ${Math.max(1, Math.round(days * 24))} 小時`;
+        return `約 ${days < 10 ? days.toFixed(1) : Math.round(days)} 天`;
+    }
+
+    /**
+     * 格式化取樣跨度
+     * @param {number} ms - 毫秒
+     * @returns {string}
+     */
+    formatSpan(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} 分鐘`;
+        return `${Math.round(minutes / 60)} 小時`;
+    }
+
+    afterRender() {
+        this.container = document.getElementById('balances');
+        if (!this.container) return;
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderContent();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default BalancesModule;
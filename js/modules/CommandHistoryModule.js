@@ -0,0 +1,165 @@
+/**
+ * CommandHistoryModule - 指令記錄模塊
+ *
+ * 列出發送給選中 Agent 的指令（見 CommandChannel）及其狀態：
+ * 已送出 → 已接收 → 完成 / 失敗，超過時限未回應時標記為逾時。
+ */
+
+import StateManager from '../core/StateManager.js';
+import { COMMAND_TYPES } from '../api/CommandChannel.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 顯示的指令條數
+const HISTORY_LIMIT = 10;
+
+/**
+ * 各狀態的顯示方式
+ */
+const PHASE_DISPLAY = {
+    pending: { label: '已送出', badge: 'badge--info' },
+    acked: { label: '已接收', badge: 'badge--info' },
+    done: { label: '完成', badge: 'badge--success' },
+    failed: { label: '失敗', badge: 'badge--danger' },
+    timeout: { label: '逾時', badge: 'badge--warning' }
+};
+
+class CommandHistoryModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            StateManager.subscribe('commands.items', () => this.update())
+        );
+
+        // 參數中的模型、任務名稱
+        this.unsubscribers.push(
+            StateManager.subscribe('models', () => this.update())
+        );
+    }
+
+    render() {
+        return `
+            <div class="info-card command-history" id="command-history">
+                ${this.renderContent()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染卡片內容
+     */
+    renderContent() {
+        const commands = StateManager.get('commands.items', []);
+        const inFlight = commands.filter(command => command.phase === 'pending' || command.phase === 'acked');
+
+        return `
+            <div class="info-card__header">
+                <i data-lucide="terminal-square" width="18" height="18"></i>
+                <span>指令記錄</span>
+                ${inFlight.length > 0 ? `<span class="badge badge--info">${inFlight.length} 進行中</span>` : ''}
+            </div>
+            <div class="info-card__body">
+                ${commands.length === 0 ? `
+                    <p class="text-muted">尚未發送指令</p>
+                ` : `
+                    <ul class="command-history__list">
+                        ${commands.slice(0, HISTORY_LIMIT).map(command => this.renderCommand(command)).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    renderCommand(command) {
+        const type = COMMAND_TYPES[command.type] || { label: command.type, icon: 'terminal' };
+        const phase = PHASE_DISPLAY[command.phase] || PHASE_DISPLAY.pending;
+        const args = this.describeArgs(command);
+
+        return `
+            <li class="command-history__item command-history__item--${command.phase}">
+                <div class="command-history__meta">
+                    <i data-lucide="${type.icon}" width="14" height="14"></i>
+                    <span class="command-history__type">${type.label}</span>
+                    ${args ? `<span class="command-history__args text-muted">${escapeHtml(args)}</span>` : ''}
+                    <span class="badge ${phase.badge} command-history__phase">${phase.label}</span>
+                </div>
+                <div class="command-history__timing text-muted text-mono">
+                    <span title="送出時間">${this.formatTime(command.createdAt)}</span>
+                    ${command.ackedAt ? `<span title="接收耗時">接收 +${this.formatLatency(command.ackedAt - command.createdAt)}</span>` : ''}
+                    ${command.completedAt ? `<span title="總耗時">完成 +${this.formatLatency(command.completedAt - command.createdAt)}</span>` : ''}
+                </div>
+                ${command.error ? `
+                    <div class="command-history__error text-danger">${escapeHtml(command.error)}</div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * 參數摘要：任務與模型盡量顯示名稱
+     * @param {Object} command - 指令
+     * @returns {string}
+     */
+    describeArgs(command) {
+        const args = command.args || {};
+
+        if (args.modelId) {
+            const models = [StateManager.get('models.current'), ...StateManager.get('models.fallbacks', [])];
+            const model = models.find(entry => entry?.id === args.modelId);
+            return `→ ${model?.name || args.modelId}`;
+        }
+        if (args.taskId) {
+            const tasks = StateManager.get('tasks', {});
+            const task = Object.values(tasks).flat().find(entry => entry?.id === args.taskId);
+            return task?.title || args.taskId;
+        }
+        return '';
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    /**
+     * 格式化耗時
+     * @param {number} ms - 毫秒
+     * @returns {string}
+     */
+    formatLatency(ms) {
+        if (ms < 1000) return `${Math.max(0, Math.round(ms))}ms`;
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    afterRender() {
+        this.container = document.getElementById('command-history');
+        if (!this.container) return;
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderContent();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default CommandHistoryModule;
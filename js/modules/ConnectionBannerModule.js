@@ -0,0 +1,106 @@
+/**
+ * ConnectionBannerModule - 連線狀態橫幅
+ *
+ * Dashboard 自身與數據源斷線時顯示橫幅，與 Agent 心跳狀態區分
+ */
+
+import StateManager from '../core/StateManager.js';
+
+class ConnectionBannerModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+        this.hideTimer = null;
+        this.wasDisconnected = false;
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            StateManager.subscribe('connection.status', () => this.update())
+        );
+    }
+
+    render() {
+        return `<div class="connection-banner-slot" id="connection-banner">${this.renderBanner()}</div>`;
+    }
+
+    /**
+     * 渲染橫幅內容（已連線時為空）
+     */
+    renderBanner() {
+        const connection = StateManager.get('connection', {});
+
+        switch (connection.status) {
+            case 'offline':
+                return this.renderContent('warning', 'wifi-off',
+                    'Dashboard 網路已斷線',
+                    `自 ${this.formatTime(connection.since)} 起暫停同步，Agent 狀態可能已過期`);
+            case 'reconnecting':
+                return this.renderContent('warning', 'refresh-cw',
+                    'Dashboard 與數據源斷線，正在重新連線…',
+                    `自 ${this.formatTime(connection.since)} 起，Agent 狀態暫停更新（並非 Agent 離線）`);
+            default:
+                return '';
+        }
+    }
+
+    renderContent(type, icon, title, detail) {
+        return `
+            <div class="connection-banner connection-banner--${type}" role="status">
+                <i data-lucide="${icon}" width="16" height="16"
+                   class="${icon === 'refresh-cw' ? 'animate-spin' : ''}"></i>
+                <div class="connection-banner__text">
+                    <strong>${title}</strong>
+                    <span>${detail}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    formatTime(timestamp) {
+        if (!timestamp) return '--:--';
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    afterRender() {
+        this.container = document.getElementById('connection-banner');
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        const { isConnected } = StateManager.get('connection', {});
+        clearTimeout(this.hideTimer);
+
+        if (isConnected && this.wasDisconnected) {
+            // 重新連線後短暫顯示恢復提示
+            this.container.innerHTML = this.renderContent('success', 'wifi', 'Dashboard 已重新連線', '數據同步已恢復');
+            this.hideTimer = setTimeout(() => {
+                this.container.innerHTML = this.renderBanner();
+            }, 3000);
+        } else {
+            this.container.innerHTML = this.renderBanner();
+        }
+
+        this.wasDisconnected = !isConnected && StateManager.get('connection.lastConnectedAt') !== null;
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.hideTimer);
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default ConnectionBannerModule;
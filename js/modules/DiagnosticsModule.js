@@ -0,0 +1,137 @@
+/**
+ * DiagnosticsModule - 數據診斷模塊
+ *
+ * 列出數據源負載中不符合結構的欄位（見 PayloadSchemas），
+ * 讓格式錯誤被看見，而不是被默默補成預設值。
+ */
+
+import StateManager from '../core/StateManager.js';
+import Diagnostics from '../api/Diagnostics.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 數據來源的顯示名稱
+ */
+const SOURCE_LABELS = {
+    status: '狀態',
+    logs: '日誌',
+    tasks: '任務',
+    balances: '餘額'
+};
+
+class DiagnosticsModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            StateManager.subscribe('diagnostics.issues', () => this.update())
+        );
+    }
+
+    render() {
+        return `
+            <div class="info-card diagnostics" id="diagnostics">
+                ${this.renderContent()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染卡片內容
+     */
+    renderContent() {
+        const issues = StateManager.get('diagnostics.issues', []);
+
+        return `
+            <div class="info-card__header">
+                <i data-lucide="stethoscope" width="18" height="18"></i>
+                <span>數據診斷</span>
+                ${issues.length > 0 ? `
+                    <span class="badge badge--warning">${issues.length}</span>
+                    <button class="btn btn--ghost btn--small diagnostics__clear" id="diagnostics-clear"
+                            title="清空診斷記錄">
+                        清空
+                    </button>
+                ` : ''}
+            </div>
+            <div class="info-card__body">
+                ${issues.length === 0 ? `
+                    <div class="diagnostics__empty text-muted">
+                        <i data-lucide="check-circle" width="14" height="14"></i>
+                        所有數據格式正常
+                    </div>
+                ` : `
+                    <ul class="diagnostics__list">
+                        ${issues.map(issue => this.renderIssue(issue)).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    renderIssue(issue) {
+        return `
+            <li class="diagnostics__item">
+                <div class="diagnostics__meta">
+                    <span class="diagnostics__source">${SOURCE_LABELS[issue.source] || escapeHtml(issue.source)}</span>
+                    ${issue.agentId ? `<span class="text-muted">${escapeHtml(this.getAgentName(issue.agentId))}</span>` : ''}
+                    ${issue.count > 1 ? `<span class="diagnostics__count">×${issue.count}</span>` : ''}
+                    <span class="diagnostics__time text-muted text-mono">${this.formatTime(issue.lastSeen)}</span>
+                </div>
+                <div class="diagnostics__message">
+                    <code class="diagnostics__path">${escapeHtml(issue.path || '(root)')}</code>
+                    ${issue.message}
+                </div>
+                <code class="diagnostics__value text-muted" title="收到的值">${escapeHtml(issue.value)}</code>
+            </li>
+        `;
+    }
+
+    getAgentName(agentId) {
+        const agent = StateManager.get('fleet.agents', []).find(entry => entry.id === agentId);
+        return agent?.name || agentId;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    afterRender() {
+        this.container = document.getElementById('diagnostics');
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#diagnostics-clear')) {
+                Diagnostics.clear();
+            }
+        });
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderContent();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default DiagnosticsModule;
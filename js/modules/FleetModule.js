@@ -0,0 +1,146 @@
+/**
+ * FleetModule - Agent 總覽模塊
+ *
+ * 多 Agent 時以網格顯示每個 Agent 的狀態、模型、配額與最後心跳，
+ * 點擊卡片切換選中的 Agent。單 Agent 佈局時不顯示。
+ */
+
+import StateManager from '../core/StateManager.js';
+import ApiClient from '../api/ApiClient.js';
+import { escapeHtml } from '../utils/html.js';
+
+class FleetModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            StateManager.subscribe('fleet.agents', () => this.update())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('ui.selectedAgentId', () => this.update())
+        );
+    }
+
+    render() {
+        return `<div class="fleet-overview" id="fleet-overview">${this.renderFleet()}</div>`;
+    }
+
+    /**
+     * 渲染總覽網格（單 Agent 佈局時為空）
+     */
+    renderFleet() {
+        const agents = StateManager.get('fleet.agents', []);
+        if (agents.length === 0) return '';
+
+        const selectedId = StateManager.get('ui.selectedAgentId');
+        const onlineCount = agents.filter(agent => agent.isOnline).length;
+
+        return `
+            <section class="module-section" id="section-fleet">
+                <div class="section-header">
+                    <h3 class="section-title">
+                        <i data-lucide="server" class="section-title__icon"></i>
+                        Agent 總覽
+                    </h3>
+                    <span class="badge ${onlineCount < agents.length ? 'badge--warning' : 'badge--success'}">
+                        ${onlineCount}/${agents.length} 在線
+                    </span>
+                </div>
+                <div class="fleet-grid">
+                    ${agents.map(agent => this.renderAgentCard(agent, agent.id === selectedId)).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    renderAgentCard(agent, isSelected) {
+        const quota = agent.quotaRemaining === null ? null : Math.round(agent.quotaRemaining * 100);
+
+        return `
+            <div class="fleet-card card card--interactive ${isSelected ? 'fleet-card--selected' : ''}"
+                 data-agent-id="${escapeHtml(agent.id)}" role="button" tabindex="0"
+                 aria-pressed="${isSelected}">
+                <div class="fleet-card__header">
+                    <span class="fleet-card__name">${escapeHtml(agent.name)}</span>
+                    <span class="status-badge ${agent.isOnline ? 'status-badge--online' : 'status-badge--offline'}">
+                        ${agent.displayState || '⚪ UNKNOWN'}
+                    </span>
+                </div>
+                <dl class="fleet-card__stats">
+                    <div>
+                        <dt class="text-muted">模型</dt>
+                        <dd>${escapeHtml(agent.model || '--')}</dd>
+                    </div>
+                    <div>
+                        <dt class="text-muted">配額</dt>
+                        <dd class="text-mono ${quota !== null && quota < 20 ? 'text-danger' : ''}">
+                            ${quota === null ? '--' : `${quota}%`}
+                        </dd>
+                    </div>
+                    <div>
+                        <dt class="text-muted">最後心跳</dt>
+                        <dd class="text-mono">${this.formatTimestamp(agent.lastHeartbeat)}</dd>
+                    </div>
+                </dl>
+            </div>
+        `;
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '--:--';
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    afterRender() {
+        this.container = document.getElementById('fleet-overview');
+        if (!this.container) return;
+
+        this.bindEvents();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    bindEvents() {
+        const select = (e) => {
+            const card = e.target.closest('.fleet-card');
+            if (card) {
+                ApiClient.selectAgent(card.dataset.agentId);
+            }
+        };
+
+        this.container.addEventListener('click', select);
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                select(e);
+            }
+        });
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderFleet();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default FleetModule;
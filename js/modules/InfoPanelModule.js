@@ -1,17 +1,67 @@
 /**
  * InfoPanelModule - 右側資訊欄模塊
  * 
- * 顯示實時配額監控和 Agent 狀態
+ * 顯示實時配額監控和 Agent 狀態（多 Agent 時為選中的 Agent）
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import AlertManager, { quotaAlertKey } from '../core/AlertManager.js';
+import QuietHours from '../core/QuietHours.js';
+import HeartbeatHistory from '../api/HeartbeatHistory.js';
+import ApiClient from '../api/ApiClient.js';
+import CommandChannel from '../api/CommandChannel.js';
+import ModelHistory from '../api/ModelHistory.js';
+import UsageHistory from '../api/UsageHistory.js';
+import { renderSparkline } from '../components/Sparkline.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 運行時間軸的可選範圍
+ */
+const UPTIME_RANGES = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+// 運行時間軸的重繪間隔（毫秒），Agent 無更新時時間軸仍需前進
+const UPTIME_REFRESH_INTERVAL = 60000;
+
+// 配額監控走勢線的範圍（毫秒）
+const SPARKLINE_RANGE = 24 * 60 * 60 * 1000;
+
+/**
+ * 配額告警狀態的顯示方式
+ */
+const QUOTA_ALERT_DISPLAY = {
+    warning: { label: '配額警告', textClass: 'text-warning' },
+    critical: { label: '配額危險', textClass: 'text-danger' }
+};
+
+// 模型卡片顯示的切換/限流記錄條數
+const MODEL_EVENTS_LIMIT = 5;
+
+/**
+ * 模型狀態的顯示方式（見 README ModelInfo）
+ */
+const MODEL_STATUS = {
+    active: { label: '運行中', badge: 'badge--success', dot: 'status-dot--active' },
+    ready: { label: '就緒', badge: 'badge--info', dot: 'status-dot--idle' },
+    'rate-limited': { label: '速率限制', badge: 'badge--warning', dot: 'status-dot--warning' },
+    error: { label: '錯誤', badge: 'badge--danger', dot: 'status-dot--error' },
+    unavailable: { label: '不可用', badge: 'badge--danger', dot: 'status-dot--error' }
+};
+
+// 正常的模型狀態，變為此類狀態的記錄顯示為恢復
+const HEALTHY_MODEL_STATUSES = ['active', 'ready'];
 
 class InfoPanelModule {
     constructor(config) {
         this.config = config;
         this.container = null;
         this.unsubscribers = [];
+        this.uptimeRange = '24h';
+        this.uptimeTimer = null;
     }
 
     async init() {
@@ -20,10 +70,48 @@ class InfoPanelModule {
             StateManager.subscribe('agent', () => this.update())
         );
 
+        // 監聽 Dashboard 自身連線狀態（斷線時標示 Agent 狀態可能過期）
+        this.unsubscribers.push(
+            StateManager.subscribe('connection.status', () => this.update())
+        );
+
         // 監聽日誌變化
         this.unsubscribers.push(
             StateManager.subscribe('logs', () => this.updateLogs())
         );
+
+        // 備用模型與切換指令狀態
+        this.unsubscribers.push(
+            StateManager.subscribe('models', () => this.updateModelStatus())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('commands.items', () => this.updateModelStatus())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('connection.isConnected', () => this.updateModelStatus())
+        );
+
+        // 通知中心未讀數
+        this.unsubscribers.push(
+            StateManager.subscribe('notifications.unread', () => this.updateUnread())
+        );
+
+        // 確認配額告警後更新告警列
+        this.unsubscribers.push(
+            EventBus.on(Events.ALERT_ACKNOWLEDGED, () => this.updateQuotaMonitor())
+        );
+
+        // 勿擾開始 / 結束時切換鈴鐺圖標
+        this.unsubscribers.push(
+            EventBus.on(Events.QUIET_HOURS_CHANGED, () => this.updateBellIcon())
+        );
+
+        // 當前模型受限或出錯時提示切換到備用模型
+        this.unsubscribers.push(
+            EventBus.on(Events.MODEL_STATUS_CHANGED, (event) => this.notifyModelStatus(event))
+        );
     }
 
     render() {
@@ -34,12 +122,18 @@ class InfoPanelModule {
         return `
             <aside class="info-panel" id="info-panel">
                 <div class="info-panel__header">
-                    <h3>系統狀態</h3>
-                    ${lastUpdated ? `
-                        <span class="text-muted text-mono" style="font-size: var(--text-xs)">
-                            更新於 ${this.formatTime(lastUpdated)}
-                        </span>
-                    ` : ''}
+                    <div>
+                        <h3>系統狀態</h3>
+                        ${lastUpdated ? `
+                            <span class="text-muted text-mono" style="font-size: var(--text-xs)">
+                                更新於 ${this.formatTime(lastUpdated)}
+                            </span>
+                        ` : ''}
+                    </div>
+                    <button class="btn btn--icon btn--ghost notification-bell" id="notification-bell" aria-label="通知中心" title="通知中心">
+                        <span class="notification-bell__icon" id="notification-bell-icon">${this.renderBellIcon()}</span>
+                        <span id="notification-unread">${this.renderUnread()}</span>
+                    </button>
                 </div>
                 
                 <div class="info-panel__content">
@@ -54,6 +148,17 @@ class InfoPanelModule {
                         </div>
                     </div>
 
+                    <!-- 運行時間 -->
+                    <div class="info-card">
+                        <div class="info-card__header">
+                            <i data-lucide="history" width="18" height="18"></i>
+                            <span>運行時間</span>
+                        </div>
+                        <div class="info-card__body" id="uptime-monitor">
+                            ${this.renderUptime()}
+                        </div>
+                    </div>
+
                     <!-- 實時配額監控 -->
                     <div class="info-card">
                         <div class="info-card__header">
@@ -65,6 +170,9 @@ class InfoPanelModule {
                         </div>
                     </div>
 
+                    <!-- API 餘額 -->
+                    <div id="balances-container"></div>
+
                     <!-- 模型狀態 -->
                     <div class="info-card">
                         <div class="info-card__header">
@@ -87,6 +195,18 @@ class InfoPanelModule {
                         </div>
                     </div>
 
+                    <!-- 指令記錄 -->
+                    <div id="command-history-container"></div>
+
+                    <!-- 告警規則 -->
+                    <div id="alert-rules-container"></div>
+
+                    <!-- Webhook -->
+                    <div id="webhooks-container"></div>
+
+                    <!-- 數據診斷 -->
+                    <div id="diagnostics-container"></div>
+
                     <!-- 快捷操作 -->
                     <div class="info-card">
                         <div class="info-card__header">
@@ -114,17 +234,30 @@ class InfoPanelModule {
         const displayState = agent.displayState || '⚪ UNKNOWN';
         const isOnline = agent.isOnline !== false;
         const currentTask = agent.currentTask?.title || '無任務';
+        const isStale = StateManager.get('connection.status') !== 'connected';
+        const isMultiAgent = StateManager.get('fleet.agents', []).length > 0;
 
         return `
             <div class="agent-status">
+                ${isMultiAgent ? `
+                    <div class="agent-status__name">
+                        <i data-lucide="bot" width="14" height="14"></i>
+                        ${escapeHtml(agent.name)}
+                    </div>
+                ` : ''}
                 <div class="agent-status__indicator">
                     <span class="status-badge ${isOnline ? 'status-badge--online' : 'status-badge--offline'}">
                         ${displayState}
                     </span>
+                    ${isStale ? `
+                        <span class="badge badge--warning" title="Dashboard 未連線，顯示的是最後已知狀態">
+                            狀態未同步
+                        </span>
+                    ` : ''}
                 </div>
                 <div class="agent-status__task">
                     <span class="text-muted">當前任務:</span>
-                    <span class="task-name">${currentTask}</span>
+                    <span class="task-name">${escapeHtml(currentTask)}</span>
                 </div>
                 ${agent.lastHeartbeat ? `
                     <div class="agent-status__heartbeat text-muted" style="font-size: var(--text-xs)">
@@ -135,82 +268,315 @@ class InfoPanelModule {
         `;
     }
 
+    /**
+     * 渲染運行時間軸與可用率統計
+     */
+    renderUptime() {
+        const agentId = StateManager.get('ui.selectedAgentId');
+        const now = Date.now();
+        const stats = HeartbeatHistory.getStats(agentId, UPTIME_RANGES[this.uptimeRange], now);
+        const uptime24h = HeartbeatHistory.getStats(agentId, UPTIME_RANGES['24h'], now).uptime;
+        const uptime7d = HeartbeatHistory.getStats(agentId, UPTIME_RANGES['7d'], now).uptime;
+        const range = UPTIME_RANGES[this.uptimeRange];
+
+        return `
+            <div class="uptime">
+                <div class="tabs uptime__tabs" role="tablist">
+                    ${Object.keys(UPTIME_RANGES).map(key => `
+                        <button class="tab ${key === this.uptimeRange ? 'tab--active' : ''}"
+                                data-uptime-range="${key}" role="tab"
+                                aria-selected="${key === this.uptimeRange}">
+                            ${key}
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="uptime__timeline" aria-label="運行時間軸">
+                    ${stats.segments.map(segment => `
+                        <span class="uptime__segment uptime__segment--${segment.state}"
+                              style="left: ${(segment.start - (now - range)) / range * 100}%;
+                                     width: ${(segment.end - segment.start) / range * 100}%"
+                              title="${segment.state.toUpperCase()} ${this.formatDateTime(segment.start)} - ${this.formatDateTime(segment.end)}">
+                        </span>
+                    `).join('')}
+                </div>
+                <div class="uptime__axis text-muted text-mono">
+                    <span>-${this.uptimeRange}</span>
+                    <span>現在</span>
+                </div>
+                <dl class="uptime__stats">
+                    <div>
+                        <dt class="text-muted">24h 在線率</dt>
+                        <dd class="text-mono">${this.formatPercent(uptime24h)}</dd>
+                    </div>
+                    <div>
+                        <dt class="text-muted">7d 在線率</dt>
+                        <dd class="text-mono">${this.formatPercent(uptime7d)}</dd>
+                    </div>
+                    <div>
+                        <dt class="text-muted">最長離線（${this.uptimeRange}）</dt>
+                        <dd class="text-mono">${stats.observed > 0 ? this.formatDuration(stats.longestOutage) : '--'}</dd>
+                    </div>
+                    <div>
+                        <dt class="text-muted">平均心跳間隔</dt>
+                        <dd class="text-mono">${stats.meanHeartbeatInterval === null ? '--' : this.formatDuration(stats.meanHeartbeatInterval)}</dd>
+                    </div>
+                </dl>
+            </div>
+        `;
+    }
+
     /**
      * 渲染配額監控（替代原本的 Switch Model 按鈕區域）
      */
     renderQuotaMonitor(agent) {
-        const tokenUsage = agent.tokenUsage || 0;
-        const quotaRemaining = agent.quotaRemaining ?? 1; // 0~1 的比例
-        const percentage = Math.round(quotaRemaining * 100);
+        const tokenUsage = agent.tokenUsage;
+        const quotaRemaining = agent.quotaRemaining; // 0~1 的比例，未回報時為 null
+        const percentage = quotaRemaining === null || quotaRemaining === undefined
+            ? null
+            : Math.round(quotaRemaining * 100);
 
         // 確定警告等級
         let badgeClass = '';
         let badgeText = '';
         let progressClass = '';
+        let trendClass = '';
 
-        if (percentage < 20) {
+        if (percentage === null) {
+            badgeClass = 'badge--info';
+            badgeText = '未回報';
+        } else if (percentage < 20) {
             badgeClass = 'badge--danger';
             badgeText = '⚠️ 危險';
             progressClass = 'progress--danger';
+            trendClass = 'sparkline--danger';
         } else if (percentage < 30) {
             badgeClass = 'badge--warning';
             badgeText = '⚠️ 警告';
             progressClass = 'progress--warning';
+            trendClass = 'sparkline--warning';
         } else {
             badgeClass = 'badge--success';
             badgeText = '✓ 正常';
             progressClass = '';
         }
 
+        const series = UsageHistory.getSeries(StateManager.get('ui.selectedAgentId'), SPARKLINE_RANGE);
+        const tokenTrend = renderSparkline(
+            series.map(sample => ({ at: sample.at, value: sample.tokenUsage })),
+            { width: 240, label: '24 小時 Token 使用量走勢', className: 'quota-monitor__sparkline' }
+        );
+        const quotaTrend = renderSparkline(
+            series.map(sample => ({ at: sample.at, value: sample.quotaRemaining })),
+            { min: 0, max: 1, label: '24 小時剩餘配額走勢', className: `quota-monitor__sparkline ${trendClass}` }
+        );
+
         return `
             <div class="quota-monitor">
                 <div class="quota-monitor__header">
                     <span class="quota-monitor__label">Token 使用量</span>
-                    <span class="quota-monitor__value text-mono">${this.formatNumber(tokenUsage)}</span>
+                    <span class="quota-monitor__value text-mono">${tokenUsage === null || tokenUsage === undefined ? '--' : this.formatNumber(tokenUsage)}</span>
                 </div>
-                
+                ${tokenTrend}
+
                 <div class="quota-monitor__bar">
                     <div class="quota-monitor__remaining">
                         <span>剩餘配額</span>
                         <span class="badge ${badgeClass}">${badgeText}</span>
                     </div>
                     <div class="progress ${progressClass}">
-                        <div class="progress__bar" style="width: ${percentage}%"></div>
+                        <div class="progress__bar" style="width: ${percentage ?? 0}%"></div>
                     </div>
                     <div class="quota-monitor__percentage">
-                        <span class="text-mono ${percentage < 20 ? 'text-danger' : percentage < 30 ? 'text-warning' : ''}">${percentage}%</span>
+                        ${quotaTrend}
+                        ${percentage === null ? `
+                            <span class="text-mono text-muted">--</span>
+                        ` : `
+                            <span class="text-mono ${percentage < 20 ? 'text-danger' : percentage < 30 ? 'text-warning' : ''}">${percentage}%</span>
+                        `}
                     </div>
                 </div>
+
+                ${this.renderQuotaAlert()}
+
+                <button class="btn btn--ghost btn--small quota-monitor__chart" id="open-usage-chart">
+                    <i data-lucide="line-chart" width="14" height="14"></i>
+                    使用量圖表
+                </button>
             </div>
         `;
     }
 
     /**
-     * 渲染模型狀態
+     * 渲染通知中心的未讀數標記
+     */
+    /**
+     * 鈴鐺圖標：勿擾中顯示為靜音
+     */
+    renderBellIcon() {
+        return QuietHours.isQuiet()
+            ? '<i data-lucide="bell-off" width="18" height="18" aria-label="勿擾中"></i>'
+            : '<i data-lucide="bell" width="18" height="18"></i>';
+    }
+
+    renderUnread() {
+        const unread = StateManager.get('notifications.unread', 0);
+        if (unread === 0) return '';
+        return `<span class="notification-bell__badge">${unread > 99 ? '99+' : unread}</span>`;
+    }
+
+    /**
+     * 渲染配額告警列：告警中且未確認時可確認，確認後升級前不再通知
+     */
+    renderQuotaAlert() {
+        const alert = AlertManager.get(this.quotaAlertKey());
+        if (!alert || alert.state === 'ok') return '';
+
+        const display = QUOTA_ALERT_DISPLAY[alert.state];
+
+        return `
+            <div class="quota-monitor__alert quota-monitor__alert--${alert.state}">
+                <span class="${display.textClass}">
+                    <i data-lucide="bell-ring" width="14" height="14"></i>
+                    ${display.label} · 自 ${this.formatTime(alert.since)}
+                </span>
+                ${AlertManager.isAcknowledged(alert.key) ? `
+                    <span class="text-muted" title="告警升級時才會再次通知">已確認</span>
+                ` : `
+                    <button class="btn btn--secondary btn--small" data-alert-ack>確認</button>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染模型狀態：當前模型、備用順序與最近的切換/限流記錄
      */
     renderModelStatus(agent) {
-        const model = agent.model || 'Unknown';
+        const current = StateManager.get('models.current');
+        const fallbacks = StateManager.get('models.fallbacks', []);
         const isOnline = agent.isOnline !== false;
+        const status = MODEL_STATUS[current?.status] || MODEL_STATUS.active;
+        const events = ModelHistory.getEvents(StateManager.get('ui.selectedAgentId'), MODEL_EVENTS_LIMIT);
 
         return `
             <div class="model-status">
                 <div class="model-item model-item--current">
                     <div class="model-item__indicator">
-                        <span class="status-dot ${isOnline ? 'status-dot--active' : 'status-dot--warning'}"></span>
+                        <span class="status-dot ${isOnline ? status.dot : 'status-dot--warning'}"></span>
                     </div>
                     <div class="model-item__info">
                         <span class="model-item__label">當前使用</span>
-                        <span class="model-item__name">${model}</span>
-                        <span class="model-item__provider text-muted">Google</span>
+                        <span class="model-item__name">${escapeHtml(current?.name || agent.model || 'Unknown')}</span>
+                        ${current?.provider ? `<span class="model-item__provider text-muted">${escapeHtml(current.provider)}</span>` : ''}
+                        ${this.renderRateLimit(current)}
                     </div>
-                    <span class="badge ${isOnline ? 'badge--success' : 'badge--danger'}">
-                        ${isOnline ? '運行中' : '離線'}
+                    <span class="badge ${isOnline ? status.badge : 'badge--danger'}">
+                        ${isOnline ? status.label : '離線'}
                     </span>
                 </div>
+                ${fallbacks.length > 0 ? `
+                    <div class="model-chain">
+                        <span class="model-item__label">備用順序</span>
+                        <ol class="model-chain__list">
+                            ${fallbacks.map(model => this.renderFallback(model, isOnline)).join('')}
+                        </ol>
+                    </div>
+                ` : ''}
+                ${events.length > 0 ? `
+                    <div class="model-history">
+                        <span class="model-item__label">切換與限流記錄</span>
+                        <ul class="model-history__list">
+                            ${events.map(event => this.renderModelEvent(event)).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
 
+    /**
+     * 渲染備用模型與切換按鈕
+     * @param {Object} model - 備用模型
+     * @param {boolean} isOnline - Agent 是否在線
+     */
+    renderFallback(model, isOnline) {
+        const status = MODEL_STATUS[model.status] || MODEL_STATUS.ready;
+        const inFlight = CommandChannel.findInFlight('switchModel');
+        const isSwitching = inFlight?.args?.modelId === model.id;
+
+        let disabledReason = null;
+        if (!StateManager.get('connection.isConnected', false)) {
+            disabledReason = 'Dashboard 未連線';
+        } else if (!isOnline) {
+            disabledReason = 'Agent 離線';
+        } else if (inFlight) {
+            disabledReason = '等待 Agent 回應';
+        } else if (model.status && model.status !== 'ready') {
+            disabledReason = `模型${status.label}`;
+        }
+
+        return `
+            <li class="model-item model-item--fallback">
+                <div class="model-item__info">
+                    <span class="model-item__name">${escapeHtml(model.name || model.id)}</span>
+                    ${model.provider ? `<span class="model-item__provider text-muted">${escapeHtml(model.provider)}</span>` : ''}
+                    ${this.renderRateLimit(model)}
+                </div>
+                <span class="badge ${status.badge}">${status.label}</span>
+                <button type="button" class="btn btn--secondary btn--small model-item__switch"
+                        data-model-id="${escapeHtml(model.id)}"
+                        title="${escapeHtml(disabledReason || `切換到 ${model.name || model.id}`)}"
+                        ${disabledReason ? 'disabled' : ''}>
+                    <i data-lucide="${isSwitching ? 'loader' : 'repeat'}" width="14" height="14"
+                       class="${isSwitching ? 'animate-spin' : ''}"></i>
+                    切換
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * 渲染速率限制的解除時間
+     * @param {Object|null} model - 模型
+     */
+    renderRateLimit(model) {
+        if (model?.status !== 'rate-limited' || !model.rateLimitedUntil) return '';
+
+        return `
+            <span class="model-item__limit text-warning">
+                ${this.formatTime(model.rateLimitedUntil)} 解除
+            </span>
+        `;
+    }
+
+    /**
+     * 渲染一條切換/狀態記錄
+     * @param {import('../api/ModelHistory.js').ModelEvent} event - 事件
+     */
+    renderModelEvent(event) {
+        const time = `<span class="model-history__time text-muted text-mono">${this.formatDateTime(event.at)}</span>`;
+
+        if (event.type === 'switch') {
+            return `
+                <li class="model-history__item">
+                    <i data-lucide="repeat" width="12" height="12"></i>
+                    <span class="model-history__text">${escapeHtml(event.from.name)} → ${escapeHtml(event.model.name)}</span>
+                    ${time}
+                </li>
+            `;
+        }
+
+        const isProblem = !HEALTHY_MODEL_STATUSES.includes(event.status);
+        const label = isProblem ? (MODEL_STATUS[event.status]?.label || event.status || '狀態未知') : '已恢復';
+        return `
+            <li class="model-history__item ${isProblem ? 'model-history__item--problem' : ''}">
+                <i data-lucide="${isProblem ? 'alert-triangle' : 'check-circle'}" width="12" height="12"></i>
+                <span class="model-history__text">${escapeHtml(event.model.name)} ${escapeHtml(label)}</span>
+                ${time}
+            </li>
+        `;
+    }
+
     /**
      * 渲染最近日誌
      */
@@ -225,22 +591,37 @@ class InfoPanelModule {
         return `
             <div class="recent-logs">
                 ${recentLogs.map(log => `
-                    <div class="log-item">
+                    <div class="log-item log-item--${log.level || 'info'}">
                         <span class="log-item__time text-muted text-mono">
                             ${this.formatTimestamp(log.timestamp)}
                         </span>
-                        <span class="log-item__message">${log.message || ''}</span>
+                        <span class="log-item__message">${escapeHtml(log.message)}</span>
+                        ${log.taskId ? `
+                            <button type="button" class="log-item__task" data-task-id="${escapeHtml(log.taskId)}" title="前往任務">
+                                <i data-lucide="list-checks" width="12" height="12"></i>
+                                ${this.getTaskTitle(log.taskId)}
+                            </button>
+                        ` : ''}
                     </div>
                 `).join('')}
-                ${logs.length > 5 ? `
-                    <div class="log-item__more text-muted">
-                        還有 ${logs.length - 5} 條日誌...
-                    </div>
-                ` : ''}
+                <button class="btn btn--ghost btn--small log-item__more" id="open-log-viewer">
+                    <i data-lucide="scroll-text" width="14" height="14"></i>
+                    瀏覽全部日誌
+                </button>
             </div>
         `;
     }
 
+    /**
+     * 日誌所屬任務的標題（任務不在列表中時顯示 ID）
+     * @param {string} taskId - 任務 ID
+     */
+    getTaskTitle(taskId) {
+        const { completed = [], inProgress = [], pending = [] } = StateManager.get('tasks', {});
+        const task = [...inProgress, ...pending, ...completed].find(entry => entry.id === taskId);
+        return task?.title || taskId;
+    }
+
     /**
      * 格式化時間字符串
      */
@@ -265,6 +646,42 @@ class InfoPanelModule {
         });
     }
 
+    /**
+     * 格式化日期時間（時間軸提示）
+     */
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString('zh-TW', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * 格式化比例為百分比（無數據時為 --）
+     */
+    formatPercent(ratio) {
+        if (ratio === null) return '--';
+        return `${(ratio * 100).toFixed(ratio === 1 ? 0 : 2)}%`;
+    }
+
+    /**
+     * 格式化時長
+     */
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}秒`;
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}分${seconds % 60 ? ` ${seconds % 60}秒` : ''}`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}小時${minutes % 60 ? ` ${minutes % 60}分` : ''}`;
+
+        return `${Math.floor(hours / 24)}天${hours % 24 ? ` ${hours % 24}小時` : ''}`;
+    }
+
     /**
      * 格式化數字（加上千分位）
      */
@@ -278,6 +695,7 @@ class InfoPanelModule {
         if (!this.container) return;
 
         this.bindEvents();
+        this.uptimeTimer = setInterval(() => this.updateUptime(), UPTIME_REFRESH_INTERVAL);
 
         if (window.lucide) {
             window.lucide.createIcons();
@@ -285,6 +703,61 @@ class InfoPanelModule {
     }
 
     bindEvents() {
+        document.getElementById('notification-bell')?.addEventListener('click', () => {
+            EventBus.emit(Events.UI_NOTIFICATION_CENTER_TOGGLE);
+        });
+
+        // 打開日誌瀏覽器（按鈕隨日誌列表重繪，以委派方式綁定）
+        const recentLogs = document.getElementById('recent-logs');
+        if (recentLogs) {
+            recentLogs.addEventListener('click', (e) => {
+                if (e.target.closest('#open-log-viewer')) {
+                    EventBus.emit(Events.UI_LOG_VIEWER_OPEN);
+                }
+
+                const taskLink = e.target.closest('[data-task-id]');
+                if (taskLink) {
+                    EventBus.emit(Events.UI_TASK_FOCUS, { taskId: taskLink.dataset.taskId });
+                }
+            });
+        }
+
+        // 切換模型（按鈕隨模型狀態重繪，以委派方式綁定）
+        const modelStatus = document.getElementById('model-status');
+        if (modelStatus) {
+            modelStatus.addEventListener('click', (e) => {
+                const button = e.target.closest('.model-item__switch');
+                if (button && !button.disabled) {
+                    this.switchModel(button.dataset.modelId);
+                }
+            });
+        }
+
+        // 打開使用量圖表、確認告警（按鈕隨配額監控重繪，以委派方式綁定）
+        const quotaMonitor = document.getElementById('quota-monitor');
+        if (quotaMonitor) {
+            quotaMonitor.addEventListener('click', (e) => {
+                if (e.target.closest('#open-usage-chart')) {
+                    EventBus.emit(Events.UI_USAGE_CHART_OPEN);
+                }
+                if (e.target.closest('[data-alert-ack]')) {
+                    AlertManager.acknowledge(this.quotaAlertKey());
+                }
+            });
+        }
+
+        // 運行時間範圍切換
+        const uptimeMonitor = document.getElementById('uptime-monitor');
+        if (uptimeMonitor) {
+            uptimeMonitor.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-uptime-range]');
+                if (tab) {
+                    this.uptimeRange = tab.dataset.uptimeRange;
+                    this.updateUptime();
+                }
+            });
+        }
+
         // 匯出數據按鈕
         const exportBtn = document.getElementById('export-data-btn');
         if (exportBtn) {
@@ -294,6 +767,22 @@ class InfoPanelModule {
         }
     }
 
+    /**
+     * 發送切換模型指令，結果由 CommandChannel 通知
+     * @param {string} modelId - 目標模型 ID
+     */
+    async switchModel(modelId) {
+        try {
+            await ApiClient.sendCommand('switchModel', { modelId });
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'info',
+                message: '已送出「切換模型」指令，等待 Agent 回應'
+            });
+        } catch (error) {
+            // ApiClient 已通知
+        }
+    }
+
     exportData() {
         const state = StateManager.getState();
         const exportData = {
@@ -332,19 +821,75 @@ class InfoPanelModule {
 
         if (quotaMonitor) {
             quotaMonitor.innerHTML = this.renderQuotaMonitor(agent);
-            // 檢查配額警告
-            this.checkQuotaWarnings(agent);
         }
 
         if (modelStatus) {
             modelStatus.innerHTML = this.renderModelStatus(agent);
         }
 
+        this.updateUptime();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    /**
+     * 更新通知中心未讀數
+     */
+    updateBellIcon() {
+        const icon = document.getElementById('notification-bell-icon');
+        if (!icon) return;
+
+        icon.innerHTML = this.renderBellIcon();
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    updateUnread() {
+        const unread = document.getElementById('notification-unread');
+        if (unread) {
+            unread.innerHTML = this.renderUnread();
+        }
+    }
+
+    /**
+     * 更新配額監控
+     */
+    updateQuotaMonitor() {
+        const quotaMonitor = document.getElementById('quota-monitor');
+        if (!quotaMonitor) return;
+
+        quotaMonitor.innerHTML = this.renderQuotaMonitor(StateManager.get('agent', {}));
         if (window.lucide) {
             window.lucide.createIcons();
         }
     }
 
+    /**
+     * 更新模型狀態
+     */
+    updateModelStatus() {
+        const modelStatus = document.getElementById('model-status');
+        if (!modelStatus) return;
+
+        modelStatus.innerHTML = this.renderModelStatus(StateManager.get('agent', {}));
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    /**
+     * 更新運行時間軸
+     */
+    updateUptime() {
+        const uptimeMonitor = document.getElementById('uptime-monitor');
+        if (!uptimeMonitor) return;
+
+        uptimeMonitor.innerHTML = this.renderUptime();
+    }
+
     /**
      * 更新日誌
      */
@@ -357,28 +902,43 @@ class InfoPanelModule {
     }
 
     /**
-     * 檢查配額警告
+     * 選中 Agent 的配額告警鍵（告警由 ApiClient 對每個 Agent 判斷）
+     * @returns {string}
      */
-    checkQuotaWarnings(agent) {
-        const quotaRemaining = agent.quotaRemaining ?? 1;
-        const percentage = Math.round(quotaRemaining * 100);
+    quotaAlertKey() {
+        return quotaAlertKey(StateManager.get('ui.selectedAgentId'));
+    }
 
-        if (percentage < 10) {
-            EventBus.emit(Events.NOTIFICATION_SHOW, {
-                type: 'error',
-                message: `⚠️ 配額嚴重不足！僅剩 ${percentage}%`,
-                persistent: true
-            });
-        } else if (percentage < 20) {
-            EventBus.emit(Events.NOTIFICATION_SHOW, {
-                type: 'warning',
-                message: `配額不足警告：剩餘 ${percentage}%`,
-                duration: 5000
-            });
-        }
+    /**
+     * 選中 Agent 的當前模型變為速率限制、錯誤等狀態時通知，並提供切換到第一個就緒備用模型的按鈕
+     * @param {Object} event - MODEL_STATUS_CHANGED 負載（見 ModelHistory）
+     */
+    notifyModelStatus({ agentId, type, model, status }) {
+        if (type !== 'status' || HEALTHY_MODEL_STATUSES.includes(status ?? 'ready')) return;
+        if ((agentId ?? null) !== (StateManager.get('ui.selectedAgentId') ?? null)) return;
+        if (StateManager.get('models.current')?.id !== model.id) return;
+
+        const fallback = StateManager.get('models.fallbacks', [])
+            .find(entry => (entry.status ?? 'ready') === 'ready');
+
+        EventBus.emit(Events.NOTIFICATION_SHOW, {
+            type: 'warning',
+            title: `當前模型${MODEL_STATUS[status]?.label || status}`,
+            message: fallback
+                ? `${model.name} 暫時無法使用，可切換到備用模型 ${fallback.name || fallback.id}`
+                : `${model.name} 暫時無法使用，目前沒有就緒的備用模型`,
+            source: 'model',
+            actions: fallback ? [{
+                label: '切換到備用模型',
+                icon: 'repeat',
+                type: 'primary',
+                callback: () => this.switchModel(fallback.id)
+            }] : []
+        });
     }
 
     destroy() {
+        clearInterval(this.uptimeTimer);
         this.unsubscribers.forEach(unsub => unsub());
     }
 }
@@ -1,12 +1,14 @@
 /**
  * LearningModule - 自主學習模塊
  * 
- * 顯示學習項目列表，支援優先級標記
+ * 顯示學習項目列表，支援優先級標記、狀態流轉、編輯與刪除
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import ApiClient from '../api/ApiClient.js';
+import { LEARNING_STATUS_FLOW } from '../api/WriteOperations.js';
+import { escapeHtml } from '../utils/html.js';
 
 class LearningModule {
     constructor(config) {
@@ -50,7 +52,7 @@ class LearningModule {
         const statusBadge = this.getStatusBadge(item.status);
 
         return `
-            <div class="learning-card card card--interactive" data-item-id="${item.id}">
+            <div class="learning-card card card--interactive" data-item-id="${escapeHtml(item.id)}">
                 <div class="learning-card__header">
                     <div class="learning-card__priority" title="優先級: ${item.priority}">
                         ${this.renderPriorityStars(item.priority, item.id)}
@@ -58,29 +60,59 @@ class LearningModule {
                     <span class="badge ${statusBadge.class}">${statusBadge.text}</span>
                 </div>
                 <div class="learning-card__body">
-                    <h4 class="learning-card__title">${item.title}</h4>
-                    <p class="learning-card__description">${item.description}</p>
+                    <h4 class="learning-card__title">${escapeHtml(item.title)}</h4>
+                    <p class="learning-card__description">${escapeHtml(item.description)}</p>
                 </div>
                 <div class="learning-card__footer">
                     <span class="learning-card__category">
                         <i data-lucide="folder" width="14" height="14"></i>
-                        ${item.category}
+                        ${escapeHtml(item.category)}
                     </span>
                     <span class="learning-card__date text-muted">
                         ${this.formatDate(item.addedAt)}
                     </span>
                 </div>
+                <div class="learning-card__actions">
+                    ${this.renderStatusAction(item)}
+                    <button class="btn btn--icon btn--ghost learning-edit-btn" data-item-id="${escapeHtml(item.id)}" title="編輯">
+                        <i data-lucide="pencil" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost learning-delete-btn" data-item-id="${escapeHtml(item.id)}" title="刪除">
+                        <i data-lucide="trash-2" width="14" height="14"></i>
+                    </button>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * 渲染推進到下一狀態的按鈕（已完成則不顯示）
+     */
+    renderStatusAction(item) {
+        const next = this.getNextStatus(item.status);
+        if (!next) return '';
+
+        return `
+            <button class="btn btn--ghost btn--small learning-status-btn"
+                    data-item-id="${escapeHtml(item.id)}" data-status="${next}">
+                <i data-lucide="arrow-right" width="14" height="14"></i>
+                ${this.getStatusBadge(next).text}
+            </button>
+        `;
+    }
+
+    getNextStatus(status) {
+        const index = LEARNING_STATUS_FLOW.indexOf(status);
+        return index === -1 ? null : LEARNING_STATUS_FLOW[index + 1] || null;
+    }
+
     renderPriorityStars(currentPriority, itemId) {
         const stars = [];
         for (let i = 1; i <= 5; i++) {
             const isFilled = i <= currentPriority;
             stars.push(`
                 <button class="priority-star ${isFilled ? 'priority-star--filled' : ''}" 
-                        data-item-id="${itemId}" 
+                        data-item-id="${escapeHtml(itemId)}" 
                         data-priority="${i}"
                         title="設為優先級 ${i}">
                     <i data-lucide="${isFilled ? 'star' : 'star'}" width="16" height="16"></i>
@@ -152,47 +184,89 @@ class LearningModule {
 
                 try {
                     await ApiClient.updateLearningPriority(itemId, newPriority);
-                    await ApiClient.refreshAll();
-                    EventBus.emit(Events.LEARNING_PRIORITY_CHANGED, { itemId, priority: newPriority });
                 } catch (error) {
+                    // ApiClient 已回滾並通知
                     console.error('Failed to update priority', error);
                 }
             }
         });
 
+        // 狀態流轉
+        this.container.addEventListener('click', async (e) => {
+            const statusBtn = e.target.closest('.learning-status-btn');
+            if (statusBtn) {
+                e.stopPropagation();
+                statusBtn.disabled = true;
+
+                try {
+                    await ApiClient.updateLearningStatus(statusBtn.dataset.itemId, statusBtn.dataset.status);
+                } catch (error) {
+                    console.error('Failed to update status', error);
+                    statusBtn.disabled = false;
+                }
+            }
+        });
+
+        // 編輯與刪除
+        this.container.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.learning-edit-btn');
+            const deleteBtn = e.target.closest('.learning-delete-btn');
+            const target = editBtn || deleteBtn;
+            if (!target) return;
+
+            e.stopPropagation();
+            const item = StateManager.get('learning.items', []).find(i => i.id === target.dataset.itemId);
+            if (!item) return;
+
+            if (editBtn) {
+                this.showItemDialog(item);
+            } else {
+                this.showDeleteDialog(item);
+            }
+        });
+
         // 添加學習項目按鈕
         const addBtn = document.getElementById('add-learning-btn');
         if (addBtn) {
             addBtn.addEventListener('click', () => {
-                this.showAddDialog();
+                this.showItemDialog();
             });
         }
     }
 
-    showAddDialog() {
+    /**
+     * 顯示新增/編輯對話框
+     * @param {Object} [item] - 要編輯的項目，不傳則為新增
+     */
+    showItemDialog(item = null) {
+        const isEdit = Boolean(item);
+        const priority = item?.priority || 3;
+
         // 發送事件讓主程式處理模態框
         EventBus.emit('ui:show-modal', {
-            title: '添加學習項目',
+            title: isEdit ? '編輯學習項目' : '添加學習項目',
             content: `
                 <form id="add-learning-form">
                     <div class="form-group">
                         <label for="learning-title">標題</label>
-                        <input type="text" id="learning-title" class="input" required>
+                        <input type="text" id="learning-title" class="input" required
+                               value="${escapeHtml(item?.title)}">
                     </div>
                     <div class="form-group">
                         <label for="learning-description">描述</label>
-                        <textarea id="learning-description" class="input" rows="3"></textarea>
+                        <textarea id="learning-description" class="input" rows="3">${escapeHtml(item?.description)}</textarea>
                     </div>
                     <div class="form-group">
                         <label for="learning-category">分類</label>
-                        <input type="text" id="learning-category" class="input" placeholder="如：技術學習、工作流優化">
+                        <input type="text" id="learning-category" class="input" placeholder="如：技術學習、工作流優化"
+                               value="${escapeHtml(item?.category)}">
                     </div>
                     <div class="form-group">
                         <label>優先級</label>
                         <div class="priority-selector">
                             ${[1, 2, 3, 4, 5].map(p => `
                                 <label class="priority-option">
-                                    <input type="radio" name="priority" value="${p}" ${p === 3 ? 'checked' : ''}>
+                                    <input type="radio" name="priority" value="${p}" ${p === priority ? 'checked' : ''}>
                                     <span>${p}</span>
                                 </label>
                             `).join('')}
@@ -202,9 +276,9 @@ class LearningModule {
             `,
             actions: [
                 { label: '取消', type: 'secondary', action: 'close' },
-                { label: '添加', type: 'primary', action: 'submit' }
+                { label: isEdit ? '保存' : '添加', type: 'primary', action: 'submit' }
             ],
-            onSubmit: async (formData) => {
+            onSubmit: async () => {
                 const form = document.getElementById('add-learning-form');
                 const data = {
                     title: form.querySelector('#learning-title').value,
@@ -214,18 +288,44 @@ class LearningModule {
                 };
 
                 try {
-                    await ApiClient.createLearningItem(data);
-                    await ApiClient.refreshAll();
+                    if (isEdit) {
+                        await ApiClient.updateLearningItem(item.id, data);
+                    } else {
+                        await ApiClient.createLearningItem(data);
+                    }
                     EventBus.emit(Events.NOTIFICATION_SHOW, {
                         type: 'success',
-                        message: '學習項目已添加'
+                        message: isEdit ? '學習項目已更新' : '學習項目已添加'
                     });
                     return true; // 關閉模態框
                 } catch (error) {
+                    return false; // ApiClient 已通知，保留對話框供重試
+                }
+            }
+        });
+    }
+
+    /**
+     * 顯示刪除確認對話框
+     * @param {Object} item - 要刪除的項目
+     */
+    showDeleteDialog(item) {
+        EventBus.emit('ui:show-modal', {
+            title: '刪除學習項目',
+            content: `<p>確定要刪除「${escapeHtml(item.title)}」嗎？</p>`,
+            actions: [
+                { label: '取消', type: 'secondary', action: 'close' },
+                { label: '刪除', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                try {
+                    await ApiClient.deleteLearningItem(item.id);
                     EventBus.emit(Events.NOTIFICATION_SHOW, {
-                        type: 'error',
-                        message: '添加失敗，請重試'
+                        type: 'success',
+                        message: '學習項目已刪除'
                     });
+                    return true;
+                } catch (error) {
                     return false;
                 }
             }
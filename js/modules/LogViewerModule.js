@@ -0,0 +1,765 @@
+/**
+ * LogViewerModule - 日誌面板
+ *
+ * 以終端機 tail 的方式顯示日誌（最舊在上、最新在下）：
+ * - 依等級（debug / info / warn / error）與來源過濾，純文字或正則搜尋並標示匹配
+ * - 跟隨模式：新日誌到達時自動捲到底部，使用者向上捲動即暫停，捲回底部或點擊按鈕恢復
+ * - 瀏覽實時窗口（最新 logsLimit 條）之外的歷史：捲到頂部時以 timestamp 游標分頁載入更早的日誌，
+ *   也可跳轉到指定時間再向前/向後翻頁；實時訂閱不受影響
+ * - 日誌附帶的結構化欄位以可摺疊的 JSON 樹顯示；帶 taskId 的日誌可點擊回到所屬任務
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import ApiClient from '../api/ApiClient.js';
+import { extraFields } from '../api/PayloadSchemas.js';
+import { renderJsonTree, trackJsonTreeState } from '../components/JsonTree.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 每頁條數
+const PAGE_SIZE = 100;
+
+// 日誌等級（由低到高）
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// 距離底部多少像素內視為在底部
+const BOTTOM_THRESHOLD = 8;
+
+/**
+ * 比較兩條日誌的先後（時間戳，同一時間戳以 ID 區分）
+ * @returns {number} a 較新時為正數
+ */
+const compareLogs = (a, b) => (a.timestamp - b.timestamp) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+
+/**
+ * 日誌等級，未提供時視為 info
+ * @param {Object} log - 日誌
+ * @returns {string}
+ */
+const levelOf = (log) => log.level || 'info';
+
+class LogViewerModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+
+        this.isOpen = false;
+        // 是否銜接實時窗口（否則為跳轉後瀏覽的歷史區段）
+        this.isLive = true;
+        /** @type {Map<string, Object>} 分頁載入的日誌 */
+        this.loaded = new Map();
+        this.hasOlder = true;
+        this.loading = null; // 'older' | 'newer' | 'jump' | null
+        this.jumpTarget = null;
+        // 切換 Agent 或重置後遞增，用於丟棄過期的分頁結果
+        this.generation = 0;
+        this.escHandler = null;
+
+        // 跟隨最新日誌；暫停時記錄當時最新的一條，用於計算未讀數
+        this.following = true;
+        this.pausedAfter = null;
+        // 程式設定捲動位置期間忽略 scroll 事件
+        this.isRestoringScroll = false;
+
+        this.filters = {
+            levels: new Set(LEVELS),
+            source: '',
+            query: '',
+            regex: false
+        };
+        /** @type {RegExp|null} */
+        this.matcher = null;
+        this.searchError = null;
+
+        // 展開中的 JSON 樹節點（列表重繪時保留）
+        this.openTrees = new Set();
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            EventBus.on(Events.UI_LOG_VIEWER_OPEN, (options = {}) => this.open(options))
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('logs', () => this.handleLiveLogs())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('ui.selectedAgentId', () => {
+                this.reset();
+                this.update();
+            })
+        );
+    }
+
+    render() {
+        return '<div class="log-viewer-root" id="log-viewer-root"></div>';
+    }
+
+    /**
+     * 渲染面板外框
+     */
+    renderViewer() {
+        return `
+            <div class="modal-overlay log-viewer-overlay" id="log-viewer-overlay">
+                <div class="modal log-viewer animate-scaleIn" role="dialog" aria-modal="true" aria-labelledby="log-viewer-title">
+                    <div class="modal__header">
+                        <h3 class="modal__title" id="log-viewer-title">${escapeHtml(this.renderTitle())}</h3>
+                        <button class="btn btn--icon btn--ghost" id="log-viewer-close" aria-label="關閉">
+                            <i data-lucide="x"></i>
+                        </button>
+                    </div>
+                    <div class="log-viewer__toolbar">
+                        <div class="log-viewer__levels" role="group" aria-label="日誌等級">
+                            ${LEVELS.map(level => `
+                                <button type="button" class="log-level-toggle log-level-toggle--${level}"
+                                        data-level="${level}" aria-pressed="${this.filters.levels.has(level)}">
+                                    ${level.toUpperCase()}
+                                </button>
+                            `).join('')}
+                        </div>
+                        <select class="input log-viewer__source" id="log-viewer-source" aria-label="日誌來源">
+                            ${this.renderSourceOptions()}
+                        </select>
+                        <div class="log-viewer__search">
+                            <input type="search" class="input" id="log-viewer-query" placeholder="搜尋日誌…"
+                                   value="${escapeHtml(this.filters.query)}" aria-label="搜尋日誌">
+                            <label class="log-viewer__regex" title="以正則表達式搜尋">
+                                <input type="checkbox" id="log-viewer-regex" ${this.filters.regex ? 'checked' : ''}>
+                                <span class="text-mono">.*</span>
+                            </label>
+                        </div>
+                    </div>
+                    <form class="log-viewer__toolbar" id="log-viewer-jump">
+                        <label class="text-muted" for="log-viewer-jump-at">跳轉到</label>
+                        <input type="datetime-local" class="input" id="log-viewer-jump-at" step="1" required>
+                        <button type="submit" class="btn btn--secondary btn--small">跳轉</button>
+                        <span class="log-viewer__summary text-muted" id="log-viewer-summary">${this.renderSummary()}</span>
+                    </form>
+                    <div class="log-viewer__list" id="log-viewer-list">
+                        ${this.renderList()}
+                    </div>
+                    <div class="log-viewer__footer" id="log-viewer-status">
+                        ${this.renderStatus()}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderTitle() {
+        const multiAgent = StateManager.get('fleet.agents', []).length > 0;
+        return `日誌${multiAgent ? ` · ${StateManager.get('agent.name')}` : ''}`;
+    }
+
+    renderSourceOptions() {
+        const sources = [...new Set(this.getEntries().map(log => log.source).filter(Boolean))].sort();
+        if (this.filters.source && !sources.includes(this.filters.source)) {
+            sources.push(this.filters.source);
+        }
+
+        return `
+            <option value="">全部來源</option>
+            ${sources.map(source => `
+                <option value="${escapeHtml(source)}" ${source === this.filters.source ? 'selected' : ''}>
+                    ${escapeHtml(source)}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * 渲染過濾結果摘要（或正則錯誤）
+     */
+    renderSummary() {
+        if (this.searchError) {
+            return `<span class="text-danger">正則無效：${escapeHtml(this.searchError)}</span>`;
+        }
+
+        const entries = this.getEntries();
+        const visible = this.applyFilters(entries);
+        return visible.length === entries.length
+            ? `${entries.length} 條`
+            : `${visible.length} / ${entries.length} 條`;
+    }
+
+    /**
+     * 渲染底部狀態（跟隨中 / 已暫停 / 回到最新）
+     */
+    renderStatus() {
+        if (!this.isLive) {
+            return `
+                <span class="text-muted">正在瀏覽歷史日誌</span>
+                <button type="button" class="btn btn--ghost btn--small" data-log-action="latest">
+                    <i data-lucide="arrow-down-to-line" width="14" height="14"></i>
+                    回到最新
+                </button>
+            `;
+        }
+
+        if (this.following) {
+            return '<span class="badge badge--success log-viewer__live">● 跟隨最新</span>';
+        }
+
+        const unseen = this.countUnseen();
+        return `
+            <span class="text-muted">已暫停自動捲動</span>
+            <button type="button" class="btn btn--secondary btn--small" data-log-action="follow">
+                <i data-lucide="arrow-down-to-line" width="14" height="14"></i>
+                跟隨最新${unseen > 0 ? `（${unseen} 條新日誌）` : ''}
+            </button>
+        `;
+    }
+
+    /**
+     * 渲染日誌列表（依日期分組，最新在下）
+     */
+    renderList() {
+        const entries = this.applyFilters(this.getEntries());
+        const targetId = this.findTargetId(entries);
+        let currentDate = null;
+
+        const rows = entries.map((log) => {
+            const date = this.formatDate(log.timestamp);
+            const header = date !== currentDate ? `<li class="log-viewer__date">${date}</li>` : '';
+            const level = levelOf(log);
+            const fields = extraFields('log', log);
+            currentDate = date;
+
+            return `
+                ${header}
+                <li class="log-entry log-entry--${level} ${log.id === targetId ? 'log-entry--target' : ''}"
+                    data-log-id="${escapeHtml(log.id)}">
+                    <span class="log-entry__time text-muted text-mono">${this.formatTime(log.timestamp)}</span>
+                    <span class="log-entry__level">${level.toUpperCase()}</span>
+                    ${log.source ? `<span class="log-entry__source text-muted">${escapeHtml(log.source)}</span>` : ''}
+                    <span class="log-entry__message">${this.highlight(log.message)}</span>
+                    ${log.taskId ? this.renderTaskLink(log.taskId) : ''}
+                    ${fields ? `
+                        <div class="log-entry__fields">
+                            ${renderJsonTree(fields, { id: log.id, openPaths: this.openTrees })}
+                        </div>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            ${this.hasOlder ? this.renderPager('older', '載入更早的日誌') : `
+                <p class="text-muted log-viewer__end">已到最早的日誌</p>
+            `}
+            ${entries.length === 0 && !this.loading ? `
+                <p class="text-muted log-viewer__empty">
+                    ${this.isFiltering() ? '沒有符合條件的日誌，可載入更早的日誌繼續搜尋' : '此區間沒有日誌'}
+                </p>
+            ` : ''}
+            <ul class="log-viewer__entries">${rows}</ul>
+            ${this.isLive ? '' : this.renderPager('newer', '載入更新的日誌')}
+        `;
+    }
+
+    /**
+     * 渲染所屬任務的連結（任務不在列表中時顯示 ID）
+     * @param {string} taskId - 任務 ID
+     */
+    renderTaskLink(taskId) {
+        const task = this.findTask(taskId);
+
+        return `
+            <button type="button" class="log-entry__task" data-task-id="${escapeHtml(taskId)}"
+                    title="前往任務">
+                <i data-lucide="list-checks" width="12" height="12"></i>
+                ${escapeHtml(task?.title || taskId)}
+            </button>
+        `;
+    }
+
+    renderPager(direction, label) {
+        const isLoading = this.loading === direction || this.loading === 'jump';
+
+        return `
+            <button class="btn btn--ghost btn--small log-viewer__pager" data-log-action="${direction}" ${isLoading ? 'disabled' : ''}>
+                ${isLoading ? '<i data-lucide="loader" class="animate-spin" width="14" height="14"></i> 載入中…' : label}
+            </button>
+        `;
+    }
+
+    /**
+     * 以 <mark> 標示搜尋匹配（其餘文字轉義）
+     * @param {string} text - 日誌內容
+     * @returns {string}
+     */
+    highlight(text) {
+        if (!this.matcher) return escapeHtml(text);
+
+        let html = '';
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(this.matcher)) {
+            if (match[0] === '') continue;
+            html += escapeHtml(text.slice(lastIndex, match.index));
+            html += `<mark class="log-entry__match">${escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+
+        return html + escapeHtml(text.slice(lastIndex));
+    }
+
+    // ==================== 數據 ====================
+
+    /**
+     * 獲取要顯示的日誌（最舊在前）：分頁載入的日誌，銜接實時窗口時再合併實時日誌
+     * @returns {Object[]}
+     */
+    getEntries() {
+        const entries = new Map(this.loaded);
+        if (this.isLive) {
+            StateManager.get('logs', []).forEach(log => entries.set(log.id, log));
+        }
+        return [...entries.values()].sort(compareLogs);
+    }
+
+    /**
+     * 依等級、來源與搜尋條件過濾
+     * @param {Object[]} entries - 日誌
+     * @returns {Object[]}
+     */
+    applyFilters(entries) {
+        const { levels, source } = this.filters;
+
+        return entries.filter(log =>
+            levels.has(levelOf(log)) &&
+            (!source || log.source === source) &&
+            (!this.matcher || log.message.search(this.matcher) !== -1)
+        );
+    }
+
+    /**
+     * 在當前 Agent 的任務列表中查找任務
+     * @param {string} taskId - 任務 ID
+     * @returns {Object|undefined}
+     */
+    findTask(taskId) {
+        const { completed = [], inProgress = [], pending = [] } = StateManager.get('tasks', {});
+        return [...inProgress, ...pending, ...completed].find(task => task.id === taskId);
+    }
+
+    isFiltering() {
+        return this.filters.levels.size < LEVELS.length || !!this.filters.source || !!this.matcher;
+    }
+
+    /**
+     * 依搜尋框內容重建匹配器；正則無效時記錄錯誤並停用搜尋
+     */
+    updateMatcher() {
+        const { query, regex } = this.filters;
+        this.searchError = null;
+        this.matcher = null;
+
+        if (!query) return;
+
+        try {
+            const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            this.matcher = new RegExp(source, 'gi');
+        } catch (error) {
+            this.searchError = error.message;
+        }
+    }
+
+    /**
+     * 暫停跟隨後到達、且符合過濾條件的新日誌數
+     * @returns {number}
+     */
+    countUnseen() {
+        if (!this.pausedAfter) return 0;
+        return this.applyFilters(this.getEntries()).filter(log => compareLogs(log, this.pausedAfter) > 0).length;
+    }
+
+    /**
+     * 跳轉目標：時間不早於目標的最早一條日誌（沒有則為最新一條）
+     * @param {Object[]} entries - 最舊在前的日誌
+     * @returns {string|null}
+     */
+    findTargetId(entries) {
+        if (this.jumpTarget === null) return null;
+
+        const target = entries.find(log => log.timestamp >= this.jumpTarget) || entries[entries.length - 1];
+        return target?.id ?? null;
+    }
+
+    // ==================== 開關與分頁 ====================
+
+    /**
+     * 打開面板
+     * @param {Object} [options]
+     * @param {number} [options.at] - 打開後跳轉到的時間戳
+     */
+    open({ at } = {}) {
+        if (!this.container) return;
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+            this.container.innerHTML = this.renderViewer();
+            this.bindViewerEvents();
+        }
+
+        if (at !== undefined) {
+            this.jumpTo(at);
+        } else {
+            this.update();
+        }
+    }
+
+    /**
+     * 關閉面板並丟棄已載入的分頁（過濾條件保留）
+     */
+    close() {
+        this.isOpen = false;
+        this.reset();
+        this.openTrees.clear();
+        document.removeEventListener('keydown', this.escHandler);
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * 回到實時窗口並恢復跟隨
+     */
+    reset() {
+        this.generation++;
+        this.isLive = true;
+        this.loaded.clear();
+        this.hasOlder = true;
+        this.loading = null;
+        this.jumpTarget = null;
+        this.setFollowing(true);
+    }
+
+    /**
+     * 載入更早的一頁
+     */
+    async loadOlder() {
+        const oldest = this.getEntries()[0];
+
+        const page = await this.fetchPage('older', oldest
+            ? { before: { timestamp: oldest.timestamp, id: oldest.id } }
+            : { before: { timestamp: Date.now() + 1 } });
+        if (!page) return;
+
+        page.forEach(log => this.loaded.set(log.id, log));
+        this.hasOlder = page.length === PAGE_SIZE;
+        this.update();
+    }
+
+    /**
+     * 載入更新的一頁，到達最新時銜接實時窗口
+     */
+    async loadNewer() {
+        const entries = this.getEntries();
+        const newest = entries[entries.length - 1];
+
+        const page = await this.fetchPage('newer', newest
+            ? { after: { timestamp: newest.timestamp, id: newest.id } }
+            : { after: { timestamp: this.jumpTarget } });
+        if (!page) return;
+
+        page.forEach(log => this.loaded.set(log.id, log));
+        this.isLive = page.length < PAGE_SIZE || this.overlapsLive();
+        this.update();
+    }
+
+    /**
+     * 跳轉到指定時間：載入其前後各一頁，並暫停跟隨
+     * @param {number} timestamp - 目標時間戳
+     */
+    async jumpTo(timestamp) {
+        this.reset();
+        this.isLive = false;
+        this.jumpTarget = timestamp;
+        this.setFollowing(false);
+        this.update();
+
+        const pages = await this.fetchPage('jump', [
+            { before: { timestamp } },
+            { after: { timestamp: timestamp - 1 } }
+        ]);
+        if (!pages) return;
+
+        const [older, newer] = pages;
+        [...older, ...newer].forEach(log => this.loaded.set(log.id, log));
+        this.hasOlder = older.length === PAGE_SIZE;
+        this.isLive = newer.length < PAGE_SIZE || this.overlapsLive();
+        this.update();
+        this.scrollToTarget();
+    }
+
+    /**
+     * 讀取分頁；期間切換了 Agent 或重置時返回 null
+     * @param {'older'|'newer'|'jump'} kind - 載入類型
+     * @param {Object|Object[]} queries - getLogsPage 的游標（jump 時為多個）
+     * @returns {Promise<Object[]|Object[][]|null>}
+     */
+    async fetchPage(kind, queries) {
+        if (this.loading) return null;
+
+        const generation = this.generation;
+        this.loading = kind;
+        this.update();
+
+        try {
+            const result = Array.isArray(queries)
+                ? await Promise.all(queries.map(query => ApiClient.getLogsPage({ ...query, limit: PAGE_SIZE })))
+                : await ApiClient.getLogsPage({ ...queries, limit: PAGE_SIZE });
+            return generation === this.generation ? result : null;
+        } catch (error) {
+            console.error('LogViewerModule: Failed to load logs', error);
+            if (generation === this.generation) {
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'error',
+                    message: `載入日誌失敗：${error.message}`
+                });
+            }
+            return null;
+        } finally {
+            if (generation === this.generation) {
+                this.loading = null;
+                this.update();
+            }
+        }
+    }
+
+    /**
+     * 已載入的日誌是否已與實時窗口重疊
+     * @returns {boolean}
+     */
+    overlapsLive() {
+        const live = StateManager.get('logs', []);
+        return live.some(log => this.loaded.has(log.id));
+    }
+
+    /**
+     * 實時日誌更新：已載入歷史時併入分頁，避免實時窗口前移後與歷史之間出現斷層
+     */
+    handleLiveLogs() {
+        if (!this.isOpen || !this.isLive) return;
+
+        if (this.loaded.size > 0) {
+            StateManager.get('logs', []).forEach(log => this.loaded.set(log.id, log));
+        }
+        this.update();
+    }
+
+    // ==================== 跟隨 ====================
+
+    /**
+     * 切換跟隨模式；暫停時記錄當前最新的日誌
+     * @param {boolean} following - 是否跟隨
+     */
+    setFollowing(following) {
+        if (following === this.following) return;
+
+        this.following = following;
+        const entries = this.getEntries();
+        this.pausedAfter = following ? null : (entries[entries.length - 1] ?? null);
+    }
+
+    /**
+     * 捲動時依位置更新跟隨狀態，捲到頂部時載入更早的日誌
+     * @param {HTMLElement} list - 列表容器
+     */
+    handleScroll(list) {
+        if (this.isRestoringScroll) return;
+
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - BOTTOM_THRESHOLD;
+        const wasFollowing = this.following;
+        if (this.isLive) {
+            this.setFollowing(atBottom);
+        }
+        if (wasFollowing !== this.following) {
+            this.updateStatus();
+        }
+
+        if (list.scrollTop < 40 && this.hasOlder && !this.loading) {
+            this.loadOlder();
+        }
+    }
+
+    // ==================== DOM ====================
+
+    afterRender() {
+        this.container = document.getElementById('log-viewer-root');
+    }
+
+    bindViewerEvents() {
+        const overlay = document.getElementById('log-viewer-overlay');
+        const list = document.getElementById('log-viewer-list');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('#log-viewer-close')) {
+                this.close();
+                return;
+            }
+
+            // 回到日誌所屬的任務
+            const taskLink = e.target.closest('[data-task-id]');
+            if (taskLink) {
+                this.close();
+                EventBus.emit(Events.UI_TASK_FOCUS, { taskId: taskLink.dataset.taskId });
+                return;
+            }
+
+            const levelToggle = e.target.closest('[data-level]');
+            if (levelToggle) {
+                const { level } = levelToggle.dataset;
+                const { levels } = this.filters;
+                if (levels.has(level)) {
+                    levels.delete(level);
+                } else {
+                    levels.add(level);
+                }
+                levelToggle.setAttribute('aria-pressed', levels.has(level));
+                this.update();
+                return;
+            }
+
+            const action = e.target.closest('[data-log-action]')?.dataset.logAction;
+            if (action === 'older') this.loadOlder();
+            if (action === 'newer') this.loadNewer();
+            if (action === 'latest') {
+                this.reset();
+                this.update();
+            }
+            if (action === 'follow') {
+                this.setFollowing(true);
+                this.update();
+            }
+        });
+
+        list.addEventListener('scroll', () => this.handleScroll(list));
+        trackJsonTreeState(list, this.openTrees);
+
+        document.getElementById('log-viewer-source').addEventListener('change', (e) => {
+            this.filters.source = e.target.value;
+            this.update();
+        });
+
+        document.getElementById('log-viewer-query').addEventListener('input', (e) => {
+            this.filters.query = e.target.value;
+            this.updateMatcher();
+            this.update();
+        });
+
+        document.getElementById('log-viewer-regex').addEventListener('change', (e) => {
+            this.filters.regex = e.target.checked;
+            this.updateMatcher();
+            this.update();
+        });
+
+        document.getElementById('log-viewer-jump').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const timestamp = new Date(document.getElementById('log-viewer-jump-at').value).getTime();
+            if (Number.isFinite(timestamp)) {
+                this.jumpTo(timestamp);
+            }
+        });
+
+        this.escHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.escHandler);
+    }
+
+    update() {
+        if (!this.isOpen) return;
+
+        const list = document.getElementById('log-viewer-list');
+        if (!list) return;
+
+        // 未跟隨時以第一條可見的日誌為錨點，頂部載入更早的日誌或底部到達新日誌時保持閱讀位置
+        const anchor = this.following ? null : this.findAnchor(list);
+
+        list.innerHTML = this.renderList();
+        this.updateStatus();
+        document.getElementById('log-viewer-summary').innerHTML = this.renderSummary();
+        document.getElementById('log-viewer-title').textContent = this.renderTitle();
+
+        const sourceSelect = document.getElementById('log-viewer-source');
+        if (document.activeElement !== sourceSelect) {
+            sourceSelect.innerHTML = this.renderSourceOptions();
+        }
+
+        this.isRestoringScroll = true;
+        if (this.following) {
+            list.scrollTop = list.scrollHeight;
+        } else if (anchor) {
+            const element = list.querySelector(`[data-log-id="${CSS.escape(anchor.id)}"]`);
+            if (element) {
+                list.scrollTop = element.offsetTop - anchor.offset;
+            }
+        }
+        // 等待程式觸發的 scroll 事件過去後再恢復判斷
+        requestAnimationFrame(() => {
+            this.isRestoringScroll = false;
+        });
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    updateStatus() {
+        const status = document.getElementById('log-viewer-status');
+        if (!status) return;
+
+        status.innerHTML = this.renderStatus();
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    /**
+     * 找出列表中第一條可見的日誌
+     * @param {HTMLElement} list - 列表容器
+     * @returns {{id: string, offset: number}|null}
+     */
+    findAnchor(list) {
+        const element = [...list.querySelectorAll('.log-entry')]
+            .find(entry => entry.offsetTop + entry.offsetHeight > list.scrollTop);
+        return element ? { id: element.dataset.logId, offset: element.offsetTop - list.scrollTop } : null;
+    }
+
+    scrollToTarget() {
+        const target = document.querySelector('#log-viewer-list .log-entry--target');
+        if (target) {
+            target.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString('zh-TW', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short'
+        });
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    destroy() {
+        this.close();
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default LogViewerModule;
@@ -0,0 +1,476 @@
+/**
+ * NotificationCenterModule - 通知中心
+ *
+ * 從右側滑出的抽屜，列出 NotificationHistory 的通知記錄（最新在上）：
+ * 依類型過濾、點擊單條標為已讀、全部標為已讀與清空。
+ * 設定頁可開啟分頁隱藏時的桌面通知與提示音（見 DesktopNotifier），以及勿擾模式與勿擾時段（見 QuietHours）。
+ * 由資訊欄標題的鈴鐺按鈕（顯示未讀數）經 UI_NOTIFICATION_CENTER_TOGGLE 打開。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import NotificationHistory, { SOURCE_LABELS } from '../core/NotificationHistory.js';
+import DesktopNotifier from '../core/DesktopNotifier.js';
+import QuietHours, { WEEKDAYS, isValidTimezone } from '../core/QuietHours.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * 各類型的顯示方式
+ */
+const TYPE_DISPLAY = {
+    error: { label: '錯誤', icon: 'alert-circle' },
+    warning: { label: '警告', icon: 'alert-triangle' },
+    info: { label: '資訊', icon: 'info' },
+    success: { label: '成功', icon: 'check-circle' }
+};
+
+/**
+ * 桌面通知權限的說明
+ */
+const PERMISSION_HINTS = {
+    granted: '瀏覽器已允許通知',
+    default: '開啟時會請求瀏覽器的通知權限',
+    denied: '瀏覽器已封鎖本站的通知，請先在網站設定中允許',
+    unsupported: '此瀏覽器不支援桌面通知'
+};
+
+class NotificationCenterModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+
+        this.isOpen = false;
+        this.view = 'history'; // 'history' | 'settings'
+        this.filter = 'all';
+        this.escHandler = null;
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            EventBus.on(Events.UI_NOTIFICATION_CENTER_TOGGLE, () => (this.isOpen ? this.close() : this.open()))
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('notifications', () => this.update())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('config', () => this.update())
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.QUIET_HOURS_CHANGED, () => this.update())
+        );
+    }
+
+    render() {
+        return '<div class="notification-center-root" id="notification-center-root"></div>';
+    }
+
+    /**
+     * 渲染抽屜外框
+     */
+    renderDrawer() {
+        return `
+            <div class="modal-overlay notification-center-overlay" id="notification-center-overlay">
+                <aside class="notification-center animate-slideInRight" role="dialog" aria-modal="true"
+                       aria-labelledby="notification-center-title">
+                    <div class="notification-center__header">
+                        <h3 class="modal__title" id="notification-center-title">通知中心</h3>
+                        <button class="btn btn--icon btn--ghost notification-center__settings" id="notification-center-settings" title="通知設定"
+                                aria-pressed="${this.view === 'settings'}">
+                            <i data-lucide="settings"></i>
+                        </button>
+                        <button class="btn btn--icon btn--ghost" id="notification-center-close" aria-label="關閉">
+                            <i data-lucide="x"></i>
+                        </button>
+                    </div>
+                    <div class="notification-center__body" id="notification-center-body">
+                        ${this.renderBody()}
+                    </div>
+                </aside>
+            </div>
+        `;
+    }
+
+    renderBody() {
+        return this.view === 'settings' ? this.renderSettings() : this.renderHistory();
+    }
+
+    /**
+     * 渲染過濾、操作與列表
+     */
+    renderHistory() {
+        const items = StateManager.get('notifications.items', []);
+        const unread = StateManager.get('notifications.unread', 0);
+        const visible = this.filter === 'all' ? items : items.filter(item => item.type === this.filter);
+
+        return `
+            <div class="tabs notification-center__filters" role="tablist">
+                ${['all', ...Object.keys(TYPE_DISPLAY)].map(type => {
+                    const count = type === 'all' ? items.length : items.filter(item => item.type === type).length;
+                    return `
+                        <button class="tab ${type === this.filter ? 'tab--active' : ''}"
+                                data-notification-filter="${type}" role="tab"
+                                aria-selected="${type === this.filter}">
+                            ${type === 'all' ? '全部' : TYPE_DISPLAY[type].label}
+                            <span class="text-muted">${count}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+            <div class="notification-center__toolbar">
+                <span class="text-muted">${unread > 0 ? `${unread} 則未讀` : '沒有未讀通知'}</span>
+                <button class="btn btn--ghost btn--small" data-notification-action="read-all" ${unread === 0 ? 'disabled' : ''}>
+                    <i data-lucide="check-check" width="14" height="14"></i>
+                    全部標為已讀
+                </button>
+                <button class="btn btn--ghost btn--small" data-notification-action="clear" ${items.length === 0 ? 'disabled' : ''}>
+                    <i data-lucide="trash-2" width="14" height="14"></i>
+                    清空
+                </button>
+            </div>
+            ${visible.length === 0 ? `
+                <p class="notification-center__empty text-muted">${items.length === 0 ? '尚無通知' : '沒有此類型的通知'}</p>
+            ` : `
+                <ul class="notification-center__list">
+                    ${visible.map(item => this.renderItem(item)).join('')}
+                </ul>
+            `}
+        `;
+    }
+
+    renderItem(item) {
+        const type = TYPE_DISPLAY[item.type] || TYPE_DISPLAY.info;
+
+        return `
+            <li class="notification-center__item notification-center__item--${item.type} ${item.read ? '' : 'notification-center__item--unread'}"
+                data-notification-id="${item.id}" ${item.read ? '' : 'title="點擊標為已讀"'}>
+                <i data-lucide="${type.icon}" width="16" height="16" class="notification-center__icon"></i>
+                <div class="notification-center__content">
+                    ${item.title ? `<div class="notification-center__title">${escapeHtml(item.title)}</div>` : ''}
+                    <div class="notification-center__message">${escapeHtml(item.message)}</div>
+                    <div class="notification-center__meta text-muted">
+                        <span>
+                            ${SOURCE_LABELS[item.source] || item.source || '系統'}
+                            ${item.suppressed ? '<span class="notification-center__suppressed" title="勿擾期間未彈出">勿擾</span>' : ''}
+                        </span>
+                        <span class="text-mono">${this.formatDateTime(item.timestamp)}</span>
+                    </div>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 渲染通知設定
+     */
+    renderSettings() {
+        const permission = DesktopNotifier.getPermission();
+        const desktopEnabled = StateManager.get('config.desktopNotifications') && permission === 'granted';
+        const soundEnabled = StateManager.get('config.notificationSound');
+
+        return `
+            <div class="notification-center__settings-view">
+                <section class="notification-settings">
+                    <h4 class="notification-settings__title">背景提醒</h4>
+                    <p class="notification-settings__hint text-muted">
+                        分頁在背景時，Agent 離線、錯誤狀態、配額或餘額嚴重不足等嚴重事件會另外提醒，
+                        點擊桌面通知即可回到對應面板。
+                    </p>
+                    <label class="notification-settings__option">
+                        <input type="checkbox" data-notification-setting="desktop" ${desktopEnabled ? 'checked' : ''}
+                               ${permission === 'denied' || permission === 'unsupported' ? 'disabled' : ''}>
+                        <span>桌面通知</span>
+                    </label>
+                    <p class="notification-settings__status ${permission === 'denied' ? 'text-danger' : 'text-muted'}">
+                        ${PERMISSION_HINTS[permission]}
+                    </p>
+                    <label class="notification-settings__option">
+                        <input type="checkbox" data-notification-setting="sound" ${soundEnabled ? 'checked' : ''}>
+                        <span>提示音</span>
+                    </label>
+                    <div class="notification-settings__actions">
+                        <button class="btn btn--secondary btn--small" data-notification-action="test-desktop"
+                                ${desktopEnabled ? '' : 'disabled'}>
+                            <i data-lucide="monitor" width="14" height="14"></i>
+                            發送測試通知
+                        </button>
+                        <button class="btn btn--secondary btn--small" data-notification-action="test-sound">
+                            <i data-lucide="volume-2" width="14" height="14"></i>
+                            試聽提示音
+                        </button>
+                    </div>
+                </section>
+                ${this.renderQuietHours()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染勿擾設定
+     */
+    renderQuietHours() {
+        const settings = QuietHours.getSettings();
+        const timezones = Intl.supportedValuesOf?.('timeZone') || [];
+
+        return `
+            <section class="notification-settings">
+                <h4 class="notification-settings__title">勿擾</h4>
+                <p class="notification-settings__hint text-muted">
+                    勿擾期間非嚴重通知不會彈出，只記錄在通知中心，結束時匯總略過的通知。
+                </p>
+                <p class="notification-settings__status ${QuietHours.isQuiet() ? 'text-warning' : 'text-muted'}">
+                    ${QuietHours.isQuiet() ? '目前勿擾中' : '目前不在勿擾時段'}
+                </p>
+                <label class="notification-settings__option">
+                    <input type="checkbox" data-quiet-setting="doNotDisturb" ${settings.doNotDisturb ? 'checked' : ''}>
+                    <span>勿擾模式（直到手動關閉）</span>
+                </label>
+                <label class="notification-settings__option">
+                    <input type="checkbox" data-quiet-setting="allowCritical" ${settings.allowCritical ? 'checked' : ''}>
+                    <span>嚴重通知不受勿擾限制</span>
+                </label>
+                <label class="notification-settings__option">
+                    <input type="checkbox" data-quiet-setting="enabled" ${settings.enabled ? 'checked' : ''}>
+                    <span>依時段自動勿擾</span>
+                </label>
+                <div class="form-group">
+                    <label for="quiet-hours-timezone">時區</label>
+                    <input type="text" class="input text-mono" id="quiet-hours-timezone" data-quiet-setting="timezone"
+                           list="quiet-hours-timezones" value="${escapeHtml(settings.timezone || '')}"
+                           placeholder="${QuietHours.getTimezone()}（瀏覽器時區）">
+                    <datalist id="quiet-hours-timezones">
+                        ${timezones.map(zone => `<option value="${zone}"></option>`).join('')}
+                    </datalist>
+                </div>
+                ${settings.schedules.length === 0 ? `
+                    <p class="text-muted notification-settings__hint">尚未設定勿擾時段</p>
+                ` : `
+                    <ul class="quiet-hours__schedules">
+                        ${settings.schedules.map((schedule, index) => this.renderSchedule(schedule, index)).join('')}
+                    </ul>
+                `}
+                <div class="notification-settings__actions">
+                    <button class="btn btn--secondary btn--small" data-notification-action="add-schedule">
+                        <i data-lucide="plus" width="14" height="14"></i>
+                        新增時段
+                    </button>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * 渲染單個勿擾時段：星期切換與起訖時間（起晚於訖時跨越午夜）
+     */
+    renderSchedule(schedule, index) {
+        return `
+            <li class="quiet-hours__schedule" data-schedule-index="${index}">
+                <div class="quiet-hours__days" role="group" aria-label="星期">
+                    ${WEEKDAYS.map((label, day) => `
+                        <button type="button" class="quiet-hours__day" data-schedule-day="${day}"
+                                aria-pressed="${schedule.days.includes(day)}">${label}</button>
+                    `).join('')}
+                </div>
+                <div class="quiet-hours__time">
+                    <input type="time" class="input" data-schedule-field="start" value="${schedule.start}" aria-label="開始時間">
+                    <span class="text-muted">至</span>
+                    <input type="time" class="input" data-schedule-field="end" value="${schedule.end}" aria-label="結束時間">
+                    ${schedule.start > schedule.end ? '<span class="text-muted">（次日）</span>' : ''}
+                    <button type="button" class="btn btn--icon btn--ghost" data-notification-action="remove-schedule" title="刪除時段">
+                        <i data-lucide="trash-2" width="14" height="14"></i>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 變更勿擾設定
+     * @param {HTMLInputElement} input - 觸發變更的輸入框
+     */
+    changeQuietSetting(input) {
+        const setting = input.dataset.quietSetting;
+
+        if (setting === 'timezone') {
+            const timezone = input.value.trim();
+            if (timezone && !isValidTimezone(timezone)) {
+                EventBus.emit(Events.NOTIFICATION_SHOW, { type: 'error', message: `無效的時區：${timezone}` });
+                this.update();
+                return;
+            }
+            QuietHours.save({ timezone: timezone || null });
+            return;
+        }
+
+        QuietHours.save({ [setting]: input.checked });
+    }
+
+    /**
+     * 切換設定
+     * @param {string} setting - 'desktop' | 'sound'
+     * @param {boolean} enabled - 是否開啟
+     */
+    async changeSetting(setting, enabled) {
+        if (setting === 'sound') {
+            DesktopNotifier.setSound(enabled);
+            return;
+        }
+
+        if (!enabled) {
+            DesktopNotifier.disable();
+            return;
+        }
+
+        const permission = await DesktopNotifier.enable();
+        if (permission !== 'granted') {
+            // 權限被拒時設定不變，需重繪以取消勾選並顯示說明
+            this.update();
+        }
+    }
+
+    // ==================== 開關 ====================
+
+    open() {
+        if (!this.container || this.isOpen) return;
+
+        this.isOpen = true;
+        this.container.innerHTML = this.renderDrawer();
+        this.bindDrawerEvents();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    close() {
+        this.isOpen = false;
+        document.removeEventListener('keydown', this.escHandler);
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    // ==================== DOM ====================
+
+    afterRender() {
+        this.container = document.getElementById('notification-center-root');
+    }
+
+    bindDrawerEvents() {
+        const overlay = document.getElementById('notification-center-overlay');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('#notification-center-close')) {
+                this.close();
+                return;
+            }
+
+            if (e.target.closest('#notification-center-settings')) {
+                this.view = this.view === 'settings' ? 'history' : 'settings';
+                e.target.closest('#notification-center-settings').setAttribute('aria-pressed', this.view === 'settings');
+                this.update();
+                return;
+            }
+
+            const filter = e.target.closest('[data-notification-filter]');
+            if (filter) {
+                this.filter = filter.dataset.notificationFilter;
+                this.update();
+                return;
+            }
+
+            const action = e.target.closest('[data-notification-action]')?.dataset.notificationAction;
+            if (action === 'read-all') {
+                NotificationHistory.markAllRead();
+                return;
+            }
+            if (action === 'clear') {
+                NotificationHistory.clear();
+                return;
+            }
+            if (action === 'test-desktop') {
+                DesktopNotifier.showSystemNotification({
+                    title: '[測試] OpenClaw Dashboard',
+                    message: '桌面通知運作正常'
+                });
+                return;
+            }
+            if (action === 'test-sound') {
+                DesktopNotifier.playChime();
+                return;
+            }
+            if (action === 'add-schedule') {
+                QuietHours.addSchedule();
+                return;
+            }
+
+            const scheduleIndex = Number(e.target.closest('[data-schedule-index]')?.dataset.scheduleIndex);
+            if (action === 'remove-schedule') {
+                QuietHours.removeSchedule(scheduleIndex);
+                return;
+            }
+            const day = e.target.closest('[data-schedule-day]');
+            if (day) {
+                QuietHours.toggleDay(scheduleIndex, Number(day.dataset.scheduleDay));
+                return;
+            }
+
+            const item = e.target.closest('[data-notification-id]');
+            if (item) {
+                NotificationHistory.markRead(item.dataset.notificationId);
+            }
+        });
+
+        overlay.addEventListener('change', (e) => {
+            const { notificationSetting, quietSetting, scheduleField } = e.target.dataset;
+            if (notificationSetting) {
+                this.changeSetting(notificationSetting, e.target.checked);
+            } else if (quietSetting) {
+                this.changeQuietSetting(e.target);
+            } else if (scheduleField && e.target.value) {
+                const index = Number(e.target.closest('[data-schedule-index]').dataset.scheduleIndex);
+                QuietHours.updateSchedule(index, { [scheduleField]: e.target.value });
+            }
+        });
+
+        this.escHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.escHandler);
+    }
+
+    update() {
+        if (!this.isOpen) return;
+
+        const body = document.getElementById('notification-center-body');
+        if (!body) return;
+
+        body.innerHTML = this.renderBody();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString('zh-TW', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    destroy() {
+        this.close();
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default NotificationCenterModule;
@@ -1,28 +1,75 @@
 /**
  * NotificationModule - 通知系統模塊
  * 
- * 處理所有通知的顯示和管理
+ * 處理所有通知的顯示和管理，顯示的通知同時記錄到 NotificationHistory（見通知中心）。
+ * 重複的通知合併顯示次數，依來源分組，並限制同時顯示數量與各來源的彈出頻率。
+ * 通知可帶操作按鈕（發布 EventBus 事件或執行回調），長時間操作可用進度通知並經 update() 原地更新。
+ *
+ * @example
+ * EventBus.emit(Events.NOTIFICATION_SHOW, {
+ *     type: 'error',
+ *     message: '指令「暫停」失敗',
+ *     actions: [{ label: '重試', event: Events.COMMAND_RETRY, payload: { type: 'pause', args: {} } }]
+ * });
+ * EventBus.emit(Events.NOTIFICATION_SHOW, { id: 'sync', message: '同步中', progress: 0 });
+ * EventBus.emit(Events.NOTIFICATION_UPDATE, { id: 'sync', progress: 0.5 });
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
+import NotificationHistory, { SOURCE_LABELS } from '../core/NotificationHistory.js';
+import QuietHours from '../core/QuietHours.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 同時顯示的通知上限，超出的收合為「還有 N 則」
+const MAX_VISIBLE = 5;
+
+// 每個來源的彈出頻率限制
+const RATE_LIMIT = { max: 4, window: 10 * 1000 };
+
+/**
+ * 通知的操作按鈕
+ * @typedef {Object} NotificationAction
+ * @property {string} label - 按鈕文字
+ * @property {string} [icon] - Lucide 圖標
+ * @property {'primary'|'secondary'|'ghost'} [type='secondary'] - 按鈕樣式
+ * @property {string} [event] - 點擊時發布的 EventBus 事件
+ * @property {*} [payload] - 事件負載
+ * @property {Function} [callback] - 點擊時執行的回調
+ * @property {boolean} [dismiss=true] - 點擊後是否關閉通知
+ */
 
 class NotificationModule {
     constructor(config) {
         this.config = config;
         this.container = null;
+        this.overflowElement = null;
         this.notifications = [];
         this.counter = 0;
+        this.recentBySource = new Map(); // 來源 -> 近期彈出的時間戳
+        this.expanded = false;
         this.unsubscribers = [];
     }
 
     async init() {
         this.container = document.getElementById('notifications');
+        this.container.innerHTML = `
+            <button type="button" class="notifications-overflow btn btn--ghost btn--small" hidden></button>
+        `;
+        this.overflowElement = this.container.querySelector('.notifications-overflow');
+        this.overflowElement.addEventListener('click', () => {
+            this.expanded = true;
+            this.layout();
+        });
 
         // 監聽通知事件
         this.unsubscribers.push(
             EventBus.on(Events.NOTIFICATION_SHOW, (data) => this.show(data))
         );
 
+        this.unsubscribers.push(
+            EventBus.on(Events.NOTIFICATION_UPDATE, ({ id, ...patch }) => this.update(id, patch))
+        );
+
         this.unsubscribers.push(
             EventBus.on(Events.NOTIFICATION_DISMISS, (data) => this.dismiss(data.id))
         );
@@ -34,70 +81,353 @@ class NotificationModule {
 
     /**
      * 顯示通知
+     *
+     * 相同去重鍵的通知合併為一則並顯示「×N」；同一來源的通知歸在同一組；
+     * 同時最多顯示 MAX_VISIBLE 則，較舊的收合為「還有 N 則」；
+     * 每個來源在 RATE_LIMIT.window 內最多彈出 RATE_LIMIT.max 則新通知（critical 不受限），
+     * 超出的只記錄到通知中心，並以一則提示計算略過的次數。
+     * 勿擾期間（見 QuietHours）非嚴重通知不彈出，只記錄到通知中心。
+     *
      * @param {Object} options - 通知選項
      * @param {string} options.type - 類型：success, warning, error, info
      * @param {string} options.message - 訊息內容
      * @param {string} [options.title] - 標題
      * @param {number} [options.duration=5000] - 持續時間（毫秒）
      * @param {boolean} [options.persistent=false] - 是否持久顯示
+     * @param {string} [options.source] - 來源（如 'quota'、'rule'），記錄在通知中心，並作為分組依據
+     * @param {string} [options.key] - 去重鍵，預設由類型、來源、標題與訊息組成
+     * @param {boolean} [options.critical=false] - 嚴重事件，分頁隱藏時另以桌面通知提醒（見 DesktopNotifier）
+     * @param {string} [options.target] - 相關面板的元素 ID，點擊桌面通知時定位到此
+     * @param {NotificationAction[]} [options.actions] - 操作按鈕
+     * @param {number|null} [options.progress] - 進度（0-1），指定時顯示進度條且默認持久顯示
+     * @param {string} [options.id] - 自訂 ID，供之後以 update() / NOTIFICATION_UPDATE 更新；已存在時直接更新
+     * @returns {string|null} 通知 ID（合併或略過時為已顯示通知的 ID），勿擾略過時為 null
      */
-    show({ type = 'info', message, title, duration = 5000, persistent = false }) {
-        const id = `notification-${++this.counter}`;
+    show({
+        type = 'info', message, title, duration = 5000, source, key, critical = false,
+        actions = [], progress = null, id = null, persistent = progress !== null
+    }) {
+        if (id !== null && this.find(id)) {
+            return this.update(id, { type, message, title, duration, persistent, actions, progress });
+        }
 
+        if (QuietHours.shouldSuppress({ critical })) {
+            NotificationHistory.add({ type, title, message, source, suppressed: true });
+            QuietHours.record({ type, source });
+            return null;
+        }
+
+        NotificationHistory.add({ type, title, message, source });
+
+        const dedupKey = key ?? (id !== null ? `id:${id}` : [type, source ?? '', title ?? '', message].join('|'));
+        const existing = this.notifications.find(n => n.key === dedupKey && !n.dismissing);
+        if (existing) {
+            return this.merge(existing, { message, title, duration, persistent });
+        }
+
+        const group = source || 'system';
+        if (!critical && this.isRateLimited(group)) {
+            return this.showRateLimited(group);
+        }
+
+        return this.add({ id, key: dedupKey, type, message, title, persistent, source, group, actions, progress }, duration);
+    }
+
+    /**
+     * 原地更新已顯示的通知（如進度）
+     *
+     * 中間的更新不另記錄到通知中心；進度到 1 時將最終狀態記錄到通知中心。
+     * 更新後不再持久顯示的通知（含進度到 1 且未指定 persistent）於 duration 後消失。
+     *
+     * @param {string} id - 通知 ID
+     * @param {Object} patch - 要更新的欄位：type、title、message、progress、actions、persistent、duration
+     * @returns {string|null} 通知 ID，通知已消失時為 null
+     */
+    update(id, patch) {
+        const notification = this.find(id);
+        if (!notification) return null;
+
+        const finishing = notification.progress !== null && notification.progress < 1 && patch.progress >= 1;
+        const { duration = 5000, ...fields } = patch;
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value !== undefined) {
+                notification[field] = value;
+            }
+        });
+        if (patch.persistent === undefined && notification.progress !== null && notification.progress >= 1) {
+            notification.persistent = false;
+        }
+        notification.updatedAt = Date.now();
+
+        if (finishing) {
+            const { type, title, message, source } = notification;
+            NotificationHistory.add({ type, title, message, source });
+        }
+
+        notification.element.className = this.getClassName(notification);
+        notification.element.innerHTML = this.renderNotificationBody(notification);
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+
+        this.scheduleDismiss(notification, duration);
+        this.layout();
+
+        return id;
+    }
+
+    /**
+     * 查找顯示中（未在關閉動畫中）的通知
+     * @param {string} id - 通知 ID
+     * @returns {Object|undefined}
+     */
+    find(id) {
+        return this.notifications.find(n => n.id === id && !n.dismissing);
+    }
+
+    /**
+     * 執行操作按鈕
+     * @param {Object} notification - 通知
+     * @param {NotificationAction} action - 操作
+     */
+    runAction(notification, action) {
+        if (action.event) {
+            EventBus.emit(action.event, action.payload);
+        }
+        action.callback?.();
+
+        if (action.dismiss !== false) {
+            this.dismiss(notification.id);
+        }
+    }
+
+    /**
+     * 建立並顯示一則通知
+     * @param {Object} options - 通知內容（id, key, type, message, title, persistent, group, actions, progress）
+     * @param {number} duration - 持續時間（毫秒）
+     * @returns {string} 通知 ID
+     */
+    add(options, duration) {
         const notification = {
-            id,
-            type,
-            message,
-            title,
-            persistent
+            actions: [],
+            progress: null,
+            ...options,
+            id: options.id ?? `notification-${++this.counter}`,
+            count: 1,
+            updatedAt: Date.now(),
+            timer: null
         };
 
         this.notifications.push(notification);
 
-        const html = this.renderNotification(notification);
-        this.container.insertAdjacentHTML('beforeend', html);
+        const list = this.getGroupList(notification.group);
+        list.insertAdjacentHTML('beforeend', this.renderNotification(notification));
+        notification.element = list.lastElementChild;
 
-        const element = document.getElementById(id);
-        if (element) {
-            // 綁定關閉按鈕
-            const closeBtn = element.querySelector('.notification__close');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.dismiss(id));
+        // 關閉與操作按鈕（按鈕隨 update() 重繪，以委派綁定）
+        notification.element.addEventListener('click', (e) => {
+            if (e.target.closest('.notification__close')) {
+                this.dismiss(notification.id);
+                return;
             }
 
-            // 非持久通知自動消失
-            if (!persistent) {
-                setTimeout(() => this.dismiss(id), duration);
+            const button = e.target.closest('[data-notification-action]');
+            const action = button && notification.actions[Number(button.dataset.notificationAction)];
+            if (action) {
+                this.runAction(notification, action);
             }
+        });
 
-            // 初始化圖標
-            if (window.lucide) {
-                window.lucide.createIcons();
-            }
+        // 初始化圖標
+        if (window.lucide) {
+            window.lucide.createIcons();
         }
 
-        return id;
+        this.scheduleDismiss(notification, duration);
+        this.layout();
+
+        return notification.id;
+    }
+
+    /**
+     * 將重複的通知合併到已顯示的通知
+     * @param {Object} notification - 已顯示的通知
+     * @param {Object} update - 新通知的內容
+     * @returns {string} 通知 ID
+     */
+    merge(notification, { message, title, duration, persistent }) {
+        notification.count += 1;
+        notification.message = message;
+        notification.title = title;
+        notification.persistent = notification.persistent || persistent;
+        notification.updatedAt = Date.now();
+
+        const { element } = notification;
+        element.querySelector('.notification__message').textContent = message;
+        const titleElement = element.querySelector('.notification__title');
+        if (titleElement && title) {
+            titleElement.textContent = title;
+        }
+        const count = element.querySelector('.notification__count');
+        count.textContent = `×${notification.count}`;
+        count.hidden = false;
+
+        // 重新計時
+        this.scheduleDismiss(notification, duration);
+        this.layout();
+
+        return notification.id;
+    }
+
+    /**
+     * 非持久通知在 duration 後自動消失
+     */
+    scheduleDismiss(notification, duration) {
+        clearTimeout(notification.timer);
+        notification.timer = notification.persistent ? null : setTimeout(() => this.dismiss(notification.id), duration);
+    }
+
+    /**
+     * 檢查並記錄來源的彈出頻率
+     * @param {string} group - 來源
+     * @returns {boolean} 是否超出限制
+     */
+    isRateLimited(group) {
+        const now = Date.now();
+        const recent = (this.recentBySource.get(group) || []).filter(at => now - at < RATE_LIMIT.window);
+
+        if (recent.length >= RATE_LIMIT.max) {
+            this.recentBySource.set(group, recent);
+            return true;
+        }
+
+        this.recentBySource.set(group, [...recent, now]);
+        return false;
+    }
+
+    /**
+     * 來源超出頻率限制時，以一則提示取代（重複略過時合併計數）
+     * @param {string} group - 來源
+     * @returns {string} 提示的 ID
+     */
+    showRateLimited(group) {
+        const key = `rate-limit:${group}`;
+        const existing = this.notifications.find(n => n.key === key && !n.dismissing);
+        if (existing) {
+            return this.merge(existing, { message: existing.message, duration: RATE_LIMIT.window, persistent: false });
+        }
+
+        return this.add({
+            key,
+            type: 'info',
+            message: `${SOURCE_LABELS[group] || '系統'}通知過於頻繁，略過的通知可在通知中心查看`,
+            persistent: false,
+            group
+        }, RATE_LIMIT.window);
+    }
+
+    /**
+     * 取得（必要時建立）來源分組的列表元素
+     * @param {string} group - 來源
+     * @returns {HTMLElement}
+     */
+    getGroupList(group) {
+        let element = this.container.querySelector(`.notification-group[data-source="${CSS.escape(group)}"]`);
+
+        if (!element) {
+            this.overflowElement.insertAdjacentHTML('beforebegin', `
+                <section class="notification-group" data-source="${escapeHtml(group)}">
+                    <div class="notification-group__header">
+                        <span>${SOURCE_LABELS[group] || '系統'}</span>
+                        <span class="notification-group__count"></span>
+                    </div>
+                    <div class="notification-group__list"></div>
+                </section>
+            `);
+            element = this.overflowElement.previousElementSibling;
+        }
+
+        return element.querySelector('.notification-group__list');
+    }
+
+    /**
+     * 更新分組標題與收合狀態：超過 MAX_VISIBLE 時隱藏最久未更新的通知
+     */
+    layout() {
+        const active = this.notifications.filter(n => !n.dismissing);
+        const hidden = this.expanded ? [] : [...active]
+            .sort((a, b) => a.updatedAt - b.updatedAt)
+            .slice(0, Math.max(0, active.length - MAX_VISIBLE));
+        const hiddenIds = new Set(hidden.map(n => n.id));
+
+        active.forEach(n => {
+            n.element.classList.toggle('notification--collapsed', hiddenIds.has(n.id));
+        });
+
+        this.container.querySelectorAll('.notification-group').forEach(groupElement => {
+            const members = active.filter(n => n.group === groupElement.dataset.source);
+            const visible = members.filter(n => !hiddenIds.has(n.id)).length;
+
+            // 同一來源有多則時才顯示分組標題；整組都收合時隱藏
+            groupElement.classList.toggle('notification-group--multiple', members.length > 1);
+            groupElement.hidden = visible === 0;
+            groupElement.querySelector('.notification-group__count').textContent = `${members.length} 則`;
+        });
+
+        this.overflowElement.hidden = hidden.length === 0;
+        this.overflowElement.textContent = `還有 ${hidden.length} 則通知`;
+
+        if (active.length <= MAX_VISIBLE) {
+            this.expanded = false;
+        }
     }
 
     renderNotification(notification) {
+        return `
+            <div class="${this.getClassName(notification)} notification-enter" role="alert">
+                ${this.renderNotificationBody(notification)}
+            </div>
+        `;
+    }
+
+    getClassName(notification) {
+        return `notification notification--${notification.type}`;
+    }
+
+    renderNotificationBody(notification) {
         const icon = this.getIcon(notification.type);
 
         return `
-            <div class="notification notification--${notification.type} notification-enter" 
-                 id="${notification.id}" role="alert">
-                <div class="notification__icon">
-                    <i data-lucide="${icon}" width="20" height="20"></i>
-                </div>
-                <div class="notification__content">
-                    ${notification.title ? `
-                        <div class="notification__title">${notification.title}</div>
-                    ` : ''}
-                    <div class="notification__message">${notification.message}</div>
-                </div>
-                <button class="notification__close btn btn--icon btn--ghost">
-                    <i data-lucide="x" width="16" height="16"></i>
-                </button>
+            <div class="notification__icon">
+                <i data-lucide="${icon}" width="20" height="20"></i>
+            </div>
+            <div class="notification__content">
+                ${notification.title ? `
+                    <div class="notification__title">${escapeHtml(notification.title)}</div>
+                ` : ''}
+                <div class="notification__message">${escapeHtml(notification.message)}</div>
+                ${notification.progress !== null ? `
+                    <div class="progress notification__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                         aria-valuenow="${Math.round(notification.progress * 100)}">
+                        <div class="progress__bar" style="width: ${Math.min(100, Math.max(0, notification.progress * 100))}%"></div>
+                    </div>
+                ` : ''}
+                ${notification.actions.length > 0 ? `
+                    <div class="notification__actions">
+                        ${notification.actions.map((action, index) => `
+                            <button type="button" class="btn btn--${action.type || 'secondary'} btn--small"
+                                    data-notification-action="${index}">
+                                ${action.icon ? `<i data-lucide="${action.icon}" width="14" height="14"></i>` : ''}
+                                ${escapeHtml(action.label)}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
             </div>
+            <span class="notification__count badge" ${notification.count > 1 ? '' : 'hidden'}>×${notification.count}</span>
+            <button class="notification__close btn btn--icon btn--ghost" aria-label="關閉">
+                <i data-lucide="x" width="16" height="16"></i>
+            </button>
         `;
     }
 
@@ -116,16 +446,25 @@ class NotificationModule {
      * @param {string} id - 通知 ID
      */
     dismiss(id) {
-        const element = document.getElementById(id);
-        if (element) {
-            element.classList.remove('notification-enter');
-            element.classList.add('notification-exit');
+        const notification = this.find(id);
+        if (!notification) return;
 
-            setTimeout(() => {
-                element.remove();
-                this.notifications = this.notifications.filter(n => n.id !== id);
-            }, 250);
-        }
+        notification.dismissing = true;
+        clearTimeout(notification.timer);
+
+        const { element } = notification;
+        element.classList.remove('notification-enter');
+        element.classList.add('notification-exit');
+
+        setTimeout(() => {
+            const group = element.closest('.notification-group');
+            element.remove();
+            if (group && !group.querySelector('.notification')) {
+                group.remove();
+            }
+            this.notifications = this.notifications.filter(n => n.id !== id);
+            this.layout();
+        }, 250);
     }
 
     /**
@@ -2,11 +2,24 @@
  * SidebarModule - 左側邊欄模塊
  * 
  * 顯示 Agent 頭像、名稱、狀態指示燈和當前任務摘要
+ * 多 Agent 時提供切換器，切換後整個 Dashboard 顯示所選 Agent 的數據
+ * 並提供暫停/恢復與取消當前任務的控制（經由 CommandChannel 發送指令）
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import ApiClient from '../api/ApiClient.js';
+import CommandChannel, { COMMAND_TYPES } from '../api/CommandChannel.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Agent 狀態的顯示方式
+ */
+const STATUS_DISPLAY = {
+    working: { label: '工作中', textClass: 'text-success', dotClass: 'status-dot--active' },
+    paused: { label: '已暫停', textClass: 'text-warning', dotClass: 'status-dot--warning' },
+    idle: { label: '閒置', textClass: 'text-muted', dotClass: 'status-dot--idle' }
+};
 
 class SidebarModule {
     constructor(config) {
@@ -21,6 +34,27 @@ class SidebarModule {
             StateManager.subscribe('agent', () => this.update())
         );
 
+        this.unsubscribers.push(
+            StateManager.subscribe('api.pendingWrites', () => this.updatePendingWrites())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('fleet.agents', () => this.updateAgentSwitcher())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('ui.selectedAgentId', () => this.updateAgentSwitcher())
+        );
+
+        // 指令狀態與連線狀態決定控制按鈕是否可用
+        this.unsubscribers.push(
+            StateManager.subscribe('commands.items', () => this.updateControls())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('connection.isConnected', () => this.updateControls())
+        );
+
         // 監聽 UI 事件
         this.unsubscribers.push(
             EventBus.on(Events.UI_SIDEBAR_TOGGLE, () => this.toggle())
@@ -30,7 +64,9 @@ class SidebarModule {
     render() {
         const agent = StateManager.get('agent', {});
         const isWorking = agent.status === 'working';
+        const status = STATUS_DISPLAY[agent.status] || STATUS_DISPLAY.idle;
         const currentTask = agent.currentTask;
+        const isDemo = StateManager.get('api.dataSource') === 'mock';
 
         return `
             <aside class="sidebar" id="sidebar">
@@ -38,7 +74,7 @@ class SidebarModule {
                     <div class="agent-profile">
                         <div class="agent-avatar ${isWorking ? 'agent-avatar--working' : ''}">
                             ${agent.avatar
-                ? `<img src="${agent.avatar}" alt="${agent.name}" />`
+                ? `<img src="${escapeHtml(agent.avatar)}" alt="${escapeHtml(agent.name)}" />`
                 : `<div class="agent-avatar__placeholder">
                                     <i data-lucide="bot" class="agent-avatar__icon"></i>
                                    </div>`
@@ -46,13 +82,18 @@ class SidebarModule {
                             <span class="status-indicator ${isWorking ? 'status-indicator--active' : 'status-indicator--idle'}"></span>
                         </div>
                         <div class="agent-info">
-                            <h2 class="agent-name">${agent.name || 'OpenClaw'}</h2>
-                            <span class="agent-status ${isWorking ? 'text-success' : 'text-muted'}">
-                                <span class="status-dot ${isWorking ? 'status-dot--active' : 'status-dot--idle'}"></span>
-                                ${isWorking ? '工作中' : '閒置'}
+                            <h2 class="agent-name">
+                                <span class="agent-name__text">${escapeHtml(agent.name || 'OpenClaw')}</span>
+                                ${isDemo ? '<span class="badge badge--info demo-badge" title="使用模擬數據">DEMO</span>' : ''}
+                            </h2>
+                            <span class="agent-status ${status.textClass}">
+                                <span class="status-dot ${status.dotClass}"></span>
+                                ${status.label}
                             </span>
                         </div>
                     </div>
+                    <div id="agent-switcher">${this.renderAgentSwitcher()}</div>
+                    <div id="agent-controls">${this.renderControls()}</div>
                 </div>
 
                 <div class="sidebar__content">
@@ -84,6 +125,7 @@ class SidebarModule {
                         <i data-lucide="refresh-cw"></i>
                         <span>刷新數據</span>
                     </button>
+                    <span id="pending-writes">${this.renderPendingWrites()}</span>
                 </div>
             </aside>
         `;
@@ -97,22 +139,106 @@ class SidebarModule {
                     <span>當前任務</span>
                 </div>
                 <div class="current-task-card__content">
-                    <h4 class="current-task-card__title">${task.title}</h4>
-                    <div class="current-task-card__progress">
-                        <div class="progress">
-                            <div class="progress__bar animate-progress" style="width: ${task.progress}%"></div>
+                    <h4 class="current-task-card__title">${escapeHtml(task.title)}</h4>
+                    ${Number.isFinite(task.progress) ? `
+                        <div class="current-task-card__progress">
+                            <div class="progress">
+                                <div class="progress__bar animate-progress" style="width: ${task.progress}%"></div>
+                            </div>
+                            <span class="current-task-card__percent">${task.progress}%</span>
                         </div>
-                        <span class="current-task-card__percent">${task.progress}%</span>
-                    </div>
-                    <div class="current-task-card__time">
-                        <i data-lucide="clock"></i>
-                        <span>${this.formatDuration(task.startedAt)}</span>
-                    </div>
+                    ` : ''}
+                    ${task.startedAt ? `
+                        <div class="current-task-card__time">
+                            <i data-lucide="clock"></i>
+                            <span>${this.formatDuration(task.startedAt)}</span>
+                        </div>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * 渲染 Agent 切換器（單 Agent 佈局時為空）
+     */
+    renderAgentSwitcher() {
+        const agents = StateManager.get('fleet.agents', []);
+        if (agents.length === 0) return '';
+
+        const selectedId = StateManager.get('ui.selectedAgentId');
+
+        return `
+            <label class="agent-switcher">
+                <span class="sidebar-nav__title">監控對象</span>
+                <select class="input agent-switcher__select" aria-label="切換 Agent">
+                    ${agents.map(agent => `
+                        <option value="${escapeHtml(agent.id)}" ${agent.id === selectedId ? 'selected' : ''}>
+                            ${escapeHtml(agent.name)} · ${agent.displayState || '⚪ UNKNOWN'}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    /**
+     * 渲染 Agent 控制按鈕：暫停/恢復、取消當前任務
+     */
+    renderControls() {
+        const agent = StateManager.get('agent', {});
+        const isPaused = agent.status === 'paused';
+
+        // 無法發送指令的原因（顯示於按鈕提示）
+        let blockedReason = null;
+        if (!StateManager.get('connection.isConnected', false)) {
+            blockedReason = 'Dashboard 未連線';
+        } else if (agent.isOnline === false) {
+            blockedReason = 'Agent 離線';
+        }
+
+        return `
+            <div class="agent-controls">
+                ${this.renderControl(isPaused ? 'resume' : 'pause', blockedReason, ['pause', 'resume'])}
+                ${this.renderControl('cancelTask', blockedReason || (agent.currentTask ? null : '沒有進行中的任務'))}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染單個控制按鈕，同類指令等待結果時顯示進行中
+     * @param {string} type - 指令類型
+     * @param {string|null} disabledReason - 不可用的原因
+     * @param {string[]} [exclusiveTypes=[type]] - 其中任一在途時按鈕不可用
+     */
+    renderControl(type, disabledReason, exclusiveTypes = [type]) {
+        const { label, icon } = COMMAND_TYPES[type];
+        const inFlight = exclusiveTypes.some(entry => CommandChannel.findInFlight(entry));
+        const title = disabledReason || (inFlight ? '等待 Agent 回應' : `${label} Agent`);
+
+        return `
+            <button type="button" class="btn btn--secondary btn--small agent-controls__btn"
+                    data-command="${type}" title="${title}"
+                    ${disabledReason || inFlight ? 'disabled' : ''}>
+                <i data-lucide="${inFlight ? 'loader' : icon}" width="14" height="14"
+                   class="${inFlight ? 'animate-spin' : ''}"></i>
+                <span>${label}</span>
+            </button>
+        `;
+    }
+
+    renderPendingWrites() {
+        const count = StateManager.get('api.pendingWrites', 0);
+        if (count === 0) return '';
+
+        return `
+            <span class="badge badge--warning pending-writes" title="離線期間的變更，重新連線後自動同步">
+                <i data-lucide="cloud-off" width="12" height="12"></i>
+                ${count} 項待同步
+            </span>
+        `;
+    }
+
     renderIdleState() {
         return `
             <div class="idle-state">
@@ -148,6 +274,31 @@ class SidebarModule {
     }
 
     bindEvents() {
+        // Agent 切換器（內容會重新渲染，故在容器上委派）
+        const switcher = document.getElementById('agent-switcher');
+        if (switcher) {
+            switcher.addEventListener('change', (e) => {
+                if (e.target.matches('.agent-switcher__select')) {
+                    ApiClient.selectAgent(e.target.value);
+                }
+            });
+        }
+
+        // 控制按鈕（隨指令狀態重繪，以委派方式綁定）
+        const controls = document.getElementById('agent-controls');
+        if (controls) {
+            controls.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-command]');
+                if (!button || button.disabled) return;
+
+                if (button.dataset.command === 'cancelTask') {
+                    this.showCancelDialog();
+                } else {
+                    this.sendCommand(button.dataset.command);
+                }
+            });
+        }
+
         // 刷新按鈕
         const refreshBtn = document.getElementById('refresh-data');
         if (refreshBtn) {
@@ -175,12 +326,51 @@ class SidebarModule {
         });
     }
 
+    /**
+     * 顯示取消任務確認對話框
+     */
+    showCancelDialog() {
+        const task = StateManager.get('agent.currentTask');
+        if (!task) return;
+
+        EventBus.emit('ui:show-modal', {
+            title: '取消當前任務',
+            content: `<p>確定要讓 Agent 停止「${escapeHtml(task.title)}」嗎？任務將退回待辦。</p>`,
+            actions: [
+                { label: '返回', type: 'secondary', action: 'close' },
+                { label: '取消任務', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                await this.sendCommand('cancelTask', { taskId: task.id });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * 發送指令，結果由 CommandChannel 通知
+     * @param {string} type - 指令類型
+     * @param {Object} [args] - 參數
+     */
+    async sendCommand(type, args) {
+        try {
+            await ApiClient.sendCommand(type, args);
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'info',
+                message: `已送出「${COMMAND_TYPES[type].label}」指令，等待 Agent 回應`
+            });
+        } catch (error) {
+            // ApiClient 已通知
+        }
+    }
+
     update() {
         if (!this.container) return;
 
         // 只更新需要變化的部分
         const agent = StateManager.get('agent', {});
         const isWorking = agent.status === 'working';
+        const status = STATUS_DISPLAY[agent.status] || STATUS_DISPLAY.idle;
 
         // 更新狀態指示
         const avatar = this.container.querySelector('.agent-avatar');
@@ -194,15 +384,22 @@ class SidebarModule {
             statusIndicator.classList.toggle('status-indicator--idle', !isWorking);
         }
 
+        const nameText = this.container.querySelector('.agent-name__text');
+        if (nameText) {
+            nameText.textContent = agent.name || 'OpenClaw';
+        }
+
         const statusText = this.container.querySelector('.agent-status');
         if (statusText) {
-            statusText.className = `agent-status ${isWorking ? 'text-success' : 'text-muted'}`;
+            statusText.className = `agent-status ${status.textClass}`;
             statusText.innerHTML = `
-                <span class="status-dot ${isWorking ? 'status-dot--active' : 'status-dot--idle'}"></span>
-                ${isWorking ? '工作中' : '閒置'}
+                <span class="status-dot ${status.dotClass}"></span>
+                ${status.label}
             `;
         }
 
+        this.updateControls();
+
         // 更新當前任務區塊
         const contentArea = this.container.querySelector('.sidebar__content');
         if (contentArea) {
@@ -220,6 +417,36 @@ class SidebarModule {
         }
     }
 
+    updateAgentSwitcher() {
+        const target = document.getElementById('agent-switcher');
+        if (!target) return;
+
+        // 下拉選單展開時不重繪，避免打斷選擇
+        if (target.contains(document.activeElement)) return;
+
+        target.innerHTML = this.renderAgentSwitcher();
+    }
+
+    updateControls() {
+        const target = document.getElementById('agent-controls');
+        if (!target) return;
+
+        target.innerHTML = this.renderControls();
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    updatePendingWrites() {
+        const target = document.getElementById('pending-writes');
+        if (!target) return;
+
+        target.innerHTML = this.renderPendingWrites();
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
     toggle() {
         if (this.container) {
             this.container.classList.toggle('sidebar--open');
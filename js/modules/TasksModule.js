@@ -2,11 +2,21 @@
  * TasksModule - 任務列表模塊
  * 
  * 顯示近期完成和待辦任務，支援點擊展開詳情
+ * 展開的任務卡片列出帶有該 taskId 的最近日誌；點擊日誌中的任務連結會回到這裡並展開對應卡片
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import ApiClient from '../api/ApiClient.js';
+import { extraFields } from '../api/PayloadSchemas.js';
+import { renderJsonTree, trackJsonTreeState } from '../components/JsonTree.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 近期完成顯示的任務數
+const COMPLETED_LIMIT = 5;
+
+// 任務卡片中顯示的相關日誌數
+const RELATED_LOGS_LIMIT = 5;
 
 class TasksModule {
     constructor(config) {
@@ -14,6 +24,10 @@ class TasksModule {
         this.container = null;
         this.unsubscribers = [];
         this.expandedTaskId = null;
+        // 展開任務當前顯示的相關日誌 ID，日誌更新但內容不變時不重繪
+        this.relatedLogsKey = '';
+        // 展開中的 JSON 樹節點（重繪時保留）
+        this.openTrees = new Set();
     }
 
     async init() {
@@ -28,6 +42,18 @@ class TasksModule {
                 this.update();
             })
         );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('logs', () => {
+                if (this.expandedTaskId && this.getRelatedLogsKey() !== this.relatedLogsKey) {
+                    this.update();
+                }
+            })
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.UI_TASK_FOCUS, ({ taskId }) => this.focusTask(taskId))
+        );
     }
 
     render() {
@@ -48,7 +74,7 @@ class TasksModule {
                     </div>
                     <div class="task-list" id="completed-tasks">
                         ${completedTasks.length > 0
-                ? completedTasks.slice(0, 5).map(task => this.renderTaskCard(task)).join('')
+                ? this.getVisibleCompleted(completedTasks).map(task => this.renderTaskCard(task)).join('')
                 : this.renderEmptyState('尚無完成任務')}
                     </div>
                 </section>
@@ -95,13 +121,13 @@ class TasksModule {
 
         return `
             <div class="task-card card card--interactive ${isExpanded ? 'task-card--expanded' : ''}" 
-                 data-task-id="${task.id}">
+                 data-task-id="${escapeHtml(task.id)}">
                 <div class="task-card__header">
                     <div class="task-card__left">
                         <span class="priority ${priorityClass}">
                             <span class="priority__dot"></span>
                         </span>
-                        <h4 class="task-card__title">${task.title}</h4>
+                        <h4 class="task-card__title">${escapeHtml(task.title)}</h4>
                     </div>
                     <div class="task-card__right">
                         ${task.completedAt
@@ -123,29 +149,70 @@ class TasksModule {
                 
                 ${isExpanded ? `
                 <div class="task-card__details animate-expand">
-                    <p class="task-card__description">${task.description || '無描述'}</p>
+                    <p class="task-card__description">${escapeHtml(task.description || '無描述')}</p>
                     <div class="task-card__meta">
                         <div class="task-card__tags">
                             ${(task.tags || []).map(tag => `
-                                <span class="badge">${tag}</span>
+                                <span class="badge">${escapeHtml(tag)}</span>
                             `).join('')}
                         </div>
                         <div class="task-card__actions">
                             ${task.status !== 'completed' ? `
                                 <button class="btn btn--small btn--primary complete-task-btn" 
-                                        data-task-id="${task.id}">
+                                        data-task-id="${escapeHtml(task.id)}">
                                     <i data-lucide="check" width="14" height="14"></i>
                                     完成
                                 </button>
                             ` : ''}
                         </div>
                     </div>
+                    ${this.renderRelatedLogs(task)}
                 </div>
                 ` : ''}
             </div>
         `;
     }
 
+    /**
+     * 渲染任務的相關日誌（最新在前，來自實時日誌窗口）
+     * @param {Object} task - 任務
+     */
+    renderRelatedLogs(task) {
+        const logs = this.getRelatedLogs(task.id);
+
+        return `
+            <div class="task-logs">
+                <div class="task-logs__header text-muted">
+                    <i data-lucide="scroll-text" width="14" height="14"></i>
+                    相關日誌
+                    ${logs.length > RELATED_LOGS_LIMIT ? `<span>（最近 ${RELATED_LOGS_LIMIT} / ${logs.length} 條）</span>` : ''}
+                </div>
+                ${logs.length === 0 ? `
+                    <p class="task-logs__empty text-muted">最近的日誌中沒有此任務的記錄</p>
+                ` : `
+                    <ul class="task-logs__list">
+                        ${logs.slice(0, RELATED_LOGS_LIMIT).map(log => this.renderRelatedLog(log)).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    renderRelatedLog(log) {
+        const fields = extraFields('log', log);
+
+        return `
+            <li class="task-log task-log--${log.level || 'info'}">
+                <button type="button" class="task-log__entry" data-log-timestamp="${log.timestamp}"
+                        title="在日誌面板中查看">
+                    <span class="task-log__time text-muted text-mono">${this.formatLogTime(log.timestamp)}</span>
+                    <span class="task-log__message">${escapeHtml(log.message)}</span>
+                </button>
+                ${fields ? renderJsonTree(fields, { id: log.id, openPaths: this.openTrees }) : ''}
+            </li>
+        `;
+    }
+
     renderEmptyState(message) {
         return `
             <div class="empty-state">
@@ -155,6 +222,71 @@ class TasksModule {
         `;
     }
 
+    /**
+     * 近期完成的任務；展開中的任務較舊時一併顯示，讓日誌連結總能定位到卡片
+     * @param {Object[]} completedTasks - 已完成任務（最新在前）
+     * @returns {Object[]}
+     */
+    getVisibleCompleted(completedTasks) {
+        const visible = completedTasks.slice(0, COMPLETED_LIMIT);
+        const expanded = completedTasks.find(task => task.id === this.expandedTaskId);
+
+        if (expanded && !visible.includes(expanded)) {
+            visible.push(expanded);
+        }
+        return visible;
+    }
+
+    /**
+     * 帶有該 taskId 的日誌（最新在前）
+     * @param {string} taskId - 任務 ID
+     * @returns {Object[]}
+     */
+    getRelatedLogs(taskId) {
+        return StateManager.get('logs', []).filter(log => log.taskId === taskId);
+    }
+
+    getRelatedLogsKey() {
+        return this.getRelatedLogs(this.expandedTaskId)
+            .slice(0, RELATED_LOGS_LIMIT)
+            .map(log => log.id)
+            .join(',');
+    }
+
+    /**
+     * 展開任務卡片並捲動到可見位置
+     * @param {string} taskId - 任務 ID
+     */
+    focusTask(taskId) {
+        const { completed = [], inProgress = [], pending = [] } = StateManager.get('tasks', {});
+        const exists = [...inProgress, ...pending, ...completed].some(task => task.id === taskId);
+
+        if (!exists) {
+            EventBus.emit(Events.NOTIFICATION_SHOW, {
+                type: 'warning',
+                message: '找不到此日誌所屬的任務，可能已被刪除'
+            });
+            return;
+        }
+
+        if (StateManager.get('ui.expandedTaskId') !== taskId) {
+            StateManager.set('ui.expandedTaskId', taskId);
+            EventBus.emit(Events.TASK_EXPANDED, { taskId });
+        }
+
+        const card = this.container?.querySelector(`.task-card[data-task-id="${CSS.escape(taskId)}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('task-card--focused');
+            card.addEventListener('animationend', (e) => {
+                // 忽略詳情展開動畫冒泡上來的事件
+                if (e.target === card) {
+                    card.classList.remove('task-card--focused');
+                }
+            });
+        }
+    }
+
     getPriorityClass(priority) {
         switch (priority) {
             case 'high': return 'priority--high';
@@ -200,6 +332,14 @@ class TasksModule {
         return new Date(dateString) < new Date();
     }
 
+    formatLogTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
     afterRender() {
         this.container = document.querySelector('.tasks-module');
         if (!this.container) return;
@@ -212,10 +352,10 @@ class TasksModule {
     }
 
     bindEvents() {
-        // 任務卡片點擊展開
+        // 任務卡片點擊展開（相關日誌區域除外）
         this.container.addEventListener('click', (e) => {
             const taskCard = e.target.closest('.task-card');
-            if (taskCard && !e.target.closest('.complete-task-btn')) {
+            if (taskCard && !e.target.closest('.complete-task-btn') && !e.target.closest('.task-logs')) {
                 const taskId = taskCard.dataset.taskId;
                 const currentExpanded = StateManager.get('ui.expandedTaskId');
                 StateManager.set('ui.expandedTaskId', currentExpanded === taskId ? null : taskId);
@@ -223,6 +363,16 @@ class TasksModule {
             }
         });
 
+        // 相關日誌：在日誌面板中跳轉到該條日誌
+        this.container.addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-log-timestamp]');
+            if (entry) {
+                EventBus.emit(Events.UI_LOG_VIEWER_OPEN, { at: Number(entry.dataset.logTimestamp) });
+            }
+        });
+
+        trackJsonTreeState(this.container, this.openTrees);
+
         // 完成任務按鈕
         this.container.addEventListener('click', async (e) => {
             const completeBtn = e.target.closest('.complete-task-btn');
@@ -235,17 +385,14 @@ class TasksModule {
 
                 try {
                     await ApiClient.completeTask(taskId);
-                    await ApiClient.refreshAll();
-                    EventBus.emit(Events.TASK_COMPLETED, { taskId });
                     EventBus.emit(Events.NOTIFICATION_SHOW, {
                         type: 'success',
                         message: '任務已完成！'
                     });
                 } catch (error) {
-                    EventBus.emit(Events.NOTIFICATION_SHOW, {
-                        type: 'error',
-                        message: '操作失敗，請重試'
-                    });
+                    // ApiClient 已回滾並通知，恢復按鈕供重試
+                    console.error('Failed to complete task', error);
+                    this.update();
                 }
             }
         });
@@ -254,6 +401,8 @@ class TasksModule {
     update() {
         if (!this.container) return;
 
+        this.relatedLogsKey = this.expandedTaskId ? this.getRelatedLogsKey() : '';
+
         // 重新渲染整個模塊
         this.container.outerHTML = this.render();
         this.container = document.querySelector('.tasks-module');
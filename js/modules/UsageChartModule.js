@@ -0,0 +1,467 @@
+/**
+ * UsageChartModule - 使用量圖表
+ *
+ * 以 UsageHistory 的取樣繪製選中 Agent 的使用量走勢（按需打開的浮層）：
+ * - 1h / 24h / 7d 範圍切換
+ * - 累計 Token 使用量與剩餘配額折線，滑鼠移動時標示最近的取樣並顯示數值
+ * - 每個區間的 Token 消耗柱狀圖（1h 範圍每 5 分鐘、其餘每小時）
+ * 圖表以內嵌 SVG 繪製，不依賴圖表庫。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import StateManager from '../core/StateManager.js';
+import UsageHistory from '../api/UsageHistory.js';
+import { escapeHtml } from '../utils/html.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * 各範圍的跨度與柱狀圖區間
+ */
+const RANGES = {
+    '1h': { span: HOUR, bucket: 5 * MINUTE, bucketLabel: '每 5 分鐘' },
+    '24h': { span: 24 * HOUR, bucket: HOUR, bucketLabel: '每小時' },
+    '7d': { span: 7 * 24 * HOUR, bucket: HOUR, bucketLabel: '每小時' }
+};
+
+// 繪圖座標系（SVG viewBox，實際尺寸隨容器縮放）
+const PLOT_WIDTH = 600;
+const LINE_HEIGHT = 160;
+const BAR_HEIGHT = 80;
+
+class UsageChartModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+
+        this.isOpen = false;
+        this.range = '24h';
+        this.escHandler = null;
+
+        // 最近一次繪製的數據，供滑鼠提示查找
+        this.series = [];
+        this.buckets = [];
+        this.from = 0;
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            EventBus.on(Events.UI_USAGE_CHART_OPEN, () => this.open())
+        );
+
+        // 每次狀態更新都可能帶來新的取樣
+        this.unsubscribers.push(
+            StateManager.subscribe('agent', () => this.update())
+        );
+
+        this.unsubscribers.push(
+            StateManager.subscribe('ui.selectedAgentId', () => this.update())
+        );
+    }
+
+    render() {
+        return '<div class="usage-chart-root" id="usage-chart-root"></div>';
+    }
+
+    /**
+     * 渲染圖表外框
+     */
+    renderChart() {
+        return `
+            <div class="modal-overlay usage-chart-overlay" id="usage-chart-overlay">
+                <div class="modal usage-chart animate-scaleIn" role="dialog" aria-modal="true" aria-labelledby="usage-chart-title">
+                    <div class="modal__header">
+                        <h3 class="modal__title" id="usage-chart-title">${escapeHtml(this.renderTitle())}</h3>
+                        <button class="btn btn--icon btn--ghost" id="usage-chart-close" aria-label="關閉">
+                            <i data-lucide="x"></i>
+                        </button>
+                    </div>
+                    <div class="modal__body" id="usage-chart-body">
+                        ${this.renderBody()}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderTitle() {
+        const name = StateManager.get('agent.name');
+        return name ? `使用量圖表 · ${name}` : '使用量圖表';
+    }
+
+    /**
+     * 渲染範圍切換、統計與兩張圖表
+     */
+    renderBody() {
+        const agentId = StateManager.get('ui.selectedAgentId');
+        const { span, bucket, bucketLabel } = RANGES[this.range];
+        const now = Date.now();
+
+        this.from = now - span;
+        this.series = UsageHistory.getSeries(agentId, span, now);
+        this.buckets = UsageHistory.getUsageDeltas(agentId, span, bucket, now);
+
+        const tabs = `
+            <div class="tabs usage-chart__tabs" role="tablist">
+                ${Object.keys(RANGES).map(key => `
+                    <button class="tab ${key === this.range ? 'tab--active' : ''}"
+                            data-usage-range="${key}" role="tab"
+                            aria-selected="${key === this.range}">
+                        ${key}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        if (this.series.length < 2) {
+            return `
+                ${tabs}
+                <p class="usage-chart__empty text-muted">資料累積中，每分鐘取樣一次，至少需要兩個取樣才能繪製走勢</p>
+            `;
+        }
+
+        return `
+            ${tabs}
+            ${this.renderStats()}
+            <section class="usage-chart__section">
+                <div class="usage-chart__legend text-muted">
+                    <span class="usage-chart__key usage-chart__key--tokens">累計 Token</span>
+                    <span class="usage-chart__key usage-chart__key--quota">剩餘配額</span>
+                </div>
+                <div class="usage-chart__plot" data-plot="line">
+                    ${this.renderLinePlot()}
+                    ${this.renderHoverLayer()}
+                </div>
+                ${this.renderAxis()}
+            </section>
+            <section class="usage-chart__section">
+                <div class="usage-chart__legend text-muted">Token 消耗（${bucketLabel}）</div>
+                <div class="usage-chart__plot usage-chart__plot--bars" data-plot="bars">
+                    ${this.renderBarPlot()}
+                    ${this.renderHoverLayer()}
+                </div>
+                ${this.renderAxis()}
+            </section>
+        `;
+    }
+
+    /**
+     * 渲染範圍內的統計
+     */
+    renderStats() {
+        const consumed = this.buckets.reduce((sum, { tokens }) => sum + tokens, 0);
+        const peak = this.buckets.reduce((max, bucket) => (bucket.tokens > (max?.tokens ?? 0) ? bucket : max), null);
+        const hours = RANGES[this.range].span / HOUR;
+        const latestQuota = [...this.series].reverse().find(sample => sample.quotaRemaining !== null)?.quotaRemaining;
+
+        return `
+            <dl class="usage-chart__stats">
+                <div>
+                    <dt class="text-muted">範圍內消耗</dt>
+                    <dd class="text-mono">${this.formatNumber(consumed)}</dd>
+                </div>
+                <div>
+                    <dt class="text-muted">平均每小時</dt>
+                    <dd class="text-mono">${this.formatNumber(Math.round(consumed / hours))}</dd>
+                </div>
+                <div>
+                    <dt class="text-muted">峰值區間</dt>
+                    <dd class="text-mono">${peak ? `${this.formatNumber(peak.tokens)} @ ${this.formatTime(peak.start)}` : '--'}</dd>
+                </div>
+                <div>
+                    <dt class="text-muted">剩餘配額</dt>
+                    <dd class="text-mono">${latestQuota === undefined ? '--' : `${Math.round(latestQuota * 100)}%`}</dd>
+                </div>
+            </dl>
+        `;
+    }
+
+    /**
+     * 渲染累計 Token 與剩餘配額折線
+     */
+    renderLinePlot() {
+        const tokens = this.series.filter(sample => sample.tokenUsage !== null);
+        const values = tokens.map(sample => sample.tokenUsage);
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+
+        const tokenLine = tokens
+            .map(sample => `${this.xOf(sample.at).toFixed(1)},${this.yOf(sample.tokenUsage, low, high, LINE_HEIGHT).toFixed(1)}`)
+            .join(' ');
+        const quotaLine = this.series
+            .filter(sample => sample.quotaRemaining !== null)
+            .map(sample => `${this.xOf(sample.at).toFixed(1)},${this.yOf(sample.quotaRemaining, 0, 1, LINE_HEIGHT).toFixed(1)}`)
+            .join(' ');
+
+        return `
+            <svg class="usage-chart__svg" viewBox="0 0 ${PLOT_WIDTH} ${LINE_HEIGHT}" preserveAspectRatio="none"
+                 role="img" aria-label="累計 Token 使用量與剩餘配額走勢">
+                ${[0.25, 0.5, 0.75].map(ratio => `
+                    <line class="usage-chart__grid" x1="0" x2="${PLOT_WIDTH}" y1="${LINE_HEIGHT * ratio}" y2="${LINE_HEIGHT * ratio}"></line>
+                `).join('')}
+                ${quotaLine ? `<polyline class="usage-chart__line usage-chart__line--quota" points="${quotaLine}"></polyline>` : ''}
+                ${tokenLine ? `<polyline class="usage-chart__line usage-chart__line--tokens" points="${tokenLine}"></polyline>` : ''}
+            </svg>
+            ${values.length > 0 ? `
+                <span class="usage-chart__scale usage-chart__scale--top text-mono">${this.formatNumber(high)}</span>
+                <span class="usage-chart__scale usage-chart__scale--bottom text-mono">${this.formatNumber(low)}</span>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * 渲染每個區間的消耗柱狀圖
+     */
+    renderBarPlot() {
+        const { bucket } = RANGES[this.range];
+        const high = Math.max(...this.buckets.map(({ tokens }) => tokens), 0);
+        const width = bucket / RANGES[this.range].span * PLOT_WIDTH;
+
+        return `
+            <svg class="usage-chart__svg" viewBox="0 0 ${PLOT_WIDTH} ${BAR_HEIGHT}" preserveAspectRatio="none"
+                 role="img" aria-label="每個區間的 Token 消耗">
+                ${high > 0 ? this.buckets.map(({ start, tokens }) => {
+                    if (tokens === 0) return '';
+                    const height = tokens / high * BAR_HEIGHT;
+                    // 第一個區間可能早於範圍起點，裁切到繪圖區內；柱間留 1 單位間隙
+                    const x = Math.max(0, this.xOf(start));
+                    const right = Math.min(PLOT_WIDTH, this.xOf(start) + width);
+                    return `
+                        <rect class="usage-chart__bar" x="${x.toFixed(1)}" y="${(BAR_HEIGHT - height).toFixed(1)}"
+                              width="${Math.max(1, right - x - 1).toFixed(1)}" height="${height.toFixed(1)}"></rect>
+                    `;
+                }).join('') : ''}
+            </svg>
+            ${high > 0 ? `<span class="usage-chart__scale usage-chart__scale--top text-mono">${this.formatNumber(high)}</span>` : ''}
+        `;
+    }
+
+    /**
+     * 滑鼠提示層（參考線、標記點與提示框），由 showHover 定位
+     */
+    renderHoverLayer() {
+        return `
+            <div class="usage-chart__guide" hidden></div>
+            <div class="usage-chart__marker" hidden></div>
+            <div class="usage-chart__tooltip" role="tooltip" hidden></div>
+        `;
+    }
+
+    renderAxis() {
+        return `
+            <div class="usage-chart__axis text-muted text-mono">
+                <span>${this.formatTime(this.from)}</span>
+                <span>${this.formatTime(this.from + RANGES[this.range].span / 2)}</span>
+                <span>現在</span>
+            </div>
+        `;
+    }
+
+    // ==================== 座標 ====================
+
+    /**
+     * 時間戳對應的橫坐標（viewBox 單位）
+     * @param {number} at - 時間戳
+     * @returns {number}
+     */
+    xOf(at) {
+        return (at - this.from) / RANGES[this.range].span * PLOT_WIDTH;
+    }
+
+    /**
+     * 數值對應的縱坐標（viewBox 單位），上下各留 4 單位
+     * @param {number} value - 數值
+     * @param {number} low - 縱軸最小值
+     * @param {number} high - 縱軸最大值
+     * @param {number} height - 繪圖區高度
+     * @returns {number}
+     */
+    yOf(value, low, high, height) {
+        if (high === low) return height / 2;
+        return 4 + (1 - (value - low) / (high - low)) * (height - 8);
+    }
+
+    // ==================== 滑鼠提示 ====================
+
+    /**
+     * 依滑鼠位置標示最近的取樣或所在的區間
+     * @param {HTMLElement} plot - 繪圖區
+     * @param {MouseEvent} e - 滑鼠事件
+     */
+    showHover(plot, e) {
+        const rect = plot.getBoundingClientRect();
+        if (rect.width === 0) return;
+
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        const at = this.from + ratio * RANGES[this.range].span;
+
+        let x;
+        let y = null;
+        let content;
+
+        if (plot.dataset.plot === 'line') {
+            const sample = this.series.reduce((nearest, entry) => (
+                Math.abs(entry.at - at) < Math.abs(nearest.at - at) ? entry : nearest
+            ));
+            const tokens = this.series.map(entry => entry.tokenUsage).filter(value => value !== null);
+
+            x = this.xOf(sample.at) / PLOT_WIDTH;
+            if (sample.tokenUsage !== null) {
+                y = this.yOf(sample.tokenUsage, Math.min(...tokens), Math.max(...tokens), LINE_HEIGHT) / LINE_HEIGHT;
+            }
+            content = `
+                <div class="usage-chart__tooltip-time">${this.formatDateTime(sample.at)}</div>
+                <div>累計 Token：<span class="text-mono">${sample.tokenUsage === null ? '--' : this.formatNumber(sample.tokenUsage)}</span></div>
+                <div>剩餘配額：<span class="text-mono">${sample.quotaRemaining === null ? '--' : `${Math.round(sample.quotaRemaining * 100)}%`}</span></div>
+            `;
+        } else {
+            const { bucket: size } = RANGES[this.range];
+            const bucket = this.buckets.find(({ start, end }) => at >= start && at < end) || this.buckets[this.buckets.length - 1];
+
+            x = Math.max(0, this.xOf(bucket.start + size / 2)) / PLOT_WIDTH;
+            content = `
+                <div class="usage-chart__tooltip-time">${this.formatTime(bucket.start)} - ${this.formatTime(bucket.end)}</div>
+                <div>消耗：<span class="text-mono">${this.formatNumber(bucket.tokens)}</span></div>
+            `;
+        }
+
+        const guide = plot.querySelector('.usage-chart__guide');
+        const marker = plot.querySelector('.usage-chart__marker');
+        const tooltip = plot.querySelector('.usage-chart__tooltip');
+
+        guide.hidden = false;
+        guide.style.left = `${x * 100}%`;
+
+        marker.hidden = y === null;
+        if (y !== null) {
+            marker.style.left = `${x * 100}%`;
+            marker.style.top = `${y * 100}%`;
+        }
+
+        tooltip.hidden = false;
+        tooltip.innerHTML = content;
+        // 靠右時提示框顯示在參考線左側，避免超出繪圖區
+        tooltip.classList.toggle('usage-chart__tooltip--left', x > 0.6);
+        tooltip.style.left = `${x * 100}%`;
+    }
+
+    hideHover(plot) {
+        plot.querySelectorAll('.usage-chart__guide, .usage-chart__marker, .usage-chart__tooltip')
+            .forEach(element => {
+                element.hidden = true;
+            });
+    }
+
+    // ==================== 開關 ====================
+
+    open() {
+        if (!this.container || this.isOpen) return;
+
+        this.isOpen = true;
+        this.container.innerHTML = this.renderChart();
+        this.bindChartEvents();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    close() {
+        this.isOpen = false;
+        document.removeEventListener('keydown', this.escHandler);
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    // ==================== DOM ====================
+
+    afterRender() {
+        this.container = document.getElementById('usage-chart-root');
+    }
+
+    bindChartEvents() {
+        const overlay = document.getElementById('usage-chart-overlay');
+        const body = document.getElementById('usage-chart-body');
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('#usage-chart-close')) {
+                this.close();
+                return;
+            }
+
+            const tab = e.target.closest('[data-usage-range]');
+            if (tab) {
+                this.range = tab.dataset.usageRange;
+                this.update();
+            }
+        });
+
+        // 繪圖區隨範圍切換重繪，以委派方式處理
+        body.addEventListener('mousemove', (e) => {
+            const plot = e.target.closest('[data-plot]');
+            body.querySelectorAll('[data-plot]').forEach(element => {
+                if (element === plot) {
+                    this.showHover(element, e);
+                } else {
+                    this.hideHover(element);
+                }
+            });
+        });
+
+        body.addEventListener('mouseleave', () => {
+            body.querySelectorAll('[data-plot]').forEach(element => this.hideHover(element));
+        });
+
+        this.escHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+        document.addEventListener('keydown', this.escHandler);
+    }
+
+    update() {
+        if (!this.isOpen) return;
+
+        const body = document.getElementById('usage-chart-body');
+        if (!body) return;
+
+        body.innerHTML = this.renderBody();
+        document.getElementById('usage-chart-title').textContent = this.renderTitle();
+    }
+
+    /**
+     * 格式化數字（加上千分位）
+     */
+    formatNumber(num) {
+        return num.toLocaleString('zh-TW');
+    }
+
+    formatTime(timestamp) {
+        const options = { hour: '2-digit', minute: '2-digit' };
+        if (this.range === '7d') {
+            options.month = '2-digit';
+            options.day = '2-digit';
+        }
+        return new Date(timestamp).toLocaleString('zh-TW', options);
+    }
+
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString('zh-TW', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    destroy() {
+        this.close();
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default UsageChartModule;
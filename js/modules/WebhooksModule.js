@@ -0,0 +1,379 @@
+/**
+ * WebhooksModule - Webhook 模塊
+ *
+ * 管理 WebhookNotifier 的 Webhook：新增、編輯、刪除、啟用 / 停用與發送測試，
+ * 並列出最近的發送記錄，失敗的發送可手動重試。
+ */
+
+import EventBus, { Events } from '../core/EventBus.js';
+import WebhookNotifier, { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from '../core/WebhookNotifier.js';
+import { escapeHtml } from '../utils/html.js';
+
+// 卡片中顯示的最近發送記錄條數
+const RECENT_DELIVERIES = 5;
+
+/**
+ * 各發送狀態的顯示方式
+ */
+const STATUS_DISPLAY = {
+    pending: { label: '發送中', badge: 'badge--info' },
+    retrying: { label: '等待重試', badge: 'badge--warning' },
+    delivered: { label: '已送達', badge: 'badge--success' },
+    failed: { label: '失敗', badge: 'badge--danger' }
+};
+
+const EVENT_LABELS = {
+    ...Object.fromEntries(Object.entries(WEBHOOK_EVENTS).map(([key, { label }]) => [key, label])),
+    test: '測試'
+};
+
+class WebhooksModule {
+    constructor(config) {
+        this.config = config;
+        this.container = null;
+        this.unsubscribers = [];
+    }
+
+    async init() {
+        this.unsubscribers.push(
+            EventBus.on(Events.WEBHOOKS_UPDATED, () => this.update())
+        );
+
+        this.unsubscribers.push(
+            EventBus.on(Events.WEBHOOK_DELIVERY, () => this.update())
+        );
+    }
+
+    render() {
+        return `
+            <div class="info-card webhooks" id="webhooks">
+                ${this.renderContent()}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染卡片內容
+     */
+    renderContent() {
+        const webhooks = WebhookNotifier.getWebhooks();
+        const deliveries = WebhookNotifier.getLog().slice(0, RECENT_DELIVERIES);
+
+        return `
+            <div class="info-card__header">
+                <i data-lucide="webhook" width="18" height="18"></i>
+                <span>Webhook</span>
+                <button class="btn btn--ghost btn--small webhooks__add" data-webhook-action="create" title="新增 Webhook">
+                    <i data-lucide="plus" width="14" height="14"></i>
+                    新增
+                </button>
+            </div>
+            <div class="info-card__body">
+                ${webhooks.length === 0 ? `
+                    <p class="text-muted">尚未設定 Webhook</p>
+                ` : `
+                    <ul class="webhooks__list">
+                        ${webhooks.map(webhook => this.renderWebhook(webhook)).join('')}
+                    </ul>
+                `}
+                ${deliveries.length > 0 ? `
+                    <div class="webhooks__log-header">
+                        <span class="text-muted">最近發送</span>
+                        <button class="btn btn--ghost btn--small" data-webhook-action="log">全部記錄</button>
+                    </div>
+                    <ul class="webhooks__deliveries">
+                        ${deliveries.map(entry => this.renderDelivery(entry, true)).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderWebhook(webhook) {
+        const format = WEBHOOK_FORMATS[webhook.format] || WEBHOOK_FORMATS.json;
+        const events = webhook.events.map(event => EVENT_LABELS[event] || event).join('、');
+
+        return `
+            <li class="webhooks__item ${webhook.enabled ? '' : 'webhooks__item--disabled'}" data-webhook-id="${webhook.id}">
+                <div class="webhooks__meta">
+                    <span class="webhooks__name">${escapeHtml(webhook.name)}</span>
+                    <span class="badge badge--info">${format.label}</span>
+                </div>
+                <div class="webhooks__url text-muted text-mono" title="${escapeHtml(webhook.url)}">${escapeHtml(this.displayUrl(webhook.url))}</div>
+                <div class="webhooks__actions">
+                    <span class="webhooks__events">${events || '未選擇事件'}</span>
+                    <button class="btn btn--icon btn--ghost" data-webhook-action="test" title="發送測試">
+                        <i data-lucide="send" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-webhook-action="toggle" title="${webhook.enabled ? '停用' : '啟用'}"
+                            aria-pressed="${webhook.enabled}">
+                        <i data-lucide="${webhook.enabled ? 'bell' : 'bell-off'}" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-webhook-action="edit" title="編輯">
+                        <i data-lucide="pencil" width="14" height="14"></i>
+                    </button>
+                    <button class="btn btn--icon btn--ghost" data-webhook-action="delete" title="刪除">
+                        <i data-lucide="trash-2" width="14" height="14"></i>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 渲染一條發送記錄
+     * @param {import('../core/WebhookNotifier.js').WebhookDelivery} entry - 發送記錄
+     * @param {boolean} [retryable=false] - 失敗時是否顯示重試按鈕
+     */
+    renderDelivery(entry, retryable = false) {
+        const display = STATUS_DISPLAY[entry.status];
+        const detail = [
+            entry.httpStatus ? `HTTP ${entry.httpStatus}` : entry.error,
+            `嘗試 ${entry.attempts} 次`,
+            entry.nextAttemptAt ? `${this.formatTime(entry.nextAttemptAt)} 重試` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <li class="webhooks__delivery" data-delivery-id="${entry.id}">
+                <div class="webhooks__meta">
+                    <span class="webhooks__delivery-title">${escapeHtml(entry.webhookName)} · ${EVENT_LABELS[entry.event] || entry.event}</span>
+                    <span class="badge ${display.badge}">${display.label}</span>
+                </div>
+                <div class="webhooks__delivery-detail text-muted">
+                    <span>${this.formatTime(entry.at)}</span>
+                    <span class="text-mono" ${entry.error ? `title="${escapeHtml(entry.error)}"` : ''}>${escapeHtml(detail)}</span>
+                    ${retryable && entry.status === 'failed' ? `
+                        <button class="btn btn--ghost btn--small" data-webhook-action="retry">重試</button>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 處理操作
+     * @param {string} action - 操作
+     * @param {Object|null} webhook - Webhook（新增或記錄操作時為 null）
+     * @param {string|null} deliveryId - 發送記錄 ID
+     */
+    handleAction(action, webhook, deliveryId) {
+        switch (action) {
+            case 'create':
+                this.showWebhookDialog();
+                break;
+            case 'edit':
+                this.showWebhookDialog(webhook);
+                break;
+            case 'test':
+                WebhookNotifier.sendTest(webhook.id);
+                break;
+            case 'toggle':
+                WebhookNotifier.toggle(webhook.id);
+                break;
+            case 'delete':
+                this.showDeleteDialog(webhook);
+                break;
+            case 'retry':
+                WebhookNotifier.retry(deliveryId);
+                break;
+            case 'log':
+                this.showLogDialog();
+                break;
+        }
+    }
+
+    /**
+     * 顯示新增/編輯對話框
+     * @param {Object} [webhook] - 要編輯的 Webhook，不傳則為新增
+     */
+    showWebhookDialog(webhook = null) {
+        const isEdit = Boolean(webhook);
+        const format = webhook?.format || 'discord';
+        const events = webhook?.events || Object.keys(WEBHOOK_EVENTS);
+
+        EventBus.emit('ui:show-modal', {
+            title: isEdit ? '編輯 Webhook' : '新增 Webhook',
+            content: `
+                <form id="webhook-form">
+                    <div class="form-group">
+                        <label for="webhook-name">名稱</label>
+                        <input type="text" id="webhook-name" class="input" required placeholder="如：團隊告警頻道"
+                               value="${escapeHtml(webhook?.name || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="webhook-url">URL</label>
+                        <input type="url" id="webhook-url" class="input text-mono" required
+                               placeholder="https://discord.com/api/webhooks/..." value="${escapeHtml(webhook?.url || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="webhook-format">格式</label>
+                        <select id="webhook-format" class="input">
+                            ${Object.entries(WEBHOOK_FORMATS).map(([key, { label }]) => `
+                                <option value="${key}" ${key === format ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <fieldset class="webhooks__form-events">
+                        <legend>發送的事件</legend>
+                        ${Object.entries(WEBHOOK_EVENTS).map(([key, { label }]) => `
+                            <label class="webhooks__form-option">
+                                <input type="checkbox" name="webhook-event" value="${key}" ${events.includes(key) ? 'checked' : ''}>
+                                <span>${label}</span>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <p class="webhooks__form-error text-danger" id="webhook-error" hidden></p>
+                </form>
+            `,
+            actions: [
+                { label: '取消', type: 'secondary', action: 'close' },
+                { label: isEdit ? '保存' : '新增', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                const form = document.getElementById('webhook-form');
+                const data = {
+                    ...webhook,
+                    name: form.querySelector('#webhook-name').value.trim(),
+                    url: form.querySelector('#webhook-url').value.trim(),
+                    format: form.querySelector('#webhook-format').value,
+                    events: [...form.querySelectorAll('[name="webhook-event"]:checked')].map(input => input.value)
+                };
+
+                const error = this.validate(data);
+                if (error) {
+                    const errorElement = document.getElementById('webhook-error');
+                    errorElement.textContent = error;
+                    errorElement.hidden = false;
+                    return false;
+                }
+
+                WebhookNotifier.save(data);
+                EventBus.emit(Events.NOTIFICATION_SHOW, {
+                    type: 'success',
+                    message: isEdit ? 'Webhook 已更新' : 'Webhook 已新增'
+                });
+                return true;
+            }
+        });
+    }
+
+    /**
+     * 檢查表單輸入
+     * @param {Object} data - Webhook
+     * @returns {string|null} 錯誤訊息
+     */
+    validate(data) {
+        if (!data.name) return '請輸入名稱';
+
+        let url;
+        try {
+            url = new URL(data.url);
+        } catch (error) {
+            return 'URL 格式不正確';
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'URL 必須以 http:// 或 https:// 開頭';
+        if (data.events.length === 0) return '請至少選擇一個事件';
+        return null;
+    }
+
+    /**
+     * 顯示刪除確認對話框
+     * @param {Object} webhook - 要刪除的 Webhook
+     */
+    showDeleteDialog(webhook) {
+        EventBus.emit('ui:show-modal', {
+            title: '刪除 Webhook',
+            content: `<p>確定要刪除「${escapeHtml(webhook.name)}」嗎？發送記錄會保留。</p>`,
+            actions: [
+                { label: '取消', type: 'secondary', action: 'close' },
+                { label: '刪除', type: 'primary', action: 'submit' }
+            ],
+            onSubmit: async () => {
+                WebhookNotifier.remove(webhook.id);
+                return true;
+            }
+        });
+    }
+
+    /**
+     * 顯示全部發送記錄
+     */
+    showLogDialog() {
+        const log = WebhookNotifier.getLog();
+
+        EventBus.emit('ui:show-modal', {
+            title: 'Webhook 發送記錄',
+            content: log.length === 0 ? '<p class="text-muted">沒有發送記錄</p>' : `
+                <ul class="webhooks__deliveries webhooks__deliveries--full">
+                    ${log.map(entry => this.renderDelivery(entry)).join('')}
+                </ul>
+            `,
+            actions: [
+                { label: '清除記錄', type: 'secondary', action: 'submit' },
+                { label: '關閉', type: 'primary', action: 'close' }
+            ],
+            onSubmit: async () => {
+                WebhookNotifier.clearLog();
+                return true;
+            }
+        });
+    }
+
+    /**
+     * URL 的顯示形式：只顯示主機與路徑開頭，避免在畫面上露出 Webhook 權杖
+     * @param {string} value - URL
+     * @returns {string}
+     */
+    displayUrl(value) {
+        try {
+            const url = new URL(value);
+            const path = url.pathname.length > 16 ? `${url.pathname.slice(0, 16)}…` : url.pathname;
+            return `${url.host}${path}`;
+        } catch (error) {
+            return value;
+        }
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('zh-TW', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    afterRender() {
+        this.container = document.getElementById('webhooks');
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-action]');
+            if (!button) return;
+
+            const webhookId = button.closest('[data-webhook-id]')?.dataset.webhookId;
+            const webhook = WebhookNotifier.getWebhooks().find(entry => entry.id === webhookId) || null;
+            const deliveryId = button.closest('[data-delivery-id]')?.dataset.deliveryId || null;
+            this.handleAction(button.dataset.webhookAction, webhook, deliveryId);
+        });
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.innerHTML = this.renderContent();
+
+        if (window.lucide) {
+            window.lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+}
+
+export default WebhooksModule;
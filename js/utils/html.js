@@ -0,0 +1,20 @@
+/**
+ * HTML 工具
+ *
+ * @example
+ * el.innerHTML = `<div title="${escapeHtml(task.title)}">${escapeHtml(task.title)}</div>`;
+ */
+
+/**
+ * 轉義 HTML（含引號，可用於文字與屬性值）
+ * @param {*} text - 內容，null / undefined 視為空字串
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
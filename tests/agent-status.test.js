@@ -0,0 +1,41 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ApiClient from '../js/api/ApiClient.js';
+import MockDataProvider from '../js/api/MockDataProvider.js';
+import EventBus, { Events } from '../js/core/EventBus.js';
+
+const notifications = [];
+EventBus.on(Events.NOTIFICATION_SHOW, (notification) => notifications.push(notification));
+
+console.log = () => {};
+console.warn = () => {};
+ApiClient.init({
+    dataSource: { type: 'mock', options: { simulate: false } },
+    heartbeatTimeout: 50,
+    heartbeatCheckInterval: 20,
+    reconnectGracePeriod: 0
+});
+await ApiClient.ready;
+
+after(() => {
+    ApiClient.destroy();
+    MockDataProvider.stopSimulation();
+});
+
+test('任一 Agent 心跳逾時都發出嚴重通知，且只在轉入時通知一次', async () => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const offline = notifications.filter(n => n.source === 'agent' && n.title.endsWith('離線'));
+    const agentIds = [...ApiClient.agentStates.keys()];
+
+    assert.ok(agentIds.length > 1);
+    assert.equal(offline.length, agentIds.length);
+    assert.ok(offline.every(n => n.critical && n.type === 'error'));
+
+    // 未選中的 Agent 可直接切換過去查看
+    const others = offline.filter(n => n.target === 'fleet-overview');
+    assert.equal(others.length, agentIds.length - 1);
+    assert.ok(others.every(n => n.actions.length === 1));
+});
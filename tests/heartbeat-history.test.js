@@ -0,0 +1,75 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import HeartbeatHistory from '../js/api/HeartbeatHistory.js';
+
+const STORAGE_KEY = 'openclaw_dashboard_heartbeat_history';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const T0 = Date.UTC(2026, 0, 1);
+
+// 計算 localStorage 寫入次數
+let writes = 0;
+const setItem = localStorage.setItem.bind(localStorage);
+localStorage.setItem = (key, value) => {
+    if (key === STORAGE_KEY) writes++;
+    setItem(key, value);
+};
+
+beforeEach(() => {
+    HeartbeatHistory.clear();
+    writes = 0;
+});
+
+test('狀態不變時不在每次輪詢重寫 localStorage，狀態轉換立即保存', () => {
+    HeartbeatHistory.recordState('noma', 'working', T0);
+    assert.equal(writes, 1);
+
+    for (let i = 1; i <= 10; i++) {
+        HeartbeatHistory.recordState('noma', 'working', T0 + i * 5000);
+        HeartbeatHistory.recordHeartbeat('noma', T0 + i * 5000);
+    }
+    assert.equal(writes, 1);
+
+    HeartbeatHistory.recordState('noma', 'idle', T0 + 60000);
+    assert.equal(writes, 2);
+
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    assert.deepEqual(saved.noma.transitions.map(transition => transition.state), ['working', 'idle']);
+    assert.equal(saved.noma.heartbeats.length, 10);
+});
+
+test('getStats 計算可用率、最長離線與平均心跳間隔，unknown 不計入', () => {
+    HeartbeatHistory.recordState('kuro', 'working', T0);
+    HeartbeatHistory.recordState('kuro', 'offline', T0 + 2 * HOUR);
+    HeartbeatHistory.recordState('kuro', 'idle', T0 + 3 * HOUR);
+    HeartbeatHistory.recordState('kuro', 'unknown', T0 + 5 * HOUR);
+    HeartbeatHistory.recordState('kuro', 'error', T0 + 7 * HOUR);
+    [0, 1, 2, 4].forEach(hour => HeartbeatHistory.recordHeartbeat('kuro', T0 + hour * HOUR));
+
+    const stats = HeartbeatHistory.getStats('kuro', 8 * HOUR, T0 + 8 * HOUR);
+
+    assert.deepEqual(stats.segments.map(segment => segment.state), ['working', 'offline', 'idle', 'unknown', 'error']);
+    assert.equal(stats.observed, 6 * HOUR);
+    assert.equal(stats.uptime, 5 / 6);
+    assert.equal(stats.longestOutage, HOUR);
+    assert.equal(stats.meanHeartbeatInterval, 4 * HOUR / 3);
+});
+
+test('getStats 將範圍起點之前的狀態裁剪到範圍內', () => {
+    HeartbeatHistory.recordState('sora', 'offline', T0);
+    HeartbeatHistory.recordState('sora', 'working', T0 + 20 * HOUR);
+
+    const stats = HeartbeatHistory.getStats('sora', 24 * HOUR, T0 + 30 * HOUR);
+
+    assert.deepEqual(stats.segments[0], { state: 'offline', start: T0 + 6 * HOUR, end: T0 + 20 * HOUR });
+    assert.equal(stats.longestOutage, 14 * HOUR);
+    assert.equal(stats.uptime, 10 / 24);
+    assert.equal(stats.meanHeartbeatInterval, null);
+});
+
+test('範圍內沒有觀察數據時 uptime 為 null', () => {
+    assert.equal(HeartbeatHistory.getStats('noma', HOUR, T0).uptime, null);
+});
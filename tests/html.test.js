@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml } from '../js/utils/html.js';
+
+test('escapeHtml 轉義標籤、& 與引號，可用於屬性值', () => {
+    assert.equal(
+        escapeHtml(`<img src=x onerror="alert('&')">`),
+        '&lt;img src=x onerror=&quot;alert(&#39;&amp;&#39;)&quot;&gt;'
+    );
+});
+
+test('escapeHtml 將 null / undefined 視為空字串，其他值轉為字串', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(42), '42');
+});
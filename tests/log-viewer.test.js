@@ -0,0 +1,92 @@
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import StateManager from '../js/core/StateManager.js';
+import ApiClient from '../js/api/ApiClient.js';
+import LogViewerModule from '../js/modules/LogViewerModule.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+// 350 條日誌，每兩條共用同一時間戳，用於驗證游標以 ID 區分
+const LOGS = Array.from({ length: 350 }, (_, index) => ({
+    id: `log-${String(index).padStart(3, '0')}`,
+    timestamp: T0 + Math.floor(index / 2) * MINUTE,
+    level: 'info',
+    message: `entry ${index}`
+}));
+
+const idsOf = (from, to) => LOGS.slice(from, to).map(log => log.id);
+
+const compareLogs = (a, b) => (a.timestamp - b.timestamp) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+
+/** @type {Object[]} getLogsPage 收到的游標 */
+let queries;
+let viewer;
+
+beforeEach(() => {
+    queries = [];
+    // 與數據源相同的游標語義：before 取之前最近的 limit 條，after 取之後最早的 limit 條（最新在前）
+    ApiClient.getLogsPage = async ({ before, after, limit }) => {
+        queries.push(before ? { before } : { after });
+        const page = before
+            ? LOGS.filter(log => compareLogs(log, before) < 0).slice(-limit)
+            : LOGS.filter(log => compareLogs(log, after) > 0).slice(0, limit);
+        return page.reverse();
+    };
+
+    // 實時窗口為最新 50 條
+    StateManager.set('logs', LOGS.slice(300).reverse());
+    viewer = new LogViewerModule({});
+});
+
+afterEach(() => {
+    delete ApiClient.getLogsPage;
+});
+
+test('loadOlder 以最舊一條為游標向前翻頁，直到沒有更早的日誌', async () => {
+    await viewer.loadOlder();
+    assert.deepEqual(queries[0], { before: { timestamp: LOGS[300].timestamp, id: 'log-300' } });
+    assert.deepEqual(viewer.getEntries().map(log => log.id), idsOf(200, 350));
+    assert.equal(viewer.hasOlder, true);
+
+    await viewer.loadOlder();
+    await viewer.loadOlder();
+    assert.equal(viewer.hasOlder, true);
+
+    await viewer.loadOlder();
+    assert.equal(viewer.hasOlder, false);
+    assert.deepEqual(viewer.getEntries().map(log => log.id), idsOf(0, 350));
+});
+
+test('jumpTo 載入目標前後各一頁並暫停跟隨，loadNewer 到達實時窗口後恢復銜接', async () => {
+    const target = LOGS[120].timestamp;
+
+    await viewer.jumpTo(target);
+    assert.deepEqual(queries, [{ before: { timestamp: target } }, { after: { timestamp: target - 1 } }]);
+    assert.equal(viewer.isLive, false);
+    assert.equal(viewer.following, false);
+    assert.equal(viewer.hasOlder, true);
+
+    const entries = viewer.getEntries();
+    assert.deepEqual(entries.map(log => log.id), idsOf(20, 220));
+    assert.equal(viewer.findTargetId(entries), 'log-120');
+
+    await viewer.loadNewer();
+    assert.deepEqual(queries[2], { after: { timestamp: LOGS[219].timestamp, id: 'log-219' } });
+    assert.equal(viewer.isLive, true);
+    assert.deepEqual(viewer.getEntries().map(log => log.id), idsOf(20, 350));
+});
+
+test('載入期間重置時丟棄過期的分頁，且不重複發出請求', async () => {
+    const pending = viewer.loadOlder();
+    await viewer.loadOlder();
+    viewer.reset();
+    await pending;
+
+    assert.equal(queries.length, 1);
+    assert.equal(viewer.loaded.size, 0);
+    assert.equal(viewer.loading, null);
+    assert.deepEqual(viewer.getEntries().map(log => log.id), idsOf(300, 350));
+});
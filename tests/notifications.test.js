@@ -0,0 +1,53 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import NotificationModule from '../js/modules/NotificationModule.js';
+import NotificationHistory from '../js/core/NotificationHistory.js';
+
+/**
+ * 不經 DOM 的通知模塊：顯示的通知只保存在 notifications 中
+ */
+const createModule = () => {
+    const module = new NotificationModule({});
+    module.add = (options) => {
+        module.notifications.push({ actions: [], progress: null, ...options, count: 1, element: {}, timer: null });
+        return options.id;
+    };
+    module.layout = () => {};
+    module.scheduleDismiss = () => {};
+    return module;
+};
+
+test('進度通知完成時將最終狀態記錄到通知中心，中間的更新不記錄', () => {
+    NotificationHistory.clear();
+    const module = createModule();
+
+    module.show({ id: 'sync', type: 'info', message: '正在同步 2 項離線變更', progress: 0, source: 'api' });
+    module.update('sync', { message: '正在同步離線變更（1/2）', progress: 0.5 });
+    assert.equal(NotificationHistory.items.length, 1);
+
+    module.show({ id: 'sync', type: 'success', message: '已同步 2 項離線變更', progress: 1, persistent: false, source: 'api' });
+    assert.equal(NotificationHistory.items.length, 2);
+    assert.deepEqual(
+        (({ type, message, source }) => ({ type, message, source }))(NotificationHistory.items[0]),
+        { type: 'success', message: '已同步 2 項離線變更', source: 'api' }
+    );
+
+    // 已完成的通知再次更新不重複記錄
+    module.update('sync', { progress: 1 });
+    assert.equal(NotificationHistory.items.length, 2);
+});
+
+test('進度通知已關閉時，最終結果另顯示並記錄', () => {
+    NotificationHistory.clear();
+    const module = createModule();
+
+    module.show({ id: 'sync', type: 'info', message: '正在同步 2 項離線變更', progress: 0, source: 'api' });
+    module.notifications = [];
+
+    module.show({ id: 'sync', type: 'warning', message: '已同步 1/2 項離線變更', progress: 1, persistent: true, source: 'api' });
+    assert.equal(NotificationHistory.items.length, 2);
+    assert.equal(NotificationHistory.items[0].message, '已同步 1/2 項離線變更');
+    assert.equal(module.notifications.length, 1);
+});
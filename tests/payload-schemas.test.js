@@ -0,0 +1,24 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalize } from '../js/api/PayloadSchemas.js';
+import ApiClient from '../js/api/ApiClient.js';
+
+test('狀態 offline 是有效值，不記為數據問題', () => {
+    const { value, issues } = normalize('status', { state: 'offline', lastHeartbeat: Date.now() });
+    assert.equal(value.state, 'offline');
+    assert.deepEqual(issues, []);
+});
+
+test('無效的狀態仍記為數據問題', () => {
+    const { value, issues } = normalize('status', { state: 'sleeping', lastHeartbeat: Date.now() });
+    assert.equal(value.state, null);
+    assert.deepEqual(issues.map(issue => issue.path), ['state']);
+});
+
+test('Agent 回報 offline 時心跳未逾時也顯示為離線', () => {
+    const display = ApiClient.calculateDisplayState({ state: 'offline', lastHeartbeat: Date.now() });
+    assert.equal(display.state, 'offline');
+    assert.equal(display.isOnline, false);
+});
@@ -0,0 +1,74 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus, { Events } from '../js/core/EventBus.js';
+import QuietHours from '../js/core/QuietHours.js';
+
+// 2026-01-05 為星期一；台北為 UTC+8（無夏令時間）
+const taipei = (day, time) => Date.parse(`2026-01-${String(day).padStart(2, '0')}T${time}:00+08:00`);
+
+beforeEach(() => {
+    QuietHours.save({ doNotDisturb: false, enabled: true, timezone: 'Asia/Taipei', allowCritical: true, schedules: [] });
+    QuietHours.quiet = false;
+    QuietHours.suppressed = [];
+});
+
+test('跨越午夜的時段屬於開始的那天，延續到隔天早上', () => {
+    QuietHours.addSchedule({ days: [1], start: '22:00', end: '07:00' });
+
+    assert.equal(QuietHours.isQuiet(taipei(5, '21:59')), false);
+    assert.equal(QuietHours.isQuiet(taipei(5, '22:00')), true);
+    assert.equal(QuietHours.isQuiet(taipei(6, '06:59')), true);
+    assert.equal(QuietHours.isQuiet(taipei(6, '07:00')), false);
+    // 星期二晚上不在時段內；星期一凌晨屬於星期日開始的時段
+    assert.equal(QuietHours.isQuiet(taipei(6, '23:00')), false);
+    assert.equal(QuietHours.isQuiet(taipei(5, '03:00')), false);
+});
+
+test('以設定的時區判斷時段，而非瀏覽器時區', () => {
+    QuietHours.addSchedule({ days: [1], start: '22:00', end: '23:00' });
+    const at = taipei(5, '22:30');
+
+    assert.equal(QuietHours.isQuiet(at), true);
+
+    // 同一時刻在紐約為星期一 09:30
+    QuietHours.save({ timezone: 'America/New_York' });
+    assert.equal(QuietHours.isQuiet(at), false);
+
+    // 無效時區回退到瀏覽器時區
+    QuietHours.save({ timezone: 'Invalid/Zone' });
+    assert.equal(QuietHours.getTimezone(), Intl.DateTimeFormat().resolvedOptions().timeZone);
+});
+
+test('開始等於結束時為整天', () => {
+    QuietHours.addSchedule({ days: [0], start: '00:00', end: '00:00' });
+
+    assert.equal(QuietHours.isQuiet(taipei(4, '00:00')), true);
+    assert.equal(QuietHours.isQuiet(taipei(4, '23:59')), true);
+    assert.equal(QuietHours.isQuiet(taipei(5, '00:00')), false);
+});
+
+test('勿擾期間嚴重通知依 allowCritical 放行，結束時匯總略過的通知', () => {
+    QuietHours.addSchedule({ days: [1], start: '22:00', end: '07:00' });
+    const night = taipei(5, '23:00');
+
+    assert.equal(QuietHours.shouldSuppress({ critical: false }, night), true);
+    assert.equal(QuietHours.shouldSuppress({ critical: true }, night), false);
+    QuietHours.save({ allowCritical: false });
+    assert.equal(QuietHours.shouldSuppress({ critical: true }, night), true);
+
+    const summaries = [];
+    const unsubscribe = EventBus.on(Events.NOTIFICATION_SHOW, (notification) => summaries.push(notification));
+
+    QuietHours.check(night);
+    QuietHours.record({ type: 'warning', source: 'rules' });
+    QuietHours.record({ type: 'error', source: 'agent' });
+    QuietHours.check(taipei(6, '07:00'));
+    unsubscribe();
+
+    assert.equal(summaries.length, 1);
+    assert.equal(summaries[0].type, 'warning');
+    assert.match(summaries[0].message, /略過 2 則通知（錯誤 1、警告 1）/);
+    assert.deepEqual(QuietHours.suppressed, []);
+});
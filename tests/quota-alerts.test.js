@@ -0,0 +1,58 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ApiClient from '../js/api/ApiClient.js';
+import MockDataProvider from '../js/api/MockDataProvider.js';
+import AlertManager, { quotaAlertKey } from '../js/core/AlertManager.js';
+import EventBus, { Events } from '../js/core/EventBus.js';
+
+const notifications = [];
+EventBus.on(Events.NOTIFICATION_SHOW, (notification) => {
+    if (notification.source === 'quota') notifications.push(notification);
+});
+
+console.log = () => {};
+ApiClient.init({ dataSource: { type: 'mock', options: { simulate: false } } });
+await ApiClient.ready;
+
+after(() => {
+    ApiClient.destroy();
+    MockDataProvider.stopSimulation();
+});
+
+/**
+ * 更新 Agent 配額並等待狀態推送（模擬數據源有最多 300ms 延遲）
+ */
+const setQuota = async (agentId, quotaRemaining) => {
+    await MockDataProvider.updateAgentStatus({ quotaRemaining }, agentId);
+    await new Promise(resolve => setTimeout(resolve, 400));
+};
+
+test('未選中的 Agent 配額不足也會告警，並沿用遲滯', async () => {
+    const other = [...ApiClient.agentStates.keys()].find(id => id !== ApiClient.selectedAgentId);
+    const name = ApiClient.agentStates.get(other).name;
+
+    await setQuota(other, 0.05);
+    assert.equal(AlertManager.get(quotaAlertKey(other)).state, 'critical');
+    const critical = notifications.filter(n => n.title === name && n.critical);
+    assert.equal(critical.length, 1);
+    assert.equal(critical[0].target, 'fleet-overview');
+
+    // 回升但未超過門檻加遲滯量（10 + 5）時不解除
+    notifications.length = 0;
+    await setQuota(other, 0.12);
+    assert.equal(AlertManager.get(quotaAlertKey(other)).state, 'critical');
+    assert.deepEqual(notifications, []);
+
+    // 切換查看的 Agent 不影響告警狀態
+    await ApiClient.selectAgent(other);
+    await setQuota(other, 0.11);
+    assert.equal(AlertManager.get(quotaAlertKey(other)).state, 'critical');
+    assert.deepEqual(notifications, []);
+
+    await setQuota(other, 0.5);
+    assert.equal(AlertManager.get(quotaAlertKey(other)).state, 'ok');
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].type, 'success');
+});
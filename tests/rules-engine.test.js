@@ -0,0 +1,78 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import StateManager from '../js/core/StateManager.js';
+import RulesEngine from '../js/core/RulesEngine.js';
+
+const MINUTE = 60 * 1000;
+
+test('預設規則不含 Agent 離線與錯誤（由 ApiClient 的嚴重通知負責）', () => {
+    assert.deepEqual(RulesEngine.getRules().map(rule => rule.id), ['no-task-completed', 'token-spike']);
+});
+
+test('載入時移除未修改的舊版離線 / 錯誤預設規則，保留修改過的與自訂規則', () => {
+    const saved = [
+        { id: 'agent-offline', name: 'Agent 離線超過 5 分鐘', path: 'agent.status', operator: '==', value: 'offline', duration: 5 * MINUTE, severity: 'critical', muted: true },
+        { id: 'agent-error', name: 'Agent 錯誤狀態', path: 'agent.status', operator: '==', value: 'error', duration: 10 * MINUTE, severity: 'critical', muted: false },
+        { id: 'custom', name: '自訂', path: 'agent.status', operator: '==', value: 'offline', duration: 0, severity: 'warning', muted: false }
+    ];
+    localStorage.setItem('openclaw_dashboard_alert_rules', JSON.stringify(saved));
+
+    assert.deepEqual(RulesEngine.load().map(rule => rule.id), ['agent-error', 'custom']);
+});
+
+test('比較規則需持續成立 duration 才觸發，中途不成立時重新計時', () => {
+    const rule = { id: 'test-offline', name: '離線', path: 'agent.status', operator: '==', value: 'offline', duration: 5 * MINUTE, severity: 'critical', muted: true };
+    const t0 = Date.UTC(2026, 0, 1);
+
+    StateManager.set('agent', { status: 'offline' });
+    RulesEngine.evaluate(rule, t0);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'pending');
+
+    StateManager.set('agent', { status: 'working' });
+    RulesEngine.evaluate(rule, t0 + 3 * MINUTE);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'ok');
+
+    StateManager.set('agent', { status: 'offline' });
+    RulesEngine.evaluate(rule, t0 + 4 * MINUTE);
+    RulesEngine.evaluate(rule, t0 + 8 * MINUTE);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'pending');
+
+    RulesEngine.evaluate(rule, t0 + 9 * MINUTE);
+    assert.deepEqual(RulesEngine.getStatus(rule.id), { status: 'firing', since: t0 + 4 * MINUTE, firedAt: t0 + 9 * MINUTE });
+});
+
+test('increase 規則只計算窗口內的增長，計數器重置不算負增長', () => {
+    const rule = { id: 'test-spike', name: '暴增', path: 'agent.tokenUsage', operator: 'increase', value: 50000, duration: 10 * MINUTE, severity: 'warning', muted: true };
+    const t0 = Date.UTC(2026, 0, 1);
+    const evaluateAt = (minute, tokenUsage) => {
+        StateManager.set('agent', { tokenUsage });
+        RulesEngine.evaluate(rule, t0 + minute * MINUTE);
+        return RulesEngine.getStatus(rule.id).status;
+    };
+
+    assert.equal(evaluateAt(0, 100000), 'ok');
+    assert.equal(evaluateAt(8, 140000), 'ok');
+    // 第 0 分鐘的樣本已移出窗口，基準為 140000
+    assert.equal(evaluateAt(12, 160000), 'ok');
+    assert.equal(evaluateAt(14, 0), 'ok');
+    assert.equal(evaluateAt(16, 60000), 'firing');
+});
+
+test('unchanged 規則在數值 duration 內沒有變化時觸發，變化後恢復', () => {
+    const rule = { id: 'test-stale', name: '沒有完成', path: 'agent.completed', operator: 'unchanged', duration: 120 * MINUTE, severity: 'warning', muted: true };
+    const t0 = Date.UTC(2026, 0, 1);
+
+    StateManager.set('agent', { completed: 3 });
+    RulesEngine.evaluate(rule, t0);
+    RulesEngine.evaluate(rule, t0 + 119 * MINUTE);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'pending');
+
+    RulesEngine.evaluate(rule, t0 + 120 * MINUTE);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'firing');
+
+    StateManager.set('agent', { completed: 4 });
+    RulesEngine.evaluate(rule, t0 + 121 * MINUTE);
+    assert.equal(RulesEngine.getStatus(rule.id).status, 'pending');
+});
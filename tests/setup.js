@@ -0,0 +1,32 @@
+/**
+ * 測試環境：提供模塊載入時用到的瀏覽器全局對象（localStorage、window、document）
+ *
+ * 每個測試檔案須在其他 import 之前載入：
+ * @example
+ * import './setup.js';
+ */
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear()
+};
+
+globalThis.window = globalThis;
+window.location = { search: '' };
+window.addEventListener = () => {};
+window.removeEventListener = () => {};
+
+// Node 21 起才有全局 navigator
+globalThis.navigator ??= { onLine: true };
+
+globalThis.document = {
+    hidden: false,
+    getElementById: () => null,
+    querySelector: () => null,
+    addEventListener: () => {},
+    removeEventListener: () => {}
+};
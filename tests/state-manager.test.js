@@ -0,0 +1,72 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import StateManager from '../js/core/StateManager.js';
+import { runBenchmarks } from '../benchmarks/state-manager.js';
+
+beforeEach(() => {
+    StateManager.reset();
+    StateManager.persistEnabled = false;
+});
+
+test('set 寫入新的根，只替換路徑上的節點並通知父路徑', () => {
+    const before = StateManager.state;
+    const calls = [];
+    const unsubscribe = StateManager.subscribe('agent', (value, oldValue, path) => calls.push({ value, oldValue, path }));
+
+    StateManager.set('agent.status', 'working');
+    unsubscribe();
+
+    assert.equal(StateManager.get('agent.status'), 'working');
+    assert.notEqual(StateManager.state, before);
+    assert.notEqual(StateManager.state.agent, before.agent);
+    assert.equal(StateManager.state.tasks, before.tasks);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].oldValue, before.agent);
+    assert.equal(calls[0].value.status, 'working');
+    assert.equal(calls[0].path, 'agent.status');
+});
+
+test('batchUpdate 在同一個根寫入所有路徑，只記錄一次歷史', () => {
+    const before = StateManager.state;
+
+    StateManager.batchUpdate({ 'agent.status': 'working', 'agent.tokenUsage': 42, 'logs': [{ id: 'log-1' }] });
+
+    assert.equal(StateManager.history.length, 1);
+    assert.equal(StateManager.history[0], before);
+    assert.equal(StateManager.get('agent.status'), 'working');
+    assert.equal(StateManager.get('agent.tokenUsage'), 42);
+    assert.deepEqual(StateManager.get('logs'), [{ id: 'log-1' }]);
+    assert.equal(before.agent.status, 'idle');
+    assert.equal(before.agent.tokenUsage, undefined);
+});
+
+test('undo / redo 在歷史的根之間切換並通知變化的鍵', () => {
+    StateManager.set('agent.status', 'working');
+    const working = StateManager.state;
+    StateManager.set('agent.status', 'paused');
+    const paused = StateManager.state;
+
+    const statuses = [];
+    const unsubscribe = StateManager.subscribe('agent', (value) => statuses.push(value.status));
+
+    assert.equal(StateManager.undo(), true);
+    assert.equal(StateManager.state, working);
+    assert.equal(StateManager.redo(), true);
+    assert.equal(StateManager.state, paused);
+    assert.equal(StateManager.redo(), false);
+    unsubscribe();
+
+    assert.deepEqual(statuses, ['working', 'paused']);
+
+    // 新的寫入清除可重做的狀態
+    StateManager.undo();
+    StateManager.set('agent.status', 'idle');
+    assert.equal(StateManager.redo(), false);
+});
+
+test('基準測試的結構共享檢查通過', () => {
+    const results = runBenchmarks();
+    assert.equal(results.length, 3);
+});
@@ -0,0 +1,42 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import UsageHistory from '../js/api/UsageHistory.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const T0 = Date.UTC(2026, 0, 1);
+
+beforeEach(() => {
+    UsageHistory.clear();
+});
+
+test('getUsageDeltas 以相鄰取樣差值分桶，計數器重置後的值計為消耗', () => {
+    [
+        [-10, 1000],
+        [10, 1500],
+        [70, 2500],
+        [90, 300],
+        [150, 800]
+    ].forEach(([minute, tokenUsage]) => UsageHistory.record('noma', { tokenUsage }, T0 + minute * MINUTE));
+    // 只有配額的取樣不影響差值
+    UsageHistory.record('noma', { quotaRemaining: 0.5 }, T0 + 120 * MINUTE);
+
+    const buckets = UsageHistory.getUsageDeltas('noma', 3 * HOUR, HOUR, T0 + 3 * HOUR);
+
+    assert.deepEqual(buckets.map(bucket => bucket.start), [0, 1, 2, 3].map(hour => T0 + hour * HOUR));
+    assert.deepEqual(buckets.map(bucket => bucket.tokens), [500, 1300, 500, 0]);
+});
+
+test('getUsageDeltas 不計入範圍外的取樣', () => {
+    UsageHistory.record('kuro', { tokenUsage: 100 }, T0);
+    UsageHistory.record('kuro', { tokenUsage: 900 }, T0 + 30 * MINUTE);
+    UsageHistory.record('kuro', { tokenUsage: 1000 }, T0 + 5 * HOUR);
+
+    const buckets = UsageHistory.getUsageDeltas('kuro', 2 * HOUR, HOUR, T0 + 4 * HOUR);
+
+    assert.ok(buckets.every(bucket => bucket.tokens === 0));
+    assert.deepEqual(UsageHistory.getUsageDeltas('sora', HOUR, HOUR, T0).map(bucket => bucket.tokens), [0, 0]);
+});
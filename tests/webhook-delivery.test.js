@@ -0,0 +1,140 @@
+import './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import WebhookNotifier from '../js/core/WebhookNotifier.js';
+import EventBus, { Events } from '../js/core/EventBus.js';
+
+/**
+ * 替身伺服器：依路徑回應預先排好的狀態碼，最後一個重複使用
+ * @type {Map<string, Array<{status: number, headers?: Object}>>}
+ */
+const scripts = new Map();
+const received = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; }).on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        const script = scripts.get(req.url) || [{ status: 204 }];
+        const { status, headers = {} } = script.length > 1 ? script.shift() : script[0];
+        res.writeHead(status, headers).end();
+    });
+});
+
+let baseUrl;
+const delays = [];
+const failures = [];
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // 記錄退避時間，立即執行重試
+    WebhookNotifier.setTimeout = (callback, delay) => {
+        delays.push(delay);
+        return setTimeout(callback, 0);
+    };
+    EventBus.on(Events.NOTIFICATION_SHOW, (notification) => {
+        if (notification.source === 'webhook') failures.push(notification);
+    });
+});
+
+after(() => {
+    WebhookNotifier.destroy();
+    server.close();
+});
+
+beforeEach(() => {
+    [...WebhookNotifier.getWebhooks()].forEach(webhook => WebhookNotifier.remove(webhook.id));
+    received.length = 0;
+    delays.length = 0;
+    failures.length = 0;
+});
+
+const createWebhook = (path) => WebhookNotifier.save({
+    name: path,
+    url: `${baseUrl}${path}`,
+    format: 'json',
+    events: ['agent-offline']
+});
+
+/**
+ * 等待發送記錄進入最終狀態
+ */
+const settled = async (webhookId) => {
+    for (let i = 0; i < 100; i++) {
+        const [entry] = WebhookNotifier.getLog(webhookId);
+        if (entry && ['delivered', 'failed'].includes(entry.status)) return entry;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('發送未完成');
+};
+
+test('500 與 429 後重試，依指數退避與 Retry-After 等待，成功後記錄為已送達', async () => {
+    scripts.set('/flaky', [{ status: 500 }, { status: 429, headers: { 'Retry-After': '3' } }, { status: 200 }]);
+    const webhook = createWebhook('/flaky');
+
+    WebhookNotifier.dispatch({ event: 'agent-offline', title: 'noma 離線', message: '心跳逾時', severity: 'critical', agentId: 'noma' });
+    const entry = await settled(webhook.id);
+
+    assert.equal(received.length, 3);
+    assert.deepEqual(delays, [2000, 3000]);
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.httpStatus, 200);
+    assert.equal(entry.error, null);
+    assert.equal(entry.nextAttemptAt, null);
+    assert.equal(entry.event, 'agent-offline');
+    assert.equal(received[2].body.title, 'noma 離線');
+    assert.deepEqual(failures, []);
+});
+
+test('持續 5xx 時在最後一次嘗試後放棄並通知', async () => {
+    scripts.set('/down', [{ status: 503 }]);
+    const webhook = createWebhook('/down');
+
+    WebhookNotifier.dispatch({ event: 'agent-offline', title: 'kuro 離線', message: '心跳逾時', severity: 'critical', agentId: 'kuro' });
+    const entry = await settled(webhook.id);
+
+    assert.equal(received.length, 4);
+    assert.deepEqual(delays, [2000, 4000, 8000]);
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 4);
+    assert.equal(entry.httpStatus, 503);
+    assert.equal(entry.error, 'HTTP 503');
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].actions.length, 1);
+});
+
+test('4xx 不重試，可手動重試', async () => {
+    scripts.set('/gone', [{ status: 404 }]);
+    const webhook = createWebhook('/gone');
+
+    WebhookNotifier.dispatch({ event: 'agent-offline', title: 'sora 離線', message: '心跳逾時', severity: 'critical', agentId: 'sora' });
+    const entry = await settled(webhook.id);
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(delays, []);
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 1);
+
+    scripts.set('/gone', [{ status: 200 }]);
+    const retried = await WebhookNotifier.retry(entry.id);
+    assert.equal(retried.status, 'delivered');
+    assert.equal(retried.attempts, 1);
+    assert.equal(received.length, 2);
+});
+
+test('發送測試不受事件訂閱限制，並記錄在發送記錄中', async () => {
+    const webhook = WebhookNotifier.save({ name: '測試', url: `${baseUrl}/test`, format: 'discord', events: [] });
+
+    const entry = await WebhookNotifier.sendTest(webhook.id);
+
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.event, 'test');
+    assert.equal(WebhookNotifier.getLog(webhook.id)[0], entry);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].path, '/test');
+    assert.equal(received[0].body.embeds[0].footer.text, 'test');
+});
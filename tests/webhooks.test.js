@@ -0,0 +1,55 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import ApiClient from '../js/api/ApiClient.js';
+import MockDataProvider from '../js/api/MockDataProvider.js';
+import WebhookNotifier from '../js/core/WebhookNotifier.js';
+
+// 本地替身伺服器，記錄收到的請求內容
+const requests = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; }).on('end', () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(204).end();
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+console.log = () => {};
+ApiClient.init({ dataSource: { type: 'mock', options: { simulate: false } } });
+await ApiClient.ready;
+await ApiClient.refreshAll();
+WebhookNotifier.init();
+WebhookNotifier.save({ name: '測試', url: `http://127.0.0.1:${server.address().port}/`, format: 'json', events: ['task-completed', 'quota-critical'] });
+
+after(() => {
+    WebhookNotifier.destroy();
+    ApiClient.destroy();
+    MockDataProvider.stopSimulation();
+    server.close();
+});
+
+// 模擬數據源有最多 300ms 延遲
+const settle = () => new Promise(resolve => setTimeout(resolve, 400));
+
+test('未選中的 Agent 完成任務與配額嚴重不足時也發送 Webhook', async () => {
+    const other = [...ApiClient.agentStates.keys()].find(id => id !== ApiClient.selectedAgentId);
+    const [task] = await MockDataProvider.getTasks({ status: 'pending' }, other);
+    await settle();
+
+    await MockDataProvider.updateTask(task.id, { status: 'completed' }, other);
+    await MockDataProvider.updateAgentStatus({ quotaRemaining: 0.05 }, other);
+    await settle();
+
+    const completed = requests.filter(body => body.event === 'task-completed');
+    assert.equal(completed.length, 1);
+    assert.equal(completed[0].agentId, other);
+    assert.equal(completed[0].message, task.title);
+
+    const quota = requests.filter(body => body.event === 'quota-critical');
+    assert.equal(quota.length, 1);
+    assert.equal(quota[0].agentId, other);
+});
@@ -0,0 +1,177 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ApiClient from '../js/api/ApiClient.js';
+import WriteQueue from '../js/api/WriteQueue.js';
+import MockDataProvider from '../js/api/MockDataProvider.js';
+import StateManager from '../js/core/StateManager.js';
+import EventBus, { Events } from '../js/core/EventBus.js';
+
+const errors = [];
+EventBus.on(Events.NOTIFICATION_SHOW, (notification) => {
+    if (notification.type === 'error' && notification.source === 'api') errors.push(notification.title);
+});
+
+console.log = () => {};
+ApiClient.init({ dataSource: { type: 'mock', options: { simulate: false } }, reconnectGracePeriod: 0 });
+await ApiClient.ready;
+
+after(() => {
+    ApiClient.destroy();
+    MockDataProvider.stopSimulation();
+});
+
+/**
+ * 重新連線後 ApiClient 自動重放佇列，等待重放結束
+ */
+const waitForReplay = async (timeout = 5000) => {
+    const start = Date.now();
+    while (WriteQueue.size > 0 || WriteQueue.isFlushing) {
+        if (Date.now() - start > timeout) throw new Error('Write queue replay timed out');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+const allTasks = () => {
+    const { completed = [], pending = [], inProgress = [] } = StateManager.get('tasks', {});
+    return [...completed, ...pending, ...inProgress];
+};
+
+test('離線新建後完成的任務，重放時改用後端 ID', async () => {
+    ApiClient.adapter.setConnected(false);
+
+    const title = `offline-${Date.now()}`;
+    await ApiClient.createTask({ title });
+    const local = allTasks().find(task => task.title === title);
+    assert.match(local.id, /^local-/);
+
+    await ApiClient.completeTask(local.id);
+    assert.deepEqual(WriteQueue.list().map(entry => entry.operation), ['createTask', 'completeTask']);
+
+    ApiClient.adapter.setConnected(true);
+    await waitForReplay();
+
+    assert.equal(WriteQueue.size, 0);
+    assert.deepEqual(errors, []);
+
+    const saved = (await MockDataProvider.getTasks({}, ApiClient.selectedAgentId)).find(task => task.title === title);
+    assert.ok(saved);
+    assert.doesNotMatch(saved.id, /^local-/);
+    assert.equal(saved.status, 'completed');
+});
+
+test('離線新建後刪除的學習項目，重放後不留在後端', async () => {
+    ApiClient.adapter.setConnected(false);
+
+    const title = `offline-${Date.now()}`;
+    await ApiClient.createLearningItem({ title });
+    const local = StateManager.get('learning.items', []).find(item => item.title === title);
+    await ApiClient.deleteLearningItem(local.id);
+
+    ApiClient.adapter.setConnected(true);
+    await waitForReplay();
+
+    assert.equal(WriteQueue.size, 0);
+    assert.deepEqual(errors, []);
+    const items = await MockDataProvider.getLearningItems(ApiClient.selectedAgentId);
+    assert.ok(!items.some(item => item.title === title));
+});
+
+test('replaceId 只替換引用臨時 ID 的參數', () => {
+    WriteQueue.clear();
+    WriteQueue.enqueue('updateTask', ['local-1', { title: 'local-1' }]);
+    WriteQueue.enqueue('deleteTask', ['task-2']);
+
+    WriteQueue.replaceId('local-1', 'task-9');
+
+    assert.deepEqual(WriteQueue.list().map(entry => entry.args), [
+        ['task-9', { title: 'local-1' }],
+        ['task-2']
+    ]);
+    WriteQueue.clear();
+});
+
+/**
+ * 讓模擬數據源的下一次 updateTask 以指定錯誤失敗
+ */
+const failNextUpdate = (error, before = async () => {}) => {
+    const updateTask = MockDataProvider.updateTask;
+    MockDataProvider.updateTask = async (...args) => {
+        MockDataProvider.updateTask = updateTask;
+        await before();
+        throw error;
+    };
+};
+
+const pendingTask = async () => (await MockDataProvider.getTasks({ status: 'pending' }, ApiClient.selectedAgentId))[0];
+
+test('flush 遇到暫時性錯誤時保留項目並停止，永久錯誤的項目移出', async () => {
+    WriteQueue.clear();
+    ['a', 'b', 'c'].forEach(id => WriteQueue.enqueue('deleteTask', [id]));
+    const isTransient = (error) => error.name === 'TypeError';
+
+    const first = await WriteQueue.flush(async ({ args: [id] }) => {
+        if (id === 'b') throw new TypeError('Failed to fetch');
+    }, () => true, isTransient);
+    assert.deepEqual(first.succeeded.map(entry => entry.args[0]), ['a']);
+    assert.equal(first.interrupted.message, 'Failed to fetch');
+    assert.deepEqual(WriteQueue.list().map(entry => entry.args[0]), ['b', 'c']);
+    assert.deepEqual(JSON.parse(localStorage.getItem('openclaw_dashboard_write_queue')).map(entry => entry.args[0]), ['b', 'c']);
+
+    const second = await WriteQueue.flush(async ({ args: [id] }) => {
+        if (id === 'b') throw Object.assign(new Error('Not found'), { status: 404 });
+    }, () => true, isTransient);
+    assert.deepEqual(second.failed.map(({ entry }) => entry.args[0]), ['b']);
+    assert.deepEqual(second.succeeded.map(entry => entry.args[0]), ['c']);
+    assert.equal(second.interrupted, null);
+    assert.equal(WriteQueue.size, 0);
+});
+
+test('寫入遇到網路錯誤時保留樂觀狀態並入列，之後重放成功', async () => {
+    WriteQueue.clear();
+    errors.length = 0;
+    const task = await pendingTask();
+
+    failNextUpdate(new TypeError('Failed to fetch'));
+    const result = await ApiClient.completeTask(task.id);
+
+    assert.equal(result, null);
+    assert.equal(allTasks().find(entry => entry.id === task.id).status, 'completed');
+    assert.deepEqual(WriteQueue.list().map(entry => entry.operation), ['completeTask']);
+    assert.deepEqual(errors, []);
+
+    await ApiClient.flushWriteQueue();
+    assert.equal(WriteQueue.size, 0);
+    const saved = (await MockDataProvider.getTasks({}, ApiClient.selectedAgentId)).find(entry => entry.id === task.id);
+    assert.equal(saved.status, 'completed');
+});
+
+test('寫入被拒絕時若已切換 Agent，不把舊 Agent 的數據回滾到新 Agent', async () => {
+    const original = ApiClient.selectedAgentId;
+    const other = [...ApiClient.agentStates.keys()].find(id => id !== original);
+    const task = await pendingTask();
+
+    failNextUpdate(Object.assign(new Error('Rejected'), { status: 400 }), () => ApiClient.selectAgent(other));
+    await assert.rejects(ApiClient.completeTask(task.id), /Rejected/);
+
+    assert.equal(ApiClient.selectedAgentId, other);
+    const otherIds = (await MockDataProvider.getTasks({}, other)).map(entry => entry.id).sort();
+    assert.deepEqual(allTasks().map(entry => entry.id).sort(), otherIds);
+
+    await ApiClient.selectAgent(original);
+});
+
+test('重放進行中再次呼叫 flushWriteQueue 不顯示進度通知', async () => {
+    const shown = [];
+    const off = EventBus.on(Events.NOTIFICATION_SHOW, (notification) => shown.push(notification.id));
+    WriteQueue.enqueue('deleteTask', ['task-x']);
+    WriteQueue.isFlushing = true;
+
+    await ApiClient.flushWriteQueue();
+
+    off();
+    WriteQueue.isFlushing = false;
+    WriteQueue.clear();
+    assert.ok(!shown.includes('write-queue-replay'));
+});